@@ -0,0 +1,60 @@
+/**
+ * Test per BLECalibrationStore.js
+ * Created: 2025-02-15 09:12:37
+ * Author: arkproject
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BLECalibrationStore } = require('../../src/bluetooth/BLECalibrationStore');
+const { BLEError } = require('../../src/utils/errorHandler');
+
+describe('BLECalibrationStore', () => {
+    let tempDir;
+    let filePath;
+    let store;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+        filePath = path.join(tempDir, 'calibration_profiles.json');
+        store = new BLECalibrationStore({ filePath });
+        store.load();
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('dovrebbe salvare e ricaricare i profili', () => {
+        store.set({ id: 'P1', serialNumber: 'SN001', channels: { asse_x: { gain: 0.001 } } });
+
+        const reloaded = new BLECalibrationStore({ filePath });
+        reloaded.load();
+
+        expect(reloaded.get('P1')).toMatchObject({
+            id: 'P1',
+            serialNumber: 'SN001',
+            channels: { asse_x: { gain: 0.001 } },
+            createdAt: expect.any(String),
+            updatedAt: expect.any(String)
+        });
+        expect(() => store.set({ id: 'P2' })).toThrow(BLEError);
+    });
+
+    it('dovrebbe preferire il riferimento del registro al numero di serie', () => {
+        store.set({ id: 'P1', serialNumber: 'SN001', channels: {} });
+        store.set({ id: 'P2', serialNumber: 'SN001', channels: {} });
+        store.profiles.get('P1').updatedAt = '2025-01-01 00:00:00';
+        store.profiles.get('P2').updatedAt = '2025-02-01 00:00:00';
+        store.set({ id: 'P3', serialNumber: 'SN002', channels: {} });
+
+        expect(store.findBySerial(' SN001 ').id).toBe('P2');
+        expect(store.resolve({ calibrationRef: 'P1', serialNumber: 'SN001' }).id).toBe('P1');
+        expect(store.resolve({ calibrationRef: 'assente', serialNumber: 'SN002' }).id).toBe('P3');
+        expect(store.resolve({ serialNumber: 'SN999' })).toBeNull();
+
+        expect(store.remove('P3')).toBe(true);
+        expect(store.getAll().map(profile => profile.id)).toEqual(['P1', 'P2']);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Test per BLECharacteristicRoles.js
+ * Created: 2025-02-10 16:05:44
+ * Author: arkproject
+ */
+
+const { CharacteristicRoles, classifyCharacteristic } = require('../../src/bluetooth/BLECharacteristicRoles');
+
+const DATA_UUID = '6e400003-b5a3-f393-e0a9-e50e24dcca9e';
+const CONTROL_UUID = '6e400002-b5a3-f393-e0a9-e50e24dcca9e';
+const STATUS_UUID = '6e400004-b5a3-f393-e0a9-e50e24dcca9e';
+
+const baseConfig = {
+    DATA: [],
+    CONTROL: [],
+    STATUS: [],
+    IGNORE: [],
+    AUTO_DETECT: true
+};
+
+describe('classifyCharacteristic', () => {
+    it('dovrebbe dare precedenza agli UUID configurati', () => {
+        const config = {
+            ...baseConfig,
+            DATA: [DATA_UUID.toUpperCase()],
+            CONTROL: [CONTROL_UUID],
+            IGNORE: ['2a19']
+        };
+
+        expect(classifyCharacteristic(DATA_UUID, ['notify'], config)).toBe(CharacteristicRoles.DATA);
+        expect(classifyCharacteristic(CONTROL_UUID, ['notify'], config)).toBe(CharacteristicRoles.CONTROL);
+        expect(classifyCharacteristic('00002a19-0000-1000-8000-00805f9b34fb', ['notify'], config))
+            .toBe(CharacteristicRoles.IGNORE);
+    });
+
+    it('dovrebbe classificare dai flag le caratteristiche non elencate', () => {
+        expect(classifyCharacteristic(DATA_UUID, ['notify'], baseConfig)).toBe(CharacteristicRoles.DATA);
+        expect(classifyCharacteristic(CONTROL_UUID, ['write-without-response'], baseConfig))
+            .toBe(CharacteristicRoles.CONTROL);
+        expect(classifyCharacteristic(STATUS_UUID, ['read'], baseConfig)).toBe(CharacteristicRoles.IGNORE);
+    });
+
+    it('dovrebbe trattare come stato le notifiche extra quando la lista DATA è configurata', () => {
+        const config = { ...baseConfig, DATA: [DATA_UUID] };
+        expect(classifyCharacteristic(STATUS_UUID, ['indicate'], config)).toBe(CharacteristicRoles.STATUS);
+    });
+
+    it('dovrebbe ignorare le caratteristiche non elencate senza AUTO_DETECT', () => {
+        const config = { ...baseConfig, AUTO_DETECT: false };
+        expect(classifyCharacteristic(DATA_UUID, ['notify'], config)).toBe(CharacteristicRoles.IGNORE);
+    });
+});
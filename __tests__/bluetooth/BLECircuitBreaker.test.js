@@ -0,0 +1,116 @@
+/**
+ * Test per BLECircuitBreaker.js
+ * Created: 2025-02-13 16:05:37
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const { BLECircuitBreaker, BLECircuitBreakerEvents, CircuitStates } = require('../../src/bluetooth/BLECircuitBreaker');
+const { BLEError, ErrorCodes } = require('../../src/utils/errorHandler');
+const { createCancellationError } = require('../../src/utils/abortUtils');
+
+const OPTIONS = { ENABLED: true, FAILURE_THRESHOLD: 2, COOLDOWN: 1000 };
+
+describe('BLECircuitBreaker', () => {
+    let eventManager;
+    let actions;
+    let breaker;
+
+    const failing = () => Promise.reject(new BLEError('Adapter non risponde', ErrorCodes.BLE.BLUEZ_FAILED));
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        eventManager = new EventEmitter();
+        actions = {
+            stopDiscovery: jest.fn().mockResolvedValue(),
+            powerCycle: jest.fn().mockResolvedValue(),
+            resetBluetooth: jest.fn().mockResolvedValue()
+        };
+        breaker = new BLECircuitBreaker(eventManager, actions, OPTIONS);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('dovrebbe aprirsi dopo i fallimenti consecutivi e rifiutare le operazioni', async () => {
+        const opened = jest.fn();
+        eventManager.on(BLECircuitBreakerEvents.OPENED, opened);
+
+        await expect(breaker.execute(failing)).rejects.toMatchObject({ code: ErrorCodes.BLE.BLUEZ_FAILED });
+        expect(breaker.state).toBe(CircuitStates.CLOSED);
+        await expect(breaker.execute(failing)).rejects.toMatchObject({ code: ErrorCodes.BLE.BLUEZ_FAILED });
+
+        expect(breaker.state).toBe(CircuitStates.OPEN);
+        expect(opened).toHaveBeenCalledWith(expect.objectContaining({ failures: 2, stage: 1 }));
+        expect(actions.stopDiscovery).toHaveBeenCalledTimes(1);
+
+        const operation = jest.fn();
+        await expect(breaker.execute(operation, 'findTargetDevice')).rejects.toMatchObject({
+            code: ErrorCodes.BLE.CIRCUIT_OPEN,
+            retryable: true
+        });
+        expect(operation).not.toHaveBeenCalled();
+        expect(breaker.getStatistics()).toMatchObject({ state: CircuitStates.OPEN, opened: 1, rejected: 1 });
+    });
+
+    it('dovrebbe riaprirsi con lo stadio successivo se la prova in semiaperto fallisce', async () => {
+        await breaker.execute(failing).catch(() => {});
+        await breaker.execute(failing).catch(() => {});
+
+        jest.advanceTimersByTime(OPTIONS.COOLDOWN);
+        await breaker.execute(failing).catch(() => {});
+        expect(actions.powerCycle).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(OPTIONS.COOLDOWN);
+        await breaker.execute(failing).catch(() => {});
+        jest.advanceTimersByTime(OPTIONS.COOLDOWN);
+        await breaker.execute(failing).catch(() => {});
+
+        expect(actions.resetBluetooth).toHaveBeenCalledTimes(2);
+        expect(breaker.getStatistics()).toMatchObject({
+            state: CircuitStates.OPEN,
+            stage: 3,
+            action: 'resetBluetooth',
+            opened: 4,
+            halfOpened: 3
+        });
+    });
+
+    it('dovrebbe richiudersi se la prova riesce e consentire una sola prova alla volta', async () => {
+        const closed = jest.fn();
+        eventManager.on(BLECircuitBreakerEvents.CLOSED, closed);
+        await breaker.execute(failing).catch(() => {});
+        await breaker.execute(failing).catch(() => {});
+        jest.advanceTimersByTime(OPTIONS.COOLDOWN);
+
+        let finishProbe;
+        const probe = breaker.execute(() => new Promise(resolve => { finishProbe = resolve; }));
+        expect(breaker.state).toBe(CircuitStates.HALF_OPEN);
+        await expect(breaker.execute(jest.fn())).rejects.toMatchObject({ code: ErrorCodes.BLE.CIRCUIT_OPEN });
+
+        finishProbe('ok');
+        await expect(probe).resolves.toBe('ok');
+        expect(breaker.getStatistics()).toMatchObject({ state: CircuitStates.CLOSED, stage: 0, consecutiveFailures: 0 });
+        expect(closed).toHaveBeenCalledWith(expect.objectContaining({ oldState: CircuitStates.HALF_OPEN, stage: 1 }));
+    });
+
+    it('non dovrebbe conteggiare gli errori che non sono guasti dell\'adapter e segnalare i recuperi falliti', async () => {
+        const recoveryFailed = jest.fn();
+        eventManager.on(BLECircuitBreakerEvents.RECOVERY_FAILED, recoveryFailed);
+        actions.stopDiscovery.mockRejectedValue(new Error('adapter occupato'));
+
+        await breaker.execute(() => Promise.reject(createCancellationError('autoConnectToTarget'))).catch(() => {});
+        await breaker.execute(() => Promise.reject(new BLEError('Negato', ErrorCodes.BLE.NOT_PERMITTED))).catch(() => {});
+        for (let i = 0; i < OPTIONS.FAILURE_THRESHOLD + 1; i++) {
+            await breaker.execute(() => Promise.reject(new BLEError('Nessun dispositivo', ErrorCodes.BLE.DEVICE_NOT_FOUND))).catch(() => {});
+        }
+        expect(breaker.consecutiveFailures).toBe(0);
+        expect(breaker.state).toBe(CircuitStates.CLOSED);
+
+        await breaker.execute(failing).catch(() => {});
+        await breaker.execute(failing).catch(() => {});
+        expect(recoveryFailed).toHaveBeenCalledWith(expect.objectContaining({ stage: 1, action: 'stopDiscovery' }));
+        expect(breaker.getStatistics()).toMatchObject({ recoveries: 1, recoveryFailures: 1 });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Test per BLECommandChannel.js
+ * Created: 2025-02-11 10:22:17
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const { BLECommandChannel, BLECommandEvents } = require('../../src/bluetooth/BLECommandChannel');
+const { COMMAND_OPCODES } = require('../../src/config/constants');
+const { ErrorCodes } = require('../../src/utils/errorHandler');
+
+const ADDRESS = 'AA:BB:CC:DD:EE:01';
+
+const options = {
+    RESPONSE_TIMEOUT: 500,
+    WRITE_WITH_RESPONSE: true,
+    SAMPLING_RATES: [50, 100]
+};
+
+function mockCharacteristic() {
+    return { writeValue: jest.fn().mockResolvedValue(undefined) };
+}
+
+describe('BLECommandChannel', () => {
+    let eventManager;
+    let channel;
+    let characteristic;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        eventManager = new EventEmitter();
+        channel = new BLECommandChannel(eventManager, ADDRESS, options);
+        characteristic = mockCharacteristic();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('dovrebbe correlare la risposta al comando tramite la sequenza', async () => {
+        channel.attach(characteristic, ['write', 'notify']);
+        const completed = jest.fn();
+        eventManager.on(BLECommandEvents.COMMAND_COMPLETED, completed);
+
+        const promise = channel.setSamplingRate(100);
+        await Promise.resolve();
+
+        const [frame, writeOptions] = characteristic.writeValue.mock.calls[0];
+        expect(frame).toEqual(Buffer.from([COMMAND_OPCODES.SET_SAMPLING_RATE, 1, 100, 0]));
+        expect(writeOptions).toEqual({ type: 'request' });
+
+        // Risposta a una sequenza diversa: ignorata
+        expect(channel.handleResponse(Buffer.from([0x83, 7, 0]))).toBe(false);
+        expect(channel.handleResponse(Buffer.from([0x83, 1, 0]))).toBe(true);
+
+        await expect(promise).resolves.toMatchObject({ command: 'SET_SAMPLING_RATE', sequence: 1, status: 0 });
+        expect(completed).toHaveBeenCalledTimes(1);
+        expect(channel.getStatus().pending).toBe(0);
+    });
+
+    it('dovrebbe rifiutare il comando se la risposta non arriva in tempo', async () => {
+        channel.attach(characteristic, ['write', 'notify']);
+        const timeout = jest.fn();
+        eventManager.on(BLECommandEvents.COMMAND_TIMEOUT, timeout);
+
+        const promise = channel.startStreaming();
+        const assertion = expect(promise).rejects.toMatchObject({ code: ErrorCodes.BLE.COMMAND_TIMEOUT });
+        await jest.advanceTimersByTimeAsync(500);
+
+        await assertion;
+        expect(timeout).toHaveBeenCalledTimes(1);
+    });
+
+    it('dovrebbe rifiutare il comando con stato di errore del dispositivo', async () => {
+        channel.attach(characteristic, ['write', 'notify']);
+
+        const promise = channel.stopStreaming();
+        await Promise.resolve();
+        channel.handleResponse(Buffer.from([0x82, 1, 0x03]));
+
+        await expect(promise).rejects.toMatchObject({ code: ErrorCodes.BLE.COMMAND_REJECTED });
+    });
+
+    it('dovrebbe scrivere senza risposta e senza attesa se la caratteristica non notifica', async () => {
+        channel.attach(characteristic, ['write-without-response']);
+
+        const result = await channel.startStreaming();
+
+        expect(characteristic.writeValue).toHaveBeenCalledWith(
+            Buffer.from([COMMAND_OPCODES.START_STREAMING, 1]),
+            { type: 'command' }
+        );
+        expect(result.status).toBeNull();
+    });
+
+    it('dovrebbe rifiutare frequenze non ammesse e comandi senza caratteristica', async () => {
+        await expect(channel.startStreaming())
+            .rejects.toMatchObject({ code: ErrorCodes.BLE.COMMAND_FAILED });
+
+        channel.attach(characteristic, ['write']);
+        await expect(channel.setSamplingRate(33))
+            .rejects.toMatchObject({ code: ErrorCodes.BLE.INVALID_PARAMETER });
+        expect(characteristic.writeValue).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe rifiutare i comandi in attesa allo scollegamento', async () => {
+        channel.attach(characteristic, ['write', 'notify']);
+
+        const promise = channel.startStreaming();
+        await Promise.resolve();
+        channel.detach();
+
+        await expect(promise).rejects.toMatchObject({ code: ErrorCodes.BLE.COMMAND_FAILED });
+        expect(channel.isAvailable()).toBe(false);
+    });
+});
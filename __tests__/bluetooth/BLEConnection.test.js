@@ -0,0 +1,161 @@
+/**
+ * Test per BLEConnection.js
+ * Created: 2025-02-06 11:14:38
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+
+const mockAdapters = {};
+const mockObjectManager = new EventEmitter();
+const mockBus = new EventEmitter();
+
+function mockAdapter(name, address) {
+    return {
+        adapter: name,
+        getAddress: jest.fn().mockResolvedValue(address),
+        getAlias: jest.fn().mockResolvedValue(`alias-${name}`),
+        isPowered: jest.fn().mockResolvedValue(true),
+        isDiscovering: jest.fn().mockResolvedValue(false),
+        stopDiscovery: jest.fn().mockResolvedValue(undefined)
+    };
+}
+
+jest.mock('node-ble', () => ({
+    createBluetooth: jest.fn(() => ({
+        bluetooth: {
+            dbus: Object.assign(mockBus, {
+                call: jest.fn().mockResolvedValue(undefined),
+                getProxyObject: jest.fn().mockResolvedValue({
+                    getInterface: () => mockObjectManager
+                })
+            }),
+            adapters: jest.fn(async () => Object.keys(mockAdapters)),
+            defaultAdapter: jest.fn(async () => mockAdapters[Object.keys(mockAdapters)[0]]),
+            getAdapter: jest.fn(async name => mockAdapters[name])
+        },
+        destroy: jest.fn()
+    }))
+}));
+
+const { BLEConnection, BLEConnectionEvents } = require('../../src/bluetooth/BLEConnection');
+
+describe('BLEConnection', () => {
+    let eventManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        Object.keys(mockAdapters).forEach(name => delete mockAdapters[name]);
+        mockAdapters.hci0 = mockAdapter('hci0', '00:11:22:33:44:00');
+        mockAdapters.hci1 = mockAdapter('hci1', '00:11:22:33:44:01');
+        mockObjectManager.removeAllListeners();
+        mockBus.removeAllListeners();
+        eventManager = new EventEmitter();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('dovrebbe usare l\'adapter predefinito se non configurato', async () => {
+        const connection = new BLEConnection(eventManager, { adapter: null });
+        await connection.initialize();
+
+        expect(connection.getStatus()).toMatchObject({
+            adapterName: 'hci0',
+            adapterAddress: '00:11:22:33:44:00'
+        });
+    });
+
+    it('dovrebbe selezionare l\'adapter per nome o indirizzo', async () => {
+        const byName = new BLEConnection(eventManager, { adapter: 'hci1' });
+        await byName.initialize();
+        expect(byName.getAdapter()).toBe(mockAdapters.hci1);
+
+        const byAddress = new BLEConnection(eventManager, { adapter: '00:11:22:33:44:01' });
+        await byAddress.initialize();
+        expect(byAddress.getAdapter()).toBe(mockAdapters.hci1);
+    });
+
+    it('dovrebbe elencare gli adapter disponibili', async () => {
+        const connection = new BLEConnection(eventManager, { adapter: 'hci1' });
+        await connection.initialize();
+
+        const adapters = await connection.listAdapters();
+        expect(adapters).toEqual([
+            { name: 'hci0', address: '00:11:22:33:44:00', alias: 'alias-hci0', powered: true, selected: false },
+            { name: 'hci1', address: '00:11:22:33:44:01', alias: 'alias-hci1', powered: true, selected: true }
+        ]);
+    });
+
+    it('dovrebbe rilevare la rimozione e il ritorno dell\'adapter in uso', async () => {
+        const removed = jest.fn();
+        const restored = jest.fn();
+        eventManager.on(BLEConnectionEvents.ADAPTER_REMOVED, removed);
+        eventManager.on(BLEConnectionEvents.ADAPTER_RESTORED, restored);
+
+        const connection = new BLEConnection(eventManager, { adapter: 'hci1' });
+        await connection.initialize();
+
+        delete mockAdapters.hci1;
+        mockObjectManager.emit('InterfacesRemoved', '/org/bluez/hci1', ['org.bluez.Adapter1']);
+
+        expect(removed).toHaveBeenCalledWith({ name: 'hci1', wasSelected: true });
+        expect(connection.isReady()).toBe(false);
+
+        // Un adapter diverso da quello configurato non viene usato
+        await connection.onInterfacesAdded('/org/bluez/hci2', {
+            'org.bluez.Adapter1': { Address: { value: '00:11:22:33:44:02' } }
+        });
+        expect(restored).not.toHaveBeenCalled();
+
+        mockAdapters.hci1 = mockAdapter('hci1', '00:11:22:33:44:01');
+        const reinit = connection.onInterfacesAdded('/org/bluez/hci1', {
+            'org.bluez.Adapter1': { Address: { value: '00:11:22:33:44:01' } }
+        });
+        await jest.advanceTimersByTimeAsync(2000);
+        await reinit;
+
+        expect(restored).toHaveBeenCalledWith({ name: 'hci1', address: '00:11:22:33:44:01' });
+        expect(connection.isReady()).toBe(true);
+    });
+
+    it('dovrebbe inoltrare le notifiche dei dispositivi dell\'adapter in uso', async () => {
+        const added = jest.fn();
+        const changed = jest.fn();
+        eventManager.on(BLEConnectionEvents.DEVICE_ADDED, added);
+        eventManager.on(BLEConnectionEvents.DEVICE_CHANGED, changed);
+
+        const connection = new BLEConnection(eventManager, { adapter: 'hci0' });
+        await connection.initialize();
+        expect(connection.hasDeviceSignals()).toBe(true);
+
+        await connection.onInterfacesAdded('/org/bluez/hci0/dev_AA_BB_CC_DD_EE_FF', {
+            'org.bluez.Device1': { Name: { value: 'APTIS' }, RSSI: { value: -60 } }
+        });
+        expect(added).toHaveBeenCalledWith({
+            address: 'AA:BB:CC:DD:EE:FF',
+            properties: { Name: 'APTIS', RSSI: -60 }
+        });
+
+        const signal = (path, iface = 'org.bluez.Device1') => ({
+            type: 4,
+            path,
+            interface: 'org.freedesktop.DBus.Properties',
+            member: 'PropertiesChanged',
+            body: [iface, { RSSI: { value: -70 } }, []]
+        });
+
+        mockBus.emit('message', signal('/org/bluez/hci1/dev_AA_BB_CC_DD_EE_01'));
+        mockBus.emit('message', signal('/org/bluez/hci0/dev_AA_BB_CC_DD_EE_FF/service000a'));
+        mockBus.emit('message', signal('/org/bluez/hci0/dev_AA_BB_CC_DD_EE_FF'));
+
+        expect(changed).toHaveBeenCalledTimes(1);
+        expect(changed).toHaveBeenCalledWith({
+            address: 'AA:BB:CC:DD:EE:FF',
+            properties: { RSSI: -70 }
+        });
+    });
+});
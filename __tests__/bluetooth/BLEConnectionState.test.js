@@ -0,0 +1,98 @@
+/**
+ * Test per BLEConnectionState.js
+ * Created: 2025-02-05 10:02:13
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const { BLEConnectionStateMachine, ConnectionStates } = require('../../src/bluetooth/BLEConnectionState');
+const { computeBackoffDelay } = require('../../src/utils/backoffUtils');
+const { BLEError } = require('../../src/utils/errorHandler');
+
+const BACKOFF = {
+    INITIAL_DELAY: 1000,
+    MAX_DELAY: 8000,
+    MULTIPLIER: 2,
+    JITTER: 0,
+    MAX_RETRIES: 0
+};
+
+describe('BLEConnectionStateMachine', () => {
+    let eventManager;
+    let stateChanged;
+    let machine;
+
+    beforeEach(() => {
+        eventManager = new EventEmitter();
+        stateChanged = jest.fn();
+        eventManager.on('scanner:state_changed', stateChanged);
+        machine = new BLEConnectionStateMachine(eventManager, 'AA:BB:CC:DD:EE:FF', BACKOFF);
+    });
+
+    it('dovrebbe partire dallo stato idle', () => {
+        expect(machine.getState()).toBe(ConnectionStates.IDLE);
+    });
+
+    it('dovrebbe emettere scanner:state_changed a ogni transizione', () => {
+        machine.transition(ConnectionStates.CONNECTING);
+        machine.transition(ConnectionStates.DISCOVERING_SERVICES);
+        machine.transition(ConnectionStates.STREAMING);
+
+        expect(stateChanged).toHaveBeenCalledTimes(3);
+        expect(stateChanged).toHaveBeenLastCalledWith(expect.objectContaining({
+            deviceAddress: 'AA:BB:CC:DD:EE:FF',
+            oldState: ConnectionStates.DISCOVERING_SERVICES,
+            newState: ConnectionStates.STREAMING
+        }));
+    });
+
+    it('dovrebbe ignorare la transizione verso lo stato corrente', () => {
+        machine.transition(ConnectionStates.SCANNING);
+        machine.transition(ConnectionStates.SCANNING);
+        expect(stateChanged).toHaveBeenCalledTimes(1);
+    });
+
+    it('dovrebbe rifiutare le transizioni non consentite', () => {
+        expect(() => machine.transition(ConnectionStates.STREAMING)).toThrow(BLEError);
+        expect(machine.getState()).toBe(ConnectionStates.IDLE);
+    });
+
+    it('dovrebbe consentire sempre il ritorno a idle', () => {
+        machine.transition(ConnectionStates.SCANNING);
+        machine.transition(ConnectionStates.FAILED);
+        machine.transition(ConnectionStates.IDLE);
+        expect(machine.getState()).toBe(ConnectionStates.IDLE);
+    });
+
+    it('dovrebbe calcolare un backoff esponenziale limitato al massimo', () => {
+        const delays = [1, 2, 3, 4, 5].map(() => machine.nextBackoff().delay);
+        expect(delays).toEqual([1000, 2000, 4000, 8000, 8000]);
+        expect(machine.retryCount).toBe(5);
+    });
+
+    it('dovrebbe azzerare i tentativi quando torna in streaming', () => {
+        machine.transition(ConnectionStates.CONNECTING);
+        machine.nextBackoff();
+        machine.transition(ConnectionStates.BACKOFF);
+        machine.transition(ConnectionStates.CONNECTING);
+        machine.transition(ConnectionStates.DISCOVERING_SERVICES);
+        machine.transition(ConnectionStates.STREAMING);
+        expect(machine.retryCount).toBe(0);
+    });
+
+    it('dovrebbe esaurire i tentativi solo se MAX_RETRIES è impostato', () => {
+        const limited = new BLEConnectionStateMachine(eventManager, null, { ...BACKOFF, MAX_RETRIES: 2 });
+        expect(limited.nextBackoff()).not.toBeNull();
+        expect(limited.nextBackoff()).not.toBeNull();
+        expect(limited.nextBackoff()).toBeNull();
+    });
+});
+
+describe('computeBackoffDelay', () => {
+    it('dovrebbe applicare il jitter attorno al ritardo base', () => {
+        const options = { initialDelay: 1000, maxDelay: 10000, multiplier: 2, jitter: 0.5 };
+        expect(computeBackoffDelay(1, options, () => 0)).toBe(1000);
+        expect(computeBackoffDelay(1, options, () => 0.5)).toBe(2000);
+        expect(computeBackoffDelay(1, options, () => 0.999)).toBeLessThan(3000);
+    });
+});
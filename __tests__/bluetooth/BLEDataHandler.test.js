@@ -19,19 +19,13 @@ jest.mock('../../src/config/settings', () => ({
     },
     DATA_FORMAT: {
         TIMESTAMP_FORMAT: 'YYYY-MM-DD HH:mm:ss',
-        CSV_HEADER: [
-            'timestamp',
-            'numero_progressivo',
-            'asse_x',
-            'asse_y',
-            'asse_z',
-            'pressione_tallone',
-            'pressione_primo_metatarso',
-            'pressione_quinto_metatarso',
-            'segnale_uno',
-            'segnale_due',
-            'raw_hex'
-        ].join(',')
+        PACKET_SCHEMA: 'insole_v1',
+        PROTOCOL_NEGOTIATION: true
+    },
+    CALIBRATION: {
+        ENABLED: true,
+        ACCELERATION_UNIT: 'm/s²',
+        PRESSURE_UNIT: 'kPa'
     },
     SESSION_SETTINGS: {
         DURATION: 10000,
@@ -111,6 +105,7 @@ jest.mock('../../src/utils/BLEStatistics', () => {
             this.errors++;
             return this.errors;
         }),
+        recordPacket: jest.fn(),
         getStats: jest.fn().mockImplementation(function() {
             return {
                 counter: this.counter,
@@ -127,6 +122,21 @@ jest.mock('../../src/utils/BLEStatistics', () => {
 const { BLEDataHandler, BLEDataEvents } = require('../../src/bluetooth/BLEDataHandler');
 const BLEStatistics = require('../../src/utils/BLEStatistics');
 const { BLEError } = require('../../src/utils/errorHandler');
+const { packetSchemas, ProtocolSources } = require('../../src/utils/BLEPacketSchema');
+
+// Versione di prova del protocollo: byte di versione in testa e pacchetto da 8 byte
+packetSchemas.register({
+    name: 'insole_test_v2',
+    version: 2,
+    length: 8,
+    firmware: ['2.'],
+    versionByte: { offset: 0, value: 0x02 },
+    fields: [
+        { name: 'numero_progressivo', offset: 1, type: 'uint16', endianness: 'big' },
+        { name: 'asse_x', offset: 3, type: 'int16' },
+        { name: 'pressione_tallone', offset: 5, type: 'uint16' }
+    ]
+});
 
 describe('BLEDataHandler', () => {
     let dataHandler;
@@ -181,7 +191,9 @@ describe('BLEDataHandler', () => {
                 })
             );
             expect(statistics.incrementCounter).toHaveBeenCalled();
-            expect(result).toMatchObject({
+            expect(statistics.recordPacket).toHaveBeenCalledWith(1);
+            expect(result).toHaveLength(1);
+            expect(result[0]).toMatchObject({
                 numero_progressivo: 1,
                 asse_x: 2,
                 asse_y: 3,
@@ -196,6 +208,29 @@ describe('BLEDataHandler', () => {
             });
         });
 
+        it('dovrebbe suddividere le notifiche con più campioni', () => {
+            const frame = sequence => {
+                const buffer = Buffer.alloc(20);
+                buffer.writeUInt16BE(sequence, 0);
+                buffer.writeUInt16LE((sequence & 0xff) * 10, 8);
+                return buffer;
+            };
+            const packet = Buffer.concat([frame(65535), frame(0), frame(1)]);
+
+            const samples = dataHandler.handleIncomingData(packet);
+
+            expect(samples.map(sample => sample.numero_progressivo)).toEqual([65535, 0, 1]);
+            expect(samples[2]).toMatchObject({ pressione_tallone: 10, raw_hex: frame(1).toString('hex') });
+            expect(eventCallbacks[BLEDataEvents.DATA_DECODED]).toHaveBeenCalledTimes(3);
+            expect(eventCallbacks[BLEDataEvents.SEQUENCE_ERROR]).not.toHaveBeenCalled();
+            expect(dataHandler.logger.writeData).toHaveBeenCalledTimes(3);
+            expect(statistics.recordPacket).toHaveBeenCalledWith(3);
+            expect(dataHandler.getLastProcessedData().numero_progressivo).toBe(1);
+
+            expect(() => dataHandler.handleIncomingData(Buffer.alloc(30))).toThrow(BLEError);
+            expect(() => dataHandler.handleIncomingData(Buffer.alloc(520))).toThrow(BLEError);
+        });
+
         it('dovrebbe gestire errori di decodifica', () => {
             const invalidBuffer = Buffer.from([0x00]); // Buffer troppo corto
 
@@ -212,6 +247,85 @@ describe('BLEDataHandler', () => {
         });
     });
 
+    describe('negoziazione del protocollo', () => {
+        const v2Buffer = Buffer.from([0x02, 0x00, 0x07, 0xfe, 0xff, 0x10, 0x00, 0x00]);
+
+        it('dovrebbe scegliere lo schema dal byte di versione del primo pacchetto', () => {
+            const [result] = dataHandler.handleIncomingData(v2Buffer);
+
+            expect(result).toMatchObject({ numero_progressivo: 7, asse_x: -2, pressione_tallone: 16 });
+            expect(dataHandler.getProtocolInfo()).toEqual({
+                schema: 'insole_test_v2',
+                version: 2,
+                source: ProtocolSources.VERSION_BYTE
+            });
+            expect(eventCallbacks[BLEDataEvents.SCHEMA_SELECTED]).toHaveBeenCalledTimes(1);
+        });
+
+        it('dovrebbe rinegoziare lo schema quando cambia la revisione firmware', () => {
+            dataHandler.setFirmwareRevision('1.4.0');
+            dataHandler.handleIncomingData(Buffer.alloc(20));
+            expect(dataHandler.getProtocolInfo()).toMatchObject({
+                schema: 'insole_v1',
+                source: ProtocolSources.DEFAULT
+            });
+
+            dataHandler.setFirmwareRevision('v2.0.1');
+            dataHandler.handleIncomingData(Buffer.from([0x09, 0x00, 0x01, 0x00, 0x00, 0x00, 0x00, 0x00]));
+            expect(dataHandler.getProtocolInfo()).toMatchObject({
+                schema: 'insole_test_v2',
+                source: ProtocolSources.FIRMWARE
+            });
+        });
+
+        it('dovrebbe usare sempre lo schema indicato nel costruttore', () => {
+            const fixed = new BLEDataHandler(undefined, undefined, 'insole_v1');
+            fixed.setFirmwareRevision('2.0.0');
+            expect(() => fixed.handleIncomingData(v2Buffer)).toThrow(BLEError);
+            expect(fixed.getProtocolInfo()).toEqual({
+                schema: 'insole_v1',
+                version: 1,
+                source: ProtocolSources.CONFIGURED
+            });
+        });
+    });
+
+    describe('calibrazione', () => {
+        it('dovrebbe emettere valori grezzi e calibrati con l\'identificativo del profilo', () => {
+            dataHandler.setCalibration({
+                id: 'SN001-tara',
+                serialNumber: 'SN001',
+                channels: {
+                    asse_x: { gain: 0.001, offset: 0 },
+                    pressione_tallone: { gain: 0.5, offset: 100 }
+                }
+            });
+            const buffer = Buffer.alloc(20);
+            buffer.writeInt16LE(1000, 2);
+            buffer.writeUInt16LE(300, 8);
+
+            const [sample] = dataHandler.handleIncomingData(buffer);
+
+            expect(eventCallbacks[BLEDataEvents.DATA_DECODED]).toHaveBeenCalledWith(expect.objectContaining({
+                asse_x: 1000,
+                asse_x_cal: 9.80665,
+                pressione_tallone: 300,
+                pressione_tallone_cal: 100,
+                asse_y_cal: null,
+                calibration_id: 'SN001-tara'
+            }));
+            expect(dataHandler.logger.writeData).toHaveBeenCalledWith(sample);
+            expect(dataHandler.getCalibrationInfo()).toMatchObject({
+                id: 'SN001-tara',
+                units: { asse_x_cal: 'm/s²', pressione_tallone_cal: 'kPa' }
+            });
+
+            dataHandler.setCalibration(null);
+            const [raw] = dataHandler.handleIncomingData(buffer);
+            expect(raw).not.toHaveProperty('calibration_id');
+        });
+    });
+
     describe('cleanup', () => {
         it('dovrebbe eseguire il cleanup correttamente', async () => {
             await dataHandler.cleanup();
@@ -0,0 +1,125 @@
+/**
+ * Test per BLEDeviceInfo.js
+ * Created: 2025-02-10 09:36:21
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const {
+    BLEBatteryMonitor,
+    BLEDeviceInfoEvents,
+    readDeviceInformation
+} = require('../../src/bluetooth/BLEDeviceInfo');
+const {
+    DEVICE_INFORMATION_SERVICE_UUID,
+    DEVICE_INFORMATION_CHARACTERISTICS,
+    BATTERY_SERVICE_UUID
+} = require('../../src/config/constants');
+
+const ADDRESS = 'AA:BB:CC:DD:EE:01';
+
+function mockCharacteristic(value, flags = ['read']) {
+    const characteristic = new EventEmitter();
+    characteristic.readValue = jest.fn(async () => value());
+    characteristic.getFlags = jest.fn().mockResolvedValue(flags);
+    characteristic.startNotifications = jest.fn().mockResolvedValue(undefined);
+    return characteristic;
+}
+
+function mockGattServer(services) {
+    return {
+        getPrimaryService: jest.fn(async uuid => {
+            if (!services[uuid]) throw new Error('Service not found');
+            return {
+                getCharacteristic: jest.fn(async charUUID => {
+                    if (!services[uuid][charUUID]) throw new Error('Characteristic not found');
+                    return services[uuid][charUUID];
+                })
+            };
+        })
+    };
+}
+
+describe('readDeviceInformation', () => {
+    it('dovrebbe leggere le caratteristiche disponibili del DIS', async () => {
+        const gattServer = mockGattServer({
+            [DEVICE_INFORMATION_SERVICE_UUID]: {
+                [DEVICE_INFORMATION_CHARACTERISTICS.manufacturer]: mockCharacteristic(() => Buffer.from('Aptis\0')),
+                [DEVICE_INFORMATION_CHARACTERISTICS.firmwareRevision]: mockCharacteristic(() => Buffer.from('1.4.2'))
+            }
+        });
+
+        await expect(readDeviceInformation(gattServer)).resolves.toEqual({
+            manufacturer: 'Aptis',
+            model: null,
+            serialNumber: null,
+            firmwareRevision: '1.4.2',
+            hardwareRevision: null,
+            softwareRevision: null
+        });
+    });
+
+    it('dovrebbe restituire null senza Device Information Service', async () => {
+        await expect(readDeviceInformation(mockGattServer({}))).resolves.toBeNull();
+    });
+});
+
+describe('BLEBatteryMonitor', () => {
+    let eventManager;
+    let level;
+    let characteristic;
+    let gattServer;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        eventManager = new EventEmitter();
+        level = 50;
+        characteristic = mockCharacteristic(() => Buffer.from([level]));
+        gattServer = mockGattServer({
+            [BATTERY_SERVICE_UUID]: { '00002a19-0000-1000-8000-00805f9b34fb': characteristic }
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('dovrebbe leggere periodicamente il livello ed emettere battery_low una sola volta', async () => {
+        const low = jest.fn();
+        eventManager.on(BLEDeviceInfoEvents.BATTERY_LOW, low);
+        const monitor = new BLEBatteryMonitor(eventManager, ADDRESS, { LOW_THRESHOLD: 20, POLL_INTERVAL: 1000 });
+
+        await expect(monitor.start(gattServer)).resolves.toBe(50);
+
+        level = 15;
+        await jest.advanceTimersByTimeAsync(1000);
+        level = 14;
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(low).toHaveBeenCalledTimes(1);
+        expect(low).toHaveBeenCalledWith(expect.objectContaining({ deviceAddress: ADDRESS, level: 15, threshold: 20 }));
+        expect(monitor.getStatus()).toMatchObject({ level: 14, isLow: true });
+
+        monitor.stop();
+        level = 10;
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(monitor.getStatus().level).toBe(14);
+    });
+
+    it('dovrebbe usare le notifiche se supportate', async () => {
+        characteristic.getFlags.mockResolvedValue(['read', 'notify']);
+        const monitor = new BLEBatteryMonitor(eventManager, ADDRESS, { LOW_THRESHOLD: 20, POLL_INTERVAL: 1000 });
+
+        await monitor.start(gattServer);
+        expect(characteristic.startNotifications).toHaveBeenCalled();
+
+        characteristic.emit('valuechanged', Buffer.from([42]));
+        expect(monitor.getStatus().level).toBe(42);
+        expect(monitor.pollTimer).toBeNull();
+    });
+
+    it('dovrebbe restituire null senza Battery Service', async () => {
+        const monitor = new BLEBatteryMonitor(eventManager, ADDRESS);
+        await expect(monitor.start(mockGattServer({}))).resolves.toBeNull();
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Test per BLEDeviceRegistry.js
+ * Created: 2025-02-09 10:18:52
+ * Author: arkproject
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BLEDeviceRegistry } = require('../../src/bluetooth/BLEDeviceRegistry');
+const { BLEError, ErrorCodes } = require('../../src/utils/errorHandler');
+
+describe('BLEDeviceRegistry', () => {
+    let tempDir;
+    let filePath;
+    let registry;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+        filePath = path.join(tempDir, 'known_devices.json');
+        registry = new BLEDeviceRegistry({ filePath });
+        registry.load();
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('dovrebbe salvare e ricaricare i dispositivi registrati', () => {
+        registry.register('aa:bb:cc:dd:ee:01', { alias: 'Kit 3 - Sinistra', subject: 'S01' });
+
+        const reloaded = new BLEDeviceRegistry({ filePath });
+        reloaded.load();
+
+        expect(reloaded.get('AA:BB:CC:DD:EE:01')).toMatchObject({
+            address: 'AA:BB:CC:DD:EE:01',
+            alias: 'Kit 3 - Sinistra',
+            subject: 'S01',
+            firmware: null,
+            lastSeen: null
+        });
+        expect(reloaded.getAlias('aa:bb:cc:dd:ee:01')).toBe('Kit 3 - Sinistra');
+    });
+
+    it('dovrebbe aggiornare solo i campi indicati', () => {
+        registry.register('AA:BB:CC:DD:EE:01', { alias: 'Kit 3 - Sinistra', firmware: '1.0' });
+        registry.register('AA:BB:CC:DD:EE:01', { firmware: '1.1', subject: '' });
+
+        expect(registry.get('AA:BB:CC:DD:EE:01')).toMatchObject({
+            alias: 'Kit 3 - Sinistra',
+            firmware: '1.1',
+            subject: null
+        });
+    });
+
+    it('dovrebbe ricordare il piede della soletta e rifiutare valori non validi', () => {
+        registry.register('AA:BB:CC:DD:EE:01', { role: 'right' });
+        expect(registry.getRole('aa:bb:cc:dd:ee:01')).toBe('right');
+        expect(registry.getRole('AA:BB:CC:DD:EE:02')).toBeNull();
+
+        expect(() => registry.register('AA:BB:CC:DD:EE:01', { role: 'destro' }))
+            .toThrow(expect.objectContaining({ code: ErrorCodes.BLE.INVALID_PARAMETER }));
+        expect(registry.getRole('AA:BB:CC:DD:EE:01')).toBe('right');
+    });
+
+    it('dovrebbe aggiornare l\'ultimo avvistamento solo dei dispositivi registrati', () => {
+        expect(registry.touch('AA:BB:CC:DD:EE:02')).toBeNull();
+
+        registry.register('AA:BB:CC:DD:EE:01');
+        expect(registry.touch('AA:BB:CC:DD:EE:01', { firmware: '2.0' })).toMatchObject({
+            firmware: '2.0',
+            lastSeen: expect.any(String)
+        });
+    });
+
+    it('dovrebbe rimuovere un dispositivo', () => {
+        registry.register('AA:BB:CC:DD:EE:01');
+        expect(registry.remove('AA:BB:CC:DD:EE:01')).toBe(true);
+        expect(registry.getAddresses()).toEqual([]);
+        expect(registry.remove('AA:BB:CC:DD:EE:01')).toBe(false);
+    });
+
+    it('dovrebbe ricordare il bond dei dispositivi', () => {
+        registry.setBonded('aa:bb:cc:dd:ee:02', true);
+
+        const reloaded = new BLEDeviceRegistry({ filePath });
+        reloaded.load();
+        expect(reloaded.isBonded('AA:BB:CC:DD:EE:02')).toBe(true);
+        expect(reloaded.get('AA:BB:CC:DD:EE:02').bondedAt).not.toBeNull();
+
+        reloaded.setBonded('AA:BB:CC:DD:EE:02', false);
+        expect(reloaded.get('AA:BB:CC:DD:EE:02')).toMatchObject({ bonded: false, bondedAt: null });
+        expect(reloaded.isBonded('AA:BB:CC:DD:EE:03')).toBe(false);
+    });
+
+    it('dovrebbe rifiutare indirizzi non validi', () => {
+        expect(() => registry.register('non-valido')).toThrow(BLEError);
+    });
+});
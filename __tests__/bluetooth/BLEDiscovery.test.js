@@ -0,0 +1,230 @@
+/**
+ * Test per BLEDiscovery.js
+ * Created: 2025-02-07 10:02:15
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const BLEDiscovery = require('../../src/bluetooth/BLEDiscovery');
+const { BLEConnectionEvents } = require('../../src/bluetooth/BLEConnection');
+const { ErrorCodes } = require('../../src/utils/errorHandler');
+
+const TARGET = 'AA:BB:CC:DD:EE:01';
+const OTHER = 'AA:BB:CC:DD:EE:02';
+
+describe('BLEDiscovery', () => {
+    let eventManager;
+    let adapter;
+    let bleConnection;
+    let discovery;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'debug').mockImplementation(() => {});
+        eventManager = new EventEmitter();
+        adapter = {
+            isDiscovering: jest.fn().mockResolvedValue(false),
+            startDiscovery: jest.fn().mockResolvedValue(undefined),
+            stopDiscovery: jest.fn().mockResolvedValue(undefined),
+            getDevice: jest.fn(async address => ({ address })),
+            devices: jest.fn()
+        };
+        bleConnection = {
+            getKnownDevices: jest.fn().mockResolvedValue([])
+        };
+        discovery = new BLEDiscovery(eventManager, bleConnection);
+        discovery.setAdapter(adapter);
+    });
+
+    afterEach(async () => {
+        await discovery.cleanup();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('dovrebbe risolvere findDevice all\'arrivo di un advertising corrispondente', async () => {
+        const search = discovery.findDevice({ name: 'APTIS' }, 10000);
+        await new Promise(setImmediate);
+
+        eventManager.emit(BLEConnectionEvents.DEVICE_ADDED, {
+            address: OTHER,
+            properties: { Address: OTHER, Name: 'Altro', RSSI: -40 }
+        });
+        eventManager.emit(BLEConnectionEvents.DEVICE_ADDED, {
+            address: TARGET,
+            properties: { Address: TARGET, Name: 'APTIS' }
+        });
+        expect(discovery.getDiscoveredDevices().map(d => d.address)).toEqual([OTHER]);
+
+        eventManager.emit(BLEConnectionEvents.DEVICE_CHANGED, {
+            address: TARGET,
+            properties: { RSSI: -60 }
+        });
+
+        await expect(search).resolves.toEqual({ address: TARGET });
+        expect(adapter.devices).not.toHaveBeenCalled();
+        expect(adapter.stopDiscovery).toHaveBeenCalled();
+    });
+
+    it('dovrebbe usare i dispositivi già noti a BlueZ visti di recente', async () => {
+        bleConnection.getKnownDevices.mockResolvedValue([
+            { address: TARGET, properties: { Name: 'APTIS', RSSI: -55, TxPower: -8, UUIDs: ['180f'] } },
+            { address: OTHER, properties: { Name: 'APTIS' } }
+        ]);
+
+        await discovery.startDiscovery();
+        expect(discovery.getDiscoveredDevices()).toEqual([expect.objectContaining({
+            address: TARGET,
+            rssi: -55,
+            txPower: -8,
+            serviceUUIDs: ['0000180f-0000-1000-8000-00805f9b34fb'],
+            manufacturerData: []
+        })]);
+
+        await expect(discovery.findDevice({ name: 'APTIS' }, 10000)).resolves.toEqual({ address: TARGET });
+    });
+
+    it('dovrebbe restituire null allo scadere del timeout', async () => {
+        jest.useFakeTimers();
+        const timeoutListener = jest.fn();
+        eventManager.on('discovery:search_timeout', timeoutListener);
+
+        const search = discovery.findDevice({ name: 'APTIS' }, 5000);
+        await jest.advanceTimersByTimeAsync(5000);
+
+        await expect(search).resolves.toBeNull();
+        expect(timeoutListener).toHaveBeenCalled();
+        expect(discovery.pendingSearches.size).toBe(0);
+    });
+
+    it('dovrebbe annullare la ricerca e fermare la discovery all\'attivazione del segnale', async () => {
+        jest.useFakeTimers();
+        const controller = new AbortController();
+
+        const search = discovery.findDevice({ name: 'APTIS' }, 30000, { signal: controller.signal });
+        const assertion = expect(search).rejects.toMatchObject({ code: ErrorCodes.BLE.OPERATION_CANCELLED });
+        await jest.advanceTimersByTimeAsync(0);
+
+        controller.abort('test');
+        await assertion;
+        expect(discovery.pendingSearches.size).toBe(0);
+        expect(discovery.activeSearches).toBe(0);
+        expect(adapter.stopDiscovery).toHaveBeenCalled();
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('dovrebbe scegliere il candidato più forte dopo la finestra di raccolta', async () => {
+        jest.useFakeTimers();
+        const evaluated = jest.fn();
+        eventManager.on('discovery:candidates_evaluated', evaluated);
+        const WEAK = 'AA:BB:CC:DD:EE:03';
+
+        const search = discovery.findBestDevice({ name: 'APTIS' }, {
+            minRssi: -80, window: 2000, strategy: 'strongest', timeout: 10000
+        });
+        await jest.advanceTimersByTimeAsync(0);
+
+        const advertise = (address, rssi) => eventManager.emit(BLEConnectionEvents.DEVICE_ADDED, {
+            address,
+            properties: { Name: 'APTIS', RSSI: rssi }
+        });
+        advertise(OTHER, -70);
+        advertise(WEAK, -90);
+        advertise(TARGET, -50);
+        await jest.advanceTimersByTimeAsync(2000);
+
+        await expect(search).resolves.toEqual({ address: TARGET });
+        expect(evaluated.mock.calls[0][0].rejected).toEqual([
+            expect.objectContaining({ address: WEAK, reason: 'below_threshold' }),
+            expect.objectContaining({ address: OTHER, reason: 'weaker_signal' })
+        ]);
+    });
+
+    it('dovrebbe preferire il dispositivo più vicino con la strategia nearest', () => {
+        const candidates = [
+            { address: TARGET, rssi: -50, distance: null },
+            { address: OTHER, rssi: -70, distance: 0.8 }
+        ];
+
+        const { selected, rejected } = discovery.selectCandidate(candidates, -80, 'nearest');
+        expect(selected.address).toBe(OTHER);
+        expect(rejected).toEqual([expect.objectContaining({ address: TARGET, reason: 'farther' })]);
+    });
+
+    it('dovrebbe preferire i dispositivi registrati sopra la soglia', () => {
+        const candidates = [
+            { address: TARGET, rssi: -50, distance: null },
+            { address: OTHER, rssi: -75, distance: null }
+        ];
+
+        const { selected, rejected } = discovery.selectCandidate(candidates, -80, 'strongest', [OTHER]);
+        expect(selected.address).toBe(OTHER);
+        expect(rejected).toEqual([expect.objectContaining({ address: TARGET, reason: 'not_registered' })]);
+    });
+
+    it('dovrebbe limitare la frequenza di DEVICE_UPDATED', async () => {
+        const found = jest.fn();
+        const updated = jest.fn();
+        eventManager.on('discovery:device_found', found);
+        eventManager.on('discovery:device_updated', updated);
+
+        await discovery.startDiscovery();
+        for (const rssi of [-60, -61, -62]) {
+            eventManager.emit(BLEConnectionEvents.DEVICE_CHANGED, {
+                address: TARGET,
+                properties: { RSSI: rssi }
+            });
+        }
+
+        expect(found).toHaveBeenCalledTimes(1);
+        expect(updated).not.toHaveBeenCalled();
+        expect(discovery.getDiscoveredDevices()[0].rssi).toBe(-62);
+        expect(discovery.getDiscoveredDevices()[0].smoothedRssi).toBeGreaterThan(-62);
+        expect(discovery.getDiscoveredDevices()[0].smoothedRssi).toBeLessThan(-60);
+    });
+
+    it('dovrebbe calcolare la scadenza della cache dall\'ultimo avvistamento', async () => {
+        await discovery.startDiscovery();
+        eventManager.emit(BLEConnectionEvents.DEVICE_ADDED, {
+            address: TARGET,
+            properties: { Name: 'APTIS', RSSI: -50 }
+        });
+
+        // Il timestamp testuale (senza fuso orario) non entra nel calcolo
+        const device = discovery.discoveredDevices.get(TARGET);
+        device.timestamp = '2000-01-01 00:00:00';
+        expect(discovery.isCacheValid(TARGET)).toBe(true);
+
+        // Cache di 10 secondi
+        jest.spyOn(Date, 'now').mockReturnValue(device.lastSeen + 9999);
+        expect(discovery.getDiscoveredDevices().map(d => d.address)).toEqual([TARGET]);
+        Date.now.mockReturnValue(device.lastSeen + 10000);
+        expect(discovery.getDiscoveredDevices()).toEqual([]);
+    });
+
+    it('dovrebbe ricevere di nuovo i dispositivi dopo un cleanup', async () => {
+        await discovery.cleanup();
+        expect(eventManager.listenerCount(BLEConnectionEvents.DEVICE_ADDED)).toBe(0);
+
+        // Nuova inizializzazione dello scanner dopo un errore transitorio
+        discovery.setAdapter(adapter);
+        discovery.setAdapter(adapter);
+        expect(eventManager.listenerCount(BLEConnectionEvents.DEVICE_ADDED)).toBe(1);
+
+        await discovery.startDiscovery();
+        eventManager.emit(BLEConnectionEvents.DEVICE_ADDED, {
+            address: TARGET,
+            properties: { Name: 'APTIS', RSSI: -50 }
+        });
+        expect(discovery.getDiscoveredDevices().map(d => d.address)).toEqual([TARGET]);
+    });
+
+    it('dovrebbe ignorare i segnali fuori dalla discovery', () => {
+        eventManager.emit(BLEConnectionEvents.DEVICE_CHANGED, {
+            address: TARGET,
+            properties: { Name: 'APTIS', RSSI: -50 }
+        });
+
+        expect(discovery.getDiscoveredDevices()).toEqual([]);
+    });
+});
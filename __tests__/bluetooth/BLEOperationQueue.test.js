@@ -0,0 +1,108 @@
+/**
+ * Test per BLEOperationQueue.js
+ * Created: 2025-02-11 15:08:42
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const {
+    BLEOperationQueue,
+    BLEOperationQueueEvents,
+    OperationPriority,
+    ADAPTER_QUEUE
+} = require('../../src/bluetooth/BLEOperationQueue');
+const { ErrorCodes } = require('../../src/utils/errorHandler');
+
+const ADDRESS = 'AA:BB:CC:DD:EE:01';
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(res => { resolve = res; });
+    return { promise, resolve };
+}
+
+describe('BLEOperationQueue', () => {
+    let eventManager;
+    let queue;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        eventManager = new EventEmitter();
+        queue = new BLEOperationQueue(eventManager, { OPERATION_TIMEOUT: 1000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('dovrebbe eseguire una operazione alla volta per risorsa', async () => {
+        const first = deferred();
+        const calls = [];
+
+        const a = queue.run(ADDRESS, () => { calls.push('a'); return first.promise; });
+        const b = queue.run(ADDRESS, async () => { calls.push('b'); return 'b'; });
+        const other = queue.run(ADAPTER_QUEUE, async () => { calls.push('adapter'); });
+
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(calls).toEqual(['a', 'adapter']);
+        expect(queue.getDepth(ADDRESS)).toBe(2);
+
+        first.resolve('a');
+        await expect(a).resolves.toBe('a');
+        await expect(b).resolves.toBe('b');
+        await other;
+        expect(calls).toEqual(['a', 'adapter', 'b']);
+        expect(queue.getStatistics()).toMatchObject({ total: 0, completed: 3 });
+    });
+
+    it('dovrebbe dare precedenza alle operazioni a priorità più alta', async () => {
+        const first = deferred();
+        const calls = [];
+
+        const running = queue.run(ADDRESS, () => first.promise);
+        const low = queue.run(ADDRESS, async () => calls.push('getName'), { priority: OperationPriority.LOW });
+        const high = queue.run(ADDRESS, async () => calls.push('connect'), { priority: OperationPriority.HIGH });
+
+        first.resolve();
+        await Promise.all([running, low, high]);
+        expect(calls).toEqual(['connect', 'getName']);
+    });
+
+    it('dovrebbe applicare il timeout e liberare la coda solo alla fine della chiamata', async () => {
+        const timeout = jest.fn();
+        eventManager.on(BLEOperationQueueEvents.OPERATION_TIMEOUT, timeout);
+
+        const slow = deferred();
+        const calls = [];
+        const hung = queue.run(ADDRESS, () => slow.promise, { name: 'getRSSI' });
+        const assertion = expect(hung).rejects.toMatchObject({ code: ErrorCodes.BLE.OPERATION_TIMEOUT });
+        const next = queue.run(ADDRESS, async () => { calls.push('connect'); return 'ok'; });
+
+        await jest.advanceTimersByTimeAsync(1000);
+        await assertion;
+
+        // La chiamata scaduta è ancora in corso: la successiva attende
+        expect(calls).toEqual([]);
+        expect(queue.getDepth(ADDRESS)).toBe(2);
+
+        slow.resolve('tardi');
+        await expect(next).resolves.toBe('ok');
+        expect(timeout).toHaveBeenCalledWith(expect.objectContaining({ queue: ADDRESS, operation: 'getRSSI' }));
+        expect(queue.getStatistics().timedOut).toBe(1);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('dovrebbe annullare le operazioni in attesa', async () => {
+        const first = deferred();
+        const running = queue.run(ADDRESS, () => first.promise);
+        const pending = queue.run(ADDRESS, async () => 'mai eseguita');
+
+        expect(queue.clear(ADDRESS, 'test')).toBe(1);
+        await expect(pending).rejects.toMatchObject({ code: ErrorCodes.BLE.OPERATION_CANCELLED });
+
+        first.resolve('ok');
+        await expect(running).resolves.toBe('ok');
+        expect(queue.getStatistics()).toMatchObject({ total: 0, cancelled: 1 });
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Test per BLEPairingAgent.js
+ * Created: 2025-02-14 10:22:18
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const { DBusError } = require('dbus-next');
+const { BLEPairingAgent, BLEPairingEvents, addressFromPath } = require('../../src/bluetooth/BLEPairingAgent');
+
+const ADDRESS = 'AA:BB:CC:DD:EE:01';
+const DEVICE_PATH = '/org/bluez/hci0/dev_AA_BB_CC_DD_EE_01';
+const OPTIONS = {
+    AGENT_PATH: '/test/agent',
+    AGENT_CAPABILITY: 'KeyboardDisplay',
+    AUTO_CONFIRM: false
+};
+
+describe('BLEPairingAgent', () => {
+    let eventManager;
+    let agent;
+
+    beforeEach(() => {
+        eventManager = new EventEmitter();
+        agent = new BLEPairingAgent(eventManager, OPTIONS);
+    });
+
+    it('dovrebbe ricavare l\'indirizzo dal percorso D-Bus', () => {
+        expect(addressFromPath(DEVICE_PATH)).toBe(ADDRESS);
+        expect(addressFromPath('/org/bluez/hci0')).toBe('/org/bluez/hci0');
+    });
+
+    it('dovrebbe esportare e registrare l\'agent sulla sessione node-ble', async () => {
+        const bluetooth = {
+            dbus: { export: jest.fn(), unexport: jest.fn() },
+            helper: { callMethod: jest.fn().mockResolvedValue() }
+        };
+
+        await agent.register(bluetooth);
+        expect(bluetooth.dbus.export).toHaveBeenCalledWith('/test/agent', agent.interface);
+        expect(bluetooth.helper.callMethod).toHaveBeenCalledWith('RegisterAgent', '/test/agent', 'KeyboardDisplay');
+        expect(bluetooth.helper.callMethod).toHaveBeenCalledWith('RequestDefaultAgent', '/test/agent');
+        expect(agent.isRegistered()).toBe(true);
+
+        await agent.unregister();
+        expect(bluetooth.helper.callMethod).toHaveBeenCalledWith('UnregisterAgent', '/test/agent');
+        expect(bluetooth.dbus.unexport).toHaveBeenCalledWith('/test/agent', agent.interface);
+        expect(agent.isRegistered()).toBe(false);
+    });
+
+    it('dovrebbe chiedere la passkey al gestore per i dispositivi in accoppiamento', async () => {
+        const requested = jest.fn();
+        eventManager.on(BLEPairingEvents.PASSKEY_REQUESTED, requested);
+        const requestPasskey = jest.fn().mockResolvedValue('012345');
+        agent.setPromptHandler({ requestPasskey });
+        agent.expectPairing(ADDRESS);
+
+        await expect(agent.interface.RequestPasskey(DEVICE_PATH)).resolves.toBe(12345);
+        expect(requestPasskey).toHaveBeenCalledWith(ADDRESS, { signal: expect.any(AbortSignal) });
+        expect(requested).toHaveBeenCalledWith(expect.objectContaining({ deviceAddress: ADDRESS }));
+
+        requestPasskey.mockResolvedValue('abc');
+        await expect(agent.interface.RequestPasskey(DEVICE_PATH)).rejects.toMatchObject({
+            type: 'org.bluez.Error.Rejected'
+        });
+    });
+
+    it('dovrebbe rifiutare le richieste dei dispositivi non attesi', async () => {
+        const rejected = jest.fn();
+        eventManager.on(BLEPairingEvents.REQUEST_REJECTED, rejected);
+        agent.setPromptHandler({ requestPasskey: jest.fn().mockResolvedValue('123456') });
+
+        await expect(agent.requestPasskey(DEVICE_PATH)).rejects.toBeInstanceOf(DBusError);
+        expect(() => agent.interface.AuthorizeService(DEVICE_PATH, '180d')).toThrow(DBusError);
+        expect(rejected).toHaveBeenCalledTimes(2);
+
+        agent.expectPairing(ADDRESS);
+        expect(() => agent.interface.RequestAuthorization(DEVICE_PATH)).not.toThrow();
+        agent.endPairing(ADDRESS);
+        expect(() => agent.interface.RequestAuthorization(DEVICE_PATH)).toThrow(DBusError);
+    });
+
+    it('dovrebbe confermare la passkey solo con il consenso dell\'utente', async () => {
+        agent.expectPairing(ADDRESS);
+
+        await expect(agent.requestConfirmation(DEVICE_PATH, 42)).rejects.toBeInstanceOf(DBusError);
+
+        const confirmPasskey = jest.fn().mockResolvedValue(true);
+        agent.setPromptHandler({ confirmPasskey });
+        await expect(agent.interface.RequestConfirmation(DEVICE_PATH, 42)).resolves.toBeUndefined();
+        expect(confirmPasskey).toHaveBeenCalledWith(ADDRESS, '000042', { signal: expect.any(AbortSignal) });
+    });
+
+    it('dovrebbe chiudere il prompt quando BlueZ annulla la richiesta o scade il timeout', async () => {
+        const cancelled = jest.fn();
+        eventManager.on(BLEPairingEvents.CANCELLED, cancelled);
+        let promptSignal;
+        const confirmPasskey = jest.fn((address, passkey, { signal }) => {
+            promptSignal = signal;
+            return new Promise(() => {});
+        });
+        agent.setPromptHandler({ confirmPasskey });
+        agent.expectPairing(ADDRESS);
+
+        const request = agent.interface.RequestConfirmation(DEVICE_PATH, 42);
+        await new Promise(setImmediate);
+        agent.interface.Cancel();
+
+        await expect(request).rejects.toMatchObject({ type: 'org.bluez.Error.Rejected' });
+        expect(promptSignal.aborted).toBe(true);
+        expect(cancelled).toHaveBeenCalled();
+        expect(agent.pendingPrompt).toBeNull();
+
+        // Nessuna risposta dell'utente entro il timeout
+        agent = new BLEPairingAgent(eventManager, { ...OPTIONS, TIMEOUT: 20 });
+        agent.setPromptHandler({ requestPasskey: jest.fn(() => new Promise(() => {})) });
+        agent.expectPairing(ADDRESS);
+        await expect(agent.requestPasskey(DEVICE_PATH)).rejects.toMatchObject({
+            text: 'Nessuna risposta entro il timeout'
+        });
+    });
+});
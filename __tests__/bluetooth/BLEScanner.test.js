@@ -0,0 +1,352 @@
+/**
+ * Test per BLEScanner.js
+ * Adapter, discovery e dispositivi node-ble sono simulati: i test coprono le
+ * sessioni per dispositivo (connessione, acquisizione, disconnessione e backoff).
+ * Created: 2025-02-16 15:20:44
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+
+// Mock settings: registro e profili in una cartella temporanea, niente watchdog né soggetto
+jest.mock('../../src/config/settings', () => {
+    const actual = jest.requireActual('../../src/config/settings');
+    const dir = require('path').join(require('os').tmpdir(), `ble-scanner-test-${process.pid}`);
+    return {
+        ...actual,
+        REGISTRY: { ...actual.REGISTRY, FILE_PATH: `${dir}/known_devices.json` },
+        CALIBRATION: { ...actual.CALIBRATION, FILE_PATH: `${dir}/calibration_profiles.json` },
+        SUBJECT: { ...actual.SUBJECT, ENABLED: false },
+        WATCHDOG: { ...actual.WATCHDOG, ENABLED: false },
+        PAIRING: { ...actual.PAIRING, ENABLED: false },
+        RECONNECT_SETTINGS: { ...actual.RECONNECT_SETTINGS, INITIAL_DELAY: 60000, JITTER: 0 },
+        CIRCUIT_BREAKER: { ...actual.CIRCUIT_BREAKER, COOLDOWN: 0 },
+        RETRY_POLICIES: {
+            ...actual.RETRY_POLICIES,
+            AUTO_CONNECT: { ...actual.RETRY_POLICIES.AUTO_CONNECT, INITIAL_DELAY: 1, MAX_DELAY: 1, JITTER: 0 }
+        },
+        TEST_DIR: dir
+    };
+});
+
+// Mock BLEConnection: l'adapter restituisce i dispositivi simulati
+jest.mock('../../src/bluetooth/BLEConnection', () => {
+    const { BLEConnectionEvents } = jest.requireActual('../../src/bluetooth/BLEConnection');
+    const BLEConnection = jest.fn().mockImplementation(() => ({
+        initialize: jest.fn().mockResolvedValue(true),
+        getAdapter: jest.fn(() => mockAdapter),
+        getStatus: jest.fn(() => ({ adapterName: 'hci0' })),
+        getPairingAgent: jest.fn(() => null),
+        powerCycle: jest.fn().mockResolvedValue(),
+        resetBluetooth: jest.fn().mockResolvedValue(),
+        cleanup: jest.fn().mockResolvedValue()
+    }));
+    return { BLEConnection, BLEConnectionEvents };
+});
+
+// Mock BLEDiscovery: nessun dispositivo trovato, salvo diversa indicazione del test
+jest.mock('../../src/bluetooth/BLEDiscovery', () => {
+    return jest.fn().mockImplementation(() => ({
+        setAdapter: jest.fn(),
+        detachAdapter: jest.fn(),
+        findBestDevice: jest.fn().mockResolvedValue(null),
+        startDiscovery: jest.fn().mockResolvedValue(),
+        stopDiscovery: jest.fn().mockResolvedValue(),
+        cleanup: jest.fn().mockResolvedValue()
+    }));
+});
+
+// Mock FileLogger: i campioni restano in memoria
+jest.mock('../../src/logger/FileLogger', () => {
+    return jest.fn().mockImplementation(() => ({
+        data: [],
+        writeData: jest.fn(function(data) { this.data.push(data); }),
+        setColumns: jest.fn(),
+        setMetadata: jest.fn(),
+        cleanup: jest.fn(),
+        getCurrentFilePath: jest.fn(() => null)
+    }));
+});
+
+const fs = require('fs');
+const settings = require('../../src/config/settings');
+const BLEScanner = require('../../src/bluetooth/BLEScanner');
+const { ConnectionStates } = require('../../src/bluetooth/BLEConnectionState');
+const { BLESubjectPairing, SubjectRoles } = require('../../src/bluetooth/BLESubjectPairing');
+const { ErrorCodes } = require('../../src/utils/errorHandler');
+const { TARGET_SERVICE_UUID, BATTERY_SERVICE_UUID } = require('../../src/config/constants');
+
+const LEFT = 'AA:BB:CC:DD:EE:01';
+const RIGHT = 'AA:BB:CC:DD:EE:02';
+const DATA_UUID = '00000001-cc7a-482a-984a-7f2ed5b3e58f';
+
+let mockAdapter;
+
+// Dispositivo node-ble simulato con il servizio target, una caratteristica dati
+// e il livello batteria senza notifiche (letto a intervalli)
+function createDevice(address) {
+    const data = new EventEmitter();
+    Object.assign(data, {
+        uuid: DATA_UUID,
+        getFlags: jest.fn().mockResolvedValue(['notify']),
+        startNotifications: jest.fn().mockResolvedValue(),
+        stopNotifications: jest.fn().mockResolvedValue()
+    });
+
+    const service = {
+        characteristics: jest.fn().mockResolvedValue([DATA_UUID]),
+        getCharacteristic: jest.fn().mockResolvedValue(data)
+    };
+    const battery = {
+        getFlags: jest.fn().mockResolvedValue(['read']),
+        readValue: jest.fn().mockResolvedValue(Buffer.from([80])),
+        removeListener: jest.fn()
+    };
+    const batteryService = { getCharacteristic: jest.fn().mockResolvedValue(battery) };
+
+    const gattServer = {
+        getPrimaryService: jest.fn(async uuid => {
+            if (uuid === TARGET_SERVICE_UUID) return service;
+            if (uuid === BATTERY_SERVICE_UUID) return batteryService;
+            throw new Error('Servizio non trovato');
+        })
+    };
+
+    const device = new EventEmitter();
+    Object.assign(device, {
+        address,
+        connect: jest.fn().mockResolvedValue(),
+        disconnect: jest.fn().mockResolvedValue(),
+        getName: jest.fn().mockResolvedValue(`APTIS-${address.slice(-2)}`),
+        gatt: jest.fn().mockResolvedValue(gattServer),
+        gattServer,
+        dataCharacteristic: data
+    });
+    return device;
+}
+
+// Pacchetto insole_v1 con il numero progressivo indicato
+function packet(sequence) {
+    const buffer = Buffer.alloc(20);
+    buffer.writeUInt16BE(sequence, 0);
+    return buffer;
+}
+
+describe('BLEScanner', () => {
+    let eventManager;
+    let scanner;
+    let devices;
+
+    beforeEach(async () => {
+        devices = { [LEFT]: createDevice(LEFT), [RIGHT]: createDevice(RIGHT) };
+        mockAdapter = { getDevice: jest.fn(async address => devices[address]) };
+
+        eventManager = new EventEmitter();
+        scanner = new BLEScanner(eventManager);
+        await scanner.initialize();
+    });
+
+    afterEach(async () => {
+        await scanner.cleanup();
+    });
+
+    afterAll(() => {
+        fs.rmSync(settings.TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('dovrebbe connettere due dispositivi con sessioni indipendenti', async () => {
+        expect(await scanner.connectToAddress(LEFT)).toBe(true);
+        expect(await scanner.connectToAddress(RIGHT)).toBe(true);
+
+        const status = scanner.getConnectionStatus();
+        expect(status).toMatchObject({ isConnected: true, connectedDevices: 2, adapter: 'hci0' });
+        expect(status.devices).toEqual([
+            expect.objectContaining({ deviceAddress: LEFT, deviceName: 'APTIS-01', state: ConnectionStates.STREAMING }),
+            expect.objectContaining({ deviceAddress: RIGHT, deviceName: 'APTIS-02', state: ConnectionStates.STREAMING })
+        ]);
+
+        const left = scanner.devices.get(LEFT);
+        const right = scanner.devices.get(RIGHT);
+        expect(left.logger).not.toBe(right.logger);
+        expect(left.state).not.toBe(right.state);
+
+        // I campioni finiscono nel file e nelle statistiche del proprio dispositivo
+        devices[LEFT].dataCharacteristic.emit('valuechanged', packet(1));
+        devices[LEFT].dataCharacteristic.emit('valuechanged', Buffer.concat([packet(2), packet(3)]));
+        devices[RIGHT].dataCharacteristic.emit('valuechanged', packet(7));
+
+        expect(left.logger.data.map(sample => sample.numero_progressivo)).toEqual([1, 2, 3]);
+        expect(right.logger.data.map(sample => sample.numero_progressivo)).toEqual([7]);
+
+        const stats = scanner.getStatistics();
+        expect(stats.dataCounter).toBe(4);
+        expect(stats.devices).toEqual([
+            expect.objectContaining({ deviceAddress: LEFT, dataCounter: 3, packetCounter: 2, samplesPerPacket: '1.50' }),
+            expect.objectContaining({ deviceAddress: RIGHT, dataCounter: 1, packetCounter: 1 })
+        ]);
+    });
+
+    it('dovrebbe registrare una sola volta un pacchetto non valido', async () => {
+        await scanner.connectToAddress(LEFT);
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        devices[LEFT].dataCharacteristic.emit('valuechanged', Buffer.alloc(7));
+        const reports = consoleError.mock.calls.filter(([message]) => String(message).includes('[BLEScanner.'));
+        consoleError.mockRestore();
+
+        expect(reports).toHaveLength(1);
+        expect(reports[0][0]).toContain('[BLEScanner.valueChanged]');
+        expect(scanner.devices.get(LEFT).dataCounter).toBe(0);
+    });
+
+    it('dovrebbe continuare l\'acquisizione di un dispositivo quando l\'altro si disconnette', async () => {
+        await scanner.connectToAddress(LEFT);
+        await scanner.connectToAddress(RIGHT);
+        const lost = jest.fn();
+        eventManager.on('scanner:connection_lost', lost);
+
+        devices[LEFT].emit('disconnect');
+        await new Promise(setImmediate);
+
+        expect(lost).toHaveBeenCalledWith(expect.objectContaining({ deviceAddress: LEFT }));
+        expect(scanner.getConnectedAddresses()).toEqual([RIGHT]);
+        expect(scanner.devices.get(LEFT).state.getState()).toBe(ConnectionStates.BACKOFF);
+        expect(scanner.devices.get(LEFT).logger.cleanup).toHaveBeenCalled();
+
+        const right = scanner.devices.get(RIGHT);
+        expect(right.state.getState()).toBe(ConnectionStates.STREAMING);
+        expect(right.logger.cleanup).not.toHaveBeenCalled();
+        devices[RIGHT].dataCharacteristic.emit('valuechanged', packet(8));
+        expect(right.logger.data).toHaveLength(1);
+    });
+
+    it('dovrebbe pianificare un timer di backoff separato per ogni dispositivo', async () => {
+        await scanner.connectToAddress(LEFT);
+        await scanner.connectToAddress(RIGHT);
+
+        devices[LEFT].emit('disconnect');
+        devices[RIGHT].emit('disconnect');
+        await new Promise(setImmediate);
+
+        const left = scanner.devices.get(LEFT);
+        const right = scanner.devices.get(RIGHT);
+        expect(left.reconnectTimer).not.toBeNull();
+        expect(right.reconnectTimer).not.toBeNull();
+        expect(left.reconnectTimer).not.toBe(right.reconnectTimer);
+        expect(left.state.retryCount).toBe(1);
+        expect(right.state.retryCount).toBe(1);
+
+        // Rinunciare a un dispositivo non annulla la riconnessione dell'altro
+        await scanner.disconnect(LEFT);
+        expect(scanner.devices.has(LEFT)).toBe(false);
+        expect(right.reconnectTimer).not.toBeNull();
+        expect(right.state.getState()).toBe(ConnectionStates.BACKOFF);
+    });
+
+    it('non dovrebbe assegnare il piede in base all\'ordine di connessione', async () => {
+        scanner.subject = new BLESubjectPairing(eventManager, { logger: { writeData: jest.fn(), cleanup: jest.fn() } });
+        scanner.getRegistry().register(RIGHT, { role: SubjectRoles.RIGHT });
+        const missing = jest.fn();
+        eventManager.on('scanner:role_missing', missing);
+
+        // Si connette prima la soletta destra, poi quella senza piede configurato
+        await scanner.connectToAddress(RIGHT);
+        await scanner.connectToAddress(LEFT);
+
+        expect(scanner.devices.get(RIGHT).role).toBe(SubjectRoles.RIGHT);
+        expect(scanner.devices.get(LEFT).role).toBeNull();
+        expect(missing).toHaveBeenCalledWith(expect.objectContaining({ deviceAddress: LEFT }));
+
+        expect(scanner.setDeviceRole(LEFT, SubjectRoles.LEFT)).toBe(true);
+        expect(scanner.devices.get(LEFT).role).toBe(SubjectRoles.LEFT);
+        scanner.getRegistry().remove(RIGHT);
+    });
+
+    it('dovrebbe sospendere il watchdog dei dispositivi con lo streaming fermato', async () => {
+        await scanner.connectToAddress(LEFT);
+        await scanner.connectToAddress(RIGHT);
+        const left = scanner.devices.get(LEFT);
+        const right = scanner.devices.get(RIGHT);
+        jest.spyOn(left.commands, 'stopStreaming').mockResolvedValue(null);
+        jest.spyOn(right.commands, 'stopStreaming').mockRejectedValue(new Error('Nessuna risposta'));
+        jest.spyOn(left.commands, 'startStreaming').mockResolvedValue(null);
+
+        const stopped = await scanner.stopStreaming();
+        expect(stopped.map(result => result.success)).toEqual([true, false]);
+        expect(scanner.watchdog.getStatus()[LEFT].paused).toBe(true);
+        expect(scanner.watchdog.getStatus()[RIGHT].paused).toBe(false);
+
+        await scanner.startStreaming(LEFT);
+        expect(scanner.watchdog.getStatus()[LEFT].paused).toBe(false);
+    });
+
+    it('dovrebbe rilasciare batteria, comandi e coda nella riconnessione forzata', async () => {
+        await scanner.connectToAddress(LEFT);
+        await scanner.connectToAddress(RIGHT);
+        const left = scanner.devices.get(LEFT);
+        expect(left.battery.pollTimer).not.toBeNull();
+
+        // Operazione ancora in coda dietro a una in esecuzione
+        let release;
+        const running = scanner.operationQueue.run(LEFT, () => new Promise(resolve => { release = resolve; }), { timeout: 0 });
+        const pending = scanner.operationQueue.run(LEFT, async () => 'eseguita', { name: 'inAttesa' });
+        const detach = jest.spyOn(left.commands, 'detach');
+
+        await scanner.forceReconnect(LEFT);
+
+        expect(devices[LEFT].disconnect).toHaveBeenCalled();
+        expect(left.battery.pollTimer).toBeNull();
+        expect(detach).toHaveBeenCalled();
+        await expect(pending).rejects.toMatchObject({ code: ErrorCodes.BLE.OPERATION_CANCELLED });
+        expect(left.logger.cleanup).toHaveBeenCalled();
+        expect(left.state.getState()).toBe(ConnectionStates.BACKOFF);
+        expect(scanner.devices.get(RIGHT).battery.pollTimer).not.toBeNull();
+
+        release();
+        await running;
+    });
+
+    it('dovrebbe riconnettere tutti i dispositivi al ritorno dell\'adapter anche se uno fallisce', async () => {
+        await scanner.connectToAddress(LEFT);
+        await scanner.connectToAddress(RIGHT);
+        devices[LEFT].emit('disconnect');
+        devices[RIGHT].emit('disconnect');
+        await new Promise(setImmediate);
+
+        const reconnect = jest.spyOn(scanner, 'reconnectDevice')
+            .mockRejectedValueOnce(new Error('org.bluez.Error.Failed'))
+            .mockResolvedValue(true);
+
+        await expect(scanner.handleAdapterRestored()).resolves.toBeUndefined();
+        expect(reconnect.mock.calls.map(([address]) => address)).toEqual([LEFT, RIGHT]);
+    });
+
+    it('non dovrebbe usare l\'adapter precedente durante il reset', async () => {
+        let adapterDuringReset;
+        scanner.bleConnection.resetBluetooth.mockImplementation(async () => {
+            adapterDuringReset = scanner.adapter;
+        });
+
+        await scanner.resetAdapter();
+
+        expect(adapterDuringReset).toBeNull();
+        expect(scanner.bleDiscovery.detachAdapter).toHaveBeenCalled();
+        expect(scanner.adapter).toBe(mockAdapter);
+    });
+
+    it('non dovrebbe spegnere l\'adapter se manca un dispositivo', async () => {
+        scanner.bleDiscovery.findBestDevice
+            .mockResolvedValueOnce(devices[LEFT])
+            .mockResolvedValue(null);
+
+        // Due ricerche automatiche con una sola soletta accesa (1 di 2)
+        expect(await scanner.autoConnectToTarget()).toBe(true);
+        expect(await scanner.autoConnectToTarget()).toBe(true);
+
+        expect(scanner.bleDiscovery.findBestDevice.mock.calls.length).toBeGreaterThan(settings.CIRCUIT_BREAKER.FAILURE_THRESHOLD);
+        expect(scanner.bleConnection.powerCycle).not.toHaveBeenCalled();
+        expect(scanner.bleConnection.resetBluetooth).not.toHaveBeenCalled();
+        expect(scanner.getStatistics().circuitBreaker).toMatchObject({ state: 'closed', opened: 0 });
+        expect(scanner.devices.get(LEFT).state.getState()).toBe(ConnectionStates.STREAMING);
+    });
+});
@@ -0,0 +1,152 @@
+/**
+ * Test per BLESubjectPairing.js
+ * Created: 2025-02-04 11:03:17
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const { BLESubjectPairing, BLESubjectEvents, SubjectRoles } = require('../../src/bluetooth/BLESubjectPairing');
+const { BLEError } = require('../../src/utils/errorHandler');
+
+const LEFT = 'AA:AA:AA:AA:AA:01';
+const RIGHT = 'AA:AA:AA:AA:AA:02';
+
+function sample(numero_progressivo) {
+    return {
+        timestamp: '2025-02-04 11:03:17',
+        numero_progressivo,
+        asse_x: 1,
+        asse_y: 2,
+        asse_z: 3,
+        pressione_tallone: 10,
+        pressione_primo_metatarso: 20,
+        pressione_quinto_metatarso: 30
+    };
+}
+
+describe('BLESubjectPairing', () => {
+    let eventManager;
+    let logger;
+    let pairing;
+
+    beforeEach(() => {
+        eventManager = new EventEmitter();
+        logger = {
+            writeData: jest.fn(),
+            getCurrentFilePath: jest.fn().mockReturnValue(null),
+            cleanup: jest.fn()
+        };
+        pairing = new BLESubjectPairing(eventManager, {
+            subjectId: 'S01',
+            logger,
+            matchWindow: 40,
+            maxWait: 200,
+            resyncAfter: 3
+        });
+        pairing.assignRole(LEFT, SubjectRoles.LEFT);
+        pairing.assignRole(RIGHT, SubjectRoles.RIGHT);
+    });
+
+    describe('assignRole', () => {
+        it('non dovrebbe dedurre il ruolo dall\'ordine di connessione', () => {
+            const fresh = new BLESubjectPairing(eventManager, { logger });
+            expect(fresh.assignRole(RIGHT)).toBeNull();
+            expect(fresh.assignRole(LEFT)).toBeNull();
+            expect(fresh.getAddressForRole(SubjectRoles.LEFT)).toBeNull();
+
+            expect(fresh.assignRole(RIGHT, SubjectRoles.RIGHT)).toBe(SubjectRoles.RIGHT);
+            expect(fresh.assignRole(RIGHT)).toBe(SubjectRoles.RIGHT);
+        });
+
+        it('dovrebbe rifiutare un ruolo già assegnato', () => {
+            expect(() => pairing.assignRole('AA:AA:AA:AA:AA:03', SubjectRoles.LEFT)).toThrow(BLEError);
+        });
+    });
+
+    describe('addSample', () => {
+        it('dovrebbe accoppiare i campioni per tempo di arrivo e poi per sequenza', () => {
+            const aligned = jest.fn();
+            eventManager.on(BLESubjectEvents.ALIGNED_SAMPLE, aligned);
+
+            expect(pairing.addSample(LEFT, sample(100), 1000)).toBeNull();
+            const first = pairing.addSample(RIGHT, sample(500), 1010);
+
+            expect(first).toMatchObject({
+                subject_id: 'S01',
+                match_status: 'paired',
+                skew_ms: 10,
+                left_numero_progressivo: 100,
+                right_numero_progressivo: 500
+            });
+            expect(pairing.sequenceOffset).toBe(400);
+
+            // Arrivo fuori dalla finestra temporale ma sequenza corrispondente
+            pairing.addSample(RIGHT, sample(501), 1020);
+            const second = pairing.addSample(LEFT, sample(101), 1150);
+
+            expect(second.match_status).toBe('paired');
+            expect(second.right_numero_progressivo).toBe(501);
+            expect(aligned).toHaveBeenCalledTimes(2);
+            expect(logger.writeData).toHaveBeenCalledTimes(2);
+        });
+
+        it('dovrebbe marcare i campioni senza controparte', () => {
+            const unmatched = jest.fn();
+            eventManager.on(BLESubjectEvents.UNMATCHED_SAMPLE, unmatched);
+
+            pairing.addSample(LEFT, sample(1), 1000);
+            pairing.addSample(RIGHT, sample(1), 1005);
+
+            // Il campione destro 2 va perso
+            pairing.addSample(LEFT, sample(2), 1020);
+            pairing.addSample(LEFT, sample(3), 1300);
+
+            expect(unmatched).toHaveBeenCalledWith(expect.objectContaining({
+                role: SubjectRoles.LEFT,
+                numero_progressivo: 2
+            }));
+            expect(logger.writeData).toHaveBeenCalledWith(expect.objectContaining({
+                match_status: 'left_only',
+                left_numero_progressivo: 2,
+                right_numero_progressivo: null
+            }));
+            expect(pairing.getStatistics()).toMatchObject({ paired: 1, unmatchedLeft: 1 });
+        });
+
+        it('dovrebbe scartare l\'offset di sequenza dopo troppi campioni non accoppiati', () => {
+            const resync = jest.fn();
+            eventManager.on(BLESubjectEvents.RESYNC, resync);
+
+            pairing.addSample(LEFT, sample(10), 1000);
+            pairing.addSample(RIGHT, sample(10), 1000);
+
+            // La soletta destra si riavvia e riparte da 0
+            pairing.addSample(LEFT, sample(11), 1020);
+            pairing.addSample(RIGHT, sample(0), 1021);
+            pairing.addSample(LEFT, sample(12), 1040);
+            pairing.addSample(RIGHT, sample(1), 1041);
+            pairing.addSample(LEFT, sample(13), 1300);
+
+            expect(resync).toHaveBeenCalled();
+            expect(pairing.sequenceOffset).toBeNull();
+        });
+
+        it('dovrebbe ignorare i campioni di dispositivi senza ruolo', () => {
+            expect(pairing.addSample('AA:AA:AA:AA:AA:03', sample(1), 1000)).toBeNull();
+            expect(logger.writeData).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('cleanup', () => {
+        it('dovrebbe scrivere i campioni in attesa', () => {
+            pairing.addSample(RIGHT, sample(7), 1000);
+            pairing.cleanup();
+
+            expect(logger.writeData).toHaveBeenCalledWith(expect.objectContaining({
+                match_status: 'right_only',
+                right_numero_progressivo: 7
+            }));
+            expect(logger.cleanup).toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Test per BLETareCalibration.js
+ * Created: 2025-02-16 10:04:51
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+
+// Mock BLELogger: la procedura non deve creare i file di dati
+jest.mock('../../src/utils/BLELogger');
+
+const BLELogger = require('../../src/utils/BLELogger');
+const { BLETareCalibration, BLETareEvents, TarePhases } = require('../../src/bluetooth/BLETareCalibration');
+const { ErrorCodes } = require('../../src/utils/errorHandler');
+
+const ADDRESS = 'AA:BB:CC:DD:EE:FF';
+
+// Pacchetto insole_v1 con accelerazioni e pressioni indicate
+function packet(sequence, { x = 0, y = 0, z = 0, pressure = 0 }) {
+    const buffer = Buffer.alloc(20);
+    buffer.writeUInt16BE(sequence, 0);
+    buffer.writeInt16LE(x, 2);
+    buffer.writeInt16LE(y, 4);
+    buffer.writeInt16LE(z, 6);
+    [8, 10, 12].forEach(offset => buffer.writeUInt16LE(pressure, offset));
+    return buffer;
+}
+
+describe('BLETareCalibration', () => {
+    let eventManager;
+    let tare;
+    let sequence;
+
+    // Invia le notifiche della fase appena avviata
+    function streamOnPhase(values, count = 6, address = ADDRESS) {
+        eventManager.on(BLETareEvents.PHASE_STARTED, ({ phase }) => {
+            setImmediate(() => {
+                for (let i = 0; i < count; i++) {
+                    const delta = i % 2 === 0 ? 1 : -1;
+                    const { x, y, z, pressure } = values[phase];
+                    eventManager.emit('scanner:packet_received', {
+                        deviceAddress: address,
+                        buffer: packet(sequence++, { x, y, z: z + delta, pressure: pressure + delta })
+                    });
+                }
+                // Pacchetto non valido: scartato senza interrompere l'acquisizione
+                eventManager.emit('scanner:packet_received', { deviceAddress: address, buffer: Buffer.alloc(7) });
+            });
+        });
+    }
+
+    beforeEach(() => {
+        eventManager = new EventEmitter();
+        tare = new BLETareCalibration(eventManager, { DURATION: 50, MIN_SAMPLES: 5 });
+        sequence = 0;
+    });
+
+    it('dovrebbe guidare le due fasi e calcolare offset e rumore', async () => {
+        streamOnPhase({
+            [TarePhases.UNLOADED]: { x: 40, y: 40, z: 40, pressure: 150 },
+            [TarePhases.STANDING]: { x: 4, y: -2, z: 1006, pressure: 900 }
+        });
+        const phases = [];
+        const completed = jest.fn();
+        eventManager.on(BLETareEvents.PHASE_COMPLETED, completed);
+
+        const result = await tare.run(ADDRESS, {
+            schemaName: 'insole_v1',
+            profile: { id: 'P1', channels: { asse_z: { gain: 0.001 } } },
+            onPhase: async phase => phases.push(phase)
+        });
+
+        expect(phases).toEqual([TarePhases.UNLOADED, TarePhases.STANDING]);
+        expect(completed).toHaveBeenCalledWith(expect.objectContaining({ phase: TarePhases.UNLOADED, samples: 6, rejected: 1 }));
+        expect(result).toMatchObject({
+            deviceAddress: ADDRESS,
+            schema: 'insole_v1',
+            gravityAxis: 'asse_z',
+            samples: { unloaded: 6, standing: 6 },
+            channels: {
+                pressione_tallone: { offset: 150, noise_floor: 1 },
+                asse_x: { offset: 4, noise_floor: 0 },
+                asse_z: { offset: 6, noise_floor: 1 }
+            }
+        });
+        expect(tare.isRunning(ADDRESS)).toBe(false);
+        expect(BLELogger).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe fallire con campioni insufficienti e ignorare gli altri dispositivi', async () => {
+        streamOnPhase({
+            [TarePhases.UNLOADED]: { x: 0, y: 0, z: 0, pressure: 100 }
+        }, 6, '11:22:33:44:55:66');
+        const failed = jest.fn();
+        eventManager.on(BLETareEvents.FAILED, failed);
+
+        await expect(tare.run(ADDRESS)).rejects.toMatchObject({
+            code: ErrorCodes.BLE.INVALID_STATE,
+            details: { address: ADDRESS, phase: TarePhases.UNLOADED, samples: 0, required: 5 }
+        });
+        expect(failed).toHaveBeenCalledWith(expect.objectContaining({ deviceAddress: ADDRESS }));
+    });
+
+    it('dovrebbe rifiutare una seconda procedura sullo stesso dispositivo e gli annullamenti', async () => {
+        const controller = new AbortController();
+        const first = tare.run(ADDRESS, { signal: controller.signal });
+        await expect(tare.run(ADDRESS)).rejects.toThrow('Calibrazione di zero già in corso');
+
+        controller.abort();
+        await expect(first).rejects.toMatchObject({ code: ErrorCodes.BLE.OPERATION_CANCELLED });
+        expect(tare.isRunning(ADDRESS)).toBe(false);
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Test per BLEWatchdog.js
+ * Created: 2025-02-05 16:21:50
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const { BLEWatchdog, BLEWatchdogEvents } = require('../../src/bluetooth/BLEWatchdog');
+
+const ADDRESS = 'AA:BB:CC:DD:EE:FF';
+const CHAR_UUID = '00000001-cc7a-482a-984a-7f2ed5b3e58f';
+
+describe('BLEWatchdog', () => {
+    let eventManager;
+    let actions;
+    let watchdog;
+    let escalations;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(0);
+
+        eventManager = new EventEmitter();
+        escalations = jest.fn();
+        eventManager.on(BLEWatchdogEvents.ESCALATION, escalations);
+
+        actions = {
+            restartNotifications: jest.fn().mockResolvedValue(undefined),
+            reconnectDevice: jest.fn().mockResolvedValue(undefined),
+            resetAdapter: jest.fn().mockResolvedValue(undefined)
+        };
+        watchdog = new BLEWatchdog(eventManager, actions, {
+            ENABLED: true,
+            STALL_TIMEOUT: 1000,
+            CHECK_INTERVAL: 100
+        });
+        watchdog.watch(ADDRESS, CHAR_UUID, { uuid: CHAR_UUID });
+    });
+
+    afterEach(() => {
+        watchdog.stop();
+        jest.useRealTimers();
+    });
+
+    it('non dovrebbe intervenire finché arrivano notifiche', async () => {
+        jest.setSystemTime(800);
+        watchdog.notify(ADDRESS, CHAR_UUID);
+        await watchdog.check(1500);
+
+        expect(escalations).not.toHaveBeenCalled();
+    });
+
+    it('dovrebbe eseguire l\'escalation a stadi', async () => {
+        const stall = jest.fn();
+        eventManager.on(BLEWatchdogEvents.STALL_DETECTED, stall);
+
+        await watchdog.check(1100);
+        expect(stall).toHaveBeenCalledTimes(1);
+        expect(actions.restartNotifications).toHaveBeenCalledWith(ADDRESS, [{ uuid: CHAR_UUID }]);
+
+        // Attesa di STALL_TIMEOUT tra uno stadio e il successivo
+        await watchdog.check(1500);
+        expect(actions.reconnectDevice).not.toHaveBeenCalled();
+
+        await watchdog.check(2200);
+        expect(actions.reconnectDevice).toHaveBeenCalledWith(ADDRESS);
+
+        await watchdog.check(3300);
+        expect(actions.resetAdapter).toHaveBeenCalled();
+
+        expect(escalations.mock.calls.map(([data]) => data.stage)).toEqual([1, 2, 3]);
+    });
+
+    it('dovrebbe mantenere lo stadio dopo una riconnessione', async () => {
+        await watchdog.check(1100);
+        await watchdog.check(2200);
+
+        // Riconnessione: le caratteristiche vengono rimonitorate
+        watchdog.unwatchDevice(ADDRESS);
+        jest.setSystemTime(2500);
+        watchdog.watch(ADDRESS, CHAR_UUID, { uuid: CHAR_UUID });
+
+        await watchdog.check(3600);
+        expect(actions.resetAdapter).toHaveBeenCalled();
+    });
+
+    it('dovrebbe azzerare l\'escalation quando il flusso riprende', async () => {
+        const recovered = jest.fn();
+        eventManager.on(BLEWatchdogEvents.RECOVERED, recovered);
+
+        await watchdog.check(1100);
+        jest.setSystemTime(1200);
+        watchdog.notify(ADDRESS, CHAR_UUID);
+
+        expect(recovered).toHaveBeenCalledWith(expect.objectContaining({
+            stage: 1,
+            action: 'restartNotifications'
+        }));
+
+        await watchdog.check(2300);
+        expect(escalations).toHaveBeenLastCalledWith(expect.objectContaining({ stage: 1 }));
+    });
+
+    it('non dovrebbe intervenire sui dispositivi sospesi', async () => {
+        watchdog.pauseDevice(ADDRESS);
+        await watchdog.check(5000);
+        expect(escalations).not.toHaveBeenCalled();
+        expect(watchdog.getStatus()[ADDRESS]).toMatchObject({ paused: true, stage: 0 });
+
+        // Alla ripresa il silenzio si conta dalla riattivazione
+        jest.setSystemTime(5000);
+        watchdog.resumeDevice(ADDRESS);
+        await watchdog.check(5900);
+        expect(escalations).not.toHaveBeenCalled();
+        await watchdog.check(6100);
+        expect(escalations).toHaveBeenCalledWith(expect.objectContaining({ stage: 1 }));
+    });
+
+    it('dovrebbe segnalare il fallimento di uno stadio', async () => {
+        const failed = jest.fn();
+        eventManager.on(BLEWatchdogEvents.ESCALATION_FAILED, failed);
+        actions.restartNotifications.mockRejectedValue(new Error('Not connected'));
+
+        await watchdog.check(1100);
+
+        expect(failed).toHaveBeenCalledWith(expect.objectContaining({
+            stage: 1,
+            error: 'Not connected'
+        }));
+    });
+});
@@ -0,0 +1,85 @@
+/**
+ * Test per BLECalibration.js
+ * Created: 2025-02-15 09:12:37
+ * Author: arkproject
+ */
+
+const { BLECalibrator, CalibrationUnits, applyChannelCalibration, convertUnit } = require('../../src/utils/BLECalibration');
+const { packetSchemas } = require('../../src/utils/BLEPacketSchema');
+const { ErrorCodes } = require('../../src/utils/errorHandler');
+
+const UNITS = { ACCELERATION_UNIT: 'g', PRESSURE_UNIT: 'kPa' };
+const PROFILE = {
+    id: 'SN001-2025-02-15',
+    serialNumber: 'SN001',
+    channels: {
+        asse_x: { gain: 0.001, offset: 10 },
+        asse_z: { gain: 0.001, offset: 0, unit: 'm/s²' },
+        pressione_tallone: { gain: 0.5, offset: 100, polynomial: [1, 2, 0.5], area_mm2: 200 }
+    }
+};
+
+describe('BLECalibration', () => {
+    const schema = packetSchemas.get('insole_v1');
+
+    it('dovrebbe applicare guadagno, offset e polinomio', () => {
+        expect(applyChannelCalibration(1010, { gain: 0.001, offset: 10 })).toBeCloseTo(1);
+        expect(applyChannelCalibration(42, {})).toBe(42);
+        // lineare = 0.5 * (104 - 100) = 2 -> 1 + 2*2 + 0.5*4 = 7
+        expect(applyChannelCalibration(104, { gain: 0.5, offset: 100, polynomial: [1, 2, 0.5] })).toBe(7);
+    });
+
+    it('dovrebbe convertire tra unità della stessa grandezza', () => {
+        expect(convertUnit(1, CalibrationUnits.G, CalibrationUnits.METERS_PER_SECOND_SQUARED)).toBeCloseTo(9.80665);
+        expect(convertUnit(9.80665, 'm/s²', 'g')).toBeCloseTo(1);
+        expect(convertUnit(100, 'kPa', 'N', 200)).toBeCloseTo(20);
+        expect(convertUnit(20, 'N', 'kPa', 200)).toBeCloseTo(100);
+        expect(() => convertUnit(100, 'kPa', 'N')).toThrow('Area del sensore richiesta per convertire tra kPa e N');
+        expect(() => convertUnit(1, 'g', 'kPa')).toThrow(expect.objectContaining({ code: ErrorCodes.BLE.INVALID_PARAMETER }));
+    });
+
+    it('dovrebbe aggiungere ai campioni i valori calibrati e l\'identificativo del profilo', () => {
+        const calibrator = new BLECalibrator(PROFILE, schema, UNITS);
+
+        expect(calibrator.getColumns()).toEqual([
+            'asse_x_cal', 'asse_y_cal', 'asse_z_cal',
+            'pressione_tallone_cal', 'pressione_primo_metatarso_cal', 'pressione_quinto_metatarso_cal',
+            'calibration_id'
+        ]);
+        expect(calibrator.calibrate({ asse_x: 1010, asse_y: 5, asse_z: 9807, pressione_tallone: 104 })).toEqual({
+            asse_x_cal: 1,
+            asse_y_cal: null,
+            asse_z_cal: 1.000036,
+            pressione_tallone_cal: 7,
+            pressione_primo_metatarso_cal: null,
+            pressione_quinto_metatarso_cal: null,
+            calibration_id: 'SN001-2025-02-15'
+        });
+        expect(calibrator.describe()).toMatchObject({
+            id: 'SN001-2025-02-15',
+            serialNumber: 'SN001',
+            units: { asse_x_cal: 'g', asse_z_cal: 'g', pressione_tallone_cal: 'kPa' }
+        });
+    });
+
+    it('dovrebbe convertire nelle unità di uscita configurate', () => {
+        const calibrator = new BLECalibrator(PROFILE, schema, { ACCELERATION_UNIT: 'm/s²', PRESSURE_UNIT: 'N' });
+        expect(calibrator.calibrate({ asse_x: 1010, pressione_tallone: 104 })).toMatchObject({
+            asse_x_cal: 9.80665,
+            pressione_tallone_cal: 1.4
+        });
+    });
+
+    it('dovrebbe rifiutare profili e unità non validi', () => {
+        expect(() => new BLECalibrator({ id: 'x' }, schema, UNITS)).toThrow('Profilo di calibrazione non valido');
+        expect(() => new BLECalibrator(PROFILE, schema, { ACCELERATION_UNIT: 'g', PRESSURE_UNIT: 'bar' }))
+            .toThrow('Unità di uscita non valida per pressure: bar');
+        expect(() => new BLECalibrator({ id: 'x', channels: { asse_x: { gain: 'uno' } } }, schema, UNITS))
+            .toThrow('Coefficienti di calibrazione non validi');
+        expect(() => new BLECalibrator({ id: 'x', channels: { asse_x: { unit: 'kPa' } } }, schema, UNITS))
+            .toThrow('Unità non valida per il canale asse_x: kPa');
+        // kPa -> N senza area del sensore
+        expect(() => new BLECalibrator({ id: 'x', channels: { pressione_tallone: { gain: 1 } } }, schema,
+            { ACCELERATION_UNIT: 'g', PRESSURE_UNIT: 'N' })).toThrow('Area del sensore richiesta');
+    });
+});
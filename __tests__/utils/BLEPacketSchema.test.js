@@ -0,0 +1,133 @@
+/**
+ * Test per BLEPacketSchema.js
+ * Created: 2025-02-14 15:08:41
+ * Author: arkproject
+ */
+
+const { BLEPacketSchema, BLEPacketSchemaRegistry, ProtocolSources, packetSchemas } = require('../../src/utils/BLEPacketSchema');
+const { PACKET_SCHEMAS } = require('../../src/config/packetSchemas');
+const { ErrorCodes } = require('../../src/utils/errorHandler');
+
+// Pacchetto insole_v1: seq 0x0102 (big endian), assi -1/2/-3, pressioni 100/200/300, segnali 7/8
+const PACKET = Buffer.from('0102ffff0200fdff6400c8002c01070008000000', 'hex');
+
+describe('BLEPacketSchema', () => {
+    const schema = packetSchemas.getDefault();
+
+    it('dovrebbe decodificare il pacchetto predefinito secondo lo schema', () => {
+        expect(schema.name).toBe('insole_v1');
+        expect(schema.decode(PACKET)).toEqual({
+            numero_progressivo: 258,
+            asse_x: -1,
+            asse_y: 2,
+            asse_z: -3,
+            pressione_tallone: 100,
+            pressione_primo_metatarso: 200,
+            pressione_quinto_metatarso: 300,
+            segnale_uno: 7,
+            segnale_due: 8
+        });
+
+        // I byte oltre la lunghezza dello schema sono ignorati, anche con offset nel buffer
+        const padded = Buffer.concat([Buffer.from([0xaa]), PACKET, Buffer.from([0xbb])]).subarray(1);
+        expect(schema.decode(padded).pressione_quinto_metatarso).toBe(300);
+    });
+
+    it('dovrebbe rifiutare i pacchetti troppo corti', () => {
+        expect(() => schema.decode(PACKET.subarray(0, 19))).toThrow(expect.objectContaining({
+            code: ErrorCodes.BLE.NOTIFICATION_ERROR,
+            details: expect.objectContaining({ expectedLength: 20, actualLength: 19 })
+        }));
+    });
+
+    it('dovrebbe suddividere le notifiche in frame della lunghezza dello schema', () => {
+        const frames = schema.splitFrames(Buffer.concat([PACKET, PACKET, PACKET]));
+        expect(frames).toHaveLength(3);
+        expect(frames.map(frame => schema.decode(frame).numero_progressivo)).toEqual([258, 258, 258]);
+        expect(schema.maxSamples).toBe(25);
+
+        expect(() => schema.splitFrames(Buffer.concat([PACKET, PACKET.subarray(0, 10)]))).toThrow(expect.objectContaining({
+            code: ErrorCodes.BLE.NOTIFICATION_ERROR,
+            details: expect.objectContaining({ frameLength: 20, actualLength: 30 })
+        }));
+        expect(() => schema.splitFrames(Buffer.alloc(0))).toThrow('Lunghezza del pacchetto non multipla del frame');
+    });
+
+    it('dovrebbe generare intervalli di validazione e intestazione CSV', () => {
+        expect(schema.getValueRanges()).toMatchObject({
+            numero_progressivo: { min: 0, max: 65535 },
+            asse_x: { min: -32768, max: 32767 },
+            segnale_due: { min: 0, max: 65535 }
+        });
+        expect(schema.getCsvHeader().join(',')).toBe(
+            'timestamp,numero_progressivo,asse_x,asse_y,asse_z,pressione_tallone,' +
+            'pressione_primo_metatarso,pressione_quinto_metatarso,segnale_uno,segnale_due,raw_hex'
+        );
+    });
+
+    it('dovrebbe applicare scala e intervalli dichiarati', () => {
+        const scaled = new BLEPacketSchema({
+            name: 'test',
+            length: 4,
+            fields: [
+                { name: 'temperatura', offset: 0, type: 'int16', scale: 0.5, unit: '°C', range: { min: -10, max: 50 } },
+                { name: 'livello', offset: 2, type: 'uint8', scale: 2 }
+            ]
+        });
+
+        const data = scaled.decode(Buffer.from([0x28, 0x00, 0x10, 0x00]));
+        expect(data).toEqual({ temperatura: 20, livello: 32 });
+        expect(scaled.getValueRanges().livello).toEqual({ min: 0, max: 510 });
+        expect(() => scaled.validate({ ...data, temperatura: 60 })).toThrow('Valore fuori range');
+        expect(() => scaled.validate({ temperatura: 20 })).toThrow('Campo dati mancante');
+    });
+
+    it('dovrebbe rifiutare definizioni non valide e schemi sconosciuti', () => {
+        expect(() => new BLEPacketSchema({
+            name: 'fuori',
+            length: 2,
+            fields: [{ name: 'valore', offset: 1, type: 'uint16' }]
+        })).toThrow(expect.objectContaining({ code: ErrorCodes.BLE.INVALID_PARAMETER }));
+        expect(() => new BLEPacketSchema({
+            name: 'tipo',
+            length: 2,
+            fields: [{ name: 'valore', offset: 0, type: 'uint12' }]
+        })).toThrow('Campo dello schema non valido');
+
+        const registry = new BLEPacketSchemaRegistry([{ name: 'a', length: 1, fields: [{ name: 'x', offset: 0, type: 'uint8' }] }]);
+        expect(registry.list()).toEqual(['a']);
+        expect(() => registry.get('b')).toThrow(expect.objectContaining({
+            code: ErrorCodes.BLE.INVALID_PARAMETER,
+            details: expect.objectContaining({ available: ['a'] })
+        }));
+    });
+
+    it('dovrebbe negoziare lo schema per revisione firmware o byte di versione', () => {
+        const registry = new BLEPacketSchemaRegistry(PACKET_SCHEMAS);
+        registry.register({
+            name: 'insole_v2',
+            version: 2,
+            length: 4,
+            firmware: ['2.', '3.0'],
+            versionByte: { offset: 0, value: 0x02 },
+            fields: [{ name: 'numero_progressivo', offset: 1, type: 'uint16', endianness: 'big' }]
+        });
+
+        expect(registry.negotiate({ firmwareRevision: 'v2.3.1' })).toMatchObject({
+            schema: { name: 'insole_v2', version: 2 },
+            source: ProtocolSources.FIRMWARE
+        });
+        expect(registry.negotiate({ firmwareRevision: '1.0.0', packet: Buffer.from([0x02, 0, 1, 0]) }))
+            .toMatchObject({ schema: { name: 'insole_v2' }, source: ProtocolSources.VERSION_BYTE });
+        expect(registry.negotiate({ firmwareRevision: '3.1', packet: Buffer.from([0x02, 0]) }))
+            .toMatchObject({ schema: { name: 'insole_v1' }, source: ProtocolSources.DEFAULT });
+        expect(registry.negotiate()).toMatchObject({ schema: { name: 'insole_v1' }, source: ProtocolSources.DEFAULT });
+
+        expect(() => registry.register({
+            name: 'fuori',
+            length: 2,
+            versionByte: { offset: 2, value: 1 },
+            fields: [{ name: 'x', offset: 0, type: 'uint8' }]
+        })).toThrow('Byte di versione fuori dai limiti del pacchetto');
+    });
+});
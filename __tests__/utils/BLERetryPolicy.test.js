@@ -0,0 +1,100 @@
+/**
+ * Test per BLERetryPolicy.js
+ * Created: 2025-02-12 14:27:50
+ * Author: arkproject
+ */
+
+const EventEmitter = require('events');
+const { BLERetryPolicy, RetryPolicyEvents, withTimeout } = require('../../src/utils/BLERetryPolicy');
+const BLETimeout = require('../../src/utils/BLETimeout');
+const { BLEError, ErrorCodes } = require('../../src/utils/errorHandler');
+
+describe('BLERetryPolicy', () => {
+    let eventManager;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        eventManager = new EventEmitter();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('dovrebbe cancellare il timer del timeout a operazione conclusa', async () => {
+        await expect(withTimeout(Promise.resolve('ok'), 1000, 'getName')).resolves.toBe('ok');
+        await expect(new BLETimeout().withTimeout(Promise.resolve(1), 1000, 'getRSSI')).resolves.toBe(1);
+        expect(jest.getTimerCount()).toBe(0);
+
+        const hung = withTimeout(new Promise(() => {}), 1000, 'getName');
+        const assertion = expect(hung).rejects.toMatchObject({ code: ErrorCodes.BLE.OPERATION_TIMEOUT });
+        await jest.advanceTimersByTimeAsync(1000);
+        await assertion;
+    });
+
+    it('dovrebbe ripetere con backoff ed emettere gli eventi di tentativo', async () => {
+        const retries = jest.fn();
+        eventManager.on(RetryPolicyEvents.RETRY, retries);
+        const policy = new BLERetryPolicy({
+            name: 'ADAPTER_LOOKUP', attempts: 3, initialDelay: 1000, maxDelay: 5000, multiplier: 2
+        }, eventManager);
+
+        const operation = jest.fn()
+            .mockRejectedValueOnce(new Error('primo'))
+            .mockRejectedValueOnce(new Error('secondo'))
+            .mockResolvedValueOnce('adapter');
+
+        const result = policy.execute(operation);
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(operation).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(2000);
+
+        await expect(result).resolves.toBe('adapter');
+        expect(operation).toHaveBeenLastCalledWith(3);
+        expect(retries.mock.calls.map(([data]) => [data.attempt, data.delay, data.error])).toEqual([
+            [1, 1000, 'primo'],
+            [2, 2000, 'secondo']
+        ]);
+    });
+
+    it('dovrebbe applicare il timeout a ogni tentativo ed emettere l\'esaurimento', async () => {
+        const exhausted = jest.fn();
+        eventManager.on(RetryPolicyEvents.EXHAUSTED, exhausted);
+        const policy = new BLERetryPolicy({ name: 'getDevice', attempts: 2, timeout: 500, initialDelay: 100 }, eventManager);
+
+        const result = policy.execute(() => new Promise(() => {}));
+        const assertion = expect(result).rejects.toMatchObject({ code: ErrorCodes.BLE.OPERATION_TIMEOUT });
+        await jest.advanceTimersByTimeAsync(1100);
+
+        await assertion;
+        expect(exhausted).toHaveBeenCalledWith(expect.objectContaining({ operation: 'getDevice', attempts: 2 }));
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('non dovrebbe ripetere gli errori esclusi dal predicato né le operazioni annullate', async () => {
+        const fatal = new BLEError('Permesso negato', 'FATAL');
+        const policy = new BLERetryPolicy({
+            attempts: 5,
+            retryOn: error => error.code !== 'FATAL'
+        });
+        const operation = jest.fn().mockRejectedValue(fatal);
+
+        await expect(policy.execute(operation)).rejects.toBe(fatal);
+        expect(operation).toHaveBeenCalledTimes(1);
+
+        const controller = new AbortController();
+        const retried = new BLERetryPolicy({ attempts: 5, initialDelay: 1000 })
+            .execute(() => Promise.reject(new Error('busy')), { signal: controller.signal });
+        const assertion = expect(retried).rejects.toMatchObject({ code: ErrorCodes.BLE.OPERATION_CANCELLED });
+        await jest.advanceTimersByTimeAsync(0);
+        controller.abort();
+        await assertion;
+    });
+
+    it('dovrebbe leggere la configurazione da settings.RETRY_POLICIES', () => {
+        const policy = BLERetryPolicy.fromSettings('ADAPTER_LOOKUP', null, { attempts: 7 });
+        expect(policy.name).toBe('ADAPTER_LOOKUP');
+        expect(policy.attempts).toBe(7);
+        expect(() => BLERetryPolicy.fromSettings('MISSING')).toThrow(BLEError);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Test per BLESignalFilter.js
+ * Created: 2025-02-08 14:12:36
+ * Author: arkproject
+ */
+
+const {
+    BLESignalFilter,
+    SignalTrend,
+    estimateDistance,
+    getSignalQuality
+} = require('../../src/utils/BLESignalFilter');
+
+const options = {
+    TYPE: 'moving_average',
+    WINDOW: 3,
+    PROCESS_NOISE: 0.05,
+    MEASUREMENT_NOISE: 4,
+    TREND_THRESHOLD: 2
+};
+
+describe('BLESignalFilter', () => {
+    it('dovrebbe calcolare la media mobile sulla finestra', () => {
+        const filter = new BLESignalFilter(options);
+        [-60, -70, -80, -90].forEach(rssi => filter.add(rssi));
+
+        expect(filter.getValue()).toBe(-80);
+    });
+
+    it('dovrebbe attenuare i picchi con il filtro di Kalman', () => {
+        const filter = new BLESignalFilter({ ...options, TYPE: 'kalman' });
+        [-70, -70, -70, -70].forEach(rssi => filter.add(rssi));
+        const value = filter.add(-40);
+
+        expect(value).toBeLessThan(-55);
+        expect(value).toBeGreaterThan(-70);
+    });
+
+    it('dovrebbe usare il valore grezzo senza filtro', () => {
+        const filter = new BLESignalFilter({ ...options, TYPE: 'none' });
+        filter.add(-70);
+        expect(filter.add(-40)).toBe(-40);
+    });
+
+    it('dovrebbe rilevare la direzione del segnale', () => {
+        const filter = new BLESignalFilter({ ...options, TYPE: 'none' });
+        expect(filter.getTrend()).toBe(SignalTrend.STABLE);
+
+        [-80, -75, -70].forEach(rssi => filter.add(rssi));
+        expect(filter.getTrend()).toBe(SignalTrend.RISING);
+
+        [-71, -80, -85].forEach(rssi => filter.add(rssi));
+        expect(filter.getTrend()).toBe(SignalTrend.FALLING);
+
+        [-85, -86, -85].forEach(rssi => filter.add(rssi));
+        expect(filter.getTrend()).toBe(SignalTrend.STABLE);
+    });
+});
+
+describe('estimateDistance', () => {
+    const distanceOptions = { ONE_METER_LOSS: 41, PATH_LOSS_EXPONENT: 2 };
+
+    it('dovrebbe stimare la distanza dalla potenza di trasmissione', () => {
+        expect(estimateDistance(-41, 0, distanceOptions)).toBe(1);
+        expect(estimateDistance(-61, 0, distanceOptions)).toBe(10);
+    });
+
+    it('dovrebbe restituire null senza potenza di trasmissione', () => {
+        expect(estimateDistance(-60, null, distanceOptions)).toBeNull();
+    });
+});
+
+describe('getSignalQuality', () => {
+    it('dovrebbe classificare il segnale con le soglie configurate', () => {
+        expect(getSignalQuality(-45)).toBe('Eccellente');
+        expect(getSignalQuality(-60)).toBe('Buona');
+        expect(getSignalQuality(-70)).toBe('Discreta');
+        expect(getSignalQuality(-90)).toBe('Scarsa');
+        expect(getSignalQuality(null)).toBe('Non disponibile');
+    });
+});
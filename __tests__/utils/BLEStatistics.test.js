@@ -41,6 +41,16 @@ describe('BLEStatistics', () => {
         expect(stats.lastUpdate).toBeTruthy();
     });
 
+    test('should compute samples per packet', () => {
+        expect(bleStats.getStats().samplesPerPacket).toBe(0);
+        bleStats.recordPacket(3);
+        bleStats.recordPacket(2);
+        const stats = bleStats.getStats();
+        expect(stats.packetCounter).toBe(2);
+        expect(stats.packetSamples).toBe(5);
+        expect(stats.samplesPerPacket).toBe(2.5);
+    });
+
     test('should increment data counter', () => {
         bleStats.incrementDataCounter();
         const stats = bleStats.getStats();
@@ -48,6 +58,14 @@ describe('BLEStatistics', () => {
         expect(stats.lastUpdate).toBeTruthy();
     });
 
+    test('should count decoded samples and decoding errors', () => {
+        bleStats.incrementCounter();
+        bleStats.incrementErrorCount();
+        const stats = bleStats.getStats();
+        expect(stats.dataCounter).toBe(1);
+        expect(stats.errorCounter).toBe(1);
+    });
+
     test('should update connection state', () => {
         const newState = 'connected';
         bleStats.updateConnectionState(newState);
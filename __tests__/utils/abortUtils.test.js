@@ -0,0 +1,63 @@
+/**
+ * Test per abortUtils.js
+ * Created: 2025-02-12 09:41:05
+ * Author: arkproject
+ */
+
+const {
+    isCancellation,
+    throwIfAborted,
+    delay,
+    combineSignals
+} = require('../../src/utils/abortUtils');
+const { ErrorCodes } = require('../../src/utils/errorHandler');
+
+describe('abortUtils', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('dovrebbe lanciare l\'errore di annullamento con il motivo', () => {
+        const controller = new AbortController();
+        expect(() => throwIfAborted(controller.signal, 'findDevice')).not.toThrow();
+
+        controller.abort('ritorno al menu');
+        try {
+            throwIfAborted(controller.signal, 'findDevice');
+            throw new Error('non annullato');
+        } catch (error) {
+            expect(isCancellation(error)).toBe(true);
+            expect(error.code).toBe(ErrorCodes.BLE.OPERATION_CANCELLED);
+            expect(error.details).toEqual({ operation: 'findDevice', reason: 'ritorno al menu' });
+        }
+    });
+
+    it('dovrebbe cancellare il timer dell\'attesa all\'annullamento', async () => {
+        jest.useFakeTimers();
+        const controller = new AbortController();
+
+        const wait = delay(5000, controller.signal);
+        expect(jest.getTimerCount()).toBe(1);
+
+        controller.abort();
+        await expect(wait).rejects.toMatchObject({ code: ErrorCodes.BLE.OPERATION_CANCELLED });
+        expect(jest.getTimerCount()).toBe(0);
+
+        const completed = delay(100);
+        await jest.advanceTimersByTimeAsync(100);
+        await expect(completed).resolves.toBeUndefined();
+    });
+
+    it('dovrebbe combinare più segnali', () => {
+        const first = new AbortController();
+        const second = new AbortController();
+
+        expect(combineSignals(undefined, first.signal)).toBe(first.signal);
+
+        const combined = combineSignals(first.signal, null, second.signal);
+        expect(combined.aborted).toBe(false);
+        second.abort('stop');
+        expect(combined.aborted).toBe(true);
+        expect(combined.reason).toBe('stop');
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Test per advertisementUtils.js
+ * Created: 2025-02-08 09:47:12
+ * Author: arkproject
+ */
+
+const { parseAdvertisement, parseAppearance } = require('../../src/utils/advertisementUtils');
+
+// Variant D-Bus come restituito da dbus-next
+const variant = (signature, value) => ({ signature, value });
+
+describe('advertisementUtils', () => {
+    it('dovrebbe decodificare tutti i campi dell\'advertising', () => {
+        const advertisement = parseAdvertisement({
+            UUIDs: ['0000180F-0000-1000-8000-00805F9B34FB'],
+            TxPower: -4,
+            ManufacturerData: { 89: variant('ay', Buffer.from([0x01, 0x02])) },
+            ServiceData: { '180f': variant('ay', Buffer.from([0x64])) },
+            Appearance: 0x0441
+        });
+
+        expect(advertisement).toEqual({
+            serviceUUIDs: ['0000180f-0000-1000-8000-00805f9b34fb'],
+            txPower: -4,
+            manufacturerData: [{ companyId: 0x0059, data: Buffer.from([0x01, 0x02]) }],
+            serviceData: [{ uuid: '0000180f-0000-1000-8000-00805f9b34fb', data: Buffer.from([0x64]) }],
+            appearance: {
+                value: 0x0441,
+                category: 17,
+                subcategory: 1,
+                description: 'Sensore di corsa/camminata'
+            }
+        });
+    });
+
+    it('dovrebbe restituire valori vuoti senza dati di advertising', () => {
+        expect(parseAdvertisement({})).toEqual({
+            serviceUUIDs: [],
+            txPower: null,
+            manufacturerData: [],
+            serviceData: [],
+            appearance: null
+        });
+        expect(parseAppearance(undefined)).toBeNull();
+    });
+});
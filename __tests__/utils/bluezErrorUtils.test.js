@@ -0,0 +1,82 @@
+/**
+ * Test per bluezErrorUtils.js
+ * Created: 2025-02-13 09:41:12
+ * Author: arkproject
+ */
+
+const { DBusError } = require('dbus-next');
+const { classifyError, toBLEError } = require('../../src/utils/bluezErrorUtils');
+const { BLEError, ErrorCodes, ErrorRecovery, getErrorInfo } = require('../../src/utils/errorHandler');
+const { createCancellationError } = require('../../src/utils/abortUtils');
+
+describe('bluezErrorUtils', () => {
+    it('dovrebbe tradurre i nomi degli errori BlueZ in codici con azione di recupero', () => {
+        expect(classifyError(new DBusError('org.bluez.Error.NotReady', 'Resource Not Ready'))).toEqual({
+            code: ErrorCodes.BLE.NOT_READY,
+            retryable: true,
+            recovery: ErrorRecovery.RESET_ADAPTER,
+            dbusError: 'org.bluez.Error.NotReady'
+        });
+        expect(classifyError(new DBusError('org.bluez.Error.InProgress', 'Operation already in progress')))
+            .toMatchObject({ code: ErrorCodes.BLE.IN_PROGRESS, retryable: true, recovery: ErrorRecovery.WAIT });
+        expect(classifyError(new DBusError('org.bluez.Error.NotPermitted', 'Not permitted')))
+            .toMatchObject({ code: ErrorCodes.BLE.NOT_PERMITTED, retryable: false, recovery: ErrorRecovery.CHECK_PERMISSIONS });
+        expect(classifyError(new DBusError('org.bluez.Error.AuthenticationFailed', 'Authentication Failed')))
+            .toMatchObject({ code: ErrorCodes.BLE.AUTHENTICATION_FAILED, retryable: false, recovery: ErrorRecovery.REPAIR });
+        expect(classifyError(new DBusError('org.freedesktop.DBus.Error.NoReply', 'Did not receive a reply')))
+            .toMatchObject({ code: ErrorCodes.BLE.OPERATION_TIMEOUT, retryable: true });
+    });
+
+    it('dovrebbe raffinare org.bluez.Error.Failed e gli errori generici in base al testo', () => {
+        expect(classifyError(new DBusError('org.bluez.Error.Failed', 'le-connection-abort-by-local')))
+            .toMatchObject({ code: ErrorCodes.BLE.CONNECTION_ABORTED, recovery: ErrorRecovery.RECONNECT });
+        expect(classifyError(new DBusError('org.bluez.Error.Failed', 'Software caused connection abort')).code)
+            .toBe(ErrorCodes.BLE.CONNECTION_ABORTED);
+        expect(classifyError(new DBusError('org.bluez.Error.Failed', 'Input/output error')).code)
+            .toBe(ErrorCodes.BLE.BLUEZ_FAILED);
+        expect(classifyError(new DBusError('org.bluez.Error.NotPermitted', 'Insufficient authentication')).code)
+            .toBe(ErrorCodes.BLE.AUTHENTICATION_FAILED);
+        expect(classifyError(new DBusError('org.bluez.Error.Failed', 'Operation failed with ATT error: 0x0f')).code)
+            .toBe(ErrorCodes.BLE.AUTHENTICATION_FAILED);
+        expect(classifyError(new Error('Device not connected')).code).toBe(ErrorCodes.BLE.NOT_CONNECTED);
+        expect(classifyError(new Error('qualcosa di imprevisto'))).toMatchObject({
+            code: ErrorCodes.BLE.UNKNOWN_ERROR,
+            retryable: true,
+            dbusError: null
+        });
+    });
+
+    it('dovrebbe mantenere il codice dei BLEError e non ripetere gli annullamenti', () => {
+        const timeout = new BLEError('timeout', ErrorCodes.BLE.OPERATION_TIMEOUT);
+        expect(classifyError(timeout)).toMatchObject({ code: ErrorCodes.BLE.OPERATION_TIMEOUT, retryable: true });
+        expect(classifyError(createCancellationError('connect'))).toMatchObject({
+            code: ErrorCodes.BLE.OPERATION_CANCELLED,
+            retryable: false
+        });
+        expect(getErrorInfo('SCONOSCIUTO')).toEqual({ retryable: false, recovery: ErrorRecovery.NONE });
+    });
+
+    it('dovrebbe convertire gli errori in BLEError classificati', () => {
+        const error = toBLEError(
+            new DBusError('org.bluez.Error.InProgress', 'In Progress'),
+            'Errore durante la connessione',
+            ErrorCodes.BLE.CONNECTION_FAILED,
+            { deviceAddress: 'AA:BB' }
+        );
+
+        expect(error).toBeInstanceOf(BLEError);
+        expect(error).toMatchObject({
+            message: 'Errore durante la connessione',
+            code: ErrorCodes.BLE.IN_PROGRESS,
+            retryable: true,
+            recovery: ErrorRecovery.WAIT,
+            details: { deviceAddress: 'AA:BB', error: 'In Progress', dbusError: 'org.bluez.Error.InProgress' }
+        });
+
+        expect(toBLEError(new Error('???'), 'Errore', ErrorCodes.BLE.CONNECTION_FAILED).code)
+            .toBe(ErrorCodes.BLE.CONNECTION_FAILED);
+
+        const original = new BLEError('Comando rifiutato', ErrorCodes.BLE.COMMAND_REJECTED);
+        expect(toBLEError(original, 'Errore')).toBe(original);
+    });
+});
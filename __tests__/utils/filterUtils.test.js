@@ -0,0 +1,78 @@
+/**
+ * Test per filterUtils.js
+ * Created: 2025-02-07 15:21:40
+ * Author: arkproject
+ */
+
+const { matchesCriteria, combineCriteria, criteriaFromSettings } = require('../../src/utils/filterUtils');
+const { TARGET_SERVICE_UUID } = require('../../src/config/constants');
+
+const device = {
+    name: 'APTIS-0042',
+    address: 'aa:bb:cc:dd:ee:01',
+    rssi: -65,
+    serviceUUIDs: ['0000180f-0000-1000-8000-00805f9b34fb', TARGET_SERVICE_UUID],
+    manufacturerData: [{ companyId: 0x0059, data: Buffer.from([1, 2]) }]
+};
+
+describe('filterUtils', () => {
+    describe('matchesCriteria', () => {
+        it('dovrebbe confrontare l\'RSSI come numero', () => {
+            expect(matchesCriteria(device, { minRssi: -70 })).toBe(true);
+            expect(matchesCriteria(device, { minRssi: -60 })).toBe(false);
+            expect(matchesCriteria({ ...device, rssi: null }, { minRssi: -70 })).toBe(false);
+        });
+
+        it('dovrebbe supportare prefissi, pattern, servizi e produttore', () => {
+            expect(matchesCriteria(device, { namePrefix: ['XX', 'APTIS-'] })).toBe(true);
+            expect(matchesCriteria(device, { namePattern: '^APTIS-\\d+$' })).toBe(true);
+            expect(matchesCriteria(device, { namePattern: /^OTHER/ })).toBe(false);
+            expect(matchesCriteria(device, { serviceUUIDs: ['180F'] })).toBe(true);
+            expect(matchesCriteria(device, { serviceUUIDs: ['180a'] })).toBe(false);
+            expect(matchesCriteria(device, { manufacturerIds: [0x004c, 0x0059] })).toBe(true);
+            expect(matchesCriteria(device, { manufacturerIds: [0x004c] })).toBe(false);
+        });
+
+        it('dovrebbe applicare liste di indirizzi ammessi ed esclusi', () => {
+            expect(matchesCriteria(device, { addresses: ['AA:BB:CC:DD:EE:01'] })).toBe(true);
+            expect(matchesCriteria(device, { addresses: ['AA:BB:CC:DD:EE:02'] })).toBe(false);
+            expect(matchesCriteria(device, { excludeAddresses: ['AA:BB:CC:DD:EE:01'] })).toBe(false);
+        });
+
+        it('dovrebbe combinare i criteri in AND e OR', () => {
+            expect(matchesCriteria(device, {
+                any: [{ name: 'APTIS' }, { serviceUUIDs: [TARGET_SERVICE_UUID] }]
+            })).toBe(true);
+            expect(matchesCriteria(device, {
+                all: [{ name: 'APTIS' }, { serviceUUIDs: [TARGET_SERVICE_UUID] }]
+            })).toBe(false);
+            expect(matchesCriteria(device, combineCriteria(
+                { any: [{ namePrefix: 'APTIS' }] },
+                { excludeAddresses: ['AA:BB:CC:DD:EE:01'] }
+            ))).toBe(false);
+        });
+    });
+
+    describe('criteriaFromSettings', () => {
+        it('dovrebbe usare il nome del dispositivo target se non ci sono nomi configurati', () => {
+            const criteria = criteriaFromSettings({ NAMES: [], MATCH: 'any' }, -80);
+            expect(criteria).toEqual({ any: [{ name: 'APTIS' }], minRssi: -80 });
+        });
+
+        it('dovrebbe costruire criteri combinabili dalla configurazione', () => {
+            const criteria = criteriaFromSettings({
+                NAMES: ['APTIS'],
+                NAME_PREFIXES: ['APTIS-'],
+                SERVICE_UUIDS: [TARGET_SERVICE_UUID],
+                MATCH: 'all',
+                BLOCK_ADDRESSES: ['AA:BB:CC:DD:EE:02']
+            }, null);
+
+            expect(criteria.all).toHaveLength(3);
+            expect(criteria.excludeAddresses).toEqual(['AA:BB:CC:DD:EE:02']);
+            expect(criteria.minRssi).toBeUndefined();
+            expect(matchesCriteria(device, criteria)).toBe(false);
+            expect(matchesCriteria(device, { ...criteria, all: criteria.all.slice(1) })).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Test per tareUtils.js
+ * Created: 2025-02-16 10:04:51
+ * Author: arkproject
+ */
+
+const { applyTareToProfile, computeChannelStatistics, computeTareChannels } = require('../../src/utils/tareUtils');
+const { BLECalibrator } = require('../../src/utils/BLECalibration');
+const { packetSchemas } = require('../../src/utils/BLEPacketSchema');
+const { ErrorCodes } = require('../../src/utils/errorHandler');
+
+// Campioni alternati attorno ai valori indicati: media = valore, deviazione standard = delta
+function samples(values, delta = 0, count = 10) {
+    return Array.from({ length: count }, (_, index) => Object.fromEntries(
+        Object.entries(values).map(([field, value]) => [field, value + (index % 2 === 0 ? delta : -delta)])
+    ));
+}
+
+const PHASES = {
+    unloaded: samples({ pressione_tallone: 100, pressione_primo_metatarso: 80, pressione_quinto_metatarso: 120, asse_z: 3000 }, 2),
+    standing: samples({ asse_x: 5, asse_y: -3, asse_z: 1010, pressione_tallone: 900 }, 1)
+};
+
+describe('tareUtils', () => {
+    const schema = packetSchemas.get('insole_v1');
+
+    it('dovrebbe calcolare media e rumore dei canali', () => {
+        expect(computeChannelStatistics(samples({ asse_x: 10 }, 3), ['asse_x'])).toEqual({
+            asse_x: { mean: 10, noise: 3, min: 7, max: 13, count: 10 }
+        });
+        expect(() => computeChannelStatistics([], ['asse_x'])).toThrow(expect.objectContaining({
+            code: ErrorCodes.BLE.INVALID_STATE,
+            details: expect.objectContaining({ field: 'asse_x' })
+        }));
+    });
+
+    it('dovrebbe tarare le pressioni a piede sollevato e gli accelerometri in piedi', () => {
+        const profile = { id: 'P1', channels: { asse_z: { gain: 0.001, offset: 0 } } };
+        const { channels, gravityAxis } = computeTareChannels({
+            unloaded: PHASES.unloaded,
+            standing: samples({ asse_x: 5, asse_y: -3, asse_z: -990 }, 1)
+        }, schema, profile);
+
+        expect(gravityAxis).toBe('asse_z');
+        expect(channels).toEqual({
+            pressione_tallone: { offset: 100, noise_floor: 2 },
+            pressione_primo_metatarso: { offset: 80, noise_floor: 2 },
+            pressione_quinto_metatarso: { offset: 120, noise_floor: 2 },
+            asse_x: { offset: 5, noise_floor: 1 },
+            asse_y: { offset: -3, noise_floor: 1 },
+            // -990 conteggi = -1 g (1000 conteggi/g) + 10
+            asse_z: { offset: 10, noise_floor: 1 }
+        });
+    });
+
+    it('dovrebbe lasciare invariato l\'offset dell\'asse di gravità senza guadagno', () => {
+        const { channels, gravityAxis } = computeTareChannels(PHASES, schema);
+        expect(gravityAxis).toBe('asse_z');
+        expect(channels.asse_z).toEqual({ noise_floor: 1 });
+        expect(channels.asse_x).toEqual({ offset: 5, noise_floor: 1 });
+    });
+
+    it('dovrebbe unire la tara al profilo mantenendo i guadagni', () => {
+        const tare = {
+            deviceAddress: 'AA:BB:CC:DD:EE:FF',
+            schema: 'insole_v1',
+            durationMs: 5000,
+            gravityAxis: 'asse_z',
+            timestamp: '2025-02-16 10:04:51',
+            samples: { unloaded: 10, standing: 10 },
+            ...computeTareChannels(PHASES, schema)
+        };
+
+        const updated = applyTareToProfile(
+            { id: 'P1', serialNumber: 'SN001', channels: { pressione_tallone: { gain: 0.5, offset: 90, unit: 'kPa' } } },
+            tare
+        );
+        expect(updated.channels.pressione_tallone).toEqual({ gain: 0.5, offset: 100, noise_floor: 2, unit: 'kPa' });
+        expect(updated.tare).toMatchObject({ capturedAt: '2025-02-16 10:04:51', gravityAxis: 'asse_z', samples: { unloaded: 10 } });
+
+        // Nuovo profilo: i canali con la sola tara restano in conteggi
+        const created = applyTareToProfile(null, tare, { id: 'SN002-2025-02-16', serialNumber: 'SN002' });
+        expect(created).toMatchObject({ id: 'SN002-2025-02-16', serialNumber: 'SN002' });
+        const calibrator = new BLECalibrator(created, schema, { ACCELERATION_UNIT: 'g', PRESSURE_UNIT: 'N' });
+        expect(calibrator.calibrate({ pressione_tallone: 130, asse_z: 1010 })).toMatchObject({
+            pressione_tallone_cal: 30,
+            asse_z_cal: 1010
+        });
+        expect(calibrator.describe().units).toMatchObject({ pressione_tallone_cal: 'counts' });
+    });
+});
@@ -1,5 +1,11 @@
 const BLEScanner = require('./src/bluetooth/BLEScanner');
+const BLEEventManager = require('./src/bluetooth/BLEEventManager');
+const { BLEError, handleError, ErrorCodes } = require('./src/utils/errorHandler');
 const { getUserInput } = require('./src/utils/inputUtils');
+const { isCancellation } = require('./src/utils/abortUtils');
+const { ConnectionStates } = require('./src/bluetooth/BLEConnectionState');
+const { TarePhases } = require('./src/bluetooth/BLETareCalibration');
+const { SubjectRoles } = require('./src/bluetooth/BLESubjectPairing');
 const settings = require('./src/config/settings');
 const { getCurrentTimestamp } = require('./src/utils/dateUtils');
 
@@ -10,17 +16,85 @@ const APP_INFO = {
     version: '2.0.0'
 };
 
+// Istruzioni per l'operatore nelle fasi della calibrazione di zero
+const TARE_INSTRUCTIONS = {
+    [TarePhases.UNLOADED]: 'Fase 1/2 - Solleva il piede da terra e tienilo fermo: la soletta non deve toccare nulla',
+    [TarePhases.STANDING]: 'Fase 2/2 - Appoggia il piede e resta in piedi, fermo, con il peso distribuito su entrambi i piedi'
+};
+
 class BLEApplication {
     constructor() {
-        this.scanner = new BLEScanner();
+        this.eventManager = new BLEEventManager();
+        this.scanner = new BLEScanner(this.eventManager);
         this.activeDevice = null;
         this.isRunning = true;
+        this.samplingRate = null;
+        this.keyHandler = null;      // Gestore dei tasti in modalità raw durante l'acquisizione
+
+        this.eventManager.on('bluetooth:adapter_removed', (data) => {
+            if (data.wasSelected) {
+                console.log(`\n[Adapter] ${data.name} rimosso, in attesa che ricompaia...`);
+            }
+        });
+
+        this.eventManager.on('bluetooth:adapter_restored', (data) => {
+            console.log(`\n[Adapter] ${data.name} di nuovo disponibile, ripresa acquisizione`);
+        });
+
+        this.eventManager.on('device:battery_low', (data) => {
+            console.log(`\n[Batteria] ${data.deviceAddress}: livello ${data.level}% sotto la soglia del ${data.threshold}%`);
+        });
+
+        this.eventManager.on('watchdog:escalation', (data) => {
+            console.log(`\n[Watchdog] ${data.deviceAddress}: nessun dato da ${data.silentFor} ms, stadio ${data.stage} (${data.action})`);
+        });
+
+        this.eventManager.on('breaker:opened', (data) => {
+            console.log(`\n[Adapter] ${data.failures} fallimenti consecutivi, circuito aperto: recupero stadio ${data.stage}, nuova prova tra ${data.cooldown / 1000} s`);
+        });
+
+        this.eventManager.on('breaker:closed', () => {
+            console.log('\n[Adapter] Circuito richiuso, adapter di nuovo operativo');
+        });
+
+        this.eventManager.on('pairing:paired', (data) => {
+            console.log(`\n[Accoppiamento] ${data.deviceAddress}: ${data.alreadyPaired ? 'bond esistente' : 'bond creato'}`);
+        });
+
+        this.eventManager.on('pairing:failed', (data) => {
+            console.log(`\n[Accoppiamento] ${data.deviceAddress}: fallito (${data.code}). Ricrea il bond dal menu 4`);
+        });
+
+        this.eventManager.on('pairing:cancelled', () => {
+            console.log('\n[Accoppiamento] Richiesta annullata da BlueZ');
+        });
+
+        // Le richieste possono arrivare durante l'acquisizione (riconnessione con bond):
+        // l'input a righe sostituisce temporaneamente i comandi a tasto singolo
+        this.scanner.setPairingPromptHandler({
+            requestPasskey: (address, { signal }) => this.withLineInput(() =>
+                getUserInput(`\n[Accoppiamento] Passkey mostrata da ${address}: `, { signal })),
+            confirmPasskey: async (address, passkey, { signal }) => (await this.withLineInput(() =>
+                getUserInput(`\n[Accoppiamento] ${address} mostra la passkey ${passkey}? (s/n): `, { signal }))).toLowerCase() === 's',
+            displayPasskey: (address, passkey) =>
+                console.log(`\n[Accoppiamento] Inserisci sul dispositivo ${address} la passkey: ${passkey}`)
+        });
+
+        this.eventManager.on('scanner:role_missing', (data) => {
+            console.log(`\n[Soggetto] ${data.deviceAddress}: piede non configurato, campioni esclusi dal file allineato`);
+        });
+
+        this.eventManager.on('scanner:reconnect_aborted', (data) => {
+            console.log(`\n[Riconnessione] ${data.deviceAddress}: interrotta (${data.code}), azione suggerita: ${data.recovery}`);
+        });
     }
 
     async showMainMenu() {
         console.log('\n=== Menu Principale ===');
-        console.log('1. Ricerca automatica dispositivo APTIS');
+        console.log(`1. Ricerca automatica dispositivi APTIS (max ${settings.TARGET_DEVICE.MAX_DEVICES})`);
         console.log('2. Scansione manuale e selezione dispositivo');
+        console.log('3. Seleziona adapter Bluetooth');
+        console.log('4. Gestisci dispositivi registrati');
         console.log('q. Esci');
         console.log('=====================');
 
@@ -40,6 +114,14 @@ class BLEApplication {
                 return null;
             }
 
+            console.log('\nDispositivi trovati:');
+            devices.forEach((device, index) => {
+                const rssi = device.smoothedRssi !== null ? `${device.smoothedRssi} dBm (${device.signalQuality})` : 'RSSI non disponibile';
+                const distance = device.distance !== null ? ` ~${device.distance} m` : '';
+                const label = device.alias ? `${device.alias} [${device.name}]` : device.name;
+                console.log(`${index + 1}. ${label} (${device.address}) ${rssi}${distance}`);
+            });
+
             while (true) {
                 const deviceIndex = parseInt(await getUserInput('\nInserisci il numero del dispositivo da connettere (0 per tornare al menu): ')) - 1;
 
@@ -48,9 +130,24 @@ class BLEApplication {
                     const selectedDevice = devices[deviceIndex];
                     console.log('\nDispositivo selezionato:');
                     console.log(`Nome: ${selectedDevice.name}`);
+                    if (selectedDevice.alias) {
+                        console.log(`Alias: ${selectedDevice.alias}`);
+                    }
                     console.log(`Indirizzo: ${selectedDevice.address}`);
-                    console.log(`RSSI: ${selectedDevice.rssi}`);
+                    console.log(`RSSI: ${selectedDevice.smoothedRssi !== null ? `${selectedDevice.smoothedRssi} dBm (ultimo: ${selectedDevice.rssi} dBm, trend: ${selectedDevice.rssiTrend})` : 'Non disponibile'}`);
                     console.log(`Qualità segnale: ${selectedDevice.signalQuality}`);
+                    if (selectedDevice.txPower !== null) {
+                        console.log(`Potenza TX: ${selectedDevice.txPower} dBm`);
+                    }
+                    if (selectedDevice.distance !== null) {
+                        console.log(`Distanza stimata: ${selectedDevice.distance} m`);
+                    }
+                    if (selectedDevice.appearance) {
+                        console.log(`Aspetto: ${selectedDevice.appearance.description}`);
+                    }
+                    selectedDevice.manufacturerData.forEach(entry => {
+                        console.log(`Dati produttore 0x${entry.companyId.toString(16).padStart(4, '0')}: ${entry.data.toString('hex')}`);
+                    });
 
                     const confirm = await getUserInput('\nConfermi la selezione? (s/n): ');
                     if (confirm.toLowerCase() === 's') {
@@ -73,7 +170,161 @@ class BLEApplication {
         }
     }
 
+    async handleAdapterSelection() {
+        try {
+            const adapters = await this.scanner.listAdapters();
+            if (adapters.length === 0) {
+                console.log('Nessun adapter Bluetooth disponibile');
+                return;
+            }
+
+            console.log('\nAdapter disponibili:');
+            adapters.forEach((adapter, index) => {
+                console.log(`${index + 1}. ${adapter.name} (${adapter.address})${adapter.alias ? ` - ${adapter.alias}` : ''}${adapter.powered ? '' : ' [spento]'}${adapter.selected ? ' *' : ''}`);
+            });
+
+            const adapterIndex = parseInt(await getUserInput('\nInserisci il numero dell\'adapter da usare (0 per tornare al menu): ')) - 1;
+            if (adapterIndex >= 0 && adapterIndex < adapters.length) {
+                const selected = adapters[adapterIndex];
+                if (await this.scanner.selectAdapter(selected.name)) {
+                    console.log(`Adapter ${selected.name} selezionato`);
+                }
+            } else if (adapterIndex !== -1) {
+                console.log('Selezione non valida');
+            }
+        } catch (error) {
+            handleError(
+                new BLEError(
+                    'Errore durante la selezione dell\'adapter',
+                    ErrorCodes.BLE.INITIALIZATION_FAILED,
+                    { error: error.message }
+                ),
+                'BLEApplication.handleAdapterSelection'
+            );
+        }
+    }
+
+    async handleRegistry() {
+        const registry = this.scanner.getRegistry();
+
+        while (true) {
+            const devices = registry.getAll();
+
+            console.log('\n=== Dispositivi registrati ===');
+            if (devices.length === 0) {
+                console.log('Nessun dispositivo registrato');
+            }
+            devices.forEach((device, index) => {
+                console.log(`${index + 1}. ${device.alias || '(senza alias)'} - ${device.address}`);
+                console.log(`   Soggetto: ${device.subject || '-'}  Piede: ${device.role || '-'}  Firmware: ${device.firmware || '-'}  Calibrazione: ${device.calibrationRef || '-'}  Ultimo avvistamento: ${device.lastSeen || 'mai'}`);
+                console.log(`   Bond: ${device.bonded ? `sì (dal ${device.bondedAt})` : 'no'}`);
+            });
+            console.log('\na - Aggiungi dispositivo');
+            console.log('e - Modifica dispositivo');
+            console.log('d - Rimuovi dispositivo');
+            console.log('b - Crea/ricrea bond (accoppiamento)');
+            console.log('x - Rimuovi bond');
+            console.log('0 - Torna al menu principale');
+
+            const choice = (await getUserInput('Seleziona un\'opzione: ')).toLowerCase();
+
+            try {
+                switch (choice) {
+                    case 'a': {
+                        const address = await getUserInput('Indirizzo (AA:BB:CC:DD:EE:FF): ');
+                        await this.editRegistryEntry(registry, address, {});
+                        break;
+                    }
+
+                    case 'e':
+                    case 'd':
+                    case 'b':
+                    case 'x': {
+                        const index = parseInt(await getUserInput('Numero del dispositivo: ')) - 1;
+                        const device = devices[index];
+                        if (!device) {
+                            console.log('Selezione non valida');
+                            break;
+                        }
+                        if (choice === 'e') {
+                            await this.editRegistryEntry(registry, device.address, device);
+                        } else if (choice === 'b') {
+                            console.log(`Accoppiamento di ${device.alias || device.address}: accendere il dispositivo...`);
+                            if (await this.scanner.recreateBond(device.address)) {
+                                console.log('Bond creato');
+                            }
+                        } else if (choice === 'x') {
+                            if (await this.scanner.removeBond(device.address)) {
+                                console.log('Bond rimosso');
+                            }
+                        } else if ((await getUserInput(`Rimuovere ${device.alias || device.address}? (s/n): `)).toLowerCase() === 's') {
+                            registry.remove(device.address);
+                        }
+                        break;
+                    }
+
+                    case '0':
+                        return;
+
+                    default:
+                        console.log('Opzione non valida');
+                }
+            } catch (error) {
+                handleError(error, 'BLEApplication.handleRegistry');
+            }
+        }
+    }
+
+    async editRegistryEntry(registry, address, current) {
+        console.log('(Invio per mantenere il valore attuale, "-" per cancellarlo)');
+        const fields = {};
+        const labels = {
+            alias: 'Alias (es. Kit 3 - Sinistra)',
+            subject: 'Soggetto',
+            role: 'Piede (left/right)',
+            firmware: 'Firmware',
+            calibrationRef: 'Profilo di calibrazione (ID; vuoto = per numero di serie)'
+        };
+
+        for (const [field, label] of Object.entries(labels)) {
+            const value = (await getUserInput(`${label} [${current[field] || ''}]: `)).trim();
+            if (value === '-') {
+                fields[field] = null;
+            } else if (value !== '') {
+                fields[field] = value;
+            }
+        }
+
+        const entry = registry.register(address, fields);
+        console.log(`Dispositivo ${entry.alias || entry.address} salvato`);
+    }
+
+    // Il piede non si deduce dall'ordine di connessione: lo chiede per i dispositivi
+    // che non lo hanno né nel registro né in SUBJECT.ROLES
+    async assignMissingRoles() {
+        if (!settings.SUBJECT.ENABLED) return;
+
+        const devices = this.scanner.getConnectionStatus().devices
+            .filter(device => device.isConnected && !device.role);
+
+        for (const device of devices) {
+            const answer = (await getUserInput(
+                `\n[Soggetto] Piede di ${device.alias || device.deviceName} (${device.deviceAddress}) - s = sinistro, d = destro, Invio = nessuno: `
+            )).trim().toLowerCase();
+            const role = { s: SubjectRoles.LEFT, d: SubjectRoles.RIGHT }[answer];
+
+            if (!role) {
+                console.log('Nessun piede indicato: i campioni del dispositivo non entrano nel file allineato');
+            } else if (this.scanner.setDeviceRole(device.deviceAddress, role) &&
+                (await getUserInput('Ricordare il piede nel registro? (s/n): ')).toLowerCase() === 's') {
+                this.scanner.getRegistry().register(device.deviceAddress, { role });
+            }
+        }
+    }
+
     async startDataAcquisition() {
+        await this.assignMissingRoles();
+
         console.log('\nAcquisizione dati avviata');
         this.showCommandMenu();
 
@@ -101,9 +352,29 @@ class BLEApplication {
                         this.showCommandMenu();
                         break;
 
+                    case 'a':
+                        this.showCommandResults('Avvio streaming', await this.scanner.startStreaming());
+                        break;
+
+                    case 'z':
+                        this.showCommandResults('Arresto streaming', await this.scanner.stopStreaming());
+                        break;
+
+                    case 'f':
+                        await this.handleSamplingRate();
+                        break;
+
+                    case 'c':
+                        // La procedura chiede conferme all'operatore: input a righe durante la calibrazione
+                        await this.withLineInput(() => this.handleTareCalibration());
+                        this.showCommandMenu();
+                        break;
+
                     case 'm':
+                        // Annulla anche le riconnessioni in background
                         await this.scanner.disconnect();
                         process.stdin.removeListener('data', handleKey);
+                        this.keyHandler = null;
                         resolve('menu');
                         break;
 
@@ -114,40 +385,178 @@ class BLEApplication {
                 }
             };
 
+            this.keyHandler = handleKey;
             process.stdin.on('data', handleKey);
         });
     }
 
+    /**
+     * Esegue una procedura con input a righe (readline) sospendendo i comandi a
+     * tasto singolo dell'acquisizione, ripristinati al termine
+     * @param {Function} task - () => Promise
+     * @returns {Promise<*>} Risultato della procedura
+     */
+    async withLineInput(task) {
+        const handleKey = this.keyHandler;
+        if (!handleKey) return task();
+
+        this.keyHandler = null;
+        process.stdin.removeListener('data', handleKey);
+        process.stdin.setRawMode(false);
+        try {
+            return await task();
+        } finally {
+            // readline alla chiusura mette in pausa stdin
+            process.stdin.setRawMode(true);
+            process.stdin.resume();
+            process.stdin.on('data', handleKey);
+            this.keyHandler = handleKey;
+        }
+    }
+
     showCommandMenu() {
         console.log('\nComandi disponibili:');
         console.log('q - Esci');
         console.log('s - Mostra statistiche');
         console.log('r - Riconnetti');
+        console.log('a - Avvia streaming');
+        console.log('z - Ferma streaming');
+        console.log(`f - Cambia frequenza di campionamento (${settings.COMMANDS.SAMPLING_RATES.join('/')} Hz)`);
+        console.log('c - Calibrazione di zero (tara)');
         console.log('h - Mostra questo menu');
         console.log('m - Torna al menu principale');
     }
 
+    async handleSamplingRate() {
+        const rates = settings.COMMANDS.SAMPLING_RATES;
+        const next = rates[(rates.indexOf(this.samplingRate) + 1) % rates.length];
+
+        const results = await this.scanner.setSamplingRate(next);
+        this.showCommandResults(`Frequenza ${next} Hz`, results);
+        if (results.some(result => result.success)) {
+            this.samplingRate = next;
+        }
+    }
+
+    async handleTareCalibration() {
+        const devices = this.scanner.getConnectionStatus().devices
+            .filter(device => device.state === ConnectionStates.STREAMING);
+        if (devices.length === 0) {
+            console.log('\n[Tara] Nessun dispositivo in streaming');
+            return;
+        }
+
+        console.log('\n=== Calibrazione di zero (tara) ===');
+        devices.forEach((device, index) => {
+            console.log(`${index + 1}. ${device.alias || device.deviceName} (${device.deviceAddress})${device.role ? ` - piede ${device.role}` : ''}`);
+        });
+
+        const deviceIndex = parseInt(await getUserInput('Dispositivo da calibrare (0 per annullare): ')) - 1;
+        if (!(deviceIndex >= 0 && deviceIndex < devices.length)) {
+            if (deviceIndex !== -1) console.log('Selezione non valida');
+            return;
+        }
+        const device = devices[deviceIndex];
+
+        const defaultSeconds = settings.TARE.DURATION / 1000;
+        const seconds = parseFloat(await getUserInput(`Durata di ogni fase in secondi [${defaultSeconds}]: `)) || defaultSeconds;
+        const durationMs = Math.round(seconds * 1000);
+
+        try {
+            const result = await this.scanner.runTareCalibration(device.deviceAddress, {
+                durationMs,
+                onPhase: async phase => {
+                    console.log(`\n${TARE_INSTRUCTIONS[phase]}`);
+                    await getUserInput('Premi Invio quando sei pronto...');
+                    console.log(`Acquisizione in corso (${seconds} s), non muoverti...`);
+                }
+            });
+
+            console.log(`\n[Tara] Profilo ${result.profileId} aggiornato (campioni: ${result.samples[TarePhases.UNLOADED]} a piede sollevato, ${result.samples[TarePhases.STANDING]} in piedi)`);
+            Object.entries(result.channels).forEach(([name, channel]) => {
+                const offset = channel.offset !== undefined ? channel.offset : 'invariato';
+                console.log(`   ${name}: offset ${offset}, rumore ${channel.noise_floor}${name === result.gravityAxis ? ' (asse di gravità)' : ''}`);
+            });
+        } catch (error) {
+            if (isCancellation(error)) {
+                console.log('\n[Tara] Calibrazione annullata');
+                return;
+            }
+            handleError(error, 'BLEApplication.handleTareCalibration');
+        }
+    }
+
+    showCommandResults(label, results) {
+        if (results.length === 0) {
+            console.log(`\n[Comando] ${label}: nessun dispositivo connesso`);
+            return;
+        }
+
+        results.forEach(result => {
+            console.log(`\n[Comando] ${label} - ${result.deviceAddress}: ${result.success ? 'OK' : `fallito (${result.error})`}`);
+        });
+    }
+
     showStatistics() {
         const stats = this.scanner.getStatistics();
         const connStatus = this.scanner.getConnectionStatus();
 
         console.log('\n=== Statistiche ===');
-        console.log(`Stato connessione: ${connStatus.isConnected ? 'Connesso' : 'Disconnesso'}`);
-        console.log(`Dispositivo: ${connStatus.deviceName}`);
-        console.log(`Indirizzo: ${connStatus.deviceAddress}`);
-        console.log(`Connesso da: ${connStatus.connectionTime}`);
-        console.log(`Campioni ricevuti: ${stats.dataCounter}`);
-        console.log(`File corrente: ${stats.session.currentFile}`);
+        console.log(`Dispositivi connessi: ${connStatus.connectedDevices}/${connStatus.maxDevices}`);
+        console.log(`Campioni ricevuti (totale): ${stats.dataCounter}`);
+        console.log(`Operazioni BlueZ in coda: ${stats.operations.total} (adapter ${stats.operations.adapter}), scadute: ${stats.operations.timedOut}`);
+        console.log(`Circuit breaker adapter: ${stats.circuitBreaker.state} (aperture: ${stats.circuitBreaker.opened}, recuperi: ${stats.circuitBreaker.recoveries}, rifiutate: ${stats.circuitBreaker.rejected})`);
+
+        connStatus.devices.forEach(device => {
+            const deviceStats = stats.devices.find(d => d.deviceAddress === device.deviceAddress) || {};
+            console.log('-----------------');
+            console.log(`Dispositivo: ${device.alias || device.deviceName} (${device.deviceAddress})${device.role ? ` - piede ${device.role}` : ''}`);
+            console.log(`Stato connessione: ${device.isConnected ? 'Connesso' : device.isReconnecting ? 'In riconnessione' : 'Disconnesso'}`);
+            console.log(`Connesso da: ${device.connectionTime}`);
+            if (device.deviceInfo) {
+                console.log(`Modello: ${device.deviceInfo.manufacturer || '-'} ${device.deviceInfo.model || ''} (S/N ${device.deviceInfo.serialNumber || '-'})`);
+                console.log(`Firmware: ${device.deviceInfo.firmwareRevision || '-'}  Hardware: ${device.deviceInfo.hardwareRevision || '-'}`);
+            }
+            if (device.protocol) {
+                console.log(`Protocollo: ${device.protocol.schema} v${device.protocol.version} (scelto per ${device.protocol.source})`);
+            }
+            console.log(`Profilo di calibrazione: ${device.calibration || 'nessuno (solo valori grezzi)'}`);
+            if (device.battery.level !== null) {
+                console.log(`Batteria: ${device.battery.level}%${device.battery.isLow ? ' (scarica)' : ''}`);
+            }
+            console.log(`Campioni ricevuti: ${deviceStats.dataCounter}`);
+            console.log(`Campioni/s: ${deviceStats.samplesPerSecond}`);
+            console.log(`Campioni per notifica: ${deviceStats.samplesPerPacket} (${deviceStats.packetCounter} notifiche)`);
+            console.log(`Operazioni in coda: ${deviceStats.queueDepth}`);
+            console.log(`File corrente: ${deviceStats.session ? deviceStats.session.currentFile : null}`);
+        });
+
+        if (stats.subject) {
+            console.log('-----------------');
+            console.log(`Soggetto: ${stats.subject.subjectId}`);
+            console.log(`Campioni accoppiati: ${stats.subject.paired}`);
+            console.log(`Non accoppiati (sx/dx): ${stats.subject.unmatchedLeft}/${stats.subject.unmatchedRight}`);
+            console.log(`File allineato: ${stats.subject.currentFile}`);
+        }
         console.log('=================\n');
     }
 
     async handleReconnection() {
         console.log('\nTentativo di riconnessione...');
         await this.scanner.disconnect();
-        if (this.activeDevice) {
-            await this.scanner.handleConnection(this.activeDevice);
-        } else {
-            await this.scanner.autoConnectToTarget();
+        try {
+            if (this.activeDevice) {
+                await this.scanner.connectToAddress(this.activeDevice.address);
+            } else {
+                await this.scanner.autoConnectToTarget();
+            }
+        } catch (error) {
+            // Chiamato dal gestore dei tasti, che nessuno attende: l'errore non va rilanciato
+            if (isCancellation(error)) {
+                console.log('\nRiconnessione annullata');
+            } else {
+                handleError(error, 'BLEApplication.handleReconnection');
+            }
         }
     }
 
@@ -158,11 +567,17 @@ class BLEApplication {
         console.log(`User: ${APP_INFO.user}`);
         console.log('==============================\n');
 
+        if (!await this.scanner.initialize()) {
+            console.log('Impossibile inizializzare il Bluetooth.');
+            return;
+        }
+
         while (this.isRunning) {
             const choice = await this.showMainMenu();
 
             switch (choice) {
                 case '1':
+                    this.activeDevice = null;
                     console.log(`\nAvvio ricerca automatica dispositivo ${settings.TARGET_DEVICE.NAME}...`);
                     const connected = await this.scanner.autoConnectToTarget();
 
@@ -179,13 +594,21 @@ class BLEApplication {
                     this.activeDevice = await this.handleManualScan();
                     if (this.activeDevice) {
                         console.log(`\nConnessione a: ${this.activeDevice.name}`);
-                        if (await this.scanner.handleConnection(this.activeDevice)) {
+                        if (await this.scanner.connectToAddress(this.activeDevice.address)) {
                             const result = await this.startDataAcquisition();
                             if (result === 'menu') continue;
                         }
                     }
                     break;
 
+                case '3':
+                    await this.handleAdapterSelection();
+                    break;
+
+                case '4':
+                    await this.handleRegistry();
+                    break;
+
                 case 'q':
                     await this.cleanup();
                     return;
@@ -200,7 +623,7 @@ class BLEApplication {
 
     async cleanup() {
         this.isRunning = false;
-        await this.scanner.disconnect();
+        await this.scanner.cleanup();
         console.log('Programma terminato.');
     }
 }
@@ -2,6 +2,7 @@ const { createBluetooth } = require('node-ble');
 const readline = require('readline');
 const fs = require('fs');
 const path = require('path');
+const { packetSchemas } = require('./src/utils/BLEPacketSchema');
 
 class BLEScanner {
     constructor() {
@@ -13,6 +14,7 @@ class BLEScanner {
         this.scanTimer = null;
         this.dataCounter = 0;        // Inizializzazione esplicita
         this.startTime = null;       // Inizializzazione esplicita
+        this.packetSchema = packetSchemas.getDefault();
 
         // Crea cartella logs se non esiste
         this.logsDir = path.join(__dirname, 'logs');
@@ -27,7 +29,7 @@ class BLEScanner {
 
         // Crea/Apri il file di log e scrivi l'intestazione
         if (!fs.existsSync(this.logFileName)) {
-            const header = 'timestamp,numero_progressivo,asse_x,asse_y,asse_z,pressione_tallone,pressione_primo_metatarso,pressione_quinto_metatarso,segnale_uno,segnale_due,raw_hex\n';
+            const header = this.packetSchema.getCsvHeader().join(',') + '\n';
             fs.writeFileSync(this.logFileName, header);
         }
     }
@@ -56,39 +58,30 @@ class BLEScanner {
         const timestamp = new Date().toISOString().replace('T', ' ').substring(0, 19);
 
         try {
-            if (buffer.length < 20) {  // 40 caratteri hex = 20 bytes
-                throw new Error(`Buffer troppo corto: ${buffer.length} bytes (attesi 20 bytes)`);
-            }
+            // Suddivide la notifica nei campioni previsti dallo schema (verifica anche la lunghezza)
+            const frames = this.packetSchema.splitFrames(buffer);
 
-            // Incrementa il contatore e imposta il tempo di inizio
-            this.dataCounter++;
+            // Imposta il tempo di inizio
             if (!this.startTime) {
                 this.startTime = Date.now();
             }
 
-            // Decodifica diretta dal buffer usando DataView per massima affidabilità
-            const view = new DataView(buffer.buffer, buffer.byteOffset);
-
-            const decodedData = {
-                timestamp,
-                numero_progressivo: view.getUint16(0, false),  // false = big endian
-                asse_x: view.getInt16(2, true),               // true = little endian
-                asse_y: view.getInt16(4, true),
-                asse_z: view.getInt16(6, true),
-                pressione_tallone: view.getUint16(8, true),
-                pressione_primo_metatarso: view.getUint16(10, true),
-                pressione_quinto_metatarso: view.getUint16(12, true),
-                segnale_uno: view.getUint16(14, true),
-                segnale_due: view.getUint16(16, true)
-            };
+            return frames.map(frame => {
+                this.dataCounter++;
 
-            // Log compatto ma informativo
-            console.log(`[${timestamp}] Dati decodificati:`, {
-                hex: buffer.toString('hex'),
-                ...decodedData
-            });
+                const decodedData = {
+                    timestamp,
+                    ...this.packetSchema.decode(frame)
+                };
 
-            return decodedData;
+                // Log compatto ma informativo
+                console.log(`[${timestamp}] Dati decodificati:`, {
+                    hex: frame.toString('hex'),
+                    ...decodedData
+                });
+
+                return decodedData;
+            });
 
         } catch (error) {
             console.error(`[${timestamp}] Errore nella decodifica:`, error);
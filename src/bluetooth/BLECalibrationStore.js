@@ -0,0 +1,174 @@
+/**
+ * BLECalibrationStore.js
+ * Archivio persistente dei profili di calibrazione delle solette, indicizzati per
+ * identificativo e associati al numero di serie del dispositivo (Device Information
+ * Service). La conversione dei valori è in src/utils/BLECalibration.js.
+ *
+ * Created: 2025-02-15 09:12:37
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BLEError, FileError, handleError, ErrorCodes } = require('../utils/errorHandler');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const settings = require('../config/settings');
+
+const STORE_VERSION = 1;
+
+class BLECalibrationStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - Percorso del file (default: settings.CALIBRATION.FILE_PATH,
+     *                                      relativo alla radice del progetto)
+     */
+    constructor(options = {}) {
+        const filePath = options.filePath || settings.CALIBRATION.FILE_PATH;
+        this.filePath = path.isAbsolute(filePath) ?
+            filePath : path.join(__dirname, '..', '..', filePath);
+        this.profiles = new Map();  // id -> profilo
+        this.loaded = false;
+    }
+
+    /**
+     * Carica i profili da file; un file assente equivale a un archivio vuoto
+     * @returns {boolean} true se il caricamento è riuscito
+     */
+    load() {
+        this.profiles.clear();
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                Object.values(content.profiles || {}).forEach(profile => {
+                    this.profiles.set(profile.id, profile);
+                });
+            }
+            this.loaded = true;
+            return true;
+        } catch (error) {
+            handleError(new FileError(
+                'Lettura dei profili di calibrazione fallita',
+                ErrorCodes.FILE.READ_FAILED,
+                { filePath: this.filePath, error: error.message }
+            ), 'BLECalibrationStore.load');
+            return false;
+        }
+    }
+
+    /**
+     * Salva i profili su file (scrittura su file temporaneo e rinomina)
+     * @returns {boolean} true se il salvataggio è riuscito
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            const content = {
+                version: STORE_VERSION,
+                updatedAt: getCurrentTimestamp(),
+                profiles: Object.fromEntries(this.profiles)
+            };
+
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(content, null, 2) + '\n');
+            fs.renameSync(tempPath, this.filePath);
+            return true;
+        } catch (error) {
+            handleError(new FileError(
+                'Salvataggio dei profili di calibrazione fallito',
+                ErrorCodes.FILE.WRITE_FAILED,
+                { filePath: this.filePath, error: error.message }
+            ), 'BLECalibrationStore.save');
+            return false;
+        }
+    }
+
+    /**
+     * Aggiunge o sostituisce un profilo
+     * @param {Object} profile - Profilo ({ id, serialNumber, channels: { <campo>: { gain, offset, polynomial, unit, area_mm2 } } })
+     * @returns {Object} Profilo salvato
+     * @throws {BLEError} Se il profilo non ha identificativo o canali
+     */
+    set(profile) {
+        if (!profile || !profile.id || !profile.channels || typeof profile.channels !== 'object') {
+            throw new BLEError(
+                'Profilo di calibrazione non valido',
+                ErrorCodes.BLE.INVALID_PARAMETER,
+                { profile: profile && profile.id }
+            );
+        }
+
+        const existing = this.profiles.get(profile.id);
+        const saved = {
+            serialNumber: null,
+            ...profile,
+            createdAt: existing ? existing.createdAt : profile.createdAt || getCurrentTimestamp(),
+            updatedAt: getCurrentTimestamp()
+        };
+
+        this.profiles.set(saved.id, saved);
+        this.save();
+        return saved;
+    }
+
+    /**
+     * Rimuove un profilo
+     * @param {string} id - Identificativo del profilo
+     * @returns {boolean} true se il profilo esisteva
+     */
+    remove(id) {
+        const removed = this.profiles.delete(id);
+        if (removed) {
+            this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * @param {string} id - Identificativo del profilo
+     * @returns {Object|null}
+     */
+    get(id) {
+        return id ? this.profiles.get(id) || null : null;
+    }
+
+    /**
+     * Restituisce il profilo più recente di un numero di serie
+     * @param {string} serialNumber - Numero di serie del dispositivo
+     * @returns {Object|null}
+     */
+    findBySerial(serialNumber) {
+        if (!serialNumber) return null;
+        const serial = String(serialNumber).trim();
+
+        return this.getAll()
+            .filter(profile => profile.serialNumber === serial)
+            .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] || null;
+    }
+
+    /**
+     * Sceglie il profilo di un dispositivo: quello indicato nel registro
+     * (calibrationRef) o, in mancanza, il più recente per numero di serie
+     * @param {Object} [options]
+     * @param {string} [options.calibrationRef] - Identificativo indicato nel registro
+     * @param {string} [options.serialNumber] - Numero di serie del dispositivo
+     * @returns {Object|null}
+     */
+    resolve({ calibrationRef = null, serialNumber = null } = {}) {
+        return this.get(calibrationRef) || this.findBySerial(serialNumber);
+    }
+
+    /**
+     * @returns {Array<Object>} Tutti i profili, ordinati per identificativo
+     */
+    getAll() {
+        return Array.from(this.profiles.values())
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+}
+
+module.exports = {
+    BLECalibrationStore
+};
@@ -0,0 +1,59 @@
+/**
+ * BLECharacteristicRoles.js
+ * Classificazione delle caratteristiche del servizio target per ruolo:
+ * dati dei sensori, comandi, stato o da ignorare
+ *
+ * Created: 2025-02-10 16:05:44
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { normalizeUUID } = require('../utils/filterUtils');
+const settings = require('../config/settings');
+
+/**
+ * Ruoli delle caratteristiche
+ * @readonly
+ * @enum {string}
+ */
+const CharacteristicRoles = {
+    DATA: 'data',           // notifiche con i campioni dei sensori, inviate al decoder
+    CONTROL: 'control',     // scrittura di comandi (ed eventuali notifiche di risposta)
+    STATUS: 'status',       // notifiche di stato, non decodificate come campioni
+    IGNORE: 'ignore'        // nessuna sottoscrizione
+};
+
+/**
+ * Determina il ruolo di una caratteristica
+ * Gli UUID elencati in configurazione hanno la precedenza; gli altri, se AUTO_DETECT
+ * è attivo, sono classificati dai flag GATT: notify/indicate → dati (stato se la lista
+ * DATA è configurata), write → comando, altrimenti ignorati.
+ * @param {string} uuid - UUID della caratteristica
+ * @param {Array<string>} [flags] - Flag GATT (es. ['read', 'notify'])
+ * @param {Object} [config] - Configurazione (default: settings.CHARACTERISTICS)
+ * @returns {string} Uno dei valori di CharacteristicRoles
+ */
+function classifyCharacteristic(uuid, flags = [], config = settings.CHARACTERISTICS) {
+    const normalized = normalizeUUID(uuid);
+    const listed = list => (list || []).map(normalizeUUID).includes(normalized);
+
+    if (listed(config.IGNORE)) return CharacteristicRoles.IGNORE;
+    if (listed(config.DATA)) return CharacteristicRoles.DATA;
+    if (listed(config.CONTROL)) return CharacteristicRoles.CONTROL;
+    if (listed(config.STATUS)) return CharacteristicRoles.STATUS;
+
+    if (!config.AUTO_DETECT) return CharacteristicRoles.IGNORE;
+
+    if (flags.includes('notify') || flags.includes('indicate')) {
+        return (config.DATA || []).length > 0 ? CharacteristicRoles.STATUS : CharacteristicRoles.DATA;
+    }
+    if (flags.includes('write') || flags.includes('write-without-response')) {
+        return CharacteristicRoles.CONTROL;
+    }
+    return CharacteristicRoles.IGNORE;
+}
+
+module.exports = {
+    CharacteristicRoles,
+    classifyCharacteristic
+};
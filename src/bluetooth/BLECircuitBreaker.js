@@ -0,0 +1,305 @@
+/**
+ * BLECircuitBreaker.js
+ * Circuit breaker per le operazioni sull'adapter Bluetooth.
+ * Dopo FAILURE_THRESHOLD fallimenti consecutivi il circuito si apre: le operazioni
+ * vengono rifiutate per COOLDOWN ms e intanto si tenta il recupero dell'adapter
+ * con un'escalation a stadi, uno per ogni apertura consecutiva:
+ *   1. arresto della discovery
+ *   2. spegnimento e riaccensione dell'adapter (Powered false/true)
+ *   3. ricreazione della sessione node-ble (BLEConnection.resetBluetooth)
+ * Trascorso il cooldown il circuito è semiaperto: un'unica operazione di prova
+ * lo richiude se riesce, altrimenti lo riapre passando allo stadio successivo.
+ * Sono conteggiati solo i guasti dell'adapter o di BlueZ (ADAPTER_FAULTS): un
+ * dispositivo spento o non trovato non è un problema dell'adapter.
+ *
+ * Created: 2025-02-13 16:05:37
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes } = require('../utils/errorHandler');
+const { classifyError } = require('../utils/bluezErrorUtils');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const settings = require('../config/settings');
+
+/**
+ * Stati del circuito
+ * @readonly
+ * @enum {string}
+ */
+const CircuitStates = {
+    CLOSED: 'closed',       // Operazioni consentite
+    OPEN: 'open',           // Operazioni rifiutate fino al termine del cooldown
+    HALF_OPEN: 'half_open'  // Consentita una sola operazione di prova
+};
+
+/**
+ * Eventi emessi da BLECircuitBreaker
+ * @readonly
+ * @enum {string}
+ */
+const BLECircuitBreakerEvents = {
+    OPENED: 'breaker:opened',
+    HALF_OPEN: 'breaker:half_open',
+    CLOSED: 'breaker:closed',
+    REJECTED: 'breaker:rejected',
+    RECOVERY: 'breaker:recovery',
+    RECOVERY_FAILED: 'breaker:recovery_failed'
+};
+
+/**
+ * Stadi di recupero dell'adapter, nell'ordine in cui vengono applicati
+ * @readonly
+ */
+const RECOVERY_STAGES = [
+    'stopDiscovery',
+    'powerCycle',
+    'resetBluetooth'
+];
+
+/**
+ * Codici di errore che indicano un guasto dell'adapter o di BlueZ
+ * @readonly
+ */
+const ADAPTER_FAULTS = new Set([
+    ErrorCodes.BLE.NOT_READY,
+    ErrorCodes.BLE.BLUEZ_FAILED,
+    ErrorCodes.BLE.DBUS_ERROR,
+    ErrorCodes.BLE.OPERATION_TIMEOUT
+]);
+
+class BLECircuitBreaker {
+    /**
+     * @param {BLEEventManager} eventManager - Gestore degli eventi BLE
+     * @param {Object} actions - Azioni di recupero, una per stadio
+     * @param {Function} actions.stopDiscovery - () => Promise
+     * @param {Function} actions.powerCycle - () => Promise
+     * @param {Function} actions.resetBluetooth - () => Promise
+     * @param {Object} [options] - Configurazione (default: settings.CIRCUIT_BREAKER)
+     */
+    constructor(eventManager, actions, options = settings.CIRCUIT_BREAKER) {
+        if (!eventManager || !actions) {
+            throw new BLEError(
+                'EventManager e azioni di recupero sono richiesti',
+                ErrorCodes.BLE.INVALID_PARAMETER
+            );
+        }
+
+        this.eventManager = eventManager;
+        this.actions = actions;
+        this.enabled = options.ENABLED;
+        this.failureThreshold = options.FAILURE_THRESHOLD;
+        this.cooldown = options.COOLDOWN;
+
+        this.state = CircuitStates.CLOSED;
+        this.consecutiveFailures = 0;
+        this.stage = 0;             // Ultimo stadio di recupero applicato
+        this.openedAt = null;
+        this.probing = false;       // Operazione di prova in corso (semiaperto)
+        this.recovering = null;     // Promise del recupero in corso
+        this.stats = {
+            opened: 0,
+            halfOpened: 0,
+            closed: 0,
+            rejected: 0,
+            failures: 0,
+            recoveries: 0,
+            recoveryFailures: 0
+        };
+    }
+
+    /**
+     * Esegue un'operazione sull'adapter attraverso il circuito
+     * @param {Function} operation - () => Promise
+     * @param {string} [name] - Nome dell'operazione, per errori ed eventi
+     * @returns {Promise<*>} Risultato dell'operazione
+     * @throws {BLEError} CIRCUIT_OPEN se il circuito non consente l'operazione
+     */
+    async execute(operation, name = 'operation') {
+        if (!this.enabled) {
+            return operation();
+        }
+
+        this.acquire(name);
+        const probe = this.state === CircuitStates.HALF_OPEN;
+
+        try {
+            const result = await operation();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            await this.recordFailure(error);
+            throw error;
+        } finally {
+            if (probe) {
+                this.probing = false;
+            }
+        }
+    }
+
+    /**
+     * Verifica che il circuito consenta un'operazione, passando a semiaperto
+     * allo scadere del cooldown
+     * @private
+     */
+    acquire(name) {
+        if (this.state === CircuitStates.OPEN && Date.now() - this.openedAt >= this.cooldown && !this.recovering) {
+            this.transition(CircuitStates.HALF_OPEN);
+        }
+
+        if (this.state === CircuitStates.CLOSED) return;
+        if (this.state === CircuitStates.HALF_OPEN && !this.probing) {
+            this.probing = true;
+            return;
+        }
+
+        this.stats.rejected++;
+        const retryIn = Math.max(0, this.openedAt + this.cooldown - Date.now());
+        this.eventManager.emit(BLECircuitBreakerEvents.REJECTED, {
+            operation: name,
+            state: this.state,
+            retryIn,
+            timestamp: getCurrentTimestamp()
+        });
+        throw new BLEError(
+            `Circuito dell'adapter aperto: ${name} rifiutata`,
+            ErrorCodes.BLE.CIRCUIT_OPEN,
+            { operation: name, state: this.state, retryIn }
+        );
+    }
+
+    /**
+     * Registra una operazione riuscita: il circuito si richiude e l'escalation riparte
+     */
+    recordSuccess() {
+        if (!this.enabled) return;
+
+        this.consecutiveFailures = 0;
+        if (this.state !== CircuitStates.CLOSED) {
+            this.transition(CircuitStates.CLOSED, { stage: this.stage });
+        }
+        this.stage = 0;
+    }
+
+    /**
+     * Registra un'operazione fallita; al raggiungimento della soglia (o al fallimento
+     * della prova in semiaperto) il circuito si apre e viene eseguito il recupero.
+     * Sono conteggiati solo i guasti dell'adapter (ADAPTER_FAULTS): annullamenti,
+     * permessi e dispositivi non trovati non aprono il circuito.
+     * @param {Error} error - Errore dell'operazione
+     * @returns {Promise<void>} Risolta al termine dell'eventuale recupero
+     */
+    async recordFailure(error) {
+        if (!this.enabled || !ADAPTER_FAULTS.has(classifyError(error).code)) return;
+
+        this.consecutiveFailures++;
+        this.stats.failures++;
+
+        const shouldOpen = this.state === CircuitStates.HALF_OPEN ||
+            (this.state === CircuitStates.CLOSED && this.consecutiveFailures >= this.failureThreshold);
+        if (!shouldOpen) return;
+
+        this.openedAt = Date.now();
+        this.stage = this.stage >= RECOVERY_STAGES.length ? RECOVERY_STAGES.length : this.stage + 1;
+        this.transition(CircuitStates.OPEN, {
+            failures: this.consecutiveFailures,
+            stage: this.stage,
+            cooldown: this.cooldown,
+            error: error.message,
+            code: error.code || null
+        });
+
+        this.recovering = this.recover(this.stage);
+        try {
+            await this.recovering;
+        } finally {
+            this.recovering = null;
+        }
+    }
+
+    /**
+     * Esegue lo stadio di recupero indicato
+     * @private
+     */
+    async recover(stage) {
+        const action = RECOVERY_STAGES[stage - 1];
+
+        this.stats.recoveries++;
+        this.eventManager.emit(BLECircuitBreakerEvents.RECOVERY, {
+            stage,
+            action,
+            timestamp: getCurrentTimestamp()
+        });
+
+        try {
+            await this.actions[action]();
+        } catch (error) {
+            this.stats.recoveryFailures++;
+            this.eventManager.emit(BLECircuitBreakerEvents.RECOVERY_FAILED, {
+                stage,
+                action,
+                error: error.message,
+                timestamp: getCurrentTimestamp()
+            });
+        }
+    }
+
+    /**
+     * Cambia stato ed emette l'evento corrispondente
+     * @private
+     */
+    transition(newState, details = {}) {
+        const oldState = this.state;
+        this.state = newState;
+
+        const events = {
+            [CircuitStates.OPEN]: [BLECircuitBreakerEvents.OPENED, 'opened'],
+            [CircuitStates.HALF_OPEN]: [BLECircuitBreakerEvents.HALF_OPEN, 'halfOpened'],
+            [CircuitStates.CLOSED]: [BLECircuitBreakerEvents.CLOSED, 'closed']
+        };
+        const [event, counter] = events[newState];
+        this.stats[counter]++;
+
+        this.eventManager.emit(event, {
+            oldState,
+            newState,
+            ...details,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Riporta il circuito allo stato iniziale (es. dopo la selezione di un nuovo adapter)
+     */
+    reset() {
+        this.consecutiveFailures = 0;
+        this.stage = 0;
+        this.openedAt = null;
+        this.probing = false;
+        if (this.state !== CircuitStates.CLOSED) {
+            this.transition(CircuitStates.CLOSED, { reset: true });
+        }
+    }
+
+    /**
+     * Restituisce stato e statistiche del circuito
+     * @returns {Object}
+     */
+    getStatistics() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            stage: this.stage,
+            action: this.stage > 0 ? RECOVERY_STAGES[this.stage - 1] : null,
+            retryIn: this.state === CircuitStates.OPEN ?
+                Math.max(0, this.openedAt + this.cooldown - Date.now()) : 0,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = {
+    BLECircuitBreaker,
+    BLECircuitBreakerEvents,
+    CircuitStates
+};
@@ -0,0 +1,353 @@
+/**
+ * BLECommandChannel.js
+ * Canale di comando verso la soletta: scrittura sulla caratteristica di controllo
+ * (con o senza conferma GATT), correlazione richiesta/risposta tramite numero di
+ * sequenza e timeout delle risposte
+ *
+ * Created: 2025-02-11 10:22:17
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes } = require('../utils/errorHandler');
+const { toBLEError } = require('../utils/bluezErrorUtils');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const {
+    COMMAND_OPCODES,
+    COMMAND_RESPONSE_FLAG,
+    COMMAND_STATUS
+} = require('../config/constants');
+const settings = require('../config/settings');
+
+/**
+ * Eventi emessi dal canale di comando
+ * @readonly
+ * @enum {string}
+ */
+const BLECommandEvents = {
+    COMMAND_SENT: 'command:sent',
+    COMMAND_COMPLETED: 'command:completed',
+    COMMAND_FAILED: 'command:failed',
+    COMMAND_TIMEOUT: 'command:timeout'
+};
+
+/**
+ * Restituisce il nome simbolico di un opcode
+ * @private
+ */
+function getCommandName(opcode) {
+    const entry = Object.entries(COMMAND_OPCODES).find(([, value]) => value === opcode);
+    return entry ? entry[0] : `0x${opcode.toString(16).padStart(2, '0')}`;
+}
+
+class BLECommandChannel {
+    /**
+     * @param {BLEEventManager} eventManager - Gestore degli eventi BLE
+     * @param {string} deviceAddress - Indirizzo del dispositivo
+     * @param {Object} [options] - Configurazione (default: settings.COMMANDS)
+     */
+    constructor(eventManager, deviceAddress, options = settings.COMMANDS) {
+        if (!eventManager) {
+            throw new BLEError(
+                'EventManager è richiesto',
+                ErrorCodes.BLE.INVALID_PARAMETER
+            );
+        }
+
+        this.eventManager = eventManager;
+        this.deviceAddress = deviceAddress;
+        this.responseTimeout = options.RESPONSE_TIMEOUT;
+        this.writeWithResponse = options.WRITE_WITH_RESPONSE;
+        this.samplingRates = options.SAMPLING_RATES;
+
+        this.characteristic = null;
+        this.flags = [];
+        this.sequence = 0;
+        this.pending = new Map();   // sequenza -> { opcode, resolve, reject, timer }
+        this.lastCommand = null;
+    }
+
+    /**
+     * Collega la caratteristica di controllo
+     * @param {Object} characteristic - Caratteristica GATT node-ble
+     * @param {Array<string>} [flags] - Flag GATT della caratteristica
+     */
+    attach(characteristic, flags = []) {
+        this.detach();
+        this.characteristic = characteristic;
+        this.flags = flags;
+    }
+
+    /**
+     * Scollega la caratteristica; i comandi in attesa vengono rifiutati
+     */
+    detach() {
+        this.characteristic = null;
+        this.flags = [];
+
+        for (const [sequence, request] of this.pending) {
+            clearTimeout(request.timer);
+            request.reject(new BLEError(
+                'Canale di comando chiuso',
+                ErrorCodes.BLE.COMMAND_FAILED,
+                { deviceAddress: this.deviceAddress, command: getCommandName(request.opcode), sequence }
+            ));
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Verifica se il canale è utilizzabile
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.characteristic !== null;
+    }
+
+    /**
+     * Verifica se la caratteristica notifica le risposte ai comandi
+     * @returns {boolean}
+     */
+    hasResponses() {
+        return this.flags.includes('notify') || this.flags.includes('indicate');
+    }
+
+    /**
+     * Invia un comando
+     * @param {number} opcode - Codice del comando (COMMAND_OPCODES)
+     * @param {Buffer} [payload] - Parametri del comando
+     * @param {Object} [options]
+     * @param {boolean} [options.withResponse] - Scrittura con conferma GATT (default: settings.COMMANDS.WRITE_WITH_RESPONSE)
+     * @param {boolean} [options.awaitResponse] - Attende la risposta del dispositivo (default: se la caratteristica notifica)
+     * @param {number} [options.timeout] - Timeout della risposta in ms
+     * @returns {Promise<{command: string, sequence: number, status: number|null, payload: Buffer|null}>}
+     * @throws {BLEError} Se il canale non è disponibile, la scrittura fallisce, la risposta
+     *                    non arriva in tempo o il dispositivo rifiuta il comando
+     */
+    async send(opcode, payload = Buffer.alloc(0), options = {}) {
+        const command = getCommandName(opcode);
+
+        if (!this.isAvailable()) {
+            throw new BLEError(
+                'Nessuna caratteristica di controllo disponibile',
+                ErrorCodes.BLE.COMMAND_FAILED,
+                { deviceAddress: this.deviceAddress, command }
+            );
+        }
+
+        const withResponse = this.resolveWriteType(options.withResponse);
+        const awaitResponse = options.awaitResponse !== undefined ?
+            options.awaitResponse : this.hasResponses();
+        const timeout = options.timeout || this.responseTimeout;
+
+        this.sequence = (this.sequence + 1) % 256;
+        const sequence = this.sequence;
+        const frame = Buffer.concat([Buffer.from([opcode, sequence]), payload]);
+
+        const response = awaitResponse ?
+            this.waitForResponse(opcode, sequence, timeout) : null;
+        // Evita rifiuti non gestiti se la scrittura fallisce prima della risposta
+        if (response) response.catch(() => {});
+
+        try {
+            await this.characteristic.writeValue(frame, {
+                type: withResponse ? 'request' : 'command'
+            });
+        } catch (error) {
+            this.clearPending(sequence);
+            const commandError = toBLEError(
+                error,
+                `Scrittura del comando ${command} fallita`,
+                ErrorCodes.BLE.COMMAND_FAILED,
+                { deviceAddress: this.deviceAddress, command, sequence }
+            );
+            this.emitFailure(commandError);
+            throw commandError;
+        }
+
+        this.lastCommand = { command, sequence, sentAt: getCurrentTimestamp() };
+        this.eventManager.emit(BLECommandEvents.COMMAND_SENT, {
+            deviceAddress: this.deviceAddress,
+            command,
+            sequence,
+            withResponse,
+            payload: payload.toString('hex'),
+            timestamp: this.lastCommand.sentAt
+        });
+
+        if (!response) {
+            return { command, sequence, status: null, payload: null };
+        }
+
+        return response;
+    }
+
+    /**
+     * Determina il tipo di scrittura in base alla richiesta e ai flag supportati
+     * @private
+     */
+    resolveWriteType(requested) {
+        const withResponse = requested !== undefined ? requested : this.writeWithResponse;
+        if (withResponse && !this.flags.includes('write') && this.flags.includes('write-without-response')) {
+            return false;
+        }
+        if (!withResponse && !this.flags.includes('write-without-response') && this.flags.includes('write')) {
+            return true;
+        }
+        return withResponse;
+    }
+
+    /**
+     * Registra una richiesta in attesa di risposta
+     * @private
+     */
+    waitForResponse(opcode, sequence, timeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(sequence);
+                const error = new BLEError(
+                    `Nessuna risposta al comando ${getCommandName(opcode)} entro ${timeout} ms`,
+                    ErrorCodes.BLE.COMMAND_TIMEOUT,
+                    { deviceAddress: this.deviceAddress, command: getCommandName(opcode), sequence, timeout }
+                );
+                this.eventManager.emit(BLECommandEvents.COMMAND_TIMEOUT, {
+                    deviceAddress: this.deviceAddress,
+                    command: getCommandName(opcode),
+                    sequence,
+                    timeout,
+                    timestamp: getCurrentTimestamp()
+                });
+                reject(error);
+            }, timeout);
+
+            this.pending.set(sequence, { opcode, resolve, reject, timer });
+        });
+    }
+
+    /**
+     * Rimuove una richiesta in attesa senza risolverla
+     * @private
+     */
+    clearPending(sequence) {
+        const request = this.pending.get(sequence);
+        if (request) {
+            clearTimeout(request.timer);
+            this.pending.delete(sequence);
+        }
+    }
+
+    /**
+     * Gestisce una notifica della caratteristica di controllo
+     * @param {Buffer} buffer - Risposta ricevuta
+     * @returns {boolean} true se la risposta corrisponde a un comando in attesa
+     */
+    handleResponse(buffer) {
+        if (!buffer || buffer.length < 3 || !(buffer[0] & COMMAND_RESPONSE_FLAG)) {
+            return false;
+        }
+
+        const opcode = buffer[0] & ~COMMAND_RESPONSE_FLAG;
+        const sequence = buffer[1];
+        const status = buffer[2];
+        const request = this.pending.get(sequence);
+
+        if (!request || request.opcode !== opcode) {
+            return false;
+        }
+
+        this.clearPending(sequence);
+        const command = getCommandName(opcode);
+
+        if (status !== COMMAND_STATUS.OK) {
+            const error = new BLEError(
+                `Comando ${command} rifiutato dal dispositivo`,
+                ErrorCodes.BLE.COMMAND_REJECTED,
+                { deviceAddress: this.deviceAddress, command, sequence, status }
+            );
+            this.emitFailure(error);
+            request.reject(error);
+            return true;
+        }
+
+        const result = { command, sequence, status, payload: buffer.subarray(3) };
+        this.eventManager.emit(BLECommandEvents.COMMAND_COMPLETED, {
+            deviceAddress: this.deviceAddress,
+            ...result,
+            payload: result.payload.toString('hex'),
+            timestamp: getCurrentTimestamp()
+        });
+        request.resolve(result);
+        return true;
+    }
+
+    /**
+     * Emette l'evento di comando fallito
+     * @private
+     */
+    emitFailure(error) {
+        this.eventManager.emit(BLECommandEvents.COMMAND_FAILED, {
+            deviceAddress: this.deviceAddress,
+            ...error.details,
+            code: error.code,
+            message: error.message,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Avvia lo streaming dei campioni
+     * @param {Object} [options] - Opzioni di invio (vedi send)
+     * @returns {Promise<Object>}
+     */
+    startStreaming(options) {
+        return this.send(COMMAND_OPCODES.START_STREAMING, Buffer.alloc(0), options);
+    }
+
+    /**
+     * Ferma lo streaming dei campioni
+     * @param {Object} [options] - Opzioni di invio (vedi send)
+     * @returns {Promise<Object>}
+     */
+    stopStreaming(options) {
+        return this.send(COMMAND_OPCODES.STOP_STREAMING, Buffer.alloc(0), options);
+    }
+
+    /**
+     * Imposta la frequenza di campionamento
+     * @param {number} rate - Frequenza in Hz (una di settings.COMMANDS.SAMPLING_RATES)
+     * @param {Object} [options] - Opzioni di invio (vedi send)
+     * @returns {Promise<Object>}
+     * @throws {BLEError} Se la frequenza non è ammessa
+     */
+    setSamplingRate(rate, options) {
+        if (!this.samplingRates.includes(rate)) {
+            return Promise.reject(new BLEError(
+                `Frequenza di campionamento non ammessa: ${rate} Hz`,
+                ErrorCodes.BLE.INVALID_PARAMETER,
+                { deviceAddress: this.deviceAddress, rate, allowed: this.samplingRates }
+            ));
+        }
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16LE(rate, 0);
+        return this.send(COMMAND_OPCODES.SET_SAMPLING_RATE, payload, options);
+    }
+
+    /**
+     * Restituisce lo stato del canale
+     * @returns {{available: boolean, hasResponses: boolean, pending: number, lastCommand: Object|null}}
+     */
+    getStatus() {
+        return {
+            available: this.isAvailable(),
+            hasResponses: this.hasResponses(),
+            pending: this.pending.size,
+            lastCommand: this.lastCommand
+        };
+    }
+}
+
+module.exports = {
+    BLECommandChannel,
+    BLECommandEvents
+};
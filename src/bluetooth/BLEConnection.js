@@ -9,7 +9,22 @@
  */
 
 const { createBluetooth } = require('node-ble');
+const { Message, MessageType, Variant } = require('dbus-next');
 const { BLEError, handleError, ErrorCodes } = require('../utils/errorHandler');
+const { BLERetryPolicy } = require('../utils/BLERetryPolicy');
+const { toBLEError } = require('../utils/bluezErrorUtils');
+const { BLEPairingAgent } = require('./BLEPairingAgent');
+const settings = require('../config/settings');
+
+const BLUEZ_SERVICE = 'org.bluez';
+const ADAPTER_INTERFACE = 'org.bluez.Adapter1';
+const DEVICE_INTERFACE = 'org.bluez.Device1';
+const OBJECT_MANAGER_INTERFACE = 'org.freedesktop.DBus.ObjectManager';
+const PROPERTIES_INTERFACE = 'org.freedesktop.DBus.Properties';
+
+// Regola di match per ricevere le variazioni di proprietà di tutti i dispositivi BlueZ
+const DEVICE_PROPERTIES_MATCH = `type='signal',sender='${BLUEZ_SERVICE}',` +
+    `interface='${PROPERTIES_INTERFACE}',member='PropertiesChanged',arg0='${DEVICE_INTERFACE}'`;
 
 /**
  * Eventi emessi da BLEConnection
@@ -23,13 +38,33 @@ const BLEConnectionEvents = {
     RESET_COMPLETE: 'bluetooth:reset_complete',
     ADAPTER_FOUND: 'bluetooth:adapter_found',
     ADAPTER_NOT_FOUND: 'bluetooth:adapter_not_found',
+    ADAPTER_ADDED: 'bluetooth:adapter_added',
+    ADAPTER_REMOVED: 'bluetooth:adapter_removed',
+    ADAPTER_RESTORED: 'bluetooth:adapter_restored',
+    DEVICE_ADDED: 'bluetooth:device_added',
+    DEVICE_CHANGED: 'bluetooth:device_changed',
+    DEVICE_REMOVED: 'bluetooth:device_removed',
     POWER_ON: 'bluetooth:power_on',
+    POWER_OFF: 'bluetooth:power_off',
     ERROR: 'bluetooth:error',
     STATE_CHANGED: 'bluetooth:state_changed',
     CLEANUP_START: 'bluetooth:cleanup_start',
     CLEANUP_COMPLETE: 'bluetooth:cleanup_complete'
 };
 
+/**
+ * Converte un dizionario di proprietà D-Bus (valori Variant) in un oggetto semplice
+ * @param {Object} properties - Proprietà con valori Variant
+ * @returns {Object}
+ */
+function unwrapProperties(properties = {}) {
+    const result = {};
+    for (const [key, variant] of Object.entries(properties)) {
+        result[key] = variant && variant.value !== undefined ? variant.value : variant;
+    }
+    return result;
+}
+
 /**
  * Classe che gestisce la connessione Bluetooth Low Energy
  * Fornisce funzionalità per inizializzare, resettare e gestire 
@@ -39,8 +74,10 @@ class BLEConnection {
     /**
      * Inizializza una nuova istanza di BLEConnection
      * @param {BLEEventManager} eventManager - Istanza del gestore eventi
+     * @param {Object} [options] - Opzioni
+     * @param {string} [options.adapter] - Nome (es. 'hci1') o indirizzo dell'adapter da usare
      */
-    constructor(eventManager) {
+    constructor(eventManager, options = {}) {
         if (!eventManager) {
             throw new BLEError(
                 'EventManager è richiesto',
@@ -55,6 +92,17 @@ class BLEConnection {
         this.isInitialized = false; // Flag di inizializzazione
         this.initAttempts = 0;      // Contatore tentativi di inizializzazione
         this.currentState = 'disconnected';
+        this.adapterSelector = options.adapter !== undefined ?
+            options.adapter : settings.BLE_SETTINGS.ADAPTER;
+        this.adapterName = null;    // Nome dell'adapter in uso (es. hci0)
+        this.adapterAddress = null; // Indirizzo dell'adapter in uso
+        this.objectManager = null;  // Proxy ObjectManager di BlueZ per l'hot-plug
+        this.deviceSignals = false; // Sottoscrizione alle PropertiesChanged dei dispositivi
+        this.agent = new BLEPairingAgent(eventManager); // Agent BlueZ per l'accoppiamento
+
+        this.onInterfacesAdded = this.onInterfacesAdded.bind(this);
+        this.onInterfacesRemoved = this.onInterfacesRemoved.bind(this);
+        this.onBusMessage = this.onBusMessage.bind(this);
     }
 
     /**
@@ -80,31 +128,28 @@ class BLEConnection {
             this.bluetooth = bluetooth;
             this.destroy = destroy;
 
-            // Try to get adapter with retries
-            let retries = 0;
-            const maxRetries = 3;
-            
-            while (retries < maxRetries) {
-                try {
+            // Try to get adapter with retries (settings.RETRY_POLICIES.ADAPTER_LOOKUP)
+            const policy = BLERetryPolicy.fromSettings('ADAPTER_LOOKUP', this.eventManager);
+            try {
+                await policy.execute(async attempt => {
                     console.log('Looking for Bluetooth adapter...');
-                    this.adapter = await this.bluetooth.defaultAdapter();
-                    
+                    this.adapter = await this.findAdapter();
+                    this.adapterName = this.adapter.adapter;
+                    this.adapterAddress = await this.adapter.getAddress();
+
                     this.eventManager.emit(BLEConnectionEvents.ADAPTER_FOUND, {
-                        retry: retries
+                        retry: attempt - 1,
+                        name: this.adapterName,
+                        address: this.adapterAddress
                     });
-                    
-                    break;
-                } catch (error) {
-                    retries++;
-                    if (retries === maxRetries) {
-                        this.eventManager.emit(BLEConnectionEvents.ADAPTER_NOT_FOUND, {
-                            error: error.message
-                        });
-                        throw error;
-                    }
-                    console.log(`Attempt ${retries}/${maxRetries} failed, retrying...`);
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
+                }, {
+                    onRetry: ({ attempt }) => console.log(`Attempt ${attempt}/${policy.attempts} failed, retrying...`)
+                });
+            } catch (error) {
+                this.eventManager.emit(BLEConnectionEvents.ADAPTER_NOT_FOUND, {
+                    error: error.message
+                });
+                throw error;
             }
 
             if (!this.adapter) {
@@ -118,20 +163,24 @@ class BLEConnection {
             const powered = await this.adapter.isPowered();
             if (!powered) {
                 console.log('Powering on Bluetooth adapter...');
-                this.eventManager.emit(BLEConnectionEvents.POWER_ON);
-                await this.adapter.setPowered(true);
+                await this.setPowered(true);
                 await new Promise(resolve => setTimeout(resolve, 2000));
             }
 
+            await this.subscribeAdapterChanges();
+            await this.subscribeDeviceChanges();
+            await this.registerAgent();
+
             this.isInitialized = true;
             this.updateState('ready');
             
             this.eventManager.emit(BLEConnectionEvents.INITIALIZED, {
                 isReady: this.isReady(),
-                attempts: this.initAttempts
+                attempts: this.initAttempts,
+                adapter: this.adapterName
             });
 
-            console.log('Bluetooth initialization completed');
+            console.log(`Bluetooth initialization completed (${this.adapterName} ${this.adapterAddress})`);
             return true;
 
         } catch (error) {
@@ -142,15 +191,13 @@ class BLEConnection {
                 attempts: this.initAttempts
             });
 
-            handleError(
-                new BLEError(
-                    'Bluetooth initialization failed',
-                    ErrorCodes.BLE.INITIALIZATION_FAILED,
-                    { error: error.message }
-                ),
-                'BLEConnection.initialize'
+            const initError = toBLEError(
+                error,
+                'Bluetooth initialization failed',
+                ErrorCodes.BLE.INITIALIZATION_FAILED
             );
-            throw error;
+            handleError(initError, 'BLEConnection.initialize');
+            throw initError;
         }
     }
 
@@ -178,11 +225,16 @@ class BLEConnection {
             }
 
             // Reset internal state
+            await this.agent.unregister();
+            this.unsubscribeAdapterChanges();
+            this.unsubscribeDeviceChanges();
             if (this.destroy) {
                 this.destroy();
             }
             this.bluetooth = null;
             this.adapter = null;
+            this.adapterName = null;
+            this.adapterAddress = null;
             this.isInitialized = false;
 
             // Wait for everything to settle
@@ -203,6 +255,392 @@ class BLEConnection {
         }
     }
 
+    /**
+     * Accende o spegne l'adapter in uso (proprietà Powered di org.bluez.Adapter1)
+     * @param {boolean} powered - Stato di alimentazione desiderato
+     * @returns {Promise<void>}
+     * @throws {BLEError} Se l'adapter non è inizializzato o BlueZ rifiuta la modifica
+     */
+    async setPowered(powered) {
+        if (!this.adapter) {
+            throw new BLEError(
+                'Adapter non inizializzato',
+                ErrorCodes.BLE.INVALID_STATE,
+                { powered }
+            );
+        }
+
+        this.eventManager.emit(powered ? BLEConnectionEvents.POWER_ON : BLEConnectionEvents.POWER_OFF, {
+            adapter: this.adapterName
+        });
+
+        try {
+            await this.adapter.helper.set('Powered', new Variant('b', powered));
+        } catch (error) {
+            throw toBLEError(
+                error,
+                `Impossibile ${powered ? 'accendere' : 'spegnere'} l'adapter`,
+                ErrorCodes.BLE.INITIALIZATION_FAILED,
+                { adapter: this.adapterName, powered }
+            );
+        }
+    }
+
+    /**
+     * Spegne e riaccende l'adapter in uso, mantenendo la sessione node-ble
+     * @param {number} [delay] - Attesa in ms tra spegnimento e riaccensione
+     * @returns {Promise<void>}
+     */
+    async powerCycle(delay = settings.CIRCUIT_BREAKER.POWER_CYCLE_DELAY) {
+        console.log(`Power cycle adapter ${this.adapterName}...`);
+        await this.setPowered(false);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        await this.setPowered(true);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    /**
+     * Registra l'agent di accoppiamento sulla sessione node-ble corrente (settings.PAIRING)
+     * Un agent non registrabile non impedisce l'uso dei dispositivi non accoppiati.
+     * @private
+     */
+    async registerAgent() {
+        if (!settings.PAIRING.ENABLED) return;
+
+        try {
+            await this.agent.register(this.bluetooth);
+        } catch (error) {
+            console.log('Agent di accoppiamento non disponibile:', error.text || error.message);
+        }
+    }
+
+    /**
+     * Restituisce l'agent di accoppiamento
+     * @returns {BLEPairingAgent}
+     */
+    getPairingAgent() {
+        return this.agent;
+    }
+
+    /**
+     * Marca un dispositivo come fidato, così che BlueZ accetti le riconnessioni senza agent
+     * @param {Object} device - Dispositivo node-ble
+     * @param {boolean} [trusted=true] - Valore della proprietà Trusted
+     * @returns {Promise<void>}
+     */
+    async setDeviceTrusted(device, trusted = true) {
+        await device.helper.set('Trusted', new Variant('b', trusted));
+    }
+
+    /**
+     * Rimuove un dispositivo da BlueZ, cancellandone il bond (chiavi di accoppiamento)
+     * Un dispositivo già assente non è considerato un errore.
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {Promise<boolean>} true se il dispositivo era noto a BlueZ
+     * @throws {BLEError} Se l'adapter non è inizializzato o BlueZ rifiuta la rimozione
+     */
+    async removeDevice(address) {
+        if (!this.adapter) {
+            throw new BLEError(
+                'Adapter non inizializzato',
+                ErrorCodes.BLE.INVALID_STATE,
+                { deviceAddress: address }
+            );
+        }
+
+        const devicePath = `${this.adapter.helper.object}/dev_${address.toUpperCase().replace(/:/g, '_')}`;
+        try {
+            await this.adapter.helper.callMethod('RemoveDevice', devicePath);
+            return true;
+        } catch (error) {
+            const removeError = toBLEError(error, 'Rimozione del dispositivo fallita',
+                ErrorCodes.BLE.DISCONNECT_ERROR, { deviceAddress: address });
+            if (removeError.code === ErrorCodes.BLE.DOES_NOT_EXIST) {
+                return false;
+            }
+            throw removeError;
+        }
+    }
+
+    /**
+     * Individua l'adapter configurato (per nome o indirizzo) o quello predefinito
+     * @returns {Promise<Object>} Adapter node-ble
+     * @throws {BLEError} Se l'adapter configurato non è presente
+     * @private
+     */
+    async findAdapter() {
+        if (!this.adapterSelector) {
+            return this.bluetooth.defaultAdapter();
+        }
+
+        const names = await this.bluetooth.adapters();
+        if (names.includes(this.adapterSelector)) {
+            return this.bluetooth.getAdapter(this.adapterSelector);
+        }
+
+        for (const name of names) {
+            const adapter = await this.bluetooth.getAdapter(name);
+            const address = await adapter.getAddress();
+            if (address.toUpperCase() === this.adapterSelector.toUpperCase()) {
+                return adapter;
+            }
+        }
+
+        throw new BLEError(
+            `Adapter ${this.adapterSelector} non trovato`,
+            ErrorCodes.BLE.INITIALIZATION_FAILED,
+            { adapter: this.adapterSelector, available: names }
+        );
+    }
+
+    /**
+     * Elenca gli adapter Bluetooth disponibili
+     * @returns {Promise<Array<Object>>} Nome, indirizzo, alias e stato di ciascun adapter
+     */
+    async listAdapters() {
+        const temporary = !this.bluetooth;
+        const { bluetooth, destroy } = temporary ? createBluetooth() : { bluetooth: this.bluetooth };
+
+        try {
+            const names = await bluetooth.adapters();
+            const adapters = [];
+
+            for (const name of names) {
+                const adapter = await bluetooth.getAdapter(name);
+                adapters.push({
+                    name,
+                    address: await adapter.getAddress(),
+                    alias: await adapter.getAlias().catch(() => null),
+                    powered: await adapter.isPowered().catch(() => false),
+                    selected: name === this.adapterName
+                });
+            }
+
+            return adapters;
+        } finally {
+            if (temporary) {
+                destroy();
+            }
+        }
+    }
+
+    /**
+     * Imposta l'adapter da usare alla prossima inizializzazione
+     * @param {string|null} selector - Nome (es. 'hci1') o indirizzo dell'adapter; null = predefinito
+     */
+    setAdapterSelector(selector) {
+        this.adapterSelector = selector || null;
+    }
+
+    /**
+     * Si sottoscrive alle notifiche ObjectManager di BlueZ per rilevare
+     * la rimozione e il ritorno degli adapter
+     * @private
+     */
+    async subscribeAdapterChanges() {
+        try {
+            const objectProxy = await this.bluetooth.dbus.getProxyObject(BLUEZ_SERVICE, '/');
+            this.objectManager = objectProxy.getInterface(OBJECT_MANAGER_INTERFACE);
+            this.objectManager.on('InterfacesAdded', this.onInterfacesAdded);
+            this.objectManager.on('InterfacesRemoved', this.onInterfacesRemoved);
+        } catch (error) {
+            this.objectManager = null;
+            console.log('Monitoraggio adapter non disponibile:', error.message);
+        }
+    }
+
+    /**
+     * Rimuove la sottoscrizione alle notifiche ObjectManager
+     * @private
+     */
+    unsubscribeAdapterChanges() {
+        if (this.objectManager) {
+            this.objectManager.removeListener('InterfacesAdded', this.onInterfacesAdded);
+            this.objectManager.removeListener('InterfacesRemoved', this.onInterfacesRemoved);
+            this.objectManager = null;
+        }
+    }
+
+    /**
+     * Si sottoscrive alle variazioni di proprietà dei dispositivi (nome, RSSI, dati
+     * di advertising), così che la discovery non debba interrogare BlueZ a intervalli
+     * @private
+     */
+    async subscribeDeviceChanges() {
+        const bus = this.bluetooth.dbus;
+
+        try {
+            await bus.call(new Message({
+                destination: 'org.freedesktop.DBus',
+                path: '/org/freedesktop/DBus',
+                interface: 'org.freedesktop.DBus',
+                member: 'AddMatch',
+                signature: 's',
+                body: [DEVICE_PROPERTIES_MATCH]
+            }));
+            bus.on('message', this.onBusMessage);
+            this.deviceSignals = true;
+        } catch (error) {
+            this.deviceSignals = false;
+            console.log('Notifiche dei dispositivi non disponibili:', error.message);
+        }
+    }
+
+    /**
+     * Rimuove la sottoscrizione alle variazioni di proprietà dei dispositivi
+     * La regola di match decade con la chiusura della connessione al bus
+     * @private
+     */
+    unsubscribeDeviceChanges() {
+        if (this.deviceSignals && this.bluetooth) {
+            this.bluetooth.dbus.removeListener('message', this.onBusMessage);
+        }
+        this.deviceSignals = false;
+    }
+
+    /**
+     * Verifica se le notifiche dei dispositivi sono attive
+     * @returns {boolean}
+     */
+    hasDeviceSignals() {
+        return this.deviceSignals && this.objectManager !== null;
+    }
+
+    /**
+     * Restituisce i dispositivi già noti a BlueZ per l'adapter in uso
+     * @returns {Promise<Array<{address: string, properties: Object}>>}
+     */
+    async getKnownDevices() {
+        if (!this.objectManager || !this.adapterName) return [];
+
+        const objects = await this.objectManager.GetManagedObjects();
+        const devices = [];
+
+        for (const [objectPath, interfaces] of Object.entries(objects)) {
+            const address = this.getDeviceAddress(objectPath);
+            if (address && interfaces[DEVICE_INTERFACE]) {
+                devices.push({
+                    address,
+                    properties: unwrapProperties(interfaces[DEVICE_INTERFACE])
+                });
+            }
+        }
+
+        return devices;
+    }
+
+    /**
+     * Ricava l'indirizzo di un dispositivo dal suo percorso D-Bus
+     * (es. /org/bluez/hci0/dev_AA_BB_CC_DD_EE_FF), se appartiene all'adapter in uso
+     * @param {string} objectPath - Percorso D-Bus
+     * @returns {string|null}
+     * @private
+     */
+    getDeviceAddress(objectPath) {
+        const prefix = `/org/bluez/${this.adapterName}/dev_`;
+        if (!this.adapterName || !objectPath.startsWith(prefix)) return null;
+
+        const devicePart = objectPath.slice(prefix.length);
+        if (devicePart.includes('/')) return null; // servizi e caratteristiche GATT
+
+        return devicePart.replace(/_/g, ':');
+    }
+
+    /**
+     * Gestisce i segnali PropertiesChanged dei dispositivi
+     * @private
+     */
+    onBusMessage(message) {
+        if (message.type !== MessageType.SIGNAL ||
+            message.interface !== PROPERTIES_INTERFACE ||
+            message.member !== 'PropertiesChanged' ||
+            message.body[0] !== DEVICE_INTERFACE) {
+            return;
+        }
+
+        const address = this.getDeviceAddress(message.path);
+        if (!address) return;
+
+        this.eventManager.emit(BLEConnectionEvents.DEVICE_CHANGED, {
+            address,
+            properties: unwrapProperties(message.body[1])
+        });
+    }
+
+    /**
+     * Gestisce la comparsa di un adapter: se è quello configurato (o se non ce n'è
+     * nessuno in uso) reinizializza la connessione
+     * @private
+     */
+    async onInterfacesAdded(objectPath, interfaces) {
+        if (interfaces[DEVICE_INTERFACE]) {
+            const deviceAddress = this.getDeviceAddress(objectPath);
+            if (deviceAddress) {
+                this.eventManager.emit(BLEConnectionEvents.DEVICE_ADDED, {
+                    address: deviceAddress,
+                    properties: unwrapProperties(interfaces[DEVICE_INTERFACE])
+                });
+            }
+            return;
+        }
+
+        if (!interfaces[ADAPTER_INTERFACE]) return;
+
+        const name = objectPath.split('/').pop();
+        const address = interfaces[ADAPTER_INTERFACE].Address ?
+            interfaces[ADAPTER_INTERFACE].Address.value : null;
+
+        this.eventManager.emit(BLEConnectionEvents.ADAPTER_ADDED, { name, address });
+
+        const matchesSelector = !this.adapterSelector ||
+            this.adapterSelector === name ||
+            (address && this.adapterSelector.toUpperCase() === address.toUpperCase());
+
+        if (this.adapter || !matchesSelector) return;
+
+        try {
+            await this.initialize();
+            this.eventManager.emit(BLEConnectionEvents.ADAPTER_RESTORED, {
+                name: this.adapterName,
+                address: this.adapterAddress
+            });
+        } catch (error) {
+            console.error('Reinizializzazione adapter fallita:', error.message);
+        }
+    }
+
+    /**
+     * Gestisce la scomparsa di un adapter
+     * @private
+     */
+    onInterfacesRemoved(objectPath, interfaces) {
+        if (interfaces.includes(DEVICE_INTERFACE)) {
+            const deviceAddress = this.getDeviceAddress(objectPath);
+            if (deviceAddress) {
+                this.eventManager.emit(BLEConnectionEvents.DEVICE_REMOVED, {
+                    address: deviceAddress
+                });
+            }
+            return;
+        }
+
+        if (!interfaces.includes(ADAPTER_INTERFACE)) return;
+
+        const name = objectPath.split('/').pop();
+        const wasSelected = name === this.adapterName;
+
+        if (wasSelected) {
+            this.adapter = null;
+            this.isInitialized = false;
+            this.updateState('adapter_lost');
+        }
+
+        this.eventManager.emit(BLEConnectionEvents.ADAPTER_REMOVED, {
+            name,
+            wasSelected
+        });
+    }
+
     /**
      * Aggiorna lo stato interno della connessione
      * @param {string} newState - Nuovo stato
@@ -243,6 +681,9 @@ class BLEConnection {
             state: this.currentState,
             isInitialized: this.isInitialized,
             hasAdapter: this.adapter !== null,
+            adapterName: this.adapterName,
+            adapterAddress: this.adapterAddress,
+            adapterSelector: this.adapterSelector,
             initializationAttempts: this.initAttempts
         };
     }
@@ -0,0 +1,147 @@
+/**
+ * BLEConnectionState.js
+ * Macchina a stati della connessione di un dispositivo (o della ricerca dello scanner)
+ * con backoff esponenziale per i tentativi di riconnessione
+ *
+ * Created: 2025-02-05 09:27:44
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes } = require('../utils/errorHandler');
+const { computeBackoffDelay } = require('../utils/backoffUtils');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const settings = require('../config/settings');
+
+/**
+ * Stati della connessione
+ * @readonly
+ * @enum {string}
+ */
+const ConnectionStates = {
+    IDLE: 'idle',
+    SCANNING: 'scanning',
+    CONNECTING: 'connecting',
+    DISCOVERING_SERVICES: 'discovering_services',
+    STREAMING: 'streaming',
+    BACKOFF: 'backoff',
+    FAILED: 'failed'
+};
+
+/**
+ * Transizioni consentite per ciascuno stato
+ * Il ritorno a IDLE (disconnessione manuale, cleanup) è sempre consentito
+ */
+const TRANSITIONS = {
+    [ConnectionStates.IDLE]: [ConnectionStates.SCANNING, ConnectionStates.CONNECTING],
+    [ConnectionStates.SCANNING]: [ConnectionStates.CONNECTING, ConnectionStates.BACKOFF, ConnectionStates.FAILED],
+    [ConnectionStates.CONNECTING]: [ConnectionStates.DISCOVERING_SERVICES, ConnectionStates.SCANNING, ConnectionStates.BACKOFF, ConnectionStates.FAILED],
+    [ConnectionStates.DISCOVERING_SERVICES]: [ConnectionStates.STREAMING, ConnectionStates.SCANNING, ConnectionStates.BACKOFF, ConnectionStates.FAILED],
+    [ConnectionStates.STREAMING]: [ConnectionStates.BACKOFF, ConnectionStates.FAILED],
+    [ConnectionStates.BACKOFF]: [ConnectionStates.SCANNING, ConnectionStates.CONNECTING, ConnectionStates.FAILED],
+    [ConnectionStates.FAILED]: [ConnectionStates.SCANNING, ConnectionStates.CONNECTING]
+};
+
+const STATE_CHANGED_EVENT = 'scanner:state_changed';
+
+class BLEConnectionStateMachine {
+    /**
+     * @param {BLEEventManager} eventManager - Gestore degli eventi BLE
+     * @param {string|null} deviceAddress - Indirizzo del dispositivo (null per la ricerca dello scanner)
+     * @param {Object} [backoffSettings] - Parametri del backoff (default: settings.RECONNECT_SETTINGS)
+     */
+    constructor(eventManager, deviceAddress = null, backoffSettings = settings.RECONNECT_SETTINGS) {
+        if (!eventManager) {
+            throw new BLEError(
+                'EventManager è richiesto',
+                ErrorCodes.BLE.INVALID_PARAMETER
+            );
+        }
+
+        this.eventManager = eventManager;
+        this.deviceAddress = deviceAddress;
+        this.backoffSettings = backoffSettings;
+        this.state = ConnectionStates.IDLE;
+        this.retryCount = 0;
+        this.lastChange = getCurrentTimestamp();
+    }
+
+    /**
+     * Esegue una transizione di stato ed emette scanner:state_changed
+     * Una transizione verso lo stato corrente non ha effetto
+     * @param {string} newState - Nuovo stato
+     * @param {Object} [details] - Informazioni aggiuntive per l'evento
+     * @throws {BLEError} Se la transizione non è consentita
+     */
+    transition(newState, details = {}) {
+        const oldState = this.state;
+        if (oldState === newState) return;
+
+        if (newState !== ConnectionStates.IDLE && !TRANSITIONS[oldState].includes(newState)) {
+            throw new BLEError(
+                'Transizione di stato non consentita',
+                ErrorCodes.BLE.INVALID_STATE,
+                { deviceAddress: this.deviceAddress, oldState, newState }
+            );
+        }
+
+        this.state = newState;
+        this.lastChange = getCurrentTimestamp();
+
+        if (newState === ConnectionStates.STREAMING || newState === ConnectionStates.IDLE) {
+            this.retryCount = 0;
+        }
+
+        this.eventManager.emit(STATE_CHANGED_EVENT, {
+            deviceAddress: this.deviceAddress,
+            oldState,
+            newState,
+            retryCount: this.retryCount,
+            ...details,
+            timestamp: this.lastChange
+        });
+    }
+
+    /**
+     * Calcola il prossimo tentativo di backoff
+     * @returns {{attempt: number, delay: number}|null} null se i tentativi sono esauriti
+     */
+    nextBackoff() {
+        const maxRetries = this.backoffSettings.MAX_RETRIES;
+        if (maxRetries > 0 && this.retryCount >= maxRetries) {
+            return null;
+        }
+
+        const delay = computeBackoffDelay(this.retryCount, {
+            initialDelay: this.backoffSettings.INITIAL_DELAY,
+            maxDelay: this.backoffSettings.MAX_DELAY,
+            multiplier: this.backoffSettings.MULTIPLIER,
+            jitter: this.backoffSettings.JITTER
+        });
+
+        this.retryCount++;
+        return { attempt: this.retryCount, delay };
+    }
+
+    /**
+     * Restituisce lo stato corrente
+     * @returns {string}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Verifica se lo stato corrente è uno di quelli indicati
+     * @param {...string} states - Stati da verificare
+     * @returns {boolean}
+     */
+    is(...states) {
+        return states.includes(this.state);
+    }
+}
+
+module.exports = {
+    BLEConnectionStateMachine,
+    ConnectionStates
+};
@@ -10,6 +10,8 @@ const { BLEError, handleError, ErrorCodes } = require('../utils/errorHandler');
 const BLELogger = require('../utils/BLELogger');
 const { getCurrentTimestamp } = require('../utils/dateUtils');
 const BLEStatistics = require('../utils/BLEStatistics');
+const { packetSchemas, ProtocolSources } = require('../utils/BLEPacketSchema');
+const { BLECalibrator } = require('../utils/BLECalibration');
 const settings = require('../config/settings');
 const EventEmitter = require('events');
 
@@ -24,37 +26,122 @@ const BLEDataEvents = {
     DATA_ERROR: 'data:error',           // Quando c'è un errore nella decodifica
     SEQUENCE_ERROR: 'data:sequence_error', // Quando viene rilevato un errore di sequenza
     LOG_ERROR: 'data:log_error',        // Quando c'è un errore nel logging
+    SCHEMA_SELECTED: 'data:schema_selected', // Quando viene scelto lo schema dei pacchetti
     CLEANUP_START: 'data:cleanup_start', // Quando inizia il cleanup
     CLEANUP_COMPLETE: 'data:cleanup_complete' // Quando il cleanup è completato
 };
 
 class BLEDataHandler extends EventEmitter {
-    constructor(logger = new BLELogger(), statistics = new BLEStatistics()) {
+    /**
+     * @param {BLELogger} [logger]
+     * @param {BLEStatistics} [statistics]
+     * @param {string} [schemaName] - Schema dei pacchetti; se omesso viene negoziato
+     *                                dalla revisione firmware o dal primo pacchetto
+     */
+    constructor(logger = new BLELogger(), statistics = new BLEStatistics(), schemaName = null) {
         super();
-        this.logger = new BLELogger();
-        this.statistics = new BLEStatistics();
+        this.logger = logger;
+        this.statistics = statistics;
         this.lastProcessedData = null;
+        this.fixedSchema = schemaName ? packetSchemas.get(schemaName) : null;
+        this.firmwareRevision = null;
+        this.protocolSource = null;
+        this.schema = null;
+        this.dataValidationRules = null;
+        this.calibration = null;        // { profile, units } impostati con setCalibration
+        this.calibrator = null;
+        if (this.fixedSchema) {
+            this.applySchema(this.fixedSchema, ProtocolSources.CONFIGURED);
+        }
+    }
+
+    /**
+     * Imposta la revisione firmware del dispositivo: lo schema viene rinegoziato
+     * alla ricezione del pacchetto successivo
+     * @param {string|null} revision - Firmware Revision (Device Information Service)
+     */
+    setFirmwareRevision(revision) {
+        this.firmwareRevision = revision || null;
+        if (!this.fixedSchema) {
+            this.schema = null;
+        }
+    }
+
+    /**
+     * Imposta il profilo di calibrazione: i campioni decodificati includono anche i
+     * valori calibrati (<campo>_cal) e l'identificativo del profilo (calibration_id)
+     * @param {Object|null} profile - Profilo di calibrazione (null per disattivarla)
+     * @param {Object} [units] - Unità di uscita (default: settings.CALIBRATION)
+     * @throws {BLEError} INVALID_PARAMETER se il profilo non è valido per lo schema in uso
+     */
+    setCalibration(profile, units = settings.CALIBRATION) {
+        this.calibration = profile ? { profile, units } : null;
+        this.calibrator = profile && this.schema ? new BLECalibrator(profile, this.schema, units) : null;
+    }
+
+    /**
+     * @returns {Object|null} Profilo di calibrazione in uso (vedi BLECalibrator.describe)
+     */
+    getCalibrationInfo() {
+        return this.calibrator ? this.calibrator.describe() : null;
+    }
+
+    /**
+     * Restituisce lo schema in uso, negoziandolo con il pacchetto ricevuto se necessario
+     * @private
+     */
+    selectSchema(buffer) {
+        if (!this.schema) {
+            const { schema, source } = packetSchemas.negotiate({
+                firmwareRevision: this.firmwareRevision,
+                packet: buffer
+            });
+            this.applySchema(schema, source);
+        }
+        return this.schema;
+    }
+
+    /**
+     * @private
+     */
+    applySchema(schema, source) {
+        this.schema = schema;
+        this.protocolSource = source;
         this.dataValidationRules = {
-            minBufferLength: 20,
-            maxBufferLength: 20,
-            valueRanges: {
-                numero_progressivo: { min: 0, max: 65535 },
-                asse_x: { min: -32768, max: 32767 },
-                asse_y: { min: -32768, max: 32767 },
-                asse_z: { min: -32768, max: 32767 },
-                pressione_tallone: { min: 0, max: 65535 },
-                pressione_primo_metatarso: { min: 0, max: 65535 },
-                pressione_quinto_metatarso: { min: 0, max: 65535 },
-                segnale_uno: { min: 0, max: 65535 },
-                segnale_due: { min: 0, max: 65535 }
-            }
+            frameLength: schema.length,
+            minBufferLength: schema.length,
+            maxBufferLength: schema.length * schema.maxSamples,
+            valueRanges: schema.getValueRanges()
+        };
+        this.calibrator = this.calibration ?
+            new BLECalibrator(this.calibration.profile, schema, this.calibration.units) : null;
+
+        this.emit(BLEDataEvents.SCHEMA_SELECTED, {
+            schema: schema.name,
+            version: schema.version,
+            source,
+            firmwareRevision: this.firmwareRevision,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * @returns {Object|null} Schema in uso: nome, versione e origine della scelta
+     */
+    getProtocolInfo() {
+        if (!this.schema) return null;
+        return {
+            schema: this.schema.name,
+            version: this.schema.version,
+            source: this.protocolSource
         };
     }
 
     /**
      * Gestisce i dati in arrivo dal dispositivo BLE
+     * Una notifica può contenere più campioni: DATA_DECODED è emesso per ciascuno
      * @param {Buffer} buffer - Buffer contenente i dati raw
-     * @returns {Object} Dati decodificati
+     * @returns {Array<Object>} Campioni decodificati, nell'ordine di arrivo
      */
     handleIncomingData(buffer) {
         this.emit(BLEDataEvents.DATA_RECEIVED, {
@@ -63,9 +150,9 @@ class BLEDataHandler extends EventEmitter {
         });
         
         try {
-            const decodedData = this.decodeData(buffer);
-            this.emit(BLEDataEvents.DATA_DECODED, decodedData);
-            return decodedData;
+            const samples = this.decodeData(buffer);
+            samples.forEach(decodedData => this.emit(BLEDataEvents.DATA_DECODED, decodedData));
+            return samples;
         } catch (error) {
             this.emit(BLEDataEvents.DATA_ERROR, error);
             throw error;
@@ -73,7 +160,7 @@ class BLEDataHandler extends EventEmitter {
     }
 
     /**
-     * Decodifica i dati dal buffer
+     * Decodifica i campioni contenuti nel buffer
      * @private
      */
     decodeData(buffer) {
@@ -81,22 +168,30 @@ class BLEDataHandler extends EventEmitter {
 
         try {
             this.validateBuffer(buffer);
-            const decodedData = this.parseBuffer(buffer);
-            this.validateDecodedData(decodedData);
-            
-            // Controllo sequenza
-            this.checkSequence(decodedData);
+            const samples = this.schema.splitFrames(buffer).map(frame => {
+                const decodedData = this.parseBuffer(frame);
+                this.validateDecodedData(decodedData);
 
-            // Arricchimento dati
-            decodedData.timestamp = timestamp;
-            decodedData.raw_hex = buffer.toString('hex');
+                // Controllo sequenza, campione per campione
+                this.checkSequence(decodedData);
 
-            // Salvataggio e statistiche
-            this.logData(decodedData);
-            this.updateStatistics(decodedData);
-            
-            this.lastProcessedData = decodedData;
-            return decodedData;
+                // Arricchimento dati
+                decodedData.timestamp = timestamp;
+                decodedData.raw_hex = frame.toString('hex');
+                if (this.calibrator) {
+                    Object.assign(decodedData, this.calibrator.calibrate(decodedData));
+                }
+
+                // Salvataggio e statistiche
+                this.logData(decodedData);
+                this.updateStatistics(decodedData);
+
+                this.lastProcessedData = decodedData;
+                return decodedData;
+            });
+
+            this.statistics.recordPacket(samples.length);
+            return samples;
 
         } catch (error) {
             this.handleDecodingError(error, buffer, timestamp);
@@ -130,12 +225,16 @@ class BLEDataHandler extends EventEmitter {
             );
         }
 
-        if (buffer.length !== this.dataValidationRules.minBufferLength) {
+        this.selectSchema(buffer);
+        const { frameLength, minBufferLength, maxBufferLength } = this.dataValidationRules;
+        if (buffer.length < minBufferLength || buffer.length > maxBufferLength ||
+            buffer.length % frameLength !== 0) {
             throw new BLEError(
                 'Dimensione buffer non valida',
                 ErrorCodes.BLE.NOTIFICATION_ERROR,
                 {
-                    expectedLength: this.dataValidationRules.minBufferLength,
+                    frameLength,
+                    maxLength: maxBufferLength,
                     actualLength: buffer.length,
                     buffer: buffer.toString('hex')
                 }
@@ -144,27 +243,14 @@ class BLEDataHandler extends EventEmitter {
     }
 
     parseBuffer(buffer) {
-        // Utilizzo di Uint8Array per una gestione più sicura del buffer
-        const uint8Array = new Uint8Array(buffer);
-        const view = new DataView(uint8Array.buffer);
-
         try {
-            return {
-                numero_progressivo: view.getUint16(0, false),
-                asse_x: view.getInt16(2, true),
-                asse_y: view.getInt16(4, true),
-                asse_z: view.getInt16(6, true),
-                pressione_tallone: view.getUint16(8, true),
-                pressione_primo_metatarso: view.getUint16(10, true),
-                pressione_quinto_metatarso: view.getUint16(12, true),
-                segnale_uno: view.getUint16(14, true),
-                segnale_due: view.getUint16(16, true)
-            };
+            return this.schema.decode(buffer);
         } catch (error) {
             throw new BLEError(
                 'Errore nel parsing del buffer',
                 ErrorCodes.BLE.NOTIFICATION_ERROR,
                 {
+                    schema: this.schema.name,
                     error: error.message,
                     buffer: buffer.toString('hex')
                 }
@@ -173,33 +259,13 @@ class BLEDataHandler extends EventEmitter {
     }
 
     validateDecodedData(data) {
-        for (const [field, range] of Object.entries(this.dataValidationRules.valueRanges)) {
-            if (data[field] === undefined) {
-                throw new BLEError(
-                    'Campo dati mancante',
-                    ErrorCodes.BLE.NOTIFICATION_ERROR,
-                    { field }
-                );
-            }
-
-            if (data[field] < range.min || data[field] > range.max) {
-                throw new BLEError(
-                    'Valore fuori range',
-                    ErrorCodes.BLE.NOTIFICATION_ERROR,
-                    {
-                        field,
-                        value: data[field],
-                        range
-                    }
-                );
-            }
-        }
+        this.schema.validate(data);
     }
 
     updateStatistics(decodedData) {
         this.statistics.incrementCounter();
         
-        if (settings.DATA_ANALYSIS.ENABLED) {
+        if (settings.DATA_ANALYSIS?.ENABLED) {
             this.updateDataAnalysis(decodedData);
         }
     }
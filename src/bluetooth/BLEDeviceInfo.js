@@ -0,0 +1,206 @@
+/**
+ * BLEDeviceInfo.js
+ * Lettura del Device Information Service e monitoraggio del livello batteria
+ * (Battery Service) di un dispositivo connesso
+ *
+ * Created: 2025-02-10 09:36:21
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, handleError, ErrorCodes } = require('../utils/errorHandler');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const {
+    DEVICE_INFORMATION_SERVICE_UUID,
+    DEVICE_INFORMATION_CHARACTERISTICS,
+    BATTERY_SERVICE_UUID,
+    BATTERY_LEVEL_UUID
+} = require('../config/constants');
+const settings = require('../config/settings');
+
+/**
+ * Eventi emessi per le informazioni del dispositivo
+ * @readonly
+ * @enum {string}
+ */
+const BLEDeviceInfoEvents = {
+    DEVICE_INFO: 'device:info',
+    BATTERY_LEVEL: 'device:battery_level',
+    BATTERY_LOW: 'device:battery_low'
+};
+
+/**
+ * Decodifica una stringa UTF-8 di una caratteristica DIS
+ * @private
+ */
+function decodeString(buffer) {
+    return buffer.toString('utf8').replace(/\0+$/, '').trim();
+}
+
+/**
+ * Legge il Device Information Service
+ * Le caratteristiche assenti valgono null; se il servizio non esiste restituisce null
+ * @param {Object} gattServer - Server GATT node-ble
+ * @returns {Promise<Object|null>} manufacturer, model, serialNumber, firmwareRevision,
+ *                                 hardwareRevision, softwareRevision
+ */
+async function readDeviceInformation(gattServer) {
+    let service;
+    try {
+        service = await gattServer.getPrimaryService(DEVICE_INFORMATION_SERVICE_UUID);
+    } catch (error) {
+        return null;
+    }
+
+    const info = {};
+    for (const [field, uuid] of Object.entries(DEVICE_INFORMATION_CHARACTERISTICS)) {
+        try {
+            const characteristic = await service.getCharacteristic(uuid);
+            info[field] = decodeString(await characteristic.readValue());
+        } catch (error) {
+            info[field] = null;
+        }
+    }
+
+    return info;
+}
+
+class BLEBatteryMonitor {
+    /**
+     * @param {BLEEventManager} eventManager - Gestore degli eventi BLE
+     * @param {string} deviceAddress - Indirizzo del dispositivo
+     * @param {Object} [options] - Configurazione (default: settings.BATTERY)
+     */
+    constructor(eventManager, deviceAddress, options = settings.BATTERY) {
+        if (!eventManager) {
+            throw new BLEError(
+                'EventManager è richiesto',
+                ErrorCodes.BLE.INVALID_PARAMETER
+            );
+        }
+
+        this.eventManager = eventManager;
+        this.deviceAddress = deviceAddress;
+        this.lowThreshold = options.LOW_THRESHOLD;
+        this.pollInterval = options.POLL_INTERVAL;
+        this.characteristic = null;
+        this.pollTimer = null;
+        this.level = null;
+        this.isLow = false;
+        this.updatedAt = null;
+
+        this.onValueChanged = buffer => this.update(buffer.readUInt8(0));
+    }
+
+    /**
+     * Legge il livello batteria e ne avvia il monitoraggio (notifiche se supportate,
+     * altrimenti lettura periodica)
+     * @param {Object} gattServer - Server GATT node-ble
+     * @returns {Promise<number|null>} Livello in percentuale, null se il servizio non è disponibile
+     */
+    async start(gattServer) {
+        this.stop();
+
+        try {
+            const service = await gattServer.getPrimaryService(BATTERY_SERVICE_UUID);
+            this.characteristic = await service.getCharacteristic(BATTERY_LEVEL_UUID);
+        } catch (error) {
+            this.characteristic = null;
+            return null;
+        }
+
+        await this.read();
+
+        const flags = await this.characteristic.getFlags().catch(() => []);
+        if (flags.includes('notify')) {
+            this.characteristic.on('valuechanged', this.onValueChanged);
+            await this.characteristic.startNotifications();
+        } else if (this.pollInterval > 0) {
+            this.pollTimer = setInterval(() => this.read(), this.pollInterval);
+        }
+
+        return this.level;
+    }
+
+    /**
+     * Legge il livello batteria
+     * @returns {Promise<number|null>}
+     */
+    async read() {
+        if (!this.characteristic) return null;
+
+        try {
+            const buffer = await this.characteristic.readValue();
+            this.update(buffer.readUInt8(0));
+        } catch (error) {
+            handleError(
+                new BLEError(
+                    'Lettura livello batteria fallita',
+                    ErrorCodes.BLE.CHARACTERISTIC_ERROR,
+                    { deviceAddress: this.deviceAddress, error: error.message }
+                ),
+                'BLEBatteryMonitor.read'
+            );
+        }
+        return this.level;
+    }
+
+    /**
+     * Registra un nuovo livello batteria; BATTERY_LOW viene emesso quando il livello
+     * scende sotto la soglia e riarmato quando torna sopra
+     * @param {number} level - Livello in percentuale
+     */
+    update(level) {
+        this.level = level;
+        this.updatedAt = getCurrentTimestamp();
+
+        this.eventManager.emit(BLEDeviceInfoEvents.BATTERY_LEVEL, {
+            deviceAddress: this.deviceAddress,
+            level,
+            timestamp: this.updatedAt
+        });
+
+        if (level < this.lowThreshold && !this.isLow) {
+            this.isLow = true;
+            this.eventManager.emit(BLEDeviceInfoEvents.BATTERY_LOW, {
+                deviceAddress: this.deviceAddress,
+                level,
+                threshold: this.lowThreshold,
+                timestamp: this.updatedAt
+            });
+        } else if (level >= this.lowThreshold) {
+            this.isLow = false;
+        }
+    }
+
+    /**
+     * Ferma il monitoraggio
+     */
+    stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (this.characteristic) {
+            this.characteristic.removeListener('valuechanged', this.onValueChanged);
+        }
+    }
+
+    /**
+     * Restituisce lo stato della batteria
+     * @returns {{level: number|null, isLow: boolean, updatedAt: string|null}}
+     */
+    getStatus() {
+        return {
+            level: this.level,
+            isLow: this.isLow,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = {
+    BLEBatteryMonitor,
+    BLEDeviceInfoEvents,
+    readDeviceInformation
+};
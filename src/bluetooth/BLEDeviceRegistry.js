@@ -0,0 +1,276 @@
+/**
+ * BLEDeviceRegistry.js
+ * Registro persistente delle solette conosciute: alias leggibile, ultimo avvistamento,
+ * firmware, riferimento di calibrazione, soggetto e piede a cui sono assegnate e bond BlueZ
+ *
+ * Created: 2025-02-09 10:18:52
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BLEError, FileError, handleError, ErrorCodes } = require('../utils/errorHandler');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const { SubjectRoles } = require('./BLESubjectPairing');
+const settings = require('../config/settings');
+
+const REGISTRY_VERSION = 1;
+
+/**
+ * Campi modificabili di una voce del registro
+ * @readonly
+ */
+const EDITABLE_FIELDS = ['alias', 'subject', 'role', 'firmware', 'calibrationRef'];
+
+class BLEDeviceRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - Percorso del file (default: settings.REGISTRY.FILE_PATH,
+     *                                      relativo alla radice del progetto)
+     */
+    constructor(options = {}) {
+        const filePath = options.filePath || settings.REGISTRY.FILE_PATH;
+        this.filePath = path.isAbsolute(filePath) ?
+            filePath : path.join(__dirname, '..', '..', filePath);
+        this.devices = new Map();   // indirizzo -> voce del registro
+        this.loaded = false;
+    }
+
+    /**
+     * Carica il registro da file; un file assente equivale a un registro vuoto
+     * @returns {boolean} true se il caricamento è riuscito
+     */
+    load() {
+        this.devices.clear();
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                Object.values(content.devices || {}).forEach(entry => {
+                    this.devices.set(normalizeAddress(entry.address), entry);
+                });
+            }
+            this.loaded = true;
+            return true;
+        } catch (error) {
+            handleError(new FileError(
+                'Lettura del registro dispositivi fallita',
+                ErrorCodes.FILE.READ_FAILED,
+                { filePath: this.filePath, error: error.message }
+            ), 'BLEDeviceRegistry.load');
+            return false;
+        }
+    }
+
+    /**
+     * Salva il registro su file (scrittura su file temporaneo e rinomina)
+     * @returns {boolean} true se il salvataggio è riuscito
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+            const content = {
+                version: REGISTRY_VERSION,
+                updatedAt: getCurrentTimestamp(),
+                devices: Object.fromEntries(this.devices)
+            };
+
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(content, null, 2) + '\n');
+            fs.renameSync(tempPath, this.filePath);
+            return true;
+        } catch (error) {
+            handleError(new FileError(
+                'Salvataggio del registro dispositivi fallito',
+                ErrorCodes.FILE.WRITE_FAILED,
+                { filePath: this.filePath, error: error.message }
+            ), 'BLEDeviceRegistry.save');
+            return false;
+        }
+    }
+
+    /**
+     * Aggiunge o aggiorna un dispositivo
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {Object} [fields] - alias, subject, role ('left'/'right'), firmware, calibrationRef
+     * @returns {Object} Voce aggiornata
+     * @throws {BLEError} Se l'indirizzo o il piede non sono validi
+     */
+    register(address, fields = {}) {
+        if (!isValidAddress(address)) {
+            throw new BLEError(
+                `Indirizzo non valido: ${address}`,
+                ErrorCodes.BLE.INVALID_PARAMETER,
+                { address }
+            );
+        }
+
+        if (fields.role && !Object.values(SubjectRoles).includes(fields.role)) {
+            throw new BLEError(
+                `Piede non valido: ${fields.role}`,
+                ErrorCodes.BLE.INVALID_PARAMETER,
+                { address, role: fields.role }
+            );
+        }
+
+        const key = normalizeAddress(address);
+        const entry = this.devices.get(key) || {
+            address: key,
+            alias: null,
+            subject: null,
+            role: null,
+            firmware: null,
+            calibrationRef: null,
+            lastSeen: null,
+            bonded: false,
+            bondedAt: null,
+            registeredAt: getCurrentTimestamp()
+        };
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (fields[field] !== undefined) {
+                entry[field] = fields[field] === '' ? null : fields[field];
+            }
+        });
+
+        this.devices.set(key, entry);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Rimuove un dispositivo dal registro
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {boolean} true se il dispositivo era registrato
+     */
+    remove(address) {
+        const removed = this.devices.delete(normalizeAddress(address));
+        if (removed) {
+            this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * Registra l'avvistamento (connessione) di un dispositivo registrato
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {Object} [fields] - Campi da aggiornare insieme all'ultimo avvistamento (es. firmware)
+     * @returns {Object|null} Voce aggiornata, null se il dispositivo non è registrato
+     */
+    touch(address, fields = {}) {
+        const entry = this.get(address);
+        if (!entry) return null;
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (fields[field] !== undefined && fields[field] !== null) {
+                entry[field] = fields[field];
+            }
+        });
+        entry.lastSeen = getCurrentTimestamp();
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Restituisce la voce di un dispositivo
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {Object|null}
+     */
+    get(address) {
+        return address ? this.devices.get(normalizeAddress(address)) || null : null;
+    }
+
+    /**
+     * Verifica se un dispositivo è registrato
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {boolean}
+     */
+    has(address) {
+        return this.get(address) !== null;
+    }
+
+    /**
+     * Restituisce l'alias di un dispositivo
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {string|null}
+     */
+    getAlias(address) {
+        const entry = this.get(address);
+        return entry ? entry.alias : null;
+    }
+
+    /**
+     * Restituisce il piede (left/right) assegnato a un dispositivo
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {string|null}
+     */
+    getRole(address) {
+        const entry = this.get(address);
+        return entry ? entry.role || null : null;
+    }
+
+    /**
+     * Restituisce tutte le voci del registro, ordinate per alias
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        return Array.from(this.devices.values())
+            .sort((a, b) => (a.alias || a.address).localeCompare(b.alias || b.address));
+    }
+
+    /**
+     * Ricorda (o dimentica) il bond di un dispositivo, registrandolo se necessario
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {boolean} bonded - true se il dispositivo è accoppiato
+     * @returns {Object} Voce aggiornata
+     * @throws {BLEError} Se l'indirizzo non è valido
+     */
+    setBonded(address, bonded) {
+        const entry = this.get(address) || this.register(address);
+        entry.bonded = bonded;
+        entry.bondedAt = bonded ? getCurrentTimestamp() : null;
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Verifica se il dispositivo ha un bond registrato
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {boolean}
+     */
+    isBonded(address) {
+        const entry = this.get(address);
+        return !!entry && entry.bonded === true;
+    }
+
+    /**
+     * Restituisce gli indirizzi registrati
+     * @returns {Array<string>}
+     */
+    getAddresses() {
+        return Array.from(this.devices.keys());
+    }
+}
+
+/**
+ * Normalizza un indirizzo MAC in maiuscolo
+ * @private
+ */
+function normalizeAddress(address) {
+    return String(address).trim().toUpperCase();
+}
+
+/**
+ * Verifica il formato di un indirizzo MAC
+ * @private
+ */
+function isValidAddress(address) {
+    return typeof address === 'string' && /^([0-9A-F]{2}:){5}[0-9A-F]{2}$/i.test(address.trim());
+}
+
+module.exports = {
+    BLEDeviceRegistry,
+    EDITABLE_FIELDS
+};
@@ -3,13 +3,26 @@
  * Gestisce la scoperta dei dispositivi Bluetooth Low Energy
  * 
  * Created: 2025-02-01 18:28:48
- * Updated: 2025-02-03 09:11:47
+ * Updated: 2025-02-07 10:02:15
  * Author: arkproject
- * Version: 2.1.0
+ * Version: 2.2.0
  */
 
 const { BLEError, handleError, ErrorCodes } = require('../utils/errorHandler');
 const { getCurrentTimestamp } = require('../utils/dateUtils');
+const { matchesCriteria, getRssi } = require('../utils/filterUtils');
+const { parseAdvertisement } = require('../utils/advertisementUtils');
+const { BLESignalFilter, estimateDistance, getSignalQuality } = require('../utils/BLESignalFilter');
+const {
+    createCancellationError,
+    isCancellation,
+    throwIfAborted,
+    onAbort,
+    delay
+} = require('../utils/abortUtils');
+const { BLEConnectionEvents } = require('./BLEConnection');
+const { BLEOperationQueue, OperationPriority, ADAPTER_QUEUE } = require('./BLEOperationQueue');
+const { BLERetryPolicy } = require('../utils/BLERetryPolicy');
 const settings = require('../config/settings');
 
 /**
@@ -27,6 +40,7 @@ const BLEDiscoveryEvents = {
     ADAPTER_SET: 'discovery:adapter_set',
     SEARCH_TIMEOUT: 'discovery:search_timeout',
     SEARCH_STARTED: 'discovery:search_started',
+    CANDIDATES_EVALUATED: 'discovery:candidates_evaluated',
     CLEANUP: 'discovery:cleanup',
     ERROR: 'discovery:error',
 };
@@ -40,8 +54,10 @@ const CACHE_CONFIG = {
 class BLEDiscovery {
     /**
      * @param {BLEEventManager} eventManager - Gestore degli eventi BLE
+     * @param {BLEConnection} [bleConnection] - Connessione da cui leggere i dispositivi già noti a BlueZ
+     * @param {BLEDeviceRegistry} [registry] - Registro da cui leggere gli alias dei dispositivi
      */
-    constructor(eventManager) {
+    constructor(eventManager, bleConnection = null, registry = null, operationQueue = null) {
         if (!eventManager) {
             throw new BLEError(
                 'EventManager è richiesto',
@@ -50,19 +66,47 @@ class BLEDiscovery {
         }
 
         this.eventManager = eventManager;
+        this.bleConnection = bleConnection;
+        this.registry = registry;
+        this.operationQueue = operationQueue || new BLEOperationQueue(eventManager);
         this.isDiscovering = false;
         this.discoveredDevices = new Map();
+        this.deviceProperties = new Map();  // indirizzo -> ultime proprietà BlueZ note
+        this.lastUpdateEmitted = new Map(); // indirizzo -> ms dell'ultimo DEVICE_UPDATED
+        this.signalFilters = new Map();     // indirizzo -> BLESignalFilter
+        this.pendingSearches = new Set();   // ricerche in attesa di un dispositivo
+        this.activeSearches = 0;            // ricerche in corso (findDevice/findBestDevice)
         this.discoveryTimer = null;
         this.adapter = null;
         this._cleanupInProgress = false;
         this._cacheCleanupInterval = null;
+        this._listening = false;
 
-        // Avvia il timer di pulizia della cache
-        this._startCacheCleanup();
+        this.onDeviceSignal = this.onDeviceSignal.bind(this);
+        this.onDeviceRemoved = this.onDeviceRemoved.bind(this);
+        this._attach();
 
         console.log('[BLEDiscovery] Initialized at:', getCurrentTimestamp());
     }
 
+    /**
+     * Registra i listener delle notifiche BlueZ e avvia il timer di pulizia della cache.
+     * Viene ripetuto da setAdapter: dopo un cleanup (es. inizializzazione fallita)
+     * la discovery torna a ricevere i dispositivi.
+     * @private
+     */
+    _attach() {
+        if (this._listening) return;
+        this._listening = true;
+
+        this.eventManager.on(BLEConnectionEvents.DEVICE_ADDED, this.onDeviceSignal);
+        this.eventManager.on(BLEConnectionEvents.DEVICE_CHANGED, this.onDeviceSignal);
+        this.eventManager.on(BLEConnectionEvents.DEVICE_REMOVED, this.onDeviceRemoved);
+
+        // Avvia il timer di pulizia della cache
+        this._startCacheCleanup();
+    }
+
     /**
      * Avvia il timer di pulizia della cache
      * @private
@@ -85,9 +129,11 @@ class BLEDiscovery {
         const currentTime = Date.now();
         let cleanedCount = 0;
 
-        for (const [address, device] of this.discoveredDevices.entries()) {
+        for (const address of this.discoveredDevices.keys()) {
             if (!this.isCacheValid(address)) {
                 this.discoveredDevices.delete(address);
+                this.lastUpdateEmitted.delete(address);
+                this.signalFilters.delete(address);
                 cleanedCount++;
             }
         }
@@ -107,9 +153,7 @@ class BLEDiscovery {
         const cachedDevice = this.discoveredDevices.get(address);
         if (!cachedDevice) return false;
         
-        const currentTime = Date.now();
-        const deviceTime = new Date(cachedDevice.timestamp).getTime();
-        return (currentTime - deviceTime) < maxAge;
+        return (Date.now() - cachedDevice.lastSeen) < maxAge;
     }
 
     /**
@@ -117,6 +161,7 @@ class BLEDiscovery {
      * @param {Object} adapter - L'adapter Bluetooth da utilizzare
      */
     setAdapter(adapter) {
+        this._attach();
         this.adapter = adapter;
         this.eventManager.emit(BLEDiscoveryEvents.ADAPTER_SET, {
             timestamp: getCurrentTimestamp()
@@ -124,7 +169,22 @@ class BLEDiscovery {
     }
 
     /**
-     * Avvia la discovery in modo sicuro con loop di polling per il rilevamento di nuovi dispositivi.
+     * Scollega l'adapter dopo che è stato rimosso dal sistema
+     * Interrompe la discovery senza chiamare l'adapter, non più raggiungibile
+     */
+    detachAdapter() {
+        this.isDiscovering = false;
+        this.adapter = null;
+        this.eventManager.emit(BLEDiscoveryEvents.ADAPTER_SET, {
+            adapter: null,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Avvia la discovery in modo sicuro.
+     * I dispositivi vengono aggiornati dalle notifiche BlueZ (InterfacesAdded e
+     * PropertiesChanged) inoltrate da BLEConnection, senza polling.
      * @returns {Promise<boolean>}
      */
     async startDiscovery() {
@@ -149,53 +209,13 @@ class BLEDiscovery {
 
             // Pulisci la cache all'avvio della discovery
             this.discoveredDevices.clear();
+            this.lastUpdateEmitted.clear();
+            this.signalFilters.clear();
 
-            await this.adapter.startDiscovery();
+            await this.adapterCall('startDiscovery', adapter => adapter.startDiscovery());
             this.isDiscovering = true;
 
-            // Avvia il loop di polling in background
-            (async () => {
-                while (this.isDiscovering) {
-                    try {
-                        const devices = await this.adapter.devices();
-                        const currentTime = Date.now();
-                        
-                        for (const address of devices) {
-                            try {
-                                // Verifica se il dispositivo è già in cache e se è ancora valido
-                                const isCacheValid = this.isCacheValid(address);
-
-                                if (!isCacheValid) {
-                                    const device = await this.adapter.getDevice(address);
-                                    const deviceInfo = await this.getDeviceInfo(device, address);
-                                    
-                                    const isNewDevice = !this.discoveredDevices.has(address);
-                                    
-                                    // Aggiorna la cache
-                                    this.discoveredDevices.set(address, {
-                                        ...deviceInfo,
-                                        timestamp: getCurrentTimestamp()
-                                    });
-
-                                    // Emette l'evento appropriato
-                                    this.eventManager.emit(
-                                        isNewDevice ? BLEDiscoveryEvents.DEVICE_FOUND : BLEDiscoveryEvents.DEVICE_UPDATED,
-                                        {
-                                            ...deviceInfo,
-                                            timestamp: getCurrentTimestamp()
-                                        }
-                                    );
-                                }
-                            } catch (innerError) {
-                                console.log(`Errore nel processare il dispositivo ${address}:`, innerError.message);
-                            }
-                        }
-                    } catch (pollError) {
-                        console.error('Errore durante il polling dei dispositivi:', pollError);
-                    }
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                }
-            })();
+            await this.loadKnownDevices();
 
             this.eventManager.emit(BLEDiscoveryEvents.STARTED, {
                 timestamp: getCurrentTimestamp()
@@ -234,7 +254,7 @@ class BLEDiscovery {
             });
 
             try {
-                await this.adapter.stopDiscovery();
+                await this.adapterCall('stopDiscovery', adapter => adapter.stopDiscovery());
             } catch (error) {
                 if (!error.message.includes('No discovery started')) {
                     throw error;
@@ -266,9 +286,9 @@ class BLEDiscovery {
         if (!this.adapter) return;
 
         try {
-            const isDiscovering = await this.adapter.isDiscovering();
+            const isDiscovering = await this.adapterCall('isDiscovering', adapter => adapter.isDiscovering());
             if (isDiscovering) {
-                await this.adapter.stopDiscovery();
+                await this.adapterCall('stopDiscovery', adapter => adapter.stopDiscovery());
                 await new Promise(resolve => setTimeout(resolve, 1000));
             }
             this.isDiscovering = false;
@@ -279,160 +299,397 @@ class BLEDiscovery {
 
     /**
      * Cerca un dispositivo specifico
+     * Risolve non appena arriva un advertising che soddisfa i criteri
      * @param {Object} criteria - Criteri di ricerca
      * @param {number} timeout - Timeout in millisecondi
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Annulla la ricerca
      * @returns {Promise<Object|null>}
+     * @throws {BLEError} OPERATION_CANCELLED se la ricerca viene annullata
      */
-    async findDevice(criteria, timeout = settings.TARGET_DEVICE.SCAN_TIMEOUT) {
+    async findDevice(criteria, timeout = settings.TARGET_DEVICE.SCAN_TIMEOUT, options = {}) {
+        const { signal } = options;
+        this.activeSearches++;
+
         try {
-            await this.startDiscovery();
-            const searchStartTime = Date.now();
+            const deviceInfo = await this.waitForDevice(criteria, timeout, signal);
+            throwIfAborted(signal, 'findDevice');
+            return deviceInfo ? await this.getAdapterDevice(deviceInfo.address) : null;
 
-            this.eventManager.emit(BLEDiscoveryEvents.SEARCH_STARTED, {
-                criteria,
-                timeout,
-                timestamp: getCurrentTimestamp()
-            });
+        } catch (error) {
+            if (isCancellation(error)) throw error;
+            handleError(
+                new BLEError(
+                    'Errore durante la ricerca del dispositivo',
+                    ErrorCodes.BLE.DISCOVERY_ERROR,
+                    { error: error.message }
+                ),
+                'BLEDiscovery.findDevice'
+            );
+            return null;
 
-            while (Date.now() - searchStartTime < timeout) {
-                const devices = await this.adapter.devices();
-
-                for (const address of devices) {
-                    try {
-                        if (this.isCacheValid(address)) {
-                            const cachedDevice = this.discoveredDevices.get(address);
-                            if (this.matchesCriteria(cachedDevice, criteria)) {
-                                return await this.adapter.getDevice(address);
-                            }
-                            continue;
-                        }
-
-                        const device = await this.adapter.getDevice(address);
-                        const deviceInfo = await this.getDeviceInfo(device, address);
-
-                        if (this.matchesCriteria(deviceInfo, criteria)) {
-                            await this.stopDiscovery();
-
-                            this.eventManager.emit(BLEDiscoveryEvents.DEVICE_FOUND, {
-                                ...deviceInfo,
-                                timestamp: getCurrentTimestamp()
-                            });
-
-                            return device;
-                        }
-                    } catch (error) {
-                        continue;
-                    }
-                }
+        } finally {
+            this.activeSearches--;
+            await this.stopDiscoveryIfIdle();
+        }
+    }
+
+    /**
+     * Cerca il dispositivo migliore tra quelli che soddisfano i criteri.
+     * Dopo il primo candidato continua a raccogliere advertising per la finestra indicata,
+     * scarta i candidati sotto la soglia RSSI e sceglie il più forte o il più vicino.
+     * @param {Object} criteria - Criteri di ricerca (senza soglia RSSI)
+     * @param {Object} [options]
+     * @param {number|null} [options.minRssi] - Soglia RSSI (livellato) in dBm
+     * @param {number} [options.window] - Durata della raccolta dei candidati in ms
+     * @param {string} [options.strategy] - 'strongest' o 'nearest'
+     * @param {Array<string>} [options.preferAddresses] - Indirizzi preferiti a parità di soglia
+     *   (es. dispositivi registrati): se uno di essi è tra i candidati validi viene scelto
+     * @param {number} [options.timeout] - Timeout dell'attesa del primo candidato in ms
+     * @param {AbortSignal} [options.signal] - Annulla la ricerca
+     * @returns {Promise<Object|null>}
+     * @throws {BLEError} OPERATION_CANCELLED se la ricerca viene annullata
+     */
+    async findBestDevice(criteria, options = {}) {
+        const {
+            minRssi = settings.TARGET_DEVICE.SIGNAL_STRENGTH_THRESHOLD,
+            window = settings.TARGET_DEVICE.SELECTION_WINDOW,
+            strategy = settings.TARGET_DEVICE.SELECTION_STRATEGY,
+            preferAddresses = [],
+            timeout = settings.TARGET_DEVICE.SCAN_TIMEOUT,
+            signal
+        } = options;
+
+        this.activeSearches++;
 
-                await new Promise(resolve => setTimeout(resolve, 500));
+        try {
+            const first = await this.waitForDevice(criteria, timeout, signal);
+            if (!first) return null;
+
+            if (window > 0) {
+                await delay(window, signal, 'findBestDevice');
             }
 
-            await this.stopDiscovery();
+            const candidates = this.getDiscoveredDevices(false, criteria);
+            const { selected, rejected } = this.selectCandidate(candidates, minRssi, strategy, preferAddresses);
 
-            this.eventManager.emit(BLEDiscoveryEvents.SEARCH_TIMEOUT, {
+            this.eventManager.emit(BLEDiscoveryEvents.CANDIDATES_EVALUATED, {
                 criteria,
-                timeout,
+                strategy,
+                minRssi,
+                window,
+                selected,
+                rejected,
                 timestamp: getCurrentTimestamp()
             });
 
-            return null;
+            return selected && this.adapter ? await this.getAdapterDevice(selected.address) : null;
 
         } catch (error) {
+            if (isCancellation(error)) throw error;
             handleError(
                 new BLEError(
-                    'Errore durante la ricerca del dispositivo',
+                    'Errore durante la selezione del dispositivo',
                     ErrorCodes.BLE.DISCOVERY_ERROR,
                     { error: error.message }
                 ),
-                'BLEDiscovery.findDevice'
+                'BLEDiscovery.findBestDevice'
             );
-
-            await this.stopDiscovery();
             return null;
+
+        } finally {
+            this.activeSearches--;
+            await this.stopDiscoveryIfIdle();
         }
     }
 
     /**
-     * Verifica se un dispositivo corrisponde ai criteri di ricerca
+     * Sceglie un candidato e motiva lo scarto degli altri
+     * @param {Array<Object>} candidates - Dispositivi che soddisfano i criteri
+     * @param {number|null} minRssi - Soglia RSSI in dBm
+     * @param {string} strategy - 'strongest' o 'nearest'
+     * @param {Array<string>} [preferAddresses] - Indirizzi preferiti
+     * @returns {{selected: Object|null, rejected: Array<Object>}}
+     */
+    selectCandidate(candidates, minRssi, strategy, preferAddresses = []) {
+        const preferred = new Set(preferAddresses.map(address => address.toUpperCase()));
+        const isPreferred = device => preferred.has(device.address.toUpperCase());
+        const rejected = [];
+        const accepted = [];
+        const summary = (device, reason) => ({
+            address: device.address,
+            name: device.name,
+            alias: device.alias || null,
+            rssi: getRssi(device),
+            distance: device.distance,
+            reason
+        });
+
+        for (const device of candidates) {
+            const rssi = getRssi(device);
+            if (minRssi !== null && minRssi !== undefined && (rssi === null || rssi < minRssi)) {
+                rejected.push(summary(device, 'below_threshold'));
+            } else {
+                accepted.push(device);
+            }
+        }
+
+        const rssiOf = device => {
+            const rssi = getRssi(device);
+            return rssi === null ? -Infinity : rssi;
+        };
+        const byRssi = (a, b) => rssiOf(b) - rssiOf(a);
+        const byDistance = (a, b) => {
+            if (a.distance === null && b.distance === null) return byRssi(a, b);
+            if (a.distance === null) return 1;
+            if (b.distance === null) return -1;
+            return a.distance - b.distance;
+        };
+
+        const compare = strategy === 'nearest' ? byDistance : byRssi;
+        accepted.sort((a, b) => (isPreferred(b) - isPreferred(a)) || compare(a, b));
+
+        const [selected = null, ...others] = accepted;
+        others.forEach(device => {
+            const notPreferred = isPreferred(selected) && !isPreferred(device);
+            rejected.push(summary(device, notPreferred ? 'not_registered' :
+                strategy === 'nearest' ? 'farther' : 'weaker_signal'));
+        });
+
+        return { selected, rejected };
+    }
+
+    /**
+     * Avvia la discovery e attende il primo dispositivo che soddisfa i criteri
+     * @returns {Promise<Object|null>} Informazioni del dispositivo, null allo scadere del timeout
+     * @throws {BLEError} OPERATION_CANCELLED se il segnale viene attivato durante l'attesa
      * @private
      */
-    matchesCriteria(deviceInfo, criteria) {
-        if (criteria.name && deviceInfo.name !== criteria.name) {
-            return false;
+    async waitForDevice(criteria, timeout, signal) {
+        throwIfAborted(signal, 'waitForDevice');
+        await this.startDiscovery();
+
+        this.eventManager.emit(BLEDiscoveryEvents.SEARCH_STARTED, {
+            criteria,
+            timeout,
+            timestamp: getCurrentTimestamp()
+        });
+
+        const cached = this.getDiscoveredDevices(false, criteria)[0];
+
+        const deviceInfo = cached || await new Promise((resolve, reject) => {
+            const search = { criteria, resolve: null, timer: null };
+            const removeAbortListener = onAbort(signal, () => {
+                clearTimeout(search.timer);
+                this.pendingSearches.delete(search);
+                reject(createCancellationError('waitForDevice', signal));
+            });
+
+            search.resolve = result => {
+                removeAbortListener();
+                resolve(result);
+            };
+            search.timer = setTimeout(() => {
+                this.pendingSearches.delete(search);
+                search.resolve(null);
+            }, timeout);
+            this.pendingSearches.add(search);
+        });
+
+        if (!deviceInfo) {
+            this.eventManager.emit(BLEDiscoveryEvents.SEARCH_TIMEOUT, {
+                criteria,
+                timeout,
+                timestamp: getCurrentTimestamp()
+            });
+        }
+
+        return deviceInfo;
+    }
+
+    /**
+     * Ferma la discovery se non ci sono altre ricerche in corso
+     * @private
+     */
+    async stopDiscoveryIfIdle() {
+        if (this.activeSearches === 0) {
+            await this.stopDiscovery();
         }
+    }
 
-        if (criteria.minRssi && deviceInfo.rssi < criteria.minRssi) {
-            return false;
+    /**
+     * Risolve le ricerche in attesa soddisfatte da un dispositivo
+     * @private
+     */
+    resolvePendingSearches(deviceInfo) {
+        for (const search of this.pendingSearches) {
+            if (this.matchesCriteria(deviceInfo, search.criteria)) {
+                clearTimeout(search.timer);
+                this.pendingSearches.delete(search);
+                search.resolve(deviceInfo);
+            }
         }
+    }
+
+    /**
+     * Esegue una chiamata sull'adapter attraverso la coda dell'adapter
+     * @param {string} name - Nome dell'operazione
+     * @param {Function} call - (adapter) => Promise
+     * @param {number} [priority] - Priorità (OperationPriority)
+     * @returns {Promise<*>}
+     * @private
+     */
+    adapterCall(name, call, priority = OperationPriority.NORMAL) {
+        const adapter = this.adapter;
+        return this.operationQueue.run(ADAPTER_QUEUE, () => call(adapter), { name, priority });
+    }
 
-        return true;
+    /**
+     * Restituisce il dispositivo node-ble di un indirizzo scoperto
+     * BlueZ può non avere ancora esportato il dispositivo appena segnalato: la richiesta
+     * viene ripetuta secondo settings.RETRY_POLICIES.DEVICE_LOOKUP.
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {Promise<Object>}
+     * @private
+     */
+    getAdapterDevice(address) {
+        return BLERetryPolicy.fromSettings('DEVICE_LOOKUP', this.eventManager).execute(
+            () => this.adapterCall('getDevice', adapter => adapter.getDevice(address), OperationPriority.HIGH)
+        );
     }
 
     /**
-     * Ottiene le informazioni di un dispositivo
+     * Carica i dispositivi già noti a BlueZ all'avvio della discovery.
+     * Quelli con RSSI valorizzato sono stati visti di recente e finiscono subito in cache.
      * @private
      */
-    async getDeviceInfo(device, address) {
+    async loadKnownDevices() {
+        if (!this.bleConnection) return;
+
         try {
-            const name = await Promise.race([
-                device.getName(),
-                new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('getName timeout')), 2000)
-                )
-            ]).catch(() => 'Sconosciuto');
-
-            let rssi = null;
-            try {
-                rssi = await Promise.race([
-                    device.getRSSI(),
-                    new Promise((_, reject) =>
-                        setTimeout(() => reject(new Error('getRSSI timeout')), 1000)
-                    )
-                ]);
-            } catch (rssiError) {
-                try {
-                    const properties = await device.getProperties();
-                    if (properties && properties.RSSI) {
-                        rssi = properties.RSSI;
-                    } else {
-                        rssi = device.RSSI || null;
-                    }
-                } catch (propError) {
-                    console.log(`Debug - Anche il tentativo con properties fallito per ${address}: ${propError.message}`);
+            const knownDevices = await this.bleConnection.getKnownDevices();
+            for (const { address, properties } of knownDevices) {
+                this.deviceProperties.set(address, properties);
+                if (properties.RSSI !== undefined) {
+                    this.updateDevice(address, properties.RSSI);
                 }
             }
+        } catch (error) {
+            console.log('Errore nel leggere i dispositivi noti:', error.message);
+        }
+    }
 
-            return {
-                address,
-                name: name || 'Sconosciuto',
-                rssi: rssi !== null ? `${rssi} dBm` : 'Non disponibile',
-                timestamp: getCurrentTimestamp()
-            };
+    /**
+     * Gestisce la comparsa o la variazione di proprietà di un dispositivo
+     * @private
+     */
+    onDeviceSignal({ address, properties }) {
+        this.deviceProperties.set(address, {
+            ...this.deviceProperties.get(address),
+            ...properties
+        });
 
-        } catch (error) {
-            console.log(`Debug - Errore critico in getDeviceInfo per ${address}:`, error.message);
-            return {
-                address,
-                name: 'Sconosciuto',
-                rssi: 'Non disponibile',
-                timestamp: getCurrentTimestamp()
-            };
+        // Solo un advertising ricevuto durante la discovery rende il dispositivo "scoperto"
+        if (this.isDiscovering && (properties.RSSI !== undefined || this.discoveredDevices.has(address))) {
+            this.updateDevice(address, properties.RSSI);
+        }
+    }
+
+    /**
+     * Gestisce la rimozione di un dispositivo da BlueZ
+     * @private
+     */
+    onDeviceRemoved({ address }) {
+        this.deviceProperties.delete(address);
+        this.discoveredDevices.delete(address);
+        this.lastUpdateEmitted.delete(address);
+        this.signalFilters.delete(address);
+    }
+
+    /**
+     * Aggiorna la cache di un dispositivo ed emette l'evento corrispondente
+     * DEVICE_UPDATED viene emesso al massimo ogni DISCOVERY.UPDATE_INTERVAL ms
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {number} [rssi] - Nuovo campione RSSI, se presente nella notifica
+     * @private
+     */
+    updateDevice(address, rssi) {
+        const isNewDevice = !this.discoveredDevices.has(address);
+
+        let signalFilter = this.signalFilters.get(address);
+        if (!signalFilter) {
+            signalFilter = new BLESignalFilter();
+            this.signalFilters.set(address, signalFilter);
+        }
+        if (typeof rssi === 'number') {
+            signalFilter.add(rssi);
+        }
+
+        const deviceInfo = this.getDeviceInfo(address, this.deviceProperties.get(address), signalFilter);
+
+        this.discoveredDevices.set(address, deviceInfo);
+
+        const now = Date.now();
+        const lastEmitted = this.lastUpdateEmitted.get(address) || 0;
+        if (isNewDevice || now - lastEmitted >= settings.DISCOVERY.UPDATE_INTERVAL) {
+            this.lastUpdateEmitted.set(address, now);
+            this.eventManager.emit(
+                isNewDevice ? BLEDiscoveryEvents.DEVICE_FOUND : BLEDiscoveryEvents.DEVICE_UPDATED,
+                deviceInfo
+            );
         }
+
+        this.resolvePendingSearches(deviceInfo);
+    }
+
+    /**
+     * Verifica se un dispositivo corrisponde ai criteri di ricerca
+     * @see module:utils/filterUtils
+     * @private
+     */
+    matchesCriteria(deviceInfo, criteria) {
+        return matchesCriteria(deviceInfo, criteria);
+    }
+
+    /**
+     * Costruisce le informazioni di un dispositivo dalle proprietà BlueZ,
+     * compresi i dati di advertising decodificati e il segnale livellato
+     * @private
+     */
+    getDeviceInfo(address, properties = {}, signalFilter = null) {
+        const rssi = properties.RSSI !== undefined ? properties.RSSI : null;
+        const advertisement = parseAdvertisement(properties);
+        const filtered = signalFilter ? signalFilter.getValue() : null;
+        const smoothedRssi = filtered !== null ? Math.round(filtered * 10) / 10 : rssi;
+
+        const registryEntry = this.registry ? this.registry.get(address) : null;
+
+        return {
+            address,
+            name: properties.Name || 'Sconosciuto',
+            alias: registryEntry ? registryEntry.alias : null,
+            registered: registryEntry !== null,
+            rssi,
+            smoothedRssi,
+            rssiTrend: signalFilter ? signalFilter.getTrend() : null,
+            signalQuality: getSignalQuality(smoothedRssi),
+            distance: estimateDistance(smoothedRssi, advertisement.txPower),
+            ...advertisement,
+            lastSeen: Date.now(),   // ms epoch: l'età della cache non dipende dal fuso orario
+            timestamp: getCurrentTimestamp()
+        };
     }
 
     /**
      * Restituisce i dispositivi scoperti
      * @param {boolean} includeExpired - Se true, include anche i dispositivi con cache scaduta
+     * @param {Object} [criteria] - Se indicati, restituisce solo i dispositivi che li soddisfano
      * @returns {Array}
      */
-    getDiscoveredDevices(includeExpired = false) {
-        if (includeExpired) {
-            return Array.from(this.discoveredDevices.values());
-        }
-
+    getDiscoveredDevices(includeExpired = false, criteria = null) {
         return Array.from(this.discoveredDevices.values())
-            .filter(device => this.isCacheValid(device.address));
+            .filter(device => includeExpired || this.isCacheValid(device.address))
+            .filter(device => !criteria || this.matchesCriteria(device, criteria));
     }
 
     /**
@@ -450,11 +707,25 @@ class BLEDiscovery {
                 this._cacheCleanupInterval = null;
             }
 
+            for (const search of this.pendingSearches) {
+                clearTimeout(search.timer);
+                search.resolve(null);
+            }
+            this.pendingSearches.clear();
+
             if (this.isDiscovering) {
                 await this.stopDiscovery();
             }
 
+            this.eventManager.removeListener(BLEConnectionEvents.DEVICE_ADDED, this.onDeviceSignal);
+            this.eventManager.removeListener(BLEConnectionEvents.DEVICE_CHANGED, this.onDeviceSignal);
+            this.eventManager.removeListener(BLEConnectionEvents.DEVICE_REMOVED, this.onDeviceRemoved);
+            this._listening = false;
+
             this.discoveredDevices.clear();
+            this.deviceProperties.clear();
+            this.lastUpdateEmitted.clear();
+            this.signalFilters.clear();
             this.adapter = null;
 
             this.eventManager.emit(BLEDiscoveryEvents.CLEANUP, {
@@ -0,0 +1,251 @@
+/**
+ * BLEOperationQueue.js
+ * Coda delle operazioni BlueZ: le chiamate D-Bus sulla stessa risorsa (l'adapter o un
+ * singolo dispositivo) vengono eseguite una alla volta, in ordine di priorità, con
+ * timeout. Code di risorse diverse procedono in parallelo. Allo scadere del timeout il
+ * chiamante riceve l'errore, ma la risorsa resta occupata finché la chiamata D-Bus
+ * (non annullabile) non termina.
+ * Evita gli errori "Operation already in progress" dovuti a chiamate concorrenti.
+ *
+ * Created: 2025-02-11 15:08:42
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes } = require('../utils/errorHandler');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const settings = require('../config/settings');
+
+/**
+ * Chiave della coda dell'adapter; le code dei dispositivi usano l'indirizzo
+ */
+const ADAPTER_QUEUE = 'adapter';
+
+/**
+ * Priorità delle operazioni: a parità di priorità l'ordine è di arrivo
+ * @readonly
+ * @enum {number}
+ */
+const OperationPriority = {
+    HIGH: 2,        // connessione, GATT, servizi
+    NORMAL: 1,      // caratteristiche, notifiche, discovery
+    LOW: 0          // letture informative (nome, DIS, batteria)
+};
+
+/**
+ * Eventi emessi dalla coda
+ * @readonly
+ * @enum {string}
+ */
+const BLEOperationQueueEvents = {
+    OPERATION_TIMEOUT: 'queue:operation_timeout'
+};
+
+class BLEOperationQueue {
+    /**
+     * @param {BLEEventManager} [eventManager] - Gestore degli eventi BLE
+     * @param {Object} [options] - Configurazione (default: settings.SCAN_SETTINGS)
+     */
+    constructor(eventManager = null, options = settings.SCAN_SETTINGS) {
+        this.eventManager = eventManager;
+        this.timeout = options.OPERATION_TIMEOUT;
+        this.queues = new Map();    // chiave -> { pending: [], running: null }
+        this.sequence = 0;
+        this.stats = {
+            completed: 0,
+            failed: 0,
+            timedOut: 0,
+            cancelled: 0
+        };
+    }
+
+    /**
+     * Accoda un'operazione
+     * @param {string} key - ADAPTER_QUEUE o indirizzo del dispositivo
+     * @param {Function} operation - () => Promise
+     * @param {Object} [options]
+     * @param {string} [options.name] - Nome dell'operazione, per errori ed eventi
+     * @param {number} [options.priority] - Priorità (OperationPriority)
+     * @param {number} [options.timeout] - Timeout in ms (default: SCAN_SETTINGS.OPERATION_TIMEOUT; 0 = nessuno)
+     * @returns {Promise<*>} Risultato dell'operazione
+     */
+    run(key, operation, options = {}) {
+        const {
+            name = 'operation',
+            priority = OperationPriority.NORMAL,
+            timeout = this.timeout
+        } = options;
+
+        return new Promise((resolve, reject) => {
+            const queue = this.getQueue(key);
+            queue.pending.push({
+                name,
+                priority,
+                timeout,
+                operation,
+                resolve,
+                reject,
+                order: this.sequence++
+            });
+            queue.pending.sort((a, b) => b.priority - a.priority || a.order - b.order);
+            this.next(key);
+        });
+    }
+
+    /**
+     * Restituisce (creandola se necessario) la coda di una risorsa
+     * @private
+     */
+    getQueue(key) {
+        let queue = this.queues.get(key);
+        if (!queue) {
+            queue = { pending: [], running: null };
+            this.queues.set(key, queue);
+        }
+        return queue;
+    }
+
+    /**
+     * Esegue la prossima operazione della coda, se libera
+     * @private
+     */
+    async next(key) {
+        const queue = this.queues.get(key);
+        if (!queue || queue.running) return;
+
+        const entry = queue.pending.shift();
+        if (!entry) {
+            this.queues.delete(key);
+            return;
+        }
+
+        queue.running = entry;
+        const promise = Promise.resolve().then(entry.operation);
+        try {
+            entry.resolve(await this.execute(key, entry, promise));
+            this.stats.completed++;
+        } catch (error) {
+            this.stats.failed++;
+            entry.reject(error);
+
+            // Una chiamata scaduta è ancora in corso su BlueZ: la successiva sulla stessa
+            // risorsa partirebbe in parallelo ("Operation already in progress")
+            await promise.catch(() => {});
+        }
+
+        queue.running = null;
+        this.next(key);
+    }
+
+    /**
+     * Attende l'esito di un'operazione applicando il timeout.
+     * Allo scadere rifiuta solo il chiamante: la chiamata D-Bus sottostante non è
+     * annullabile e il suo esito viene ignorato.
+     * @private
+     */
+    execute(key, entry, promise) {
+        if (!entry.timeout) return promise;
+
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                this.stats.timedOut++;
+                if (this.eventManager) {
+                    this.eventManager.emit(BLEOperationQueueEvents.OPERATION_TIMEOUT, {
+                        queue: key,
+                        operation: entry.name,
+                        timeout: entry.timeout,
+                        timestamp: getCurrentTimestamp()
+                    });
+                }
+                reject(new BLEError(
+                    `Operazione ${entry.name} scaduta dopo ${entry.timeout} ms`,
+                    ErrorCodes.BLE.OPERATION_TIMEOUT,
+                    { queue: key, operation: entry.name, timeout: entry.timeout }
+                ));
+            }, entry.timeout);
+        });
+
+        promise.catch(() => {});
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Annulla le operazioni in attesa di una coda (quella in esecuzione prosegue)
+     * @param {string} key - ADAPTER_QUEUE o indirizzo del dispositivo
+     * @param {string} [reason] - Motivo dell'annullamento
+     * @returns {number} Numero di operazioni annullate
+     */
+    clear(key, reason = 'Coda svuotata') {
+        const queue = this.queues.get(key);
+        if (!queue) return 0;
+
+        const cancelled = queue.pending.splice(0);
+        cancelled.forEach(entry => {
+            entry.reject(new BLEError(
+                `Operazione ${entry.name} annullata: ${reason}`,
+                ErrorCodes.BLE.OPERATION_CANCELLED,
+                { queue: key, operation: entry.name }
+            ));
+        });
+        this.stats.cancelled += cancelled.length;
+
+        if (!queue.running) {
+            this.queues.delete(key);
+        }
+        return cancelled.length;
+    }
+
+    /**
+     * Annulla le operazioni in attesa di tutte le code
+     * @param {string} [reason] - Motivo dell'annullamento
+     * @returns {number} Numero di operazioni annullate
+     */
+    clearAll(reason) {
+        return Array.from(this.queues.keys())
+            .reduce((total, key) => total + this.clear(key, reason), 0);
+    }
+
+    /**
+     * Numero di operazioni in coda per una risorsa, compresa quella in esecuzione
+     * @param {string} key - ADAPTER_QUEUE o indirizzo del dispositivo
+     * @returns {number}
+     */
+    getDepth(key) {
+        const queue = this.queues.get(key);
+        if (!queue) return 0;
+        return queue.pending.length + (queue.running ? 1 : 0);
+    }
+
+    /**
+     * Restituisce le statistiche della coda
+     * @returns {{adapter: number, devices: Object<string, number>, total: number,
+     *            completed: number, failed: number, timedOut: number, cancelled: number}}
+     */
+    getStatistics() {
+        const devices = {};
+        let total = 0;
+
+        for (const key of this.queues.keys()) {
+            const depth = this.getDepth(key);
+            total += depth;
+            if (key !== ADAPTER_QUEUE) {
+                devices[key] = depth;
+            }
+        }
+
+        return {
+            adapter: this.getDepth(ADAPTER_QUEUE),
+            devices,
+            total,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = {
+    BLEOperationQueue,
+    BLEOperationQueueEvents,
+    OperationPriority,
+    ADAPTER_QUEUE
+};
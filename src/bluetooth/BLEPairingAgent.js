@@ -0,0 +1,413 @@
+/**
+ * BLEPairingAgent.js
+ * Agent BlueZ (org.bluez.Agent1) per l'accoppiamento delle solette con link cifrato.
+ * L'agent viene esportato sul bus D-Bus della sessione node-ble e registrato presso
+ * org.bluez.AgentManager1; le richieste di passkey e di conferma sono inoltrate a un
+ * gestore fornito dall'interfaccia utente (es. il prompt della CLI), che riceve un
+ * AbortSignal attivato quando BlueZ annulla la richiesta o scade PAIRING.TIMEOUT.
+ * Vengono accettate solo le richieste dei dispositivi di cui è stato avviato
+ * l'accoppiamento (vedi expectPairing), le altre sono rifiutate.
+ *
+ * Created: 2025-02-14 10:22:18
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { interface: dbusInterface, DBusError } = require('dbus-next');
+const { BLEError, ErrorCodes } = require('../utils/errorHandler');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const { onAbort, combineSignals } = require('../utils/abortUtils');
+const settings = require('../config/settings');
+
+const AGENT_INTERFACE = 'org.bluez.Agent1';
+const REJECTED_ERROR = 'org.bluez.Error.Rejected';
+const MAX_PASSKEY = 999999;
+
+/**
+ * Eventi relativi all'accoppiamento
+ * @readonly
+ * @enum {string}
+ */
+const BLEPairingEvents = {
+    AGENT_REGISTERED: 'pairing:agent_registered',
+    AGENT_UNREGISTERED: 'pairing:agent_unregistered',
+    PASSKEY_REQUESTED: 'pairing:passkey_requested',
+    PASSKEY_DISPLAYED: 'pairing:passkey_displayed',
+    CONFIRMATION_REQUESTED: 'pairing:confirmation_requested',
+    REQUEST_REJECTED: 'pairing:request_rejected',
+    CANCELLED: 'pairing:cancelled',
+    STARTED: 'pairing:started',
+    PAIRED: 'pairing:paired',
+    FAILED: 'pairing:failed',
+    BOND_REMOVED: 'pairing:bond_removed'
+};
+
+/**
+ * Ricava l'indirizzo del dispositivo dal percorso D-Bus BlueZ
+ * (es. /org/bluez/hci0/dev_AA_BB_CC_DD_EE_FF -> AA:BB:CC:DD:EE:FF)
+ * @param {string} devicePath - Percorso dell'oggetto dispositivo
+ * @returns {string}
+ */
+function addressFromPath(devicePath) {
+    const match = /dev_([0-9A-Fa-f]{2}(?:_[0-9A-Fa-f]{2}){5})$/.exec(devicePath || '');
+    return match ? match[1].replace(/_/g, ':').toUpperCase() : devicePath;
+}
+
+/**
+ * Interfaccia org.bluez.Agent1 esportata su D-Bus; delega ogni metodo a BLEPairingAgent
+ * @private
+ */
+class AgentInterface extends dbusInterface.Interface {
+    constructor(agent) {
+        super(AGENT_INTERFACE);
+        this.agent = agent;
+    }
+
+    Release() {
+        this.agent.handleRelease();
+    }
+
+    RequestPinCode(device) {
+        return this.agent.requestPinCode(device);
+    }
+
+    DisplayPinCode(device, pincode) {
+        this.agent.displayPasskey(device, pincode);
+    }
+
+    RequestPasskey(device) {
+        return this.agent.requestPasskey(device);
+    }
+
+    DisplayPasskey(device, passkey, entered) {
+        this.agent.displayPasskey(device, String(passkey).padStart(6, '0'), entered);
+    }
+
+    RequestConfirmation(device, passkey) {
+        return this.agent.requestConfirmation(device, passkey);
+    }
+
+    RequestAuthorization(device) {
+        this.agent.authorize(device);
+    }
+
+    AuthorizeService(device, uuid) {
+        this.agent.authorize(device, uuid);
+    }
+
+    Cancel() {
+        this.agent.handleCancel();
+    }
+}
+
+AgentInterface.configureMembers({
+    methods: {
+        Release: {},
+        RequestPinCode: { inSignature: 'o', outSignature: 's' },
+        DisplayPinCode: { inSignature: 'os' },
+        RequestPasskey: { inSignature: 'o', outSignature: 'u' },
+        DisplayPasskey: { inSignature: 'ouq' },
+        RequestConfirmation: { inSignature: 'ou' },
+        RequestAuthorization: { inSignature: 'o' },
+        AuthorizeService: { inSignature: 'os' },
+        Cancel: {}
+    }
+});
+
+class BLEPairingAgent {
+    /**
+     * @param {BLEEventManager} eventManager - Gestore degli eventi BLE
+     * @param {Object} [options] - Configurazione (default: settings.PAIRING)
+     */
+    constructor(eventManager, options = settings.PAIRING) {
+        if (!eventManager) {
+            throw new BLEError(
+                'EventManager è richiesto',
+                ErrorCodes.BLE.INVALID_PARAMETER
+            );
+        }
+
+        this.eventManager = eventManager;
+        this.path = options.AGENT_PATH;
+        this.capability = options.AGENT_CAPABILITY;
+        this.autoConfirm = options.AUTO_CONFIRM;
+        this.promptTimeout = options.TIMEOUT;
+        this.interface = new AgentInterface(this);
+        this.bluetooth = null;          // Sessione node-ble su cui l'agent è registrato
+        this.promptHandler = null;
+        this.pendingPrompt = null;      // AbortController della richiesta in attesa di risposta
+        this.expected = new Set();      // Indirizzi in fase di accoppiamento
+    }
+
+    /**
+     * Imposta il gestore delle richieste all'utente
+     * @param {Object|null} handler
+     * @param {Function} [handler.requestPasskey] - (address, { signal }) => Promise<number|string>
+     * @param {Function} [handler.confirmPasskey] - (address, passkey, { signal }) => Promise<boolean>
+     * @param {Function} [handler.displayPasskey] - (address, passkey) => void
+     */
+    setPromptHandler(handler) {
+        this.promptHandler = handler;
+    }
+
+    /**
+     * Esporta l'agent sul bus della sessione node-ble e lo registra come agent predefinito
+     * @param {Object} bluetooth - Sessione node-ble (createBluetooth().bluetooth)
+     * @returns {Promise<void>}
+     */
+    async register(bluetooth) {
+        if (this.bluetooth) return;
+
+        bluetooth.dbus.export(this.path, this.interface);
+        try {
+            await bluetooth.helper.callMethod('RegisterAgent', this.path, this.capability);
+            await bluetooth.helper.callMethod('RequestDefaultAgent', this.path);
+        } catch (error) {
+            bluetooth.dbus.unexport(this.path, this.interface);
+            throw error;
+        }
+
+        this.bluetooth = bluetooth;
+        this.eventManager.emit(BLEPairingEvents.AGENT_REGISTERED, {
+            path: this.path,
+            capability: this.capability,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Annulla la registrazione dell'agent (prima della chiusura della sessione node-ble)
+     * @returns {Promise<void>}
+     */
+    async unregister() {
+        const bluetooth = this.bluetooth;
+        if (!bluetooth) return;
+
+        this.bluetooth = null;
+        await bluetooth.helper.callMethod('UnregisterAgent', this.path).catch(() => {});
+        bluetooth.dbus.unexport(this.path, this.interface);
+
+        this.eventManager.emit(BLEPairingEvents.AGENT_UNREGISTERED, {
+            path: this.path,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Verifica se l'agent è registrato
+     * @returns {boolean}
+     */
+    isRegistered() {
+        return this.bluetooth !== null;
+    }
+
+    /**
+     * Autorizza le richieste di un dispositivo di cui si avvia l'accoppiamento
+     * @param {string} address - Indirizzo del dispositivo
+     */
+    expectPairing(address) {
+        this.expected.add(address.toUpperCase());
+    }
+
+    /**
+     * Revoca l'autorizzazione concessa con expectPairing
+     * @param {string} address - Indirizzo del dispositivo
+     */
+    endPairing(address) {
+        this.expected.delete(address.toUpperCase());
+    }
+
+    /**
+     * Passkey numerica richiesta da BlueZ (inserita dall'utente)
+     * @param {string} devicePath - Percorso D-Bus del dispositivo
+     * @returns {Promise<number>}
+     */
+    async requestPasskey(devicePath) {
+        const address = this.checkExpected(devicePath);
+        const value = await this.prompt(address, 'requestPasskey', BLEPairingEvents.PASSKEY_REQUESTED);
+        const passkey = Number.parseInt(value, 10);
+
+        if (!Number.isInteger(passkey) || passkey < 0 || passkey > MAX_PASSKEY) {
+            throw this.reject(address, 'Passkey non valida');
+        }
+        return passkey;
+    }
+
+    /**
+     * PIN richiesto da BlueZ (dispositivi legacy)
+     * @param {string} devicePath - Percorso D-Bus del dispositivo
+     * @returns {Promise<string>}
+     */
+    async requestPinCode(devicePath) {
+        const address = this.checkExpected(devicePath);
+        const value = await this.prompt(address, 'requestPasskey', BLEPairingEvents.PASSKEY_REQUESTED);
+        const pincode = value === null || value === undefined ? '' : String(value).trim();
+
+        if (!pincode) {
+            throw this.reject(address, 'PIN non inserito');
+        }
+        return pincode;
+    }
+
+    /**
+     * Conferma della passkey mostrata da entrambi i lati (numeric comparison)
+     * @param {string} devicePath - Percorso D-Bus del dispositivo
+     * @param {number} passkey - Passkey da confermare
+     * @returns {Promise<void>}
+     */
+    async requestConfirmation(devicePath, passkey) {
+        const address = this.checkExpected(devicePath);
+        const code = String(passkey).padStart(6, '0');
+
+        this.eventManager.emit(BLEPairingEvents.CONFIRMATION_REQUESTED, {
+            deviceAddress: address,
+            passkey: code,
+            timestamp: getCurrentTimestamp()
+        });
+
+        const handler = this.promptHandler && this.promptHandler.confirmPasskey;
+        const confirmed = handler ? await this.ask(address, handler, code) : this.autoConfirm;
+        if (!confirmed) {
+            throw this.reject(address, 'Passkey non confermata');
+        }
+    }
+
+    /**
+     * Passkey o PIN da digitare sul dispositivo
+     * @param {string} devicePath - Percorso D-Bus del dispositivo
+     * @param {string} passkey - Codice da mostrare
+     * @param {number} [entered] - Cifre già digitate
+     */
+    displayPasskey(devicePath, passkey, entered) {
+        const address = addressFromPath(devicePath);
+
+        this.eventManager.emit(BLEPairingEvents.PASSKEY_DISPLAYED, {
+            deviceAddress: address,
+            passkey,
+            entered,
+            timestamp: getCurrentTimestamp()
+        });
+
+        if (this.promptHandler && this.promptHandler.displayPasskey) {
+            this.promptHandler.displayPasskey(address, passkey);
+        }
+    }
+
+    /**
+     * Autorizzazione di accoppiamento o di servizio
+     * @param {string} devicePath - Percorso D-Bus del dispositivo
+     * @param {string} [uuid] - UUID del servizio
+     * @throws {DBusError} org.bluez.Error.Rejected se il dispositivo non è atteso
+     */
+    authorize(devicePath, uuid) {
+        this.checkExpected(devicePath, uuid);
+    }
+
+    /**
+     * BlueZ ha annullato la richiesta in corso (es. timeout dell'accoppiamento):
+     * il prompt ancora aperto viene chiuso
+     */
+    handleCancel() {
+        if (this.pendingPrompt) {
+            this.pendingPrompt.abort('Richiesta annullata da BlueZ');
+        }
+        this.eventManager.emit(BLEPairingEvents.CANCELLED, {
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * BlueZ ha rilasciato l'agent (es. riavvio del servizio bluetooth)
+     */
+    handleRelease() {
+        this.bluetooth = null;
+        this.eventManager.emit(BLEPairingEvents.AGENT_UNREGISTERED, {
+            path: this.path,
+            released: true,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Inoltra una richiesta al gestore dell'interfaccia utente
+     * @private
+     */
+    async prompt(address, method, event) {
+        this.eventManager.emit(event, {
+            deviceAddress: address,
+            timestamp: getCurrentTimestamp()
+        });
+
+        const handler = this.promptHandler && this.promptHandler[method];
+        if (!handler) {
+            throw this.reject(address, 'Nessun gestore per l\'inserimento della passkey');
+        }
+        return this.ask(address, handler);
+    }
+
+    /**
+     * Attende la risposta del gestore; la richiesta viene rifiutata se BlueZ la
+     * annulla o se l'utente non risponde entro promptTimeout
+     * @private
+     */
+    async ask(address, handler, ...args) {
+        const controller = new AbortController();
+        const signal = combineSignals(
+            controller.signal,
+            this.promptTimeout > 0 ? AbortSignal.timeout(this.promptTimeout) : null
+        );
+        this.pendingPrompt = controller;
+
+        const answer = Promise.resolve().then(() => handler(address, ...args, { signal }));
+        let removeListener = () => {};
+        const aborted = new Promise((resolve, reject) => {
+            removeListener = onAbort(signal, () => {
+                // Il gestore chiude il prompt da sé: il suo esito non è più atteso
+                answer.catch(() => {});
+                reject(this.reject(address, controller.signal.aborted ?
+                    'Richiesta annullata' : 'Nessuna risposta entro il timeout'));
+            });
+        });
+
+        try {
+            return await Promise.race([answer, aborted]);
+        } finally {
+            removeListener();
+            if (this.pendingPrompt === controller) {
+                this.pendingPrompt = null;
+            }
+        }
+    }
+
+    /**
+     * Verifica che il dispositivo sia in fase di accoppiamento
+     * @private
+     */
+    checkExpected(devicePath, uuid) {
+        const address = addressFromPath(devicePath);
+        if (!this.expected.has(address)) {
+            throw this.reject(address, uuid ?
+                `Servizio ${uuid} non autorizzato` : 'Dispositivo non atteso');
+        }
+        return address;
+    }
+
+    /**
+     * Crea l'errore D-Bus di rifiuto ed emette l'evento corrispondente
+     * @private
+     */
+    reject(address, reason) {
+        this.eventManager.emit(BLEPairingEvents.REQUEST_REJECTED, {
+            deviceAddress: address,
+            reason,
+            timestamp: getCurrentTimestamp()
+        });
+        return new DBusError(REJECTED_ERROR, reason);
+    }
+}
+
+module.exports = {
+    BLEPairingAgent,
+    BLEPairingEvents,
+    addressFromPath
+};
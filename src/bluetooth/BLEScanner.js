@@ -3,17 +3,45 @@
  * Scanner per dispositivi Bluetooth Low Energy
  * Integrazione con BLEDiscovery
  * 
+ * Supporta l'acquisizione simultanea da più dispositivi (es. soletta sinistra e destra):
+ * ogni dispositivo ha il proprio stato, timer di riconnessione e file di sessione.
+ * 
  * Created: 2025-02-01 17:42:52
  * Author: arkproject 
- * Version: 2.0.0
+ * Version: 2.1.0
  */
 
-const { BLEConnection } = require('./BLEConnection');
+const { BLEConnection, BLEConnectionEvents } = require('./BLEConnection');
 const BLEDiscovery = require('./BLEDiscovery');
+const { BLESubjectPairing } = require('./BLESubjectPairing');
+const { BLEConnectionStateMachine, ConnectionStates } = require('./BLEConnectionState');
+const { BLEWatchdog } = require('./BLEWatchdog');
+const { BLEDeviceRegistry } = require('./BLEDeviceRegistry');
+const { BLECalibrationStore } = require('./BLECalibrationStore');
+const { BLETareCalibration } = require('./BLETareCalibration');
+const { BLEBatteryMonitor, BLEDeviceInfoEvents, readDeviceInformation } = require('./BLEDeviceInfo');
+const { CharacteristicRoles, classifyCharacteristic } = require('./BLECharacteristicRoles');
+const { BLECommandChannel } = require('./BLECommandChannel');
+const { BLEOperationQueue, OperationPriority, ADAPTER_QUEUE } = require('./BLEOperationQueue');
+const { BLECircuitBreaker } = require('./BLECircuitBreaker');
+const { BLEPairingEvents } = require('./BLEPairingAgent');
+const { BLERetryPolicy } = require('../utils/BLERetryPolicy');
+const { toBLEError } = require('../utils/bluezErrorUtils');
+const { packetSchemas, ProtocolSources } = require('../utils/BLEPacketSchema');
+const { BLECalibrator } = require('../utils/BLECalibration');
+const { applyTareToProfile } = require('../utils/tareUtils');
+const {
+    createCancellationError,
+    isCancellation,
+    throwIfAborted,
+    onAbort,
+    combineSignals
+} = require('../utils/abortUtils');
 const FileLogger = require('../logger/FileLogger');
 const { TARGET_SERVICE_UUID } = require('../config/constants');
 const { getCurrentTimestamp } = require('../utils/dateUtils');
-const { BLEError, handleError, ErrorCodes } = require('../utils/errorHandler');
+const { criteriaFromSettings, combineCriteria } = require('../utils/filterUtils');
+const { BLEError, handleError, ErrorCodes, ErrorRecovery } = require('../utils/errorHandler');
 const settings = require('../config/settings');
 
 class BLEScanner {
@@ -30,17 +58,34 @@ class BLEScanner {
 
         this.eventManager = eventManager;
         this.bleConnection = new BLEConnection(eventManager);
-        this.bleDiscovery = new BLEDiscovery(eventManager);
+        this.registry = new BLEDeviceRegistry();
+        this.registry.load();
+        this.calibrations = new BLECalibrationStore();
+        this.calibrations.load();
+        this.tare = new BLETareCalibration(eventManager);
+        this.operationQueue = new BLEOperationQueue(eventManager);
+        this.bleDiscovery = new BLEDiscovery(eventManager, this.bleConnection, this.registry, this.operationQueue);
         this.adapter = null;
         this.isScanning = false;
         this.TARGET_SERVICE_UUID = TARGET_SERVICE_UUID;
         this.dataCounter = 0;
         this.startTime = null;
-        this.logger = new FileLogger();
-        this.targetDevice = null;
-        this.isConnected = false;
-        this.reconnectTimer = null;
+        this.devices = new Map();       // Sessioni per dispositivo, indicizzate per indirizzo
+        this.abortController = new AbortController();   // Annulla ricerche e riconnessioni in corso
         this.deviceListeners = new Map();
+        this.subject = settings.SUBJECT.ENABLED ?
+            new BLESubjectPairing(eventManager) : null;
+        this.searchState = new BLEConnectionStateMachine(eventManager);
+        this.watchdog = new BLEWatchdog(eventManager, {
+            restartNotifications: (address, characteristics) => this.restartNotifications(address, characteristics),
+            reconnectDevice: address => this.forceReconnect(address),
+            resetAdapter: () => this.resetAdapter()
+        });
+        this.circuitBreaker = new BLECircuitBreaker(eventManager, {
+            stopDiscovery: () => this.bleDiscovery.stopDiscovery(),
+            powerCycle: () => this.powerCycleAdapter(),
+            resetBluetooth: () => this.resetAdapter()
+        });
 
         // Configurazione dei listener per gli eventi di discovery
         this.setupDiscoveryEventListeners();
@@ -68,9 +113,28 @@ class BLEScanner {
             // });
         });
 
+        this.eventManager.on('discovery:candidates_evaluated', (data) => {
+            if (data.selected) {
+                console.log(`Dispositivo scelto: ${data.selected.alias || data.selected.name} (${data.selected.address}) ${data.selected.smoothedRssi} dBm`);
+            }
+            data.rejected.forEach(candidate => {
+                console.log(`Scartato: ${candidate.alias || candidate.name} (${candidate.address}) ${candidate.rssi} dBm - ${candidate.reason}`);
+            });
+        });
+
         this.eventManager.on('discovery:error', (data) => {
             // console.error('\nErrore durante la discovery:', data.error);
         });
+
+        this.eventManager.on(BLEConnectionEvents.ADAPTER_REMOVED, (data) => {
+            this.handleAdapterRemoved(data);
+        });
+
+        this.eventManager.on(BLEConnectionEvents.ADAPTER_RESTORED, () => {
+            this.handleAdapterRestored().catch(error => {
+                handleError(error, 'BLEScanner.handleAdapterRestored');
+            });
+        });
     }
 
     /**
@@ -105,20 +169,36 @@ class BLEScanner {
 
     /**
      * Cerca il dispositivo target
+     * I criteri di base provengono da settings.DEVICE_FILTER e vengono combinati in AND
+     * con quelli aggiuntivi. Tra i candidati sopra TARGET_DEVICE.SIGNAL_STRENGTH_THRESHOLD
+     * viene scelto il migliore secondo TARGET_DEVICE.SELECTION_STRATEGY; la finestra di
+     * raccolta è saltata se si cerca un indirizzo preciso.
+     * @param {Object} [extraCriteria] - Criteri aggiuntivi (es. address, excludeAddresses)
+     * @param {Object} [options]
+     * @param {Object} [options.baseCriteria] - Criteri di base (default: dalla configurazione)
+     * @param {AbortSignal} [options.signal] - Annulla la ricerca
      * @returns {Promise<Object|null>}
+     * @throws {BLEError} OPERATION_CANCELLED se la ricerca viene annullata
      */
-    async findTargetDevice() {
+    async findTargetDevice(extraCriteria = {}, options = {}) {
+        const {
+            baseCriteria = criteriaFromSettings(settings.DEVICE_FILTER, null),
+            signal
+        } = options;
+
         try {
             console.log(`\nRicerca dispositivo ${settings.TARGET_DEVICE.NAME}...`);
 
-            const criteria = {
-                name: settings.TARGET_DEVICE.NAME,
-                minRssi: settings.TARGET_DEVICE.SIGNAL_STRENGTH_THRESHOLD
-            };
+            const criteria = combineCriteria(baseCriteria, extraCriteria);
 
-            return await this.bleDiscovery.findDevice(criteria);
+            return await this.bleDiscovery.findBestDevice(criteria, {
+                window: extraCriteria.address ? 0 : settings.TARGET_DEVICE.SELECTION_WINDOW,
+                preferAddresses: settings.REGISTRY.PREFER_REGISTERED ? this.registry.getAddresses() : [],
+                signal
+            });
 
         } catch (error) {
+            if (isCancellation(error)) throw error;
             handleError(
                 new BLEError(
                     'Errore durante la ricerca del dispositivo',
@@ -134,9 +214,16 @@ class BLEScanner {
     /**
      * Avvia la scansione dei dispositivi
      * @param {number} scanDuration - Durata della scansione in ms
+     * @param {Object|null} [criteria] - Criteri di filtro dei risultati (default: da
+     *   settings.DEVICE_FILTER se APPLY_TO_MANUAL_SCAN, senza soglia RSSI)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Interrompe la scansione
      * @returns {Promise<Array>}
+     * @throws {BLEError} OPERATION_CANCELLED se la scansione viene annullata
      */
-    async startScan(scanDuration = 10000) {
+    async startScan(scanDuration = 10000, criteria = this.getScanCriteria(), options = {}) {
+        const signal = combineSignals(options.signal, this.abortController.signal);
+
         if (this.isScanning) {
             handleError(
                 new BLEError(
@@ -150,6 +237,7 @@ class BLEScanner {
         }
     
         try {
+            throwIfAborted(signal, 'startScan');
             await this.initialize();
             this.isScanning = true;
     
@@ -162,14 +250,21 @@ class BLEScanner {
             await this.bleDiscovery.startDiscovery();
     
             // Modifica qui: usa una Promise invece del setTimeout
-            return new Promise((resolve) => {
+            return new Promise((resolve, reject) => {
+                const removeAbortListener = onAbort(signal, async () => {
+                    await this.stopScan();
+                    reject(createCancellationError('startScan', signal));
+                });
+
                 this.scanTimeout = setTimeout(async () => {
+                    removeAbortListener();
                     await this.stopScan();
-                    resolve(this.bleDiscovery.getDiscoveredDevices());
+                    resolve(this.bleDiscovery.getDiscoveredDevices(false, criteria));
                 }, scanDuration);
             });
     
         } catch (error) {
+            if (isCancellation(error)) throw error;
             handleError(
                 new BLEError(
                     'Errore durante la scansione',
@@ -184,6 +279,15 @@ class BLEScanner {
         }
     }
 
+    /**
+     * Restituisce i criteri di filtro della scansione manuale
+     * @returns {Object|null}
+     */
+    getScanCriteria() {
+        return settings.DEVICE_FILTER.APPLY_TO_MANUAL_SCAN ?
+            criteriaFromSettings(settings.DEVICE_FILTER, null) : null;
+    }
+
     /**
      * Ferma la scansione in corso
      */
@@ -224,337 +328,1576 @@ class BLEScanner {
     }
 
     /**
-     * Tenta la connessione automatica al dispositivo target
-     * @returns {Promise<boolean>}
+     * Tenta la connessione automatica ai dispositivi target
+     * Cerca e connette dispositivi finché non ne sono connessi TARGET_DEVICE.MAX_DEVICES,
+     * ripetendo la ricerca secondo settings.RETRY_POLICIES.AUTO_CONNECT.
+     * Ogni tentativo passa dal circuit breaker dell'adapter: i guasti ripetuti di
+     * adapter o BlueZ aprono il circuito e ne avviano il recupero, mentre i dispositivi
+     * non trovati (es. soletta spenta, 1 di 2 connessa) non vengono conteggiati.
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Annulla ricerca, connessione e attese
+     * @returns {Promise<boolean>} true se almeno un dispositivo è connesso
+     * @throws {BLEError} OPERATION_CANCELLED se la connessione viene annullata
      */
-    async autoConnectToTarget() {
+    async autoConnectToTarget(options = {}) {
+        const maxDevices = settings.TARGET_DEVICE.MAX_DEVICES;
+        const signal = combineSignals(options.signal, this.abortController.signal);
+
+        const policy = BLERetryPolicy.fromSettings('AUTO_CONNECT', this.eventManager);
+
         try {
-            for (let attempt = 1; attempt <= settings.TARGET_DEVICE.RETRY_ATTEMPTS; attempt++) {
+            await policy.execute(attempt => this.circuitBreaker.execute(async () => {
+                this.searchState.transition(ConnectionStates.SCANNING, { attempt });
                 this.eventManager.emit('scanner:connect_attempt', {
                     attempt,
-                    maxAttempts: settings.TARGET_DEVICE.RETRY_ATTEMPTS,
+                    maxAttempts: policy.attempts,
+                    connectedDevices: this.getConnectedCount(),
+                    maxDevices,
+                    timestamp: getCurrentTimestamp()
+                });
+
+                while (this.getConnectedCount() < maxDevices) {
+                    const device = await this.findTargetDevice({
+                        excludeAddresses: this.getConnectedAddresses()
+                    }, { signal });
+                    if (!device || !(await this.connectAndSetup(device, { signal }))) {
+                        break;
+                    }
+                }
+
+                if (this.getConnectedCount() < maxDevices) {
+                    throw new BLEError(
+                        `Dispositivi ${settings.TARGET_DEVICE.NAME} connessi: ${this.getConnectedCount()}/${maxDevices}`,
+                        ErrorCodes.BLE.DEVICE_NOT_FOUND,
+                        { attempt, connectedDevices: this.getConnectedCount(), maxDevices }
+                    );
+                }
+            }, 'autoConnectToTarget'), {
+                signal,
+                onRetry: ({ attempt, delay }) => {
+                    this.searchState.transition(ConnectionStates.BACKOFF, { attempt, delay });
+                }
+            });
+
+            this.searchState.transition(ConnectionStates.IDLE);
+            return true;
+
+        } catch (error) {
+            if (isCancellation(error)) {
+                this.searchState.transition(ConnectionStates.IDLE);
+                throw error;
+            }
+
+            if (this.getConnectedCount() > 0) {
+                this.searchState.transition(ConnectionStates.IDLE);
+                this.eventManager.emit('scanner:partial_connection', {
+                    connectedDevices: this.getConnectedCount(),
+                    maxDevices,
                     timestamp: getCurrentTimestamp()
                 });
+                return true;
+            }
+
+            this.searchState.transition(ConnectionStates.FAILED);
+            handleError(
+                new BLEError(
+                    `Dispositivo ${settings.TARGET_DEVICE.NAME} non trovato dopo ${policy.attempts} tentativi`,
+                    ErrorCodes.BLE.DEVICE_NOT_FOUND,
+                    { error: error.message }
+                ),
+                'autoConnectToTarget'
+            );
+            return false;
+        }
+    }
+
+    /**
+     * Riconnette un dispositivo specifico tramite il suo indirizzo
+     * Prova prima la connessione diretta all'ultimo indirizzo noto, poi una discovery completa;
+     * se entrambe falliscono pianifica un nuovo tentativo con backoff.
+     * L'errore classificato del tentativo fallito decide come proseguire (vedi applyRecovery).
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Annulla la riconnessione
+     * @returns {Promise<boolean>}
+     * @throws {BLEError} OPERATION_CANCELLED se la riconnessione viene annullata
+     */
+    async reconnectDevice(address, options = {}) {
+        const session = this.devices.get(address);
+        if (!session || session.state.is(ConnectionStates.STREAMING)) {
+            return !!session;
+        }
+
+        const signal = combineSignals(options.signal, session.abortController.signal, this.abortController.signal);
+        throwIfAborted(signal, 'reconnectDevice');
+
+        this.eventManager.emit('scanner:reconnect_attempt', {
+            deviceAddress: address,
+            attempt: session.state.retryCount,
+            timestamp: getCurrentTimestamp()
+        });
 
-                const device = await this.findTargetDevice();
-                if (device) {
-                    await this.connectAndSetup(device);
+        // 1. Connessione diretta all'ultimo indirizzo noto
+        if (this.adapter) {
+            try {
+                session.state.transition(ConnectionStates.CONNECTING, { mode: 'direct' });
+                const device = await this.getAdapterDevice(address);
+                if (await this.connectAndSetup(device, { signal })) {
+                    this.circuitBreaker.recordSuccess();
                     return true;
                 }
+            } catch (error) {
+                if (isCancellation(error)) throw error;
+                session.lastError = toBLEError(error, 'Dispositivo non disponibile',
+                    ErrorCodes.BLE.DEVICE_NOT_FOUND, { deviceAddress: address });
+                this.eventManager.emit('scanner:direct_reconnect_failed', {
+                    deviceAddress: address,
+                    error: error.message,
+                    code: session.lastError.code,
+                    timestamp: getCurrentTimestamp()
+                });
+            }
+
+            if (!this.devices.has(address) || await this.applyRecovery(session)) {
+                return false;
+            }
+        }
+
+        // 2. Discovery completa
+        if (!this.devices.has(address)) return false;
+        session.state.transition(ConnectionStates.SCANNING);
+        const device = await this.findTargetDevice({ address }, { signal });
+        if (device && await this.connectAndSetup(device, { signal })) {
+            this.circuitBreaker.recordSuccess();
+            return true;
+        }
+        if (!this.devices.has(address) || (device && await this.applyRecovery(session))) {
+            return false;
+        }
+
+        // 3. Nuovo tentativo dopo il backoff
+        if (settings.TARGET_DEVICE.AUTO_RECONNECT) {
+            this.scheduleReconnect(session);
+        }
+        return false;
+    }
+
+    /**
+     * Applica l'azione di recupero suggerita dall'ultimo errore della sessione
+     * - errore non ripetibile: la riconnessione si interrompe (stato FAILED)
+     * - WAIT: operazione già in corso in BlueZ, si riprova dopo il backoff senza discovery
+     * - RESET_ADAPTER: adapter non pronto, viene resettato prima del nuovo tentativo
+     * - altrimenti la riconnessione prosegue normalmente
+     * @param {Object} session - Sessione del dispositivo
+     * @returns {Promise<boolean>} true se la riconnessione corrente deve terminare
+     * @private
+     */
+    async applyRecovery(session) {
+        const error = session.lastError;
+        if (!error) return false;
+
+        if (!error.retryable) {
+            clearTimeout(session.reconnectTimer);
+            session.reconnectTimer = null;
+            session.state.transition(ConnectionStates.FAILED, { code: error.code });
+            this.eventManager.emit('scanner:reconnect_aborted', {
+                deviceAddress: session.address,
+                code: error.code,
+                recovery: error.recovery,
+                error: error.message,
+                timestamp: getCurrentTimestamp()
+            });
+            return true;
+        }
 
-                if (attempt < settings.TARGET_DEVICE.RETRY_ATTEMPTS) {
-                    await new Promise(resolve => setTimeout(resolve, settings.TARGET_DEVICE.RETRY_DELAY));
+        switch (error.recovery) {
+            case ErrorRecovery.WAIT:
+                break;
+            case ErrorRecovery.RESET_ADAPTER:
+                try {
+                    await this.resetAdapter();
+                } catch (resetError) {
+                    handleError(resetError, 'BLEScanner.applyRecovery');
                 }
+                break;
+            default:
+                return false;
+        }
+
+        if (settings.TARGET_DEVICE.AUTO_RECONNECT && this.devices.has(session.address)) {
+            this.scheduleReconnect(session);
+        }
+        return true;
+    }
+
+    /**
+     * Connette un dispositivo dato il suo indirizzo (es. selezionato dalla scansione manuale)
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Annulla la connessione
+     * @returns {Promise<boolean>}
+     * @throws {BLEError} OPERATION_CANCELLED se la connessione viene annullata
+     */
+    async connectToAddress(address, options = {}) {
+        const signal = combineSignals(options.signal, this.abortController.signal);
+
+        try {
+            if (!this.adapter) {
+                throw new BLEError(
+                    'Adapter non inizializzato',
+                    ErrorCodes.BLE.INVALID_STATE,
+                    { deviceAddress: address }
+                );
             }
 
-            throw new BLEError(
-                `Dispositivo ${settings.TARGET_DEVICE.NAME} non trovato dopo ${settings.TARGET_DEVICE.RETRY_ATTEMPTS} tentativi`,
-                ErrorCodes.BLE.DEVICE_NOT_FOUND
+            const device = await this.getAdapterDevice(address);
+            return await this.connectAndSetup(device, { signal });
+
+        } catch (error) {
+            if (isCancellation(error)) throw error;
+            handleError(
+                error instanceof BLEError ? error :
+                    new BLEError(
+                        'Dispositivo non disponibile',
+                        ErrorCodes.BLE.DEVICE_NOT_FOUND,
+                        { deviceAddress: address, error: error.message }
+                    ),
+                'BLEScanner.connectToAddress'
             );
+            return false;
+        }
+    }
+
+    /**
+     * Restituisce (creandola se necessario) la sessione di un dispositivo
+     * @param {Object} device - Dispositivo node-ble
+     * @returns {Object} Sessione del dispositivo
+     * @private
+     */
+    getDeviceSession(device) {
+        let session = this.devices.get(device.address);
+        if (!session) {
+            session = {
+                address: device.address,
+                device,
+                name: settings.TARGET_DEVICE.NAME,
+                isConnected: false,
+                reconnectTimer: null,
+                abortController: new AbortController(),     // Annulla la riconnessione del dispositivo
+                logger: new FileLogger({ deviceId: device.address }),
+                dataCounter: 0,              // Campioni ricevuti
+                packetCounter: 0,            // Notifiche ricevute (ognuna con uno o più campioni)
+                startTime: null,
+                state: new BLEConnectionStateMachine(this.eventManager, device.address),
+                characteristics: new Map(),  // UUID -> { role, flags, characteristic }
+                deviceInfo: null,
+                protocol: null,              // Schema dei pacchetti negoziato ({ schema, source })
+                calibration: null,           // Calibratore del profilo del dispositivo (BLECalibrator)
+                battery: new BLEBatteryMonitor(this.eventManager, device.address),
+                commands: new BLECommandChannel(this.eventManager, device.address),
+                lastError: null,             // Ultimo errore di connessione classificato (BLEError)
+                role: this.resolveRole(device.address)
+            };
+            this.devices.set(device.address, session);
+        }
+        session.device = device;
+        return session;
+    }
+
+    /**
+     * Assegna il piede di un nuovo dispositivo nel soggetto, dal registro o da
+     * settings.SUBJECT.ROLES. Senza configurazione il dispositivo resta senza ruolo,
+     * escluso dal file allineato, finché non viene indicato con setDeviceRole.
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {string|null} Ruolo assegnato
+     * @private
+     */
+    resolveRole(address) {
+        if (!this.subject) {
+            return null;
+        }
+
+        try {
+            const role = this.subject.assignRole(address, this.registry.getRole(address) || undefined);
+            if (!role) {
+                this.eventManager.emit('scanner:role_missing', {
+                    deviceAddress: address,
+                    timestamp: getCurrentTimestamp()
+                });
+            }
+            return role;
+        } catch (error) {
+            handleError(error, 'BLEScanner.resolveRole');
+            return null;
+        }
+    }
+
+    /**
+     * Assegna il ruolo (left/right) di un dispositivo nel soggetto corrente
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {string} role - Ruolo ('left' o 'right')
+     * @returns {boolean}
+     */
+    setDeviceRole(address, role) {
+        if (!this.subject) {
+            return false;
+        }
 
+        try {
+            const assignedRole = this.subject.assignRole(address, role);
+            const session = this.devices.get(address);
+            if (session) {
+                session.role = assignedRole;
+            }
+            return true;
         } catch (error) {
-            handleError(error, 'autoConnectToTarget');
+            handleError(error, 'BLEScanner.setDeviceRole');
             return false;
         }
     }
 
+    /**
+     * Restituisce il numero di dispositivi connessi
+     * @returns {number}
+     */
+    getConnectedCount() {
+        return this.getConnectedAddresses().length;
+    }
+
+    /**
+     * Restituisce gli indirizzi dei dispositivi connessi
+     * @returns {Array<string>}
+     */
+    getConnectedAddresses() {
+        return Array.from(this.devices.values())
+            .filter(session => session.isConnected)
+            .map(session => session.address);
+    }
+
     /**
      * Connette e configura un dispositivo
+     * Se il segnale viene attivato, la configurazione si interrompe al passo successivo
+     * e il dispositivo viene disconnesso.
+     * I dispositivi con bond registrato (o tutti, con PAIRING.REQUIRED) vengono accoppiati
+     * prima della configurazione GATT.
      * @param {Object} device - Dispositivo da connettere
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Annulla la connessione
+     * @param {boolean} [options.pair] - Forza l'accoppiamento
      * @returns {Promise<boolean>}
+     * @throws {BLEError} OPERATION_CANCELLED se la connessione viene annullata
      */
-    async connectAndSetup(device) {
+    async connectAndSetup(device, options = {}) {
+        const signal = combineSignals(options.signal, this.abortController.signal);
+        throwIfAborted(signal, 'connectAndSetup');
+
+        const session = this.getDeviceSession(device);
+        if (session.state.is(ConnectionStates.STREAMING)) {
+            return true;
+        }
+
         try {
+            session.lastError = null;
+            session.protocol = null;        // Il firmware può essere cambiato: si rinegozia
+            session.state.transition(ConnectionStates.CONNECTING);
             this.eventManager.emit('scanner:connecting', {
                 deviceAddress: device.address,
                 timestamp: getCurrentTimestamp()
             });
 
-            await device.connect();
-            this.targetDevice = device;
-            this.isConnected = true;
+            await this.deviceCall(device.address, 'connect', () => device.connect(),
+                OperationPriority.HIGH, settings.BLE_SETTINGS.CONNECT_TIMEOUT);
+            session.isConnected = true;
+            throwIfAborted(signal, 'connectAndSetup');
+            session.name = await this.deviceCall(device.address, 'getName', () => device.getName(), OperationPriority.LOW)
+                .catch(() => session.name);
+            clearTimeout(session.reconnectTimer);
+            session.reconnectTimer = null;
 
             this.eventManager.emit('scanner:connected', {
                 deviceAddress: device.address,
+                deviceName: session.name,
                 timestamp: getCurrentTimestamp()
             });
 
             // Setup riconnessione automatica
             if (settings.TARGET_DEVICE.AUTO_RECONNECT) {
-                this.setupAutoReconnect(device);
+                this.setupAutoReconnect(session);
+            }
+
+            if (this.requiresPairing(device.address, options.pair)) {
+                await this.pairDevice(device);
+                throwIfAborted(signal, 'connectAndSetup');
             }
 
-            const gattServer = await device.gatt();
+            session.state.transition(ConnectionStates.DISCOVERING_SERVICES);
+            const gattServer = await this.deviceCall(device.address, 'gatt', () => device.gatt(),
+                OperationPriority.HIGH, settings.BLE_SETTINGS.CONNECT_TIMEOUT);
+            throwIfAborted(signal, 'connectAndSetup');
 
             this.eventManager.emit('scanner:gatt_connected', {
                 deviceAddress: device.address,
                 timestamp: getCurrentTimestamp()
             });
 
-            console.log('Ricerca servizio...');
-            const service = await gattServer.getPrimaryService(this.TARGET_SERVICE_UUID);
+            console.log(`Ricerca servizio su ${device.address}...`);
+            const service = await this.deviceCall(device.address, 'getPrimaryService',
+                () => gattServer.getPrimaryService(this.TARGET_SERVICE_UUID), OperationPriority.HIGH);
 
             this.eventManager.emit('scanner:service_found', {
+                deviceAddress: device.address,
                 serviceUUID: this.TARGET_SERVICE_UUID,
                 timestamp: getCurrentTimestamp()
             });
 
-            await this.setupCharacteristics(service);
-
-            this.startTime = Date.now();
+            // La revisione firmware serve a scegliere lo schema prima dei primi pacchetti
+            throwIfAborted(signal, 'connectAndSetup');
+            await this.readDeviceDetails(session, gattServer);
+            this.negotiateProtocol(session);
+            throwIfAborted(signal, 'connectAndSetup');
+            await this.setupCharacteristics(service, session);
+            throwIfAborted(signal, 'connectAndSetup');
+
+            session.state.transition(ConnectionStates.STREAMING);
+            this.updateRegistry(session);
+            session.startTime = Date.now();
+            if (!this.startTime) {
+                this.startTime = session.startTime;
+            }
             return true;
 
         } catch (error) {
-            handleError(
-                new BLEError(
+            const cancelled = isCancellation(error);
+            if (!cancelled) {
+                session.lastError = toBLEError(
+                    error,
                     'Errore durante la connessione',
                     ErrorCodes.BLE.CONNECTION_FAILED,
                     {
-                        deviceName: device.name,
-                        deviceAddress: device.address,
-                        error: error.message
+                        deviceName: session.name,
+                        deviceAddress: device.address
                     }
-                ),
-                'BLEScanner.connectAndSetup'
-            );
+                );
+                handleError(session.lastError, 'BLEScanner.connectAndSetup');
+            }
+            session.battery.stop();
+            session.commands.detach();
+            if (session.isConnected) {
+                session.isConnected = false;
+                await device.disconnect().catch(() => {});
+            }
+            this.watchdog.unwatchDevice(device.address, !session.startTime);
+
+            // Un dispositivo mai entrato in acquisizione non mantiene la sessione
+            if (!session.startTime) {
+                session.state.transition(cancelled ? ConnectionStates.IDLE : ConnectionStates.FAILED);
+                this.removeAllDeviceListeners(device);
+                this.devices.delete(device.address);
+                if (this.subject) {
+                    this.subject.releaseRole(device.address);
+                }
+            }
+
+            if (cancelled) throw error;
             return false;
         }
     }
 
     /**
-     * Configura la riconnessione automatica
+     * Verifica se un dispositivo va accoppiato prima della configurazione GATT
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {boolean} [force] - Accoppiamento richiesto esplicitamente
+     * @returns {boolean}
      * @private
      */
-    setupAutoReconnect(device) {
-        const disconnectListener = async () => {
-            this.eventManager.emit('scanner:connection_lost', {
-                deviceAddress: device.address,
-                timestamp: getCurrentTimestamp()
-            });
-
-            this.isConnected = false;
-            clearTimeout(this.reconnectTimer);
-
-            this.reconnectTimer = setTimeout(async () => {
-                await this.autoConnectToTarget();
-            }, settings.TARGET_DEVICE.RETRY_DELAY);
-        };
-
-        this.addDeviceListener(device, 'disconnect', disconnectListener);
+    requiresPairing(address, force = false) {
+        if (!settings.PAIRING.ENABLED) return false;
+        return force || settings.PAIRING.REQUIRED || this.registry.isBonded(address);
     }
 
     /**
-     * Configura le caratteristiche del servizio
+     * Accoppia un dispositivo connesso (se non lo è già), lo marca come fidato e
+     * ricorda il bond nel registro. La passkey eventualmente richiesta viene
+     * chiesta tramite l'agent di BLEConnection.
+     * @param {Object} device - Dispositivo node-ble
+     * @returns {Promise<void>}
+     * @throws {BLEError} AUTHENTICATION_FAILED (o il codice BlueZ) se l'accoppiamento fallisce
      * @private
      */
-    async setupCharacteristics(service) {
-        const characteristics = await service.characteristics();
+    async pairDevice(device) {
+        const address = device.address;
+        const agent = this.bleConnection.getPairingAgent();
+        const alreadyPaired = await this.deviceCall(address, 'isPaired', () => device.isPaired())
+            .catch(() => false);
+
+        if (!alreadyPaired) {
+            this.eventManager.emit(BLEPairingEvents.STARTED, {
+                deviceAddress: address,
+                agent: agent.isRegistered(),
+                timestamp: getCurrentTimestamp()
+            });
 
-        for (const charUUID of characteristics) {
+            agent.expectPairing(address);
             try {
-                const characteristic = await service.getCharacteristic(charUUID);
-                await this.setupCharacteristicNotifications(characteristic);
-
-                this.eventManager.emit('scanner:characteristic_configured', {
-                    characteristicUUID: charUUID,
-                    timestamp: getCurrentTimestamp()
-                });
-
+                await this.deviceCall(address, 'pair', () => device.pair(),
+                    OperationPriority.HIGH, settings.PAIRING.TIMEOUT);
             } catch (error) {
-                handleError(
-                    new BLEError(
-                        'Errore configurazione caratteristica',
-                        ErrorCodes.BLE.CHARACTERISTIC_ERROR,
-                        {
-                            characteristicUUID: charUUID,
-                            error: error.message
-                        }
-                    ),
-                    'BLEScanner.setupCharacteristics'
-                );
+                const pairError = toBLEError(error, 'Accoppiamento fallito',
+                    ErrorCodes.BLE.AUTHENTICATION_FAILED, { deviceAddress: address });
+                if (pairError.code === ErrorCodes.BLE.OPERATION_TIMEOUT) {
+                    await device.cancelPair().catch(() => {});
+                }
+
+                if (pairError.code !== ErrorCodes.BLE.ALREADY_EXISTS) {
+                    this.eventManager.emit(BLEPairingEvents.FAILED, {
+                        deviceAddress: address,
+                        code: pairError.code,
+                        error: pairError.message,
+                        timestamp: getCurrentTimestamp()
+                    });
+                    throw pairError;
+                }
+            } finally {
+                agent.endPairing(address);
             }
         }
+
+        if (settings.PAIRING.TRUST) {
+            await this.deviceCall(address, 'setTrusted', () => this.bleConnection.setDeviceTrusted(device))
+                .catch(error => console.log(`Impossibile marcare ${address} come fidato:`, error.message));
+        }
+
+        this.registry.setBonded(address, true);
+        this.eventManager.emit(BLEPairingEvents.PAIRED, {
+            deviceAddress: address,
+            alreadyPaired,
+            timestamp: getCurrentTimestamp()
+        });
     }
 
     /**
-     * Configura le notifiche per una caratteristica
-     * @private
+     * Rimuove il bond di un dispositivo: lo disconnette se in uso, lo rimuove da
+     * BlueZ (chiavi comprese) e lo segna come non accoppiato nel registro
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {Promise<boolean>} true se la rimozione è riuscita
      */
-    async setupCharacteristicNotifications(characteristic) {
-        const valueChangedListener = buffer => {
-            try {
-                const decodedData = this.decodeData(buffer);
-                this.eventManager.emit('scanner:data_received', {
-                    characteristicUUID: characteristic.uuid,
-                    data: decodedData,
-                    timestamp: getCurrentTimestamp()
-                });
-            } catch (error) {
-                handleError(
-                    new BLEError(
-                        'Errore nella decodifica dei dati',
-                        ErrorCodes.BLE.NOTIFICATION_ERROR,
-                        {
-                            characteristicUUID: characteristic.uuid,
-                            error: error.message,
-                            buffer: buffer.toString('hex')
-                        }
-                    ),
-                    'BLEScanner.valueChanged'
-                );
+    async removeBond(address) {
+        try {
+            const session = this.devices.get(address);
+            if (session) {
+                await this.disconnectDevice(session);
             }
-        };
 
-        this.addDeviceListener(characteristic, 'valuechanged', valueChangedListener);
-        await characteristic.startNotifications();
-    }
+            const known = await this.operationQueue.run(ADAPTER_QUEUE,
+                () => this.bleConnection.removeDevice(address), { name: 'RemoveDevice' });
+            if (this.registry.has(address)) {
+                this.registry.setBonded(address, false);
+            }
 
-    /**
-     * Gestisce i listener dei dispositivi
-     * @param {Object} device - Dispositivo o caratteristica
-     * @param {string} eventName - Nome dell'evento
-     * @param {Function} listener - Funzione listener
-     */
-    addDeviceListener(device, eventName, listener) {
-        const key = `${device.address || device.uuid}_${eventName}`;
-        this.removeDeviceListener(device, eventName);
-        device.on(eventName, listener);
-        this.deviceListeners.set(key, { device, eventName, listener });
+            this.eventManager.emit(BLEPairingEvents.BOND_REMOVED, {
+                deviceAddress: address,
+                known,
+                timestamp: getCurrentTimestamp()
+            });
+            return true;
 
-        this.eventManager.emit('scanner:listener_added', {
-            deviceId: device.address || device.uuid,
-            eventName,
-            timestamp: getCurrentTimestamp()
-        });
+        } catch (error) {
+            handleError(
+                toBLEError(error, 'Rimozione del bond fallita', ErrorCodes.BLE.DISCONNECT_ERROR,
+                    { deviceAddress: address }),
+                'BLEScanner.removeBond'
+            );
+            return false;
+        }
     }
 
     /**
-     * Rimuove un listener
-     * @param {Object} device - Dispositivo o caratteristica
-     * @param {string} eventName - Nome dell'evento
+     * Ricrea il bond di un dispositivo: rimuove quello esistente, ritrova il dispositivo
+     * con una discovery, lo accoppia e lo disconnette
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Annulla l'operazione
+     * @returns {Promise<boolean>} true se il nuovo bond è stato creato
+     * @throws {BLEError} OPERATION_CANCELLED se l'operazione viene annullata
      */
-    removeDeviceListener(device, eventName) {
-        const key = `${device.address || device.uuid}_${eventName}`;
-        const listenerInfo = this.deviceListeners.get(key);
-        if (listenerInfo) {
-            listenerInfo.device.removeListener(eventName, listenerInfo.listener);
-            this.deviceListeners.delete(key);
+    async recreateBond(address, options = {}) {
+        const signal = combineSignals(options.signal, this.abortController.signal);
 
-            this.eventManager.emit('scanner:listener_removed', {
-                deviceId: device.address || device.uuid,
-                eventName,
+        if (!this.adapter) {
+            handleError(
+                new BLEError('Adapter non inizializzato', ErrorCodes.BLE.INVALID_STATE, { deviceAddress: address }),
+                'BLEScanner.recreateBond'
+            );
+            return false;
+        }
+
+        if (!(await this.removeBond(address))) {
+            return false;
+        }
+
+        const device = await this.findTargetDevice({ address }, { baseCriteria: {}, signal });
+        if (!device) {
+            handleError(
+                new BLEError('Dispositivo non trovato', ErrorCodes.BLE.DEVICE_NOT_FOUND, { deviceAddress: address }),
+                'BLEScanner.recreateBond'
+            );
+            return false;
+        }
+
+        try {
+            await this.deviceCall(address, 'connect', () => device.connect(),
+                OperationPriority.HIGH, settings.BLE_SETTINGS.CONNECT_TIMEOUT);
+            throwIfAborted(signal, 'recreateBond');
+            await this.pairDevice(device);
+            return true;
+        } catch (error) {
+            if (isCancellation(error)) throw error;
+            handleError(
+                toBLEError(error, 'Accoppiamento fallito', ErrorCodes.BLE.AUTHENTICATION_FAILED,
+                    { deviceAddress: address }),
+                'BLEScanner.recreateBond'
+            );
+            return false;
+        } finally {
+            await device.disconnect().catch(() => {});
+        }
+    }
+
+    /**
+     * Legge Device Information Service e livello batteria, avvia il monitoraggio
+     * della batteria e scrive le informazioni nei metadati della sessione.
+     * I servizi sono facoltativi: la loro assenza non blocca la connessione.
+     * @param {Object} session - Sessione del dispositivo
+     * @param {Object} gattServer - Server GATT node-ble
+     * @private
+     */
+    async readDeviceDetails(session, gattServer) {
+        const timeout = settings.BLE_SETTINGS.CONNECT_TIMEOUT;
+        session.deviceInfo = await this.deviceCall(session.address, 'readDeviceInformation',
+            () => readDeviceInformation(gattServer), OperationPriority.LOW, timeout).catch(() => null);
+        const batteryLevel = await this.deviceCall(session.address, 'readBattery',
+            () => session.battery.start(gattServer), OperationPriority.LOW, timeout).catch(() => null);
+
+        if (session.deviceInfo) {
+            this.eventManager.emit(BLEDeviceInfoEvents.DEVICE_INFO, {
+                deviceAddress: session.address,
+                ...session.deviceInfo,
                 timestamp: getCurrentTimestamp()
             });
         }
+
+        session.logger.setMetadata({
+            deviceAddress: session.address,
+            deviceName: session.name,
+            alias: this.registry.getAlias(session.address),
+            role: session.role,
+            deviceInfo: session.deviceInfo,
+            batteryLevel
+        });
     }
 
     /**
-     * Rimuove tutti i listener di un dispositivo
-     * @param {Object} device - Dispositivo o caratteristica
+     * Sceglie lo schema dei pacchetti del dispositivo (vedi packetSchemas.negotiate).
+     * Senza corrispondenza per firmware la scelta è rimandata al primo pacchetto,
+     * che può contenere il byte di versione. Lo schema scelto determina le colonne
+     * del file di sessione ed è registrato nei suoi metadati.
+     * @param {Object} session - Sessione del dispositivo
+     * @param {Buffer} [packet] - Primo pacchetto ricevuto
+     * @returns {Object|null} Schema scelto, null se la scelta è rimandata
+     * @private
      */
-    removeAllDeviceListeners(device) {
-        const removedCount = 0;
-        for (const [key, listenerInfo] of this.deviceListeners.entries()) {
-            if (listenerInfo.device.address === device.address ||
-                listenerInfo.device.uuid === device.uuid) {
-                listenerInfo.device.removeListener(listenerInfo.eventName, listenerInfo.listener);
-                this.deviceListeners.delete(key);
-                removedCount++;
+    negotiateProtocol(session, packet = null) {
+        const firmwareRevision = session.deviceInfo ? session.deviceInfo.firmwareRevision : null;
+        const { schema, source } = packetSchemas.negotiate({ firmwareRevision, packet });
+        if (!packet && source !== ProtocolSources.FIRMWARE && source !== ProtocolSources.CONFIGURED) {
+            return null;
+        }
+
+        session.protocol = { schema, source };
+        this.applyCalibration(session);
+        session.logger.setMetadata({
+            protocol: {
+                schema: schema.name,
+                version: schema.version,
+                source,
+                firmwareRevision
+            }
+        });
+
+        this.eventManager.emit('scanner:protocol_negotiated', {
+            deviceAddress: session.address,
+            schema: schema.name,
+            version: schema.version,
+            source,
+            firmwareRevision,
+            timestamp: getCurrentTimestamp()
+        });
+        return schema;
+    }
+
+    /**
+     * Applica al dispositivo il profilo di calibrazione indicato nel registro
+     * (calibrationRef) o quello più recente per numero di serie. Con un profilo le
+     * colonne del file di sessione includono i valori calibrati e il suo identificativo.
+     * @param {Object} session - Sessione del dispositivo (con schema già negoziato)
+     * @returns {BLECalibrator|null}
+     * @private
+     */
+    applyCalibration(session) {
+        const schema = session.protocol.schema;
+        const entry = this.registry.get(session.address);
+        const profile = settings.CALIBRATION.ENABLED ? this.calibrations.resolve({
+            calibrationRef: entry ? entry.calibrationRef : null,
+            serialNumber: session.deviceInfo ? session.deviceInfo.serialNumber : null
+        }) : null;
+
+        session.calibration = null;
+        if (profile) {
+            try {
+                session.calibration = new BLECalibrator(profile, schema, settings.CALIBRATION);
+            } catch (error) {
+                handleError(error, 'BLEScanner.applyCalibration');
             }
         }
 
-        this.eventManager.emit('scanner:all_listeners_removed', {
-            deviceId: device.address || device.uuid,
-            count: removedCount,
+        session.logger.setColumns(session.calibration ?
+            schema.getCsvHeader(session.calibration.getColumns()) : schema.getCsvHeader());
+        session.logger.setMetadata({
+            calibration: session.calibration ? session.calibration.describe() : null
+        });
+
+        this.eventManager.emit('scanner:calibration_applied', {
+            deviceAddress: session.address,
+            profileId: session.calibration ? session.calibration.id : null,
+            timestamp: getCurrentTimestamp()
+        });
+        return session.calibration;
+    }
+
+    /**
+     * Aggiorna l'ultimo avvistamento del dispositivo nel registro,
+     * registrandolo se REGISTRY.AUTO_REGISTER è attivo
+     * @param {Object} session - Sessione del dispositivo
+     * @private
+     */
+    updateRegistry(session) {
+        if (!this.registry.has(session.address)) {
+            if (!settings.REGISTRY.AUTO_REGISTER) return;
+            this.registry.register(session.address);
+        }
+        this.registry.touch(session.address, {
+            firmware: session.deviceInfo ? session.deviceInfo.firmwareRevision : null
+        });
+    }
+
+    /**
+     * Restituisce il registro dei dispositivi conosciuti
+     * @returns {BLEDeviceRegistry}
+     */
+    getRegistry() {
+        return this.registry;
+    }
+
+    /**
+     * Restituisce l'archivio dei profili di calibrazione
+     * @returns {BLECalibrationStore}
+     */
+    getCalibrationStore() {
+        return this.calibrations;
+    }
+
+    /**
+     * Esegue la calibrazione di zero (tara) di un dispositivo in streaming e ne salva
+     * offset e rumore di fondo nel profilo di calibrazione. Se il dispositivo non ha
+     * un profilo ne viene creato uno, collegato al dispositivo nel registro.
+     * Il profilo aggiornato è applicato subito ai dati in acquisizione.
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {Object} [options]
+     * @param {Function} [options.onPhase] - (phase) => Promise, per guidare l'operatore (vedi TarePhases)
+     * @param {number} [options.durationMs] - Durata di ogni fase (default: TARE.DURATION)
+     * @param {AbortSignal} [options.signal] - Annulla la procedura
+     * @returns {Promise<Object>} Risultato della tara con l'identificativo del profilo (profileId)
+     * @throws {BLEError} INVALID_STATE se il dispositivo non è in streaming
+     */
+    async runTareCalibration(address, options = {}) {
+        const session = this.devices.get(address);
+        if (!session || !session.state.is(ConnectionStates.STREAMING)) {
+            throw new BLEError(
+                'Il dispositivo non è in streaming',
+                ErrorCodes.BLE.INVALID_STATE,
+                { address, state: session ? session.state.getState() : null }
+            );
+        }
+
+        const entry = this.registry.get(address);
+        const deviceInfo = session.deviceInfo || {};
+        const current = this.calibrations.resolve({
+            calibrationRef: entry ? entry.calibrationRef : null,
+            serialNumber: deviceInfo.serialNumber
+        });
+
+        const result = await this.tare.run(address, {
+            ...options,
+            profile: current,
+            schemaName: session.protocol ? session.protocol.schema.name : null,
+            firmwareRevision: deviceInfo.firmwareRevision,
+            signal: combineSignals(options.signal, this.abortController.signal)
+        });
+
+        const date = new Date().toISOString().split('T')[0];
+        const profile = this.calibrations.set(applyTareToProfile(current, result, {
+            id: `${deviceInfo.serialNumber || address.replace(/:/g, '')}-${date}`,
+            serialNumber: deviceInfo.serialNumber || null
+        }));
+        this.registry.register(address, { calibrationRef: profile.id });
+
+        if (session.protocol) {
+            this.applyCalibration(session);
+        }
+        return { ...result, profileId: profile.id };
+    }
+
+    /**
+     * Imposta il gestore delle richieste di passkey dell'agent di accoppiamento
+     * @param {Object|null} handler - Vedi BLEPairingAgent.setPromptHandler
+     */
+    setPairingPromptHandler(handler) {
+        this.bleConnection.getPairingAgent().setPromptHandler(handler);
+    }
+
+    /**
+     * Configura la riconnessione automatica
+     * @param {Object} session - Sessione del dispositivo
+     * @private
+     */
+    setupAutoReconnect(session) {
+        const disconnectListener = async () => {
+            // Le disconnessioni durante la configurazione sono gestite da connectAndSetup
+            if (!session.state.is(ConnectionStates.STREAMING)) return;
+
+            this.eventManager.emit('scanner:connection_lost', {
+                deviceAddress: session.address,
+                timestamp: getCurrentTimestamp()
+            });
+
+            this.releaseSession(session, 'connessione persa');
+            this.scheduleReconnect(session);
+        };
+
+        this.addDeviceListener(session.device, 'disconnect', disconnectListener, session.address);
+    }
+
+    /**
+     * Rilascia le risorse di una sessione che ha perso il collegamento: lettura della
+     * batteria, comandi in attesa, operazioni in coda, file di sessione e watchdog.
+     * La sessione resta registrata per la riconnessione.
+     * @param {Object} session - Sessione del dispositivo
+     * @param {string} reason - Motivo dell'annullamento delle operazioni in coda
+     * @private
+     */
+    releaseSession(session, reason) {
+        session.isConnected = false;
+        session.battery.stop();
+        session.commands.detach();
+        this.operationQueue.clear(session.address, reason);
+        session.logger.cleanup();
+        this.watchdog.unwatchDevice(session.address);
+    }
+
+    /**
+     * Pianifica la riconnessione di un dispositivo con il suo timer dedicato,
+     * con attesa crescente secondo RECONNECT_SETTINGS
+     * @param {Object} session - Sessione del dispositivo
+     * @private
+     */
+    scheduleReconnect(session) {
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = null;
+
+        const backoff = session.state.nextBackoff();
+        if (!backoff) {
+            session.state.transition(ConnectionStates.FAILED);
+            this.eventManager.emit('scanner:reconnect_failed', {
+                deviceAddress: session.address,
+                attempts: session.state.retryCount,
+                timestamp: getCurrentTimestamp()
+            });
+            return;
+        }
+
+        session.state.transition(ConnectionStates.BACKOFF, backoff);
+        session.reconnectTimer = setTimeout(() => {
+            session.reconnectTimer = null;
+            this.reconnectDevice(session.address).catch(error => {
+                if (!isCancellation(error)) {
+                    handleError(error, 'BLEScanner.reconnectDevice');
+                }
+            });
+        }, backoff.delay);
+    }
+
+    /**
+     * Riattiva le notifiche delle caratteristiche indicate (stadio 1 del watchdog)
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {Array<Object>} characteristics - Caratteristiche GATT da riattivare
+     * @returns {Promise<void>}
+     */
+    async restartNotifications(address, characteristics) {
+        for (const characteristic of characteristics) {
+            await this.deviceCall(address, 'stopNotifications', () => characteristic.stopNotifications())
+                .catch(() => {});
+            await this.deviceCall(address, 'startNotifications', () => characteristic.startNotifications());
+
+            this.eventManager.emit('scanner:notifications_restarted', {
+                deviceAddress: address,
+                characteristicUUID: characteristic.uuid,
+                timestamp: getCurrentTimestamp()
+            });
+        }
+    }
+
+    /**
+     * Forza la disconnessione di un dispositivo in streaming e ne avvia la riconnessione
+     * (stadio 2 del watchdog)
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {Promise<void>}
+     */
+    async forceReconnect(address) {
+        const session = this.devices.get(address);
+        if (!session || !session.state.is(ConnectionStates.STREAMING)) return;
+
+        this.removeAllDeviceListeners(session.device);
+        this.releaseSession(session, 'riconnessione forzata');
+
+        await session.device.disconnect().catch(() => {});
+        this.scheduleReconnect(session);
+    }
+
+    /**
+     * Resetta la sessione Bluetooth e reinizializza l'adapter, poi riconnette
+     * tutti i dispositivi in streaming (stadio 3 del watchdog)
+     * @returns {Promise<void>}
+     */
+    async resetAdapter() {
+        this.eventManager.emit('scanner:adapter_reset', {
             timestamp: getCurrentTimestamp()
         });
+
+        const suspended = this.suspendStreamingSessions();
+
+        await this.bleDiscovery.stopDiscovery();
+
+        // L'adapter corrente non è più valido: nessuno deve usarlo durante il reset
+        this.adapter = null;
+        this.bleDiscovery.detachAdapter();
+
+        await this.bleConnection.resetBluetooth();
+        await this.bleConnection.initialize();
+        await this.resumeAfterAdapterChange(suspended);
     }
 
     /**
-     * Disconnette dal dispositivo
+     * Spegne e riaccende l'adapter (stadio 2 del circuit breaker)
+     * La discovery attiva viene fermata prima e ripresa dopo la riaccensione.
+     * @returns {Promise<void>}
+     */
+    async powerCycleAdapter() {
+        await this.bleDiscovery.stopDiscovery();
+        await this.bleConnection.powerCycle();
+        if (this.isScanning) {
+            await this.bleDiscovery.startDiscovery();
+        }
+    }
+
+    /**
+     * Elenca gli adapter Bluetooth disponibili
+     * @returns {Promise<Array<Object>>}
+     */
+    async listAdapters() {
+        return this.bleConnection.listAdapters();
+    }
+
+    /**
+     * Passa a un altro adapter Bluetooth senza riavviare il processo
+     * I dispositivi in streaming vengono riconnessi tramite il nuovo adapter
+     * @param {string|null} selector - Nome (es. 'hci1') o indirizzo dell'adapter; null = predefinito
      * @returns {Promise<boolean>}
      */
-    async disconnect() {
-        if (this.targetDevice && this.isConnected) {
+    async selectAdapter(selector) {
+        try {
+            this.bleConnection.setAdapterSelector(selector);
+            await this.resetAdapter();
+            this.circuitBreaker.reset();
+            return true;
+        } catch (error) {
+            handleError(
+                new BLEError(
+                    'Selezione adapter fallita',
+                    ErrorCodes.BLE.INITIALIZATION_FAILED,
+                    { adapter: selector, error: error.message }
+                ),
+                'BLEScanner.selectAdapter'
+            );
+            return false;
+        }
+    }
+
+    /**
+     * Gestisce la scomparsa dell'adapter in uso: sospende discovery e dispositivi
+     * in attesa che l'adapter ricompaia
+     * @param {Object} data - Dati dell'evento bluetooth:adapter_removed
+     * @private
+     */
+    handleAdapterRemoved(data) {
+        if (!data.wasSelected) return;
+
+        this.eventManager.emit('scanner:adapter_lost', {
+            adapter: data.name,
+            timestamp: getCurrentTimestamp()
+        });
+
+        this.adapter = null;
+        this.bleDiscovery.detachAdapter();
+        this.operationQueue.clearAll('adapter rimosso');
+        this.suspendStreamingSessions().forEach(session => this.scheduleReconnect(session));
+    }
+
+    /**
+     * Gestisce il ritorno dell'adapter: riprende la discovery e riconnette subito
+     * i dispositivi in attesa. Il fallimento di un dispositivo viene segnalato
+     * senza interrompere la riconnessione degli altri.
+     * @private
+     */
+    async handleAdapterRestored() {
+        const waiting = Array.from(this.devices.values())
+            .filter(session => session.state.is(ConnectionStates.BACKOFF, ConnectionStates.FAILED));
+
+        waiting.forEach(session => {
+            clearTimeout(session.reconnectTimer);
+            session.reconnectTimer = null;
+        });
+
+        await this.resumeAfterAdapterChange([]);
+        for (const session of waiting) {
+            try {
+                await this.reconnectDevice(session.address);
+            } catch (error) {
+                if (isCancellation(error)) continue;
+                handleError(
+                    toBLEError(error, 'Riconnessione dopo il ritorno dell\'adapter fallita',
+                        ErrorCodes.BLE.CONNECTION_FAILED, { deviceAddress: session.address }),
+                    'BLEScanner.handleAdapterRestored'
+                );
+            }
+        }
+    }
+
+    /**
+     * Sospende i dispositivi in streaming quando l'adapter non è più utilizzabile
+     * @returns {Array<Object>} Sessioni sospese
+     * @private
+     */
+    suspendStreamingSessions() {
+        const streaming = Array.from(this.devices.values())
+            .filter(session => session.state.is(ConnectionStates.STREAMING));
+
+        for (const session of streaming) {
+            this.removeAllDeviceListeners(session.device);
+            this.releaseSession(session, 'adapter non disponibile');
+        }
+
+        return streaming;
+    }
+
+    /**
+     * Aggancia il nuovo adapter a scanner e discovery, riprende l'eventuale scansione
+     * e pianifica la riconnessione delle sessioni sospese
+     * @param {Array<Object>} suspended - Sessioni da riconnettere
+     * @private
+     */
+    async resumeAfterAdapterChange(suspended) {
+        this.adapter = this.bleConnection.getAdapter();
+        this.bleDiscovery.setAdapter(this.adapter);
+
+        if (this.isScanning) {
+            await this.bleDiscovery.startDiscovery();
+        }
+
+        suspended.forEach(session => this.scheduleReconnect(session));
+    }
+
+    /**
+     * Configura le caratteristiche del servizio
+     * @param {Object} service - Servizio GATT
+     * @param {Object} session - Sessione del dispositivo
+     * @private
+     */
+    async setupCharacteristics(service, session) {
+        const characteristics = await this.deviceCall(session.address, 'characteristics',
+            () => service.characteristics());
+        session.characteristics.clear();
+        session.commands.detach();
+
+        for (const charUUID of characteristics) {
             try {
-                this.removeAllDeviceListeners(this.targetDevice);
-                await this.targetDevice.disconnect();
-                this.isConnected = false;
-                this.targetDevice = null;
+                const characteristic = await this.deviceCall(session.address, 'getCharacteristic',
+                    () => service.getCharacteristic(charUUID));
+                characteristic.uuid = characteristic.uuid || charUUID;
+
+                const flags = await this.deviceCall(session.address, 'getFlags',
+                    () => characteristic.getFlags()).catch(() => []);
+                const role = classifyCharacteristic(charUUID, flags);
+                session.characteristics.set(charUUID, { role, flags, characteristic });
+
+                switch (role) {
+                    case CharacteristicRoles.DATA:
+                        await this.setupCharacteristicNotifications(characteristic, charUUID, session);
+                        break;
+                    case CharacteristicRoles.STATUS:
+                        await this.setupStatusNotifications(characteristic, charUUID, session);
+                        break;
+                    case CharacteristicRoles.CONTROL:
+                        await this.setupControlCharacteristic(characteristic, charUUID, flags, session);
+                        break;
+                    default:
+                        break;
+                }
 
-                this.eventManager.emit('scanner:disconnected', {
+                this.eventManager.emit('scanner:characteristic_configured', {
+                    deviceAddress: session.address,
+                    characteristicUUID: charUUID,
+                    role,
+                    flags,
                     timestamp: getCurrentTimestamp()
                 });
 
-                return true;
             } catch (error) {
                 handleError(
-                    new BLEError(
-                        'Errore durante la disconnessione',
-                        ErrorCodes.BLE.DISCONNECT_ERROR,
-                        { error: error.message }
+                    toBLEError(
+                        error,
+                        'Errore configurazione caratteristica',
+                        ErrorCodes.BLE.CHARACTERISTIC_ERROR,
+                        {
+                            deviceAddress: session.address,
+                            characteristicUUID: charUUID
+                        }
                     ),
-                    'BLEScanner.disconnect'
+                    'BLEScanner.setupCharacteristics'
                 );
-                return false;
             }
         }
-        return true;
+
+        const hasData = Array.from(session.characteristics.values())
+            .some(entry => entry.role === CharacteristicRoles.DATA);
+        if (!hasData) {
+            throw new BLEError(
+                'Nessuna caratteristica dati trovata nel servizio target',
+                ErrorCodes.BLE.CHARACTERISTIC_ERROR,
+                {
+                    deviceAddress: session.address,
+                    characteristics: Array.from(session.characteristics.entries())
+                        .map(([uuid, entry]) => ({ uuid, role: entry.role }))
+                }
+            );
+        }
     }
 
-    decodeData(buffer) {
-        const timestamp = getCurrentTimestamp();
+    /**
+     * Configura le notifiche di una caratteristica di stato
+     * I valori non vengono decodificati come campioni ma inoltrati come scanner:status_received
+     * @param {Object} characteristic - Caratteristica GATT
+     * @param {string} charUUID - UUID della caratteristica
+     * @param {Object} session - Sessione del dispositivo
+     * @private
+     */
+    async setupStatusNotifications(characteristic, charUUID, session) {
+        const statusListener = buffer => {
+            this.eventManager.emit('scanner:status_received', {
+                deviceAddress: session.address,
+                role: session.role,
+                characteristicUUID: charUUID,
+                value: buffer,
+                hex: buffer.toString('hex'),
+                timestamp: getCurrentTimestamp()
+            });
+        };
 
-        try {
-            if (buffer.length < 20) {
-                throw new BLEError(
-                    'Buffer troppo corto',
-                    ErrorCodes.BLE.NOTIFICATION_ERROR,
-                    {
-                        expectedLength: 20,
-                        actualLength: buffer.length,
-                        buffer: buffer.toString('hex')
-                    }
-                );
-            }
+        this.addDeviceListener(characteristic, 'valuechanged', statusListener, session.address);
+        await this.deviceCall(session.address, 'startNotifications', () => characteristic.startNotifications());
+    }
 
-            this.dataCounter++;
-            const view = new DataView(buffer.buffer, buffer.byteOffset);
+    /**
+     * Configura una caratteristica di comando e la collega al canale comandi della sessione;
+     * se notifica le risposte, queste vengono correlate ai comandi in attesa e inoltrate
+     * come scanner:control_response
+     * @param {Object} characteristic - Caratteristica GATT
+     * @param {string} charUUID - UUID della caratteristica
+     * @param {Array<string>} flags - Flag GATT della caratteristica
+     * @param {Object} session - Sessione del dispositivo
+     * @private
+     */
+    async setupControlCharacteristic(characteristic, charUUID, flags, session) {
+        if (!session.commands.isAvailable()) {
+            session.commands.attach(characteristic, flags);
+        }
 
-            const decodedData = {
-                timestamp,
-                numero_progressivo: view.getUint16(0, false),
-                asse_x: view.getInt16(2, true),
-                asse_y: view.getInt16(4, true),
-                asse_z: view.getInt16(6, true),
-                pressione_tallone: view.getUint16(8, true),
-                pressione_primo_metatarso: view.getUint16(10, true),
-                pressione_quinto_metatarso: view.getUint16(12, true),
-                segnale_uno: view.getUint16(14, true),
-                segnale_due: view.getUint16(16, true),
-                raw_hex: buffer.toString('hex')
-            };
+        if (!flags.includes('notify') && !flags.includes('indicate')) return;
 
-            this.logger.writeData(decodedData);
-            return decodedData;
+        const responseListener = buffer => {
+            session.commands.handleResponse(buffer);
+            this.eventManager.emit('scanner:control_response', {
+                deviceAddress: session.address,
+                characteristicUUID: charUUID,
+                value: buffer,
+                hex: buffer.toString('hex'),
+                timestamp: getCurrentTimestamp()
+            });
+        };
 
-        } catch (error) {
-            handleError(
-                error instanceof BLEError ? error :
+        this.addDeviceListener(characteristic, 'valuechanged', responseListener, session.address);
+        await this.deviceCall(session.address, 'startNotifications', () => characteristic.startNotifications());
+    }
+
+    /**
+     * Configura le notifiche per una caratteristica
+     * @param {Object} characteristic - Caratteristica GATT
+     * @param {string} charUUID - UUID della caratteristica
+     * @param {Object} session - Sessione del dispositivo
+     * @private
+     */
+    async setupCharacteristicNotifications(characteristic, charUUID, session) {
+        const valueChangedListener = buffer => {
+            this.watchdog.notify(session.address, charUUID);
+            // Buffer grezzo, per chi decodifica in proprio (es. calibrazione di zero)
+            this.eventManager.emit('scanner:packet_received', {
+                deviceAddress: session.address,
+                characteristicUUID: charUUID,
+                buffer,
+                timestamp: getCurrentTimestamp()
+            });
+            try {
+                const samples = this.decodeData(buffer, session);
+                samples.forEach((decodedData, sampleIndex) => {
+                    if (this.subject && session.role) {
+                        this.subject.addSample(session.address, decodedData);
+                    }
+                    this.eventManager.emit('scanner:data_received', {
+                        deviceAddress: session.address,
+                        role: session.role,
+                        characteristicUUID: charUUID,
+                        data: decodedData,
+                        sampleIndex,
+                        samplesInPacket: samples.length,
+                        timestamp: getCurrentTimestamp()
+                    });
+                });
+            } catch (error) {
+                handleError(
                     new BLEError(
                         'Errore nella decodifica dei dati',
                         ErrorCodes.BLE.NOTIFICATION_ERROR,
                         {
+                            deviceAddress: session.address,
+                            characteristicUUID: charUUID,
                             error: error.message,
                             buffer: buffer.toString('hex')
                         }
                     ),
-                'BLEScanner.decodeData'
+                    'BLEScanner.valueChanged'
+                );
+            }
+        };
+
+        this.addDeviceListener(characteristic, 'valuechanged', valueChangedListener, session.address);
+        await this.deviceCall(session.address, 'startNotifications', () => characteristic.startNotifications());
+        this.watchdog.watch(session.address, charUUID, characteristic);
+    }
+
+    /**
+     * Esegue una chiamata BlueZ attraverso la coda del dispositivo
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {string} name - Nome dell'operazione
+     * @param {Function} call - () => Promise
+     * @param {number} [priority] - Priorità (OperationPriority)
+     * @param {number} [timeout] - Timeout in ms (default: SCAN_SETTINGS.OPERATION_TIMEOUT)
+     * @returns {Promise<*>}
+     * @private
+     */
+    deviceCall(address, name, call, priority = OperationPriority.NORMAL, timeout = undefined) {
+        return this.operationQueue.run(address, call, { name, priority, timeout });
+    }
+
+    /**
+     * Restituisce il dispositivo node-ble di un indirizzo attraverso la coda dell'adapter
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {Promise<Object>}
+     * @private
+     */
+    getAdapterDevice(address) {
+        const adapter = this.adapter;
+        return this.operationQueue.run(ADAPTER_QUEUE, () => adapter.getDevice(address), {
+            name: 'getDevice',
+            priority: OperationPriority.HIGH
+        });
+    }
+
+    /**
+     * Gestisce i listener dei dispositivi
+     * @param {Object} device - Dispositivo o caratteristica
+     * @param {string} eventName - Nome dell'evento
+     * @param {Function} listener - Funzione listener
+     * @param {string} [ownerAddress] - Indirizzo del dispositivo proprietario; distingue
+     *                                  caratteristiche con lo stesso UUID su dispositivi diversi
+     */
+    addDeviceListener(device, eventName, listener, ownerAddress = device.address) {
+        const key = this.getListenerKey(device, eventName, ownerAddress);
+        this.removeDeviceListener(device, eventName, ownerAddress);
+        device.on(eventName, listener);
+        this.deviceListeners.set(key, { device, eventName, listener, ownerAddress });
+
+        this.eventManager.emit('scanner:listener_added', {
+            deviceId: device.address || device.uuid,
+            deviceAddress: ownerAddress,
+            eventName,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Rimuove un listener
+     * @param {Object} device - Dispositivo o caratteristica
+     * @param {string} eventName - Nome dell'evento
+     * @param {string} [ownerAddress] - Indirizzo del dispositivo proprietario
+     */
+    removeDeviceListener(device, eventName, ownerAddress = device.address) {
+        const key = this.getListenerKey(device, eventName, ownerAddress);
+        const listenerInfo = this.deviceListeners.get(key);
+        if (listenerInfo) {
+            listenerInfo.device.removeListener(eventName, listenerInfo.listener);
+            this.deviceListeners.delete(key);
+
+            this.eventManager.emit('scanner:listener_removed', {
+                deviceId: device.address || device.uuid,
+                deviceAddress: ownerAddress,
+                eventName,
+                timestamp: getCurrentTimestamp()
+            });
+        }
+    }
+
+    /**
+     * Rimuove tutti i listener di un dispositivo, incluse le sue caratteristiche
+     * @param {Object} device - Dispositivo
+     */
+    removeAllDeviceListeners(device) {
+        let removedCount = 0;
+        for (const [key, listenerInfo] of this.deviceListeners.entries()) {
+            if (listenerInfo.ownerAddress === device.address) {
+                listenerInfo.device.removeListener(listenerInfo.eventName, listenerInfo.listener);
+                this.deviceListeners.delete(key);
+                removedCount++;
+            }
+        }
+
+        this.eventManager.emit('scanner:all_listeners_removed', {
+            deviceId: device.address,
+            count: removedCount,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Genera la chiave di un listener
+     * @private
+     */
+    getListenerKey(device, eventName, ownerAddress) {
+        return `${ownerAddress}_${device.uuid || device.address}_${eventName}`;
+    }
+
+    /**
+     * Annulla ricerche, connessioni e riconnessioni in corso o pianificate
+     * Le operazioni interrotte vengono rifiutate con ErrorCodes.BLE.OPERATION_CANCELLED.
+     * @param {string} [reason] - Motivo dell'annullamento
+     */
+    cancelOperations(reason = 'Operazioni annullate') {
+        this.abortController.abort(reason);
+        this.abortController = new AbortController();
+
+        for (const session of this.devices.values()) {
+            clearTimeout(session.reconnectTimer);
+            session.reconnectTimer = null;
+        }
+
+        this.eventManager.emit('scanner:operations_cancelled', {
+            reason,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Disconnette uno o tutti i dispositivi
+     * Disconnettendo tutti i dispositivi vengono annullate anche le riconnessioni in corso,
+     * che altrimenti potrebbero ricreare le sessioni in seguito.
+     * @param {string} [address] - Indirizzo del dispositivo; se omesso disconnette tutti
+     * @returns {Promise<boolean>}
+     */
+    async disconnect(address) {
+        if (!address) {
+            this.cancelOperations('Disconnessione di tutti i dispositivi');
+        }
+
+        const sessions = address ?
+            [this.devices.get(address)].filter(Boolean) :
+            Array.from(this.devices.values());
+
+        let success = true;
+        for (const session of sessions) {
+            success = await this.disconnectDevice(session) && success;
+        }
+        return success;
+    }
+
+    /**
+     * Disconnette un singolo dispositivo e ne rimuove la sessione
+     * @param {Object} session - Sessione del dispositivo
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async disconnectDevice(session) {
+        clearTimeout(session.reconnectTimer);
+        session.reconnectTimer = null;
+        session.abortController.abort('Dispositivo disconnesso');
+        this.removeAllDeviceListeners(session.device);
+        session.battery.stop();
+        session.commands.detach();
+        this.operationQueue.clear(session.address, 'dispositivo disconnesso');
+        session.logger.cleanup();
+        this.watchdog.unwatchDevice(session.address, true);
+        session.state.transition(ConnectionStates.IDLE);
+        this.devices.delete(session.address);
+        if (this.subject) {
+            this.subject.releaseRole(session.address);
+        }
+
+        if (!session.isConnected) {
+            return true;
+        }
+
+        try {
+            await session.device.disconnect();
+            session.isConnected = false;
+
+            this.eventManager.emit('scanner:disconnected', {
+                deviceAddress: session.address,
+                timestamp: getCurrentTimestamp()
+            });
+
+            return true;
+        } catch (error) {
+            handleError(
+                new BLEError(
+                    'Errore durante la disconnessione',
+                    ErrorCodes.BLE.DISCONNECT_ERROR,
+                    { deviceAddress: session.address, error: error.message }
+                ),
+                'BLEScanner.disconnect'
             );
-            throw error;
+            return false;
         }
     }
 
+    /**
+     * Avvia lo streaming dei campioni e riattiva il watchdog dei dispositivi che lo accettano
+     * @param {string} [address] - Indirizzo del dispositivo; se omesso tutti i dispositivi connessi
+     * @returns {Promise<Array<Object>>} Esito per dispositivo (vedi runCommand)
+     */
+    async startStreaming(address) {
+        const results = await this.runCommand(address, 'startStreaming', channel => channel.startStreaming());
+        results.filter(result => result.success)
+            .forEach(result => this.watchdog.resumeDevice(result.deviceAddress));
+        return results;
+    }
+
+    /**
+     * Ferma lo streaming dei campioni e sospende il watchdog dei dispositivi fermati,
+     * che altrimenti scambierebbe la pausa per un flusso bloccato
+     * @param {string} [address] - Indirizzo del dispositivo; se omesso tutti i dispositivi connessi
+     * @returns {Promise<Array<Object>>} Esito per dispositivo (vedi runCommand)
+     */
+    async stopStreaming(address) {
+        const results = await this.runCommand(address, 'stopStreaming', channel => channel.stopStreaming());
+        results.filter(result => result.success)
+            .forEach(result => this.watchdog.pauseDevice(result.deviceAddress));
+        return results;
+    }
+
+    /**
+     * Imposta la frequenza di campionamento
+     * @param {number} rate - Frequenza in Hz (una di settings.COMMANDS.SAMPLING_RATES)
+     * @param {string} [address] - Indirizzo del dispositivo; se omesso tutti i dispositivi connessi
+     * @returns {Promise<Array<Object>>} Esito per dispositivo (vedi runCommand)
+     */
+    setSamplingRate(rate, address) {
+        return this.runCommand(address, 'setSamplingRate', channel => channel.setSamplingRate(rate));
+    }
+
+    /**
+     * Esegue un comando sul canale di uno o di tutti i dispositivi connessi
+     * @param {string} [address] - Indirizzo del dispositivo; se omesso tutti i dispositivi connessi
+     * @param {string} name - Nome del comando, per i log
+     * @param {Function} action - (channel) => Promise
+     * @returns {Promise<Array<{deviceAddress: string, success: boolean, result: Object|null, error: string|null}>>}
+     * @private
+     */
+    async runCommand(address, name, action) {
+        const sessions = (address ?
+            [this.devices.get(address)].filter(Boolean) :
+            Array.from(this.devices.values())
+        ).filter(session => session.isConnected);
+
+        return Promise.all(sessions.map(async session => {
+            try {
+                const result = await action(session.commands);
+                return { deviceAddress: session.address, success: true, result, error: null };
+            } catch (error) {
+                handleError(error, `BLEScanner.${name}`);
+                return { deviceAddress: session.address, success: false, result: null, error: error.message };
+            }
+        }));
+    }
+
+    /**
+     * Decodifica i campioni di una notifica con lo schema negoziato, aggiunge i valori
+     * calibrati del profilo del dispositivo e salva i campioni, uno per riga, nel file
+     * di sessione del dispositivo
+     * @param {Buffer} buffer - Dati ricevuti (uno o più frame consecutivi)
+     * @param {Object} session - Sessione del dispositivo
+     * @returns {Array<Object>} Campioni decodificati, ciascuno con il proprio numero progressivo
+     * @throws {Error} Se il pacchetto non è valido per lo schema; l'errore è registrato
+     *   dal listener delle notifiche
+     */
+    decodeData(buffer, session) {
+        const timestamp = getCurrentTimestamp();
+        const schema = session.protocol ? session.protocol.schema : this.negotiateProtocol(session, buffer);
+        const frames = schema.splitFrames(buffer);
+        session.packetCounter++;
+
+        return frames.map(frame => {
+            const fields = schema.decode(frame);
+            const decodedData = {
+                timestamp,
+                ...fields,
+                ...(session.calibration ? session.calibration.calibrate(fields) : {}),
+                raw_hex: frame.toString('hex')
+            };
+
+            this.dataCounter++;
+            session.dataCounter++;
+            session.logger.writeData(decodedData);
+            return decodedData;
+        });
+    }
+
     /**
      * Pulisce le risorse utilizzate
      */
@@ -570,17 +1913,16 @@ class BLEScanner {
                 this.scanTimeout = null;
             }
     
-            if (this.reconnectTimer) {
-                clearTimeout(this.reconnectTimer);
-                this.reconnectTimer = null;
-            }
-    
             // Se sta ancora scansionando, ferma la scansione
             if (this.isScanning) {
                 await this.stopScan();
             }
     
             await this.disconnect();
+            this.watchdog.stop();
+            if (this.subject) {
+                this.subject.cleanup();
+            }
             await this.bleDiscovery.cleanup();
             await this.bleConnection.cleanup();
     
@@ -600,7 +1942,7 @@ class BLEScanner {
     }
 
     /**
-     * Restituisce le statistiche di acquisizione
+     * Restituisce le statistiche di acquisizione, totali e per dispositivo
      * @returns {Object}
      */
     getStatistics() {
@@ -613,31 +1955,89 @@ class BLEScanner {
             acquisitionTime,
             samplesPerSecond: acquisitionTime > 0 ?
                 (this.dataCounter / acquisitionTime).toFixed(2) : 0,
-            session: {
-                currentFile: this.getCurrentLogFile()
-            }
+            devices: Array.from(this.devices.values()).map(session => {
+                const deviceTime = session.startTime ?
+                    Math.floor((currentTime - session.startTime) / 1000) : 0;
+
+                return {
+                    deviceAddress: session.address,
+                    deviceName: session.name,
+                    alias: this.registry.getAlias(session.address),
+                    role: session.role,
+                    dataCounter: session.dataCounter,
+                    acquisitionTime: deviceTime,
+                    samplesPerSecond: deviceTime > 0 ?
+                        (session.dataCounter / deviceTime).toFixed(2) : 0,
+                    packetCounter: session.packetCounter,
+                    samplesPerPacket: session.packetCounter > 0 ?
+                        (session.dataCounter / session.packetCounter).toFixed(2) : 0,
+                    queueDepth: this.operationQueue.getDepth(session.address),
+                    session: {
+                        currentFile: session.logger.getCurrentFilePath()
+                    }
+                };
+            }),
+            operations: this.operationQueue.getStatistics(),
+            circuitBreaker: this.circuitBreaker.getStatistics(),
+            subject: this.subject ? this.subject.getStatistics() : null
         };
     }
 
     /**
-     * Restituisce lo stato della connessione
+     * Restituisce lo stato della connessione di tutti i dispositivi
      * @returns {Object}
      */
     getConnectionStatus() {
         return {
-            isConnected: this.isConnected,
-            deviceName: this.targetDevice ? settings.TARGET_DEVICE.NAME : null,
-            deviceAddress: this.targetDevice ? this.targetDevice.address : null,
-            connectionTime: this.startTime ? new Date(this.startTime).toISOString() : null
+            isConnected: this.getConnectedCount() > 0,
+            searchState: this.searchState.getState(),
+            adapter: this.bleConnection.getStatus().adapterName,
+            connectedDevices: this.getConnectedCount(),
+            maxDevices: settings.TARGET_DEVICE.MAX_DEVICES,
+            devices: Array.from(this.devices.values()).map(session => ({
+                isConnected: session.isConnected,
+                state: session.state.getState(),
+                isReconnecting: session.startTime !== null &&
+                    !session.state.is(ConnectionStates.STREAMING, ConnectionStates.FAILED),
+                retryCount: session.state.retryCount,
+                watchdog: this.watchdog.getStatus()[session.address] || null,
+                deviceName: session.name,
+                deviceAddress: session.address,
+                alias: this.registry.getAlias(session.address),
+                role: session.role,
+                deviceInfo: session.deviceInfo,
+                protocol: session.protocol ? {
+                    schema: session.protocol.schema.name,
+                    version: session.protocol.schema.version,
+                    source: session.protocol.source
+                } : null,
+                calibration: session.calibration ? session.calibration.id : null,
+                battery: session.battery.getStatus(),
+                characteristics: Array.from(session.characteristics.entries())
+                    .map(([uuid, entry]) => ({ uuid, role: entry.role })),
+                commands: session.commands.getStatus(),
+                lastError: session.lastError ? {
+                    code: session.lastError.code,
+                    retryable: session.lastError.retryable,
+                    recovery: session.lastError.recovery,
+                    message: session.lastError.message
+                } : null,
+                connectionTime: session.startTime ? new Date(session.startTime).toISOString() : null
+            }))
         };
     }
 
     /**
-     * Restituisce il file di log corrente
-     * @returns {string}
+     * Restituisce i file di log correnti, uno per dispositivo
+     * @returns {Array<string>}
      */
-    getCurrentLogFile() {
-        return this.logger.getFilePath();
+    getCurrentLogFiles() {
+        const files = Array.from(this.devices.values())
+            .map(session => session.logger.getCurrentFilePath());
+        if (this.subject) {
+            files.push(this.subject.logger.getCurrentFilePath());
+        }
+        return files.filter(Boolean);
     }
 }
 
@@ -0,0 +1,402 @@
+/**
+ * BLESubjectPairing.js
+ * Accoppia due solette (sinistra e destra) in un unico soggetto e
+ * fonde i loro campioni in un flusso allineato nel tempo
+ *
+ * L'allineamento usa il numero_progressivo di ciascun piede: al primo accoppiamento
+ * (fatto per tempo di arrivo) si ricava l'offset di sequenza tra i due dispositivi,
+ * poi i campioni vengono accoppiati per sequenza. I campioni che non trovano la
+ * controparte entro SUBJECT.MAX_WAIT vengono scritti comunque, marcati come non accoppiati.
+ *
+ * Created: 2025-02-04 10:12:31
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const FileLogger = require('../logger/FileLogger');
+const { BLEError, handleError, ErrorCodes } = require('../utils/errorHandler');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const settings = require('../config/settings');
+
+/**
+ * Eventi emessi da BLESubjectPairing
+ * @readonly
+ * @enum {string}
+ */
+const BLESubjectEvents = {
+    ROLE_ASSIGNED: 'subject:role_assigned',
+    ROLE_RELEASED: 'subject:role_released',
+    ALIGNED_SAMPLE: 'subject:aligned_sample',
+    UNMATCHED_SAMPLE: 'subject:unmatched_sample',
+    RESYNC: 'subject:resync'
+};
+
+/**
+ * Ruoli disponibili per le solette
+ * @readonly
+ * @enum {string}
+ */
+const SubjectRoles = {
+    LEFT: 'left',
+    RIGHT: 'right'
+};
+
+const OTHER_ROLE = {
+    [SubjectRoles.LEFT]: SubjectRoles.RIGHT,
+    [SubjectRoles.RIGHT]: SubjectRoles.LEFT
+};
+
+// Canali di pressione e accelerometro riportati per ciascun piede
+const ALIGNED_CHANNELS = [
+    'numero_progressivo',
+    'asse_x',
+    'asse_y',
+    'asse_z',
+    'pressione_tallone',
+    'pressione_primo_metatarso',
+    'pressione_quinto_metatarso'
+];
+
+const ALIGNED_COLUMNS = [
+    'timestamp',
+    'subject_id',
+    'match_status',
+    'skew_ms',
+    ...ALIGNED_CHANNELS.map(channel => `left_${channel}`),
+    ...ALIGNED_CHANNELS.map(channel => `right_${channel}`)
+];
+
+class BLESubjectPairing {
+    /**
+     * @param {BLEEventManager} eventManager - Gestore degli eventi BLE
+     * @param {Object} [options] - Opzioni (default da settings.SUBJECT)
+     * @param {string} [options.subjectId] - Identificativo del soggetto
+     * @param {FileLogger} [options.logger] - Logger per il file allineato
+     */
+    constructor(eventManager, options = {}) {
+        if (!eventManager) {
+            throw new BLEError(
+                'EventManager è richiesto',
+                ErrorCodes.BLE.INVALID_PARAMETER
+            );
+        }
+
+        this.eventManager = eventManager;
+        this.subjectId = options.subjectId || settings.SUBJECT.ID;
+        this.matchWindow = options.matchWindow || settings.SUBJECT.MATCH_WINDOW;
+        this.maxWait = options.maxWait || settings.SUBJECT.MAX_WAIT;
+        this.resyncAfter = options.resyncAfter || settings.SUBJECT.RESYNC_AFTER;
+        this.logger = options.logger || new FileLogger({
+            deviceId: `subject_${this.subjectId}`,
+            columns: ALIGNED_COLUMNS
+        });
+
+        this.roles = new Map();             // indirizzo -> ruolo
+        this.pending = {
+            [SubjectRoles.LEFT]: [],
+            [SubjectRoles.RIGHT]: []
+        };
+        this.sequenceOffset = null;         // (seq destra - seq sinistra) mod 65536
+        this.consecutiveUnmatched = 0;
+        this.stats = {
+            paired: 0,
+            unmatchedLeft: 0,
+            unmatchedRight: 0
+        };
+    }
+
+    /**
+     * Assegna un ruolo (sinistra/destra) a un dispositivo
+     * Senza ruolo esplicito usa settings.SUBJECT.ROLES. Il ruolo non viene mai dedotto
+     * dall'ordine di connessione: invertirebbe i piedi nel file allineato.
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {string} [role] - Ruolo richiesto
+     * @returns {string|null} Ruolo assegnato, null se il ruolo del dispositivo non è configurato
+     * @throws {BLEError} Se il ruolo non è valido o è già assegnato a un altro dispositivo
+     */
+    assignRole(address, role) {
+        const requestedRole = role || settings.SUBJECT.ROLES[address];
+
+        if (requestedRole && !OTHER_ROLE[requestedRole]) {
+            throw new BLEError(
+                'Ruolo non valido',
+                ErrorCodes.BLE.INVALID_PARAMETER,
+                { address, role: requestedRole }
+            );
+        }
+
+        const owner = requestedRole ? this.getAddressForRole(requestedRole) : null;
+        if (owner && owner !== address) {
+            throw new BLEError(
+                'Ruolo già assegnato a un altro dispositivo',
+                ErrorCodes.BLE.INVALID_PARAMETER,
+                { address, role: requestedRole, assignedTo: owner }
+            );
+        }
+
+        if (!requestedRole) {
+            return this.getRole(address);
+        }
+
+        const assignedRole = requestedRole;
+
+        if (this.roles.get(address) !== assignedRole) {
+            this.roles.set(address, assignedRole);
+            this.resetAlignment();
+
+            this.eventManager.emit(BLESubjectEvents.ROLE_ASSIGNED, {
+                subjectId: this.subjectId,
+                deviceAddress: address,
+                role: assignedRole,
+                timestamp: getCurrentTimestamp()
+            });
+        }
+
+        return assignedRole;
+    }
+
+    /**
+     * Libera il ruolo di un dispositivo
+     * @param {string} address - Indirizzo del dispositivo
+     */
+    releaseRole(address) {
+        const role = this.roles.get(address);
+        if (!role) return;
+
+        this.flushRole(role);
+        this.roles.delete(address);
+
+        this.eventManager.emit(BLESubjectEvents.ROLE_RELEASED, {
+            subjectId: this.subjectId,
+            deviceAddress: address,
+            role,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+
+    /**
+     * Restituisce il ruolo di un dispositivo
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {string|null}
+     */
+    getRole(address) {
+        return this.roles.get(address) || null;
+    }
+
+    /**
+     * Restituisce l'indirizzo del dispositivo che ha un certo ruolo
+     * @param {string} role - Ruolo
+     * @returns {string|null}
+     */
+    getAddressForRole(role) {
+        for (const [address, assignedRole] of this.roles.entries()) {
+            if (assignedRole === role) return address;
+        }
+        return null;
+    }
+
+    /**
+     * Aggiunge un campione decodificato e prova ad accoppiarlo con l'altro piede
+     * @param {string} address - Indirizzo del dispositivo che ha prodotto il campione
+     * @param {Object} data - Dati decodificati
+     * @param {number} [arrivalTime] - Istante di arrivo in ms
+     * @returns {Object|null} Record allineato se il campione è stato accoppiato
+     */
+    addSample(address, data, arrivalTime = Date.now()) {
+        const role = this.roles.get(address);
+        if (!role) return null;
+
+        const entry = { data, arrivalTime };
+        const otherRole = OTHER_ROLE[role];
+        const matchIndex = this.findMatch(role, entry);
+        let record = null;
+
+        if (matchIndex !== -1) {
+            // I campioni dell'altro piede più vecchi della controparte non verranno più accoppiati
+            const skipped = this.pending[otherRole].splice(0, matchIndex + 1);
+            const counterpart = skipped.pop();
+            skipped.forEach(stale => this.emitUnmatched(otherRole, stale));
+
+            const left = role === SubjectRoles.LEFT ? entry : counterpart;
+            const right = role === SubjectRoles.LEFT ? counterpart : entry;
+            this.sequenceOffset = (right.data.numero_progressivo - left.data.numero_progressivo + 65536) % 65536;
+            this.consecutiveUnmatched = 0;
+
+            record = this.emitRecord('paired', left, right);
+            this.stats.paired++;
+        } else {
+            this.pending[role].push(entry);
+        }
+
+        this.expirePending(arrivalTime);
+        return record;
+    }
+
+    /**
+     * Cerca nella coda dell'altro piede la controparte di un campione
+     * @returns {number} Indice della controparte, -1 se non trovata
+     * @private
+     */
+    findMatch(role, entry) {
+        const queue = this.pending[OTHER_ROLE[role]];
+
+        if (this.sequenceOffset !== null) {
+            const offset = role === SubjectRoles.LEFT ? this.sequenceOffset : 65536 - this.sequenceOffset;
+            const expectedSequence = (entry.data.numero_progressivo + offset) % 65536;
+
+            return queue.findIndex(candidate =>
+                candidate.data.numero_progressivo === expectedSequence &&
+                Math.abs(candidate.arrivalTime - entry.arrivalTime) <= this.maxWait
+            );
+        }
+
+        // Senza offset di sequenza: controparte più vicina per tempo di arrivo
+        let bestIndex = -1;
+        let bestSkew = Infinity;
+        queue.forEach((candidate, index) => {
+            const skew = Math.abs(candidate.arrivalTime - entry.arrivalTime);
+            if (skew <= this.matchWindow && skew < bestSkew) {
+                bestIndex = index;
+                bestSkew = skew;
+            }
+        });
+        return bestIndex;
+    }
+
+    /**
+     * Marca come non accoppiati i campioni in attesa da più di maxWait
+     * @param {number} now - Istante di riferimento in ms
+     * @private
+     */
+    expirePending(now) {
+        for (const role of Object.values(SubjectRoles)) {
+            const queue = this.pending[role];
+            while (queue.length > 0 && now - queue[0].arrivalTime > this.maxWait) {
+                this.emitUnmatched(role, queue.shift());
+            }
+        }
+    }
+
+    /**
+     * Scrive tutti i campioni in attesa di un ruolo come non accoppiati
+     * @private
+     */
+    flushRole(role) {
+        while (this.pending[role].length > 0) {
+            this.emitUnmatched(role, this.pending[role].shift());
+        }
+    }
+
+    /**
+     * Emette un campione senza controparte
+     * Dopo RESYNC_AFTER campioni consecutivi non accoppiati l'offset di sequenza
+     * viene scartato (es. riavvio di una soletta) e si torna all'accoppiamento per tempo
+     * @private
+     */
+    emitUnmatched(role, entry) {
+        if (role === SubjectRoles.LEFT) {
+            this.stats.unmatchedLeft++;
+        } else {
+            this.stats.unmatchedRight++;
+        }
+
+        const record = role === SubjectRoles.LEFT ?
+            this.emitRecord('left_only', entry, null) :
+            this.emitRecord('right_only', null, entry);
+
+        this.eventManager.emit(BLESubjectEvents.UNMATCHED_SAMPLE, {
+            subjectId: this.subjectId,
+            role,
+            deviceAddress: this.getAddressForRole(role),
+            numero_progressivo: entry.data.numero_progressivo,
+            timestamp: record.timestamp
+        });
+
+        if (++this.consecutiveUnmatched >= this.resyncAfter && this.sequenceOffset !== null) {
+            this.sequenceOffset = null;
+            this.eventManager.emit(BLESubjectEvents.RESYNC, {
+                subjectId: this.subjectId,
+                unmatched: this.consecutiveUnmatched,
+                timestamp: getCurrentTimestamp()
+            });
+        }
+    }
+
+    /**
+     * Costruisce, salva ed emette un record allineato
+     * @param {string} status - paired, left_only o right_only
+     * @param {Object|null} left - Campione sinistro
+     * @param {Object|null} right - Campione destro
+     * @returns {Object} Record allineato
+     * @private
+     */
+    emitRecord(status, left, right) {
+        const first = left && right ?
+            (left.arrivalTime <= right.arrivalTime ? left : right) :
+            (left || right);
+
+        const record = {
+            timestamp: first.data.timestamp || getCurrentTimestamp(),
+            subject_id: this.subjectId,
+            match_status: status,
+            skew_ms: left && right ? right.arrivalTime - left.arrivalTime : null
+        };
+
+        for (const channel of ALIGNED_CHANNELS) {
+            record[`left_${channel}`] = left ? left.data[channel] : null;
+            record[`right_${channel}`] = right ? right.data[channel] : null;
+        }
+
+        try {
+            this.logger.writeData(record);
+        } catch (error) {
+            handleError(error, 'BLESubjectPairing.emitRecord');
+        }
+
+        this.eventManager.emit(BLESubjectEvents.ALIGNED_SAMPLE, record);
+        return record;
+    }
+
+    /**
+     * Scarta l'allineamento corrente (es. dopo un cambio di ruolo)
+     * @private
+     */
+    resetAlignment() {
+        Object.values(SubjectRoles).forEach(role => this.flushRole(role));
+        this.sequenceOffset = null;
+        this.consecutiveUnmatched = 0;
+    }
+
+    /**
+     * Restituisce le statistiche di accoppiamento
+     * @returns {Object}
+     */
+    getStatistics() {
+        return {
+            subjectId: this.subjectId,
+            roles: Object.fromEntries(
+                Object.values(SubjectRoles).map(role => [role, this.getAddressForRole(role)])
+            ),
+            ...this.stats,
+            pendingLeft: this.pending[SubjectRoles.LEFT].length,
+            pendingRight: this.pending[SubjectRoles.RIGHT].length,
+            sequenceOffset: this.sequenceOffset,
+            currentFile: this.logger.getCurrentFilePath()
+        };
+    }
+
+    /**
+     * Scrive i campioni in attesa e chiude la sessione
+     */
+    cleanup() {
+        Object.values(SubjectRoles).forEach(role => this.flushRole(role));
+        this.logger.cleanup();
+    }
+}
+
+module.exports = {
+    BLESubjectPairing,
+    BLESubjectEvents,
+    SubjectRoles,
+    ALIGNED_COLUMNS
+};
@@ -0,0 +1,228 @@
+/**
+ * BLETareCalibration.js
+ * Procedura interattiva di calibrazione di zero (tara) di una soletta in streaming.
+ * L'operatore viene guidato in due fasi (piede sollevato, poi in piedi e fermo);
+ * in ciascuna le notifiche del dispositivo vengono decodificate con un
+ * BLEDataHandler dedicato per la durata configurata. Offset e rumore di fondo
+ * sono calcolati in src/utils/tareUtils.js.
+ *
+ * Created: 2025-02-16 10:04:51
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEDataHandler, BLEDataEvents } = require('./BLEDataHandler');
+const { computeTareChannels } = require('../utils/tareUtils');
+const { delay, throwIfAborted } = require('../utils/abortUtils');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const { BLEError, ErrorCodes } = require('../utils/errorHandler');
+const settings = require('../config/settings');
+
+/**
+ * Fasi della procedura, nell'ordine in cui vengono eseguite
+ * @readonly
+ * @enum {string}
+ */
+const TarePhases = {
+    UNLOADED: 'unloaded',   // Piede sollevato: tara dei sensori di pressione
+    STANDING: 'standing'    // In piedi, fermi: tara degli accelerometri
+};
+
+/**
+ * Eventi emessi da BLETareCalibration
+ * @readonly
+ * @enum {string}
+ */
+const BLETareEvents = {
+    PHASE_STARTED: 'tare:phase_started',
+    PHASE_COMPLETED: 'tare:phase_completed',
+    COMPLETED: 'tare:completed',
+    FAILED: 'tare:failed'
+};
+
+/**
+ * Logger del data handler della procedura: i campioni della tara restano in
+ * memoria e non vengono scritti nei file di dati dell'acquisizione
+ */
+const DISCARD_LOGGER = {
+    writeData() {},
+    writeError() {},
+    flush: async () => {}
+};
+
+// Evento del BLEScanner con il buffer grezzo di ogni notifica dati
+const PACKET_EVENT = 'scanner:packet_received';
+
+class BLETareCalibration {
+    /**
+     * @param {BLEEventManager} eventManager - Gestore degli eventi BLE
+     * @param {Object} [options] - Configurazione (default: settings.TARE)
+     */
+    constructor(eventManager, options = settings.TARE) {
+        if (!eventManager) {
+            throw new BLEError(
+                'EventManager è richiesto',
+                ErrorCodes.BLE.INVALID_PARAMETER
+            );
+        }
+
+        this.eventManager = eventManager;
+        this.duration = options.DURATION;
+        this.minSamples = options.MIN_SAMPLES;
+        this.running = new Set();       // Indirizzi con una procedura in corso
+    }
+
+    /**
+     * Acquisisce i campioni di un dispositivo per la durata indicata
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {Object} [options]
+     * @param {number} [options.durationMs] - Durata dell'acquisizione (default: TARE.DURATION)
+     * @param {string} [options.schemaName] - Schema già negoziato per il dispositivo
+     * @param {string} [options.firmwareRevision] - Revisione firmware, per negoziare lo schema
+     * @param {AbortSignal} [options.signal] - Annulla l'acquisizione
+     * @returns {Promise<Object>} { samples, rejected, schema }
+     */
+    async capture(address, { durationMs = this.duration, schemaName = null, firmwareRevision = null, signal } = {}) {
+        const handler = new BLEDataHandler(DISCARD_LOGGER, undefined, schemaName);
+        if (!schemaName) {
+            handler.setFirmwareRevision(firmwareRevision);
+        }
+
+        const samples = [];
+        let rejected = 0;
+        handler.on(BLEDataEvents.DATA_DECODED, sample => samples.push(sample));
+
+        const listener = data => {
+            if (data.deviceAddress !== address) return;
+            try {
+                handler.handleIncomingData(data.buffer);
+            } catch (error) {
+                // Già registrato dal data handler: il pacchetto è escluso dal calcolo
+                rejected++;
+            }
+        };
+
+        this.eventManager.on(PACKET_EVENT, listener);
+        try {
+            await delay(durationMs, signal, 'calibrazione di zero');
+        } finally {
+            this.eventManager.removeListener(PACKET_EVENT, listener);
+            await handler.cleanup();
+        }
+
+        return { samples, rejected, schema: handler.schema };
+    }
+
+    /**
+     * Esegue le due fasi della procedura e calcola offset e rumore di fondo
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {Object} [options]
+     * @param {Function} [options.onPhase] - (phase) => Promise, chiamata prima di ogni fase
+     *                                       per istruire l'operatore e attenderne la conferma
+     * @param {Object} [options.profile] - Profilo di calibrazione attuale del dispositivo
+     * @param {number} [options.durationMs] - Durata di ogni fase (default: TARE.DURATION)
+     * @param {string} [options.schemaName] - Schema già negoziato per il dispositivo
+     * @param {string} [options.firmwareRevision] - Revisione firmware del dispositivo
+     * @param {AbortSignal} [options.signal] - Annulla la procedura
+     * @returns {Promise<Object>} Risultato: canali ({ offset, noise_floor }), asse di gravità, campioni per fase
+     * @throws {BLEError} INVALID_STATE se una procedura è già in corso o i campioni non bastano
+     */
+    async run(address, options = {}) {
+        const { onPhase = null, profile = null, durationMs = this.duration, signal } = options;
+
+        if (this.running.has(address)) {
+            throw new BLEError(
+                'Calibrazione di zero già in corso',
+                ErrorCodes.BLE.INVALID_STATE,
+                { address }
+            );
+        }
+
+        this.running.add(address);
+        try {
+            const captures = {};
+            for (const phase of Object.values(TarePhases)) {
+                if (onPhase) {
+                    await onPhase(phase);
+                }
+                throwIfAborted(signal, 'calibrazione di zero');
+
+                this.eventManager.emit(BLETareEvents.PHASE_STARTED, {
+                    deviceAddress: address,
+                    phase,
+                    durationMs,
+                    timestamp: getCurrentTimestamp()
+                });
+
+                const capture = await this.capture(address, { ...options, durationMs });
+                if (capture.samples.length < this.minSamples) {
+                    throw new BLEError(
+                        'Campioni insufficienti per la calibrazione di zero',
+                        ErrorCodes.BLE.INVALID_STATE,
+                        { address, phase, samples: capture.samples.length, required: this.minSamples }
+                    );
+                }
+                captures[phase] = capture;
+
+                this.eventManager.emit(BLETareEvents.PHASE_COMPLETED, {
+                    deviceAddress: address,
+                    phase,
+                    samples: capture.samples.length,
+                    rejected: capture.rejected,
+                    timestamp: getCurrentTimestamp()
+                });
+            }
+
+            const schema = captures[TarePhases.UNLOADED].schema;
+            if (captures[TarePhases.STANDING].schema.name !== schema.name) {
+                throw new BLEError(
+                    'Schema dei pacchetti cambiato durante la calibrazione di zero',
+                    ErrorCodes.BLE.INVALID_STATE,
+                    { address, schemas: [schema.name, captures[TarePhases.STANDING].schema.name] }
+                );
+            }
+
+            const { channels, gravityAxis } = computeTareChannels({
+                unloaded: captures[TarePhases.UNLOADED].samples,
+                standing: captures[TarePhases.STANDING].samples
+            }, schema, profile);
+
+            const result = {
+                deviceAddress: address,
+                schema: schema.name,
+                durationMs,
+                gravityAxis,
+                channels,
+                samples: Object.fromEntries(Object.entries(captures)
+                    .map(([phase, capture]) => [phase, capture.samples.length])),
+                timestamp: getCurrentTimestamp()
+            };
+
+            this.eventManager.emit(BLETareEvents.COMPLETED, result);
+            return result;
+        } catch (error) {
+            this.eventManager.emit(BLETareEvents.FAILED, {
+                deviceAddress: address,
+                error: error.message,
+                timestamp: getCurrentTimestamp()
+            });
+            throw error;
+        } finally {
+            this.running.delete(address);
+        }
+    }
+
+    /**
+     * @param {string} address - Indirizzo del dispositivo
+     * @returns {boolean} true se la procedura è in corso per il dispositivo
+     */
+    isRunning(address) {
+        return this.running.has(address);
+    }
+}
+
+module.exports = {
+    BLETareCalibration,
+    BLETareEvents,
+    TarePhases
+};
@@ -0,0 +1,300 @@
+/**
+ * BLEWatchdog.js
+ * Rileva i flussi di notifiche bloccati (collegamento "connesso" ma nessun valuechanged)
+ * e tenta il recupero con un'escalation a stadi:
+ *   1. riattivazione delle notifiche (startNotifications)
+ *   2. riconnessione del dispositivo
+ *   3. reset dell'adapter Bluetooth
+ * Se il flusso resta bloccato anche dopo l'ultimo stadio, l'escalation riparte dal primo.
+ * I dispositivi il cui streaming è stato fermato dall'operatore vengono sospesi
+ * (pauseDevice) e non sono controllati fino a resumeDevice.
+ *
+ * Created: 2025-02-05 15:40:09
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes } = require('../utils/errorHandler');
+const { getCurrentTimestamp } = require('../utils/dateUtils');
+const settings = require('../config/settings');
+
+/**
+ * Eventi emessi da BLEWatchdog
+ * @readonly
+ * @enum {string}
+ */
+const BLEWatchdogEvents = {
+    STALL_DETECTED: 'watchdog:stall_detected',
+    ESCALATION: 'watchdog:escalation',
+    ESCALATION_FAILED: 'watchdog:escalation_failed',
+    RECOVERED: 'watchdog:recovered'
+};
+
+/**
+ * Stadi di escalation, nell'ordine in cui vengono applicati
+ * @readonly
+ */
+const ESCALATION_STAGES = [
+    'restartNotifications',
+    'reconnectDevice',
+    'resetAdapter'
+];
+
+class BLEWatchdog {
+    /**
+     * @param {BLEEventManager} eventManager - Gestore degli eventi BLE
+     * @param {Object} actions - Azioni di recupero, una per stadio
+     * @param {Function} actions.restartNotifications - (address, characteristics) => Promise
+     * @param {Function} actions.reconnectDevice - (address) => Promise
+     * @param {Function} actions.resetAdapter - () => Promise
+     * @param {Object} [options] - Configurazione (default: settings.WATCHDOG)
+     */
+    constructor(eventManager, actions, options = settings.WATCHDOG) {
+        if (!eventManager || !actions) {
+            throw new BLEError(
+                'EventManager e azioni di recupero sono richiesti',
+                ErrorCodes.BLE.INVALID_PARAMETER
+            );
+        }
+
+        this.eventManager = eventManager;
+        this.actions = actions;
+        this.stallTimeout = options.STALL_TIMEOUT;
+        this.checkInterval = options.CHECK_INTERVAL;
+        this.enabled = options.ENABLED;
+        this.devices = new Map();   // indirizzo -> { characteristics, stage, lastEscalation, escalating, paused }
+        this.timer = null;
+    }
+
+    /**
+     * Avvia il controllo periodico
+     */
+    start() {
+        if (this.timer || !this.enabled) return;
+        this.timer = setInterval(() => this.check(), this.checkInterval);
+    }
+
+    /**
+     * Ferma il controllo periodico e dimentica tutti i dispositivi
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.devices.clear();
+    }
+
+    /**
+     * Inizia a monitorare una caratteristica
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {string} uuid - UUID della caratteristica
+     * @param {Object} characteristic - Caratteristica GATT
+     */
+    watch(address, uuid, characteristic) {
+        const device = this.getDeviceEntry(address);
+        device.characteristics.set(uuid, {
+            uuid,
+            characteristic,
+            lastNotification: Date.now()
+        });
+        this.start();
+    }
+
+    /**
+     * Registra l'arrivo di una notifica
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {string} uuid - UUID della caratteristica
+     */
+    notify(address, uuid) {
+        const device = this.devices.get(address);
+        const entry = device && device.characteristics.get(uuid);
+        if (!entry) return;
+
+        entry.lastNotification = Date.now();
+
+        if (device.stage > 0) {
+            this.eventManager.emit(BLEWatchdogEvents.RECOVERED, {
+                deviceAddress: address,
+                characteristicUUID: uuid,
+                stage: device.stage,
+                action: ESCALATION_STAGES[device.stage - 1],
+                timestamp: getCurrentTimestamp()
+            });
+            device.stage = 0;
+            device.lastEscalation = null;
+        }
+    }
+
+    /**
+     * Smette di monitorare le caratteristiche di un dispositivo (es. durante una riconnessione)
+     * Lo stadio di escalation viene mantenuto, a meno che forget sia true
+     * @param {string} address - Indirizzo del dispositivo
+     * @param {boolean} [forget=false] - Se true dimentica anche lo stadio di escalation
+     */
+    unwatchDevice(address, forget = false) {
+        if (forget) {
+            this.devices.delete(address);
+            return;
+        }
+
+        const device = this.devices.get(address);
+        if (device) {
+            device.characteristics.clear();
+        }
+    }
+
+    /**
+     * Sospende il controllo di un dispositivo (streaming fermato volontariamente).
+     * La sospensione resta valida anche dopo una riconnessione, fino a resumeDevice.
+     * @param {string} address - Indirizzo del dispositivo
+     */
+    pauseDevice(address) {
+        const device = this.getDeviceEntry(address);
+        device.paused = true;
+        device.stage = 0;
+        device.lastEscalation = null;
+    }
+
+    /**
+     * Riprende il controllo di un dispositivo sospeso; il tempo di silenzio
+     * riparte da adesso
+     * @param {string} address - Indirizzo del dispositivo
+     */
+    resumeDevice(address) {
+        const device = this.devices.get(address);
+        if (!device || !device.paused) return;
+
+        const now = Date.now();
+        device.paused = false;
+        device.characteristics.forEach(entry => {
+            entry.lastNotification = now;
+        });
+    }
+
+    /**
+     * Controlla tutti i dispositivi monitorati ed esegue l'escalation di quelli bloccati
+     * @param {number} [now] - Istante di riferimento in ms
+     * @returns {Promise<void>}
+     */
+    async check(now = Date.now()) {
+        const escalations = [];
+
+        for (const [address, device] of this.devices.entries()) {
+            if (device.paused || device.escalating || device.characteristics.size === 0) continue;
+            if (device.lastEscalation && now - device.lastEscalation < this.stallTimeout) continue;
+
+            const stalled = Array.from(device.characteristics.values())
+                .filter(entry => now - entry.lastNotification > this.stallTimeout);
+
+            if (stalled.length > 0) {
+                escalations.push(this.escalate(address, device, stalled, now));
+            }
+        }
+
+        await Promise.all(escalations);
+    }
+
+    /**
+     * Esegue lo stadio di escalation successivo per un dispositivo
+     * @private
+     */
+    async escalate(address, device, stalled, now) {
+        const silentFor = now - Math.min(...stalled.map(entry => entry.lastNotification));
+        const characteristicUUIDs = stalled.map(entry => entry.uuid);
+
+        if (device.stage === 0) {
+            this.eventManager.emit(BLEWatchdogEvents.STALL_DETECTED, {
+                deviceAddress: address,
+                characteristics: characteristicUUIDs,
+                silentFor,
+                timestamp: getCurrentTimestamp()
+            });
+        }
+
+        device.stage = device.stage >= ESCALATION_STAGES.length ? 1 : device.stage + 1;
+        device.lastEscalation = now;
+        device.escalating = true;
+
+        const action = ESCALATION_STAGES[device.stage - 1];
+
+        this.eventManager.emit(BLEWatchdogEvents.ESCALATION, {
+            deviceAddress: address,
+            stage: device.stage,
+            action,
+            characteristics: characteristicUUIDs,
+            silentFor,
+            timestamp: getCurrentTimestamp()
+        });
+
+        try {
+            switch (action) {
+                case 'restartNotifications':
+                    await this.actions.restartNotifications(address, stalled.map(entry => entry.characteristic));
+                    break;
+                case 'reconnectDevice':
+                    await this.actions.reconnectDevice(address);
+                    break;
+                case 'resetAdapter':
+                    await this.actions.resetAdapter();
+                    break;
+            }
+        } catch (error) {
+            this.eventManager.emit(BLEWatchdogEvents.ESCALATION_FAILED, {
+                deviceAddress: address,
+                stage: device.stage,
+                action,
+                error: error.message,
+                timestamp: getCurrentTimestamp()
+            });
+        } finally {
+            device.escalating = false;
+        }
+    }
+
+    /**
+     * Restituisce (creandolo se necessario) lo stato di un dispositivo
+     * @private
+     */
+    getDeviceEntry(address) {
+        let device = this.devices.get(address);
+        if (!device) {
+            device = {
+                characteristics: new Map(),
+                stage: 0,
+                lastEscalation: null,
+                escalating: false,
+                paused: false
+            };
+            this.devices.set(address, device);
+        }
+        return device;
+    }
+
+    /**
+     * Restituisce lo stato del watchdog per dispositivo
+     * @returns {Object}
+     */
+    getStatus() {
+        const now = Date.now();
+        const status = {};
+
+        for (const [address, device] of this.devices.entries()) {
+            status[address] = {
+                stage: device.stage,
+                paused: device.paused,
+                characteristics: Array.from(device.characteristics.values()).map(entry => ({
+                    uuid: entry.uuid,
+                    silentFor: now - entry.lastNotification
+                }))
+            };
+        }
+
+        return status;
+    }
+}
+
+module.exports = {
+    BLEWatchdog,
+    BLEWatchdogEvents
+};
@@ -1,3 +1,32 @@
 module.exports = {
-    TARGET_SERVICE_UUID: "00000000-cc7a-482a-984a-7f2ed5b3e58f"
-};
\ No newline at end of file
+    TARGET_SERVICE_UUID: "00000000-cc7a-482a-984a-7f2ed5b3e58f",
+
+    // Servizi GATT standard (Bluetooth SIG)
+    DEVICE_INFORMATION_SERVICE_UUID: "0000180a-0000-1000-8000-00805f9b34fb",
+    DEVICE_INFORMATION_CHARACTERISTICS: {
+        manufacturer: "00002a29-0000-1000-8000-00805f9b34fb",
+        model: "00002a24-0000-1000-8000-00805f9b34fb",
+        serialNumber: "00002a25-0000-1000-8000-00805f9b34fb",
+        firmwareRevision: "00002a26-0000-1000-8000-00805f9b34fb",
+        hardwareRevision: "00002a27-0000-1000-8000-00805f9b34fb",
+        softwareRevision: "00002a28-0000-1000-8000-00805f9b34fb"
+    },
+    BATTERY_SERVICE_UUID: "0000180f-0000-1000-8000-00805f9b34fb",
+    BATTERY_LEVEL_UUID: "00002a19-0000-1000-8000-00805f9b34fb",
+
+    // Protocollo comandi della soletta
+    // Richiesta: [opcode, sequenza, ...payload]
+    // Risposta:  [opcode | RESPONSE_FLAG, sequenza, stato, ...payload]
+    COMMAND_OPCODES: {
+        START_STREAMING: 0x01,
+        STOP_STREAMING: 0x02,
+        SET_SAMPLING_RATE: 0x03         // payload: frequenza in Hz (uint16 LE)
+    },
+    COMMAND_RESPONSE_FLAG: 0x80,
+    COMMAND_STATUS: {
+        OK: 0x00,
+        UNKNOWN_COMMAND: 0x01,
+        INVALID_PARAMETER: 0x02,
+        BUSY: 0x03
+    }
+};
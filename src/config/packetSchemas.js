@@ -0,0 +1,46 @@
+/**
+ * Formati dei pacchetti di dati delle solette, dichiarati come dati
+ * Ogni campo indica nome, offset nel pacchetto (byte), tipo, ordine dei byte e
+ * l'eventuale fattore di scala. Decoder, intervalli di validazione e intestazione
+ * CSV sono generati da src/utils/BLEPacketSchema.js.
+ *
+ * Tipi: uint8, int8, uint16, int16, uint32, int32, float32
+ * endianness: 'big' | 'little' (default 'little')
+ * scale: valore = grezzo * scale (default 1)
+ * range: { min, max } in unità scalate (default: limiti del tipo)
+ * quantity: grandezza fisica del canale ('acceleration' | 'pressure'), usata dai
+ *           profili di calibrazione (src/utils/BLECalibration.js)
+ *
+ * Più versioni del protocollo possono convivere: a ogni connessione lo schema viene
+ * scelto in base alla revisione firmware (firmware: prefissi di Firmware Revision,
+ * es. ['2.']) o, in mancanza, al byte di versione del primo pacchetto
+ * (versionByte: { offset, value }). Se nulla corrisponde si usa
+ * DATA_FORMAT.PACKET_SCHEMA. La versione scelta è registrata nei metadati di sessione.
+ */
+
+const DEFAULT_PACKET_SCHEMA = 'insole_v1';
+
+const PACKET_SCHEMAS = [
+    {
+        name: 'insole_v1',
+        version: 1,
+        description: 'Soletta APTIS, frame da 20 byte senza byte di versione',
+        length: 20,
+        fields: [
+            { name: 'numero_progressivo', offset: 0, type: 'uint16', endianness: 'big' },
+            { name: 'asse_x', offset: 2, type: 'int16', quantity: 'acceleration' },
+            { name: 'asse_y', offset: 4, type: 'int16', quantity: 'acceleration' },
+            { name: 'asse_z', offset: 6, type: 'int16', quantity: 'acceleration' },
+            { name: 'pressione_tallone', offset: 8, type: 'uint16', quantity: 'pressure' },
+            { name: 'pressione_primo_metatarso', offset: 10, type: 'uint16', quantity: 'pressure' },
+            { name: 'pressione_quinto_metatarso', offset: 12, type: 'uint16', quantity: 'pressure' },
+            { name: 'segnale_uno', offset: 14, type: 'uint16' },
+            { name: 'segnale_due', offset: 16, type: 'uint16' }
+        ]
+    }
+];
+
+module.exports = {
+    DEFAULT_PACKET_SCHEMA,
+    PACKET_SCHEMAS
+};
@@ -18,7 +18,8 @@ module.exports = {
         SCAN_TIMEOUT: 10000,              // Timeout scansione in ms
         CONNECT_TIMEOUT: 5000,            // Timeout connessione in ms
         RETRY_COUNT: 3,                   // Numero di tentativi di riconnessione
-        RETRY_DELAY: 1000                 // Delay tra i tentativi in ms
+        RETRY_DELAY: 1000,                // Delay tra i tentativi in ms
+        ADAPTER: null                     // Adapter da usare: nome (es. 'hci1') o indirizzo; null = predefinito
     },
 
     // Impostazioni sessione di scrittura
@@ -33,17 +34,154 @@ module.exports = {
     TARGET_DEVICE: {
         NAME: 'APTIS',                    // Nome del dispositivo da cercare
         SCAN_TIMEOUT: 30000,              // Timeout scansione (30 secondi)
-        RETRY_ATTEMPTS: 3,                // Numero di tentativi di connessione
+        RETRY_ATTEMPTS: 3,                // Numero di tentativi di connessione (src/scanner; src/bluetooth usa RETRY_POLICIES.AUTO_CONNECT)
         RETRY_DELAY: 5000,               // Delay tra i tentativi (5 secondi)
         AUTO_RECONNECT: true,            // Riconnessione automatica se persa
-        SIGNAL_STRENGTH_THRESHOLD: -80    // Soglia minima RSSI (dBm)
+        SIGNAL_STRENGTH_THRESHOLD: -80,   // Soglia minima RSSI (dBm)
+        SELECTION_WINDOW: 3000,           // Raccolta dei candidati dopo il primo trovato (ms)
+        SELECTION_STRATEGY: 'strongest',  // 'strongest' (RSSI più alto) o 'nearest' (distanza stimata minore)
+        MAX_DEVICES: 2                    // Numero di dispositivi da acquisire in parallelo (es. piede sx e dx)
+    },
+
+    // Registro persistente dei dispositivi conosciuti
+    REGISTRY: {
+        FILE_PATH: 'data/known_devices.json', // Relativo alla radice del progetto
+        PREFER_REGISTERED: true,          // La ricerca automatica preferisce i dispositivi registrati
+        AUTO_REGISTER: true               // Registra automaticamente i dispositivi connessi
+    },
+
+    // Profili di calibrazione (vedi src/utils/BLECalibration.js)
+    CALIBRATION: {
+        ENABLED: true,                    // Aggiunge ai dati i valori calibrati del profilo del dispositivo
+        FILE_PATH: 'data/calibration_profiles.json', // Relativo alla radice del progetto
+        ACCELERATION_UNIT: 'g',           // 'g' oppure 'm/s²'
+        PRESSURE_UNIT: 'kPa'              // 'kPa' oppure 'N' (richiede area_mm2 nel profilo)
+    },
+
+    // Calibrazione di zero (tara) interattiva (vedi src/bluetooth/BLETareCalibration.js)
+    TARE: {
+        DURATION: 5000,                   // Durata dell'acquisizione di ogni fase (ms)
+        MIN_SAMPLES: 20                   // Campioni minimi per fase
+    },
+
+    // Filtri di ricerca dei dispositivi (vedi src/utils/filterUtils.js)
+    DEVICE_FILTER: {
+        NAMES: [],                        // Nomi esatti (vuoto = TARGET_DEVICE.NAME)
+        NAME_PREFIXES: [],                // Prefissi del nome (es. 'APTIS-')
+        NAME_PATTERNS: [],                // Espressioni regolari sul nome (es. '^APTIS-\\d+$')
+        SERVICE_UUIDS: [],                // UUID di servizio pubblicizzati (es. TARGET_SERVICE_UUID)
+        MANUFACTURER_IDS: [],             // Company ID nei dati produttore (es. 0x0059)
+        MATCH: 'any',                     // Combinazione dei criteri precedenti: 'any' (OR) o 'all' (AND)
+        ALLOW_ADDRESSES: [],              // Se non vuota, solo questi indirizzi sono ammessi
+        BLOCK_ADDRESSES: [],              // Indirizzi sempre esclusi
+        APPLY_TO_MANUAL_SCAN: true        // Applica i filtri anche alla scansione manuale
+    },
+
+    // Monitoraggio batteria (Battery Service)
+    BATTERY: {
+        LOW_THRESHOLD: 20,                // Soglia di batteria scarica (%)
+        POLL_INTERVAL: 60000              // Lettura periodica se il dispositivo non notifica il livello (ms)
+    },
+
+    // Ruoli delle caratteristiche del servizio target (UUID completi o brevi)
+    CHARACTERISTICS: {
+        DATA: [],                         // Notifiche con i campioni dei sensori (decodificate)
+        CONTROL: [],                      // Scrittura di comandi
+        STATUS: [],                       // Notifiche di stato (non decodificate)
+        IGNORE: [],                       // Caratteristiche da non sottoscrivere
+        AUTO_DETECT: true                 // Classifica le caratteristiche non elencate dai flag GATT
+    },
+
+    // Canale comandi verso la soletta
+    COMMANDS: {
+        RESPONSE_TIMEOUT: 2000,           // Attesa massima della risposta a un comando (ms)
+        WRITE_WITH_RESPONSE: true,        // Scrittura con conferma GATT (write request) se supportata
+        SAMPLING_RATES: [25, 50, 100, 200] // Frequenze di campionamento ammesse (Hz)
+    },
+
+    // Riconnessione automatica con backoff esponenziale
+    RECONNECT_SETTINGS: {
+        INITIAL_DELAY: 1000,              // Attesa prima del primo tentativo (ms)
+        MAX_DELAY: 30000,                 // Attesa massima tra due tentativi (ms)
+        MULTIPLIER: 2,                    // Fattore di crescita dell'attesa
+        JITTER: 0.2,                      // Variazione casuale dell'attesa (±20%)
+        MAX_RETRIES: 0                    // Tentativi massimi (0 = illimitati)
+    },
+
+    // Watchdog dei flussi di notifiche bloccati
+    WATCHDOG: {
+        ENABLED: true,
+        STALL_TIMEOUT: 3000,              // Silenzio massimo di una caratteristica prima dell'escalation (ms)
+        CHECK_INTERVAL: 1000              // Intervallo di controllo (ms)
+    },
+
+    // Accoppiamento (bond) per i firmware che richiedono un link cifrato
+    PAIRING: {
+        ENABLED: true,                    // Registra l'agent BlueZ e accoppia i dispositivi con bond
+        REQUIRED: false,                  // Accoppia ogni dispositivo prima della configurazione GATT
+        AGENT_PATH: '/org/aptis/agent',   // Percorso D-Bus dell'agent
+        AGENT_CAPABILITY: 'KeyboardDisplay', // Capacità di I/O dichiarata a BlueZ
+        AUTO_CONFIRM: false,              // Conferma automatica della passkey senza gestore UI
+        TRUST: true,                      // Marca i dispositivi accoppiati come fidati (Trusted)
+        TIMEOUT: 30000                    // Timeout dell'accoppiamento, inserimento passkey incluso (ms)
+    },
+
+    // Circuit breaker sulle operazioni dell'adapter (ricerca e riconnessione)
+    CIRCUIT_BREAKER: {
+        ENABLED: true,
+        FAILURE_THRESHOLD: 3,             // Fallimenti consecutivi che aprono il circuito
+        COOLDOWN: 30000,                  // Attesa (ms) prima dell'operazione di prova (semiaperto)
+        POWER_CYCLE_DELAY: 2000           // Attesa (ms) tra spegnimento e riaccensione dell'adapter
+    },
+
+    // Accoppiamento bilaterale: due solette (sinistra/destra) registrate come un unico soggetto
+    SUBJECT: {
+        ENABLED: true,                    // Unisce i campioni sx/dx in un unico flusso allineato
+        ID: 'soggetto_1',                 // Identificativo del soggetto (usato nel nome file)
+        ROLES: {},                        // Piede per indirizzo se non indicato nel registro, es. { 'AA:BB:CC:DD:EE:FF': 'left' }
+        MATCH_WINDOW: 40,                 // Differenza massima di arrivo (ms) per accoppiare due campioni
+        MAX_WAIT: 200,                    // Attesa massima (ms) della controparte prima di marcare un campione come non accoppiato
+        RESYNC_AFTER: 10                  // Campioni non accoppiati consecutivi dopo i quali si ricalcola l'offset di sequenza
     },
 
     SCAN_SETTINGS: {
         STOP_TIMEOUT: 1000,        // Tempo di attesa dopo lo stop della scansione
         MAX_STOP_ATTEMPTS: 3,      // Numero massimo di tentativi di stop
         RETRY_DELAY: 1000,         // Delay tra i tentativi di riavvio scansione
-        OPERATION_TIMEOUT: 1000    // Timeout per le operazioni getName e getRSSI
+        OPERATION_TIMEOUT: 1000    // Timeout delle operazioni BlueZ in coda (connect e gatt usano BLE_SETTINGS.CONNECT_TIMEOUT)
+    },
+
+    // Politiche di ripetizione per operazione (vedi BLERetryPolicy)
+    // ATTEMPTS: tentativi totali; TIMEOUT: timeout di ogni tentativo in ms (0 = nessuno);
+    // INITIAL_DELAY/MAX_DELAY/MULTIPLIER/JITTER: backoff tra i tentativi
+    RETRY_POLICIES: {
+        // Ricerca dell'adapter in BLEConnection.initialize
+        ADAPTER_LOOKUP: {
+            ATTEMPTS: 3,
+            TIMEOUT: 5000,
+            INITIAL_DELAY: 1000,
+            MAX_DELAY: 1000,
+            MULTIPLIER: 1,
+            JITTER: 0
+        },
+        // Ciclo di ricerca e connessione di autoConnectToTarget
+        AUTO_CONNECT: {
+            ATTEMPTS: 3,
+            TIMEOUT: 0,                    // Ogni tentativo è limitato da TARGET_DEVICE.SCAN_TIMEOUT
+            INITIAL_DELAY: 1000,
+            MAX_DELAY: 30000,
+            MULTIPLIER: 2,
+            JITTER: 0.2
+        },
+        // Recupero del dispositivo scoperto dall'adapter (BLEDiscovery)
+        DEVICE_LOOKUP: {
+            ATTEMPTS: 2,
+            TIMEOUT: 0,                    // Già limitato da SCAN_SETTINGS.OPERATION_TIMEOUT nella coda
+            INITIAL_DELAY: 1000,
+            MAX_DELAY: 1000,
+            MULTIPLIER: 1,
+            JITTER: 0
+        }
     },
 
     DISCOVERY: {
@@ -53,24 +191,24 @@ module.exports = {
             EXCELLENT: -50,
             GOOD: -65,
             FAIR: -75
+        },
+        RSSI_FILTER: {
+            TYPE: 'kalman',                 // 'kalman', 'moving_average' o 'none'
+            WINDOW: 5,                      // Campioni della media mobile e per il calcolo del trend
+            PROCESS_NOISE: 0.05,            // Kalman: varianza del processo
+            MEASUREMENT_NOISE: 4,           // Kalman: varianza della misura (dBm²)
+            TREND_THRESHOLD: 2              // Variazione minima (dBm) per considerare il segnale in aumento/calo
+        },
+        DISTANCE: {
+            ONE_METER_LOSS: 41,             // Attenuazione tipica a 1 m rispetto alla potenza TX (dB)
+            PATH_LOSS_EXPONENT: 2           // Esponente di attenuazione (2 = spazio libero, 2.5-4 al chiuso)
         }
     },
 
     // Formato dati
     DATA_FORMAT: {
         TIMESTAMP_FORMAT: 'YYYY-MM-DD HH:mm:ss',
-        CSV_HEADER: [
-            'timestamp',
-            'numero_progressivo',
-            'asse_x',
-            'asse_y',
-            'asse_z',
-            'pressione_tallone',
-            'pressione_primo_metatarso',
-            'pressione_quinto_metatarso',
-            'segnale_uno',
-            'segnale_due',
-            'raw_hex'
-        ].join(',')
+        PACKET_SCHEMA: 'insole_v1',         // Formato dei pacchetti (src/config/packetSchemas.js)
+        PROTOCOL_NEGOTIATION: true          // Sceglie lo schema per firmware o byte di versione
     }
 };
\ No newline at end of file
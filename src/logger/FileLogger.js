@@ -4,11 +4,22 @@ const os = require('os');
 const settings = require('../config/settings');
 const { FileError, ErrorCodes, handleError } = require('../utils/errorHandler');
 const { formatDateTime } = require('../utils/dateUtils');
+const { packetSchemas } = require('../utils/BLEPacketSchema');
 
 class FileLogger {
-    constructor() {
+    /**
+     * @param {Object} [options] - Opzioni del logger
+     * @param {string} [options.deviceId] - Identificativo del dispositivo (es. indirizzo MAC),
+     *                                      incluso nel nome del file di sessione
+     * @param {Array<string>} [options.columns] - Colonne del CSV (default: quelle dello
+     *                                      schema DATA_FORMAT.PACKET_SCHEMA)
+     */
+    constructor(options = {}) {
         this.settings = settings;
+        this.deviceId = options.deviceId || null;
+        this.columns = options.columns || packetSchemas.getDefault().getCsvHeader();
         this.sessionCount = 0;
+        this.metadata = {};         // Metadati della sessione (es. informazioni del dispositivo)
         this.sessionTimer = null;
         this.isSessionActive = false;
         this.username = os.userInfo().username || 'arkproject';
@@ -28,20 +39,23 @@ class FileLogger {
                 .replace(/:/g, '-')
                 .split('.')[0];
 
-            // Crea nome file con numero sessione e timestamp corrente
+            // Crea nome file con dispositivo, numero sessione e timestamp corrente
+            const devicePart = this.deviceId ? `${this.deviceId.replace(/[^a-zA-Z0-9_-]/g, '')}_` : '';
             this.logFileName = path.join(
                 this.logsDir,
-                `${this.settings.FILE_SETTINGS.FILENAME_PREFIX}${this.username}_${timestamp}_session_${this.sessionCount}${this.settings.FILE_SETTINGS.FILE_EXTENSION}`
+                `${this.settings.FILE_SETTINGS.FILENAME_PREFIX}${this.username}_${devicePart}${timestamp}_session_${this.sessionCount}${this.settings.FILE_SETTINGS.FILE_EXTENSION}`
             );
 
             // Crea il file con l'intestazione
-            fs.writeFileSync(this.logFileName, this.settings.DATA_FORMAT.CSV_HEADER + '\n', { flag: 'w' });
+            fs.writeFileSync(this.logFileName, this.columns.join(',') + '\n', { flag: 'w' });
+            this.sessionStartTime = new Date().toISOString();
+            this.writeMetadata();
             
             // Verifica permessi di scrittura
             fs.accessSync(this.logFileName, fs.constants.W_OK);
             
             this.isSessionActive = true;
-            console.log(`\nNuova sessione (#${this.sessionCount}) avviata: ${this.logFileName}`);
+            console.log(`\nNuova sessione (#${this.sessionCount}) avviata${this.deviceId ? ` per ${this.deviceId}` : ''}: ${this.logFileName}`);
             console.log(`Durata sessione: ${this.settings.SESSION_SETTINGS.DURATION / 1000} secondi`);
 
             // Avvia il timer per questa sessione
@@ -96,19 +110,9 @@ class FileLogger {
                 }
             }
 
-            const csvLine = [
-                decodedData.timestamp,
-                decodedData.numero_progressivo,
-                decodedData.asse_x,
-                decodedData.asse_y,
-                decodedData.asse_z,
-                decodedData.pressione_tallone,
-                decodedData.pressione_primo_metatarso,
-                decodedData.pressione_quinto_metatarso,
-                decodedData.segnale_uno,
-                decodedData.segnale_due,
-                decodedData.raw_hex
-            ].join(',') + '\n';
+            const csvLine = this.columns
+                .map(column => decodedData[column])
+                .join(',') + '\n';
 
             fs.appendFileSync(this.logFileName, csvLine);
             return true;
@@ -122,6 +126,63 @@ class FileLogger {
         }
     }
 
+    /**
+     * Cambia le colonne del CSV (es. dopo la scelta dello schema dei pacchetti).
+     * Se la sessione corrente ha colonne diverse viene chiusa: la prossima scrittura
+     * apre un nuovo file con la nuova intestazione.
+     * @param {Array<string>} columns - Nuove colonne
+     */
+    setColumns(columns) {
+        if (columns.join(',') === this.columns.join(',')) return;
+        this.columns = [...columns];
+        this.cleanup();
+    }
+
+    /**
+     * Aggiunge metadati alla sessione; vengono salvati accanto al file dati
+     * (<file>.meta.json) per la sessione corrente e per quelle successive
+     * @param {Object} metadata - Metadati da unire a quelli esistenti
+     */
+    setMetadata(metadata) {
+        this.metadata = { ...this.metadata, ...metadata };
+        if (this.isSessionActive) {
+            this.writeMetadata();
+        }
+    }
+
+    /**
+     * Restituisce il percorso del file dei metadati della sessione corrente
+     * @returns {string|null}
+     */
+    getMetadataFilePath() {
+        if (!this.logFileName) return null;
+        const extension = this.settings.FILE_SETTINGS.FILE_EXTENSION;
+        const base = this.logFileName.endsWith(extension) ?
+            this.logFileName.slice(0, -extension.length) : this.logFileName;
+        return `${base}.meta.json`;
+    }
+
+    writeMetadata() {
+        try {
+            const content = {
+                deviceId: this.deviceId,
+                session: this.sessionCount,
+                dataFile: path.basename(this.logFileName),
+                startTime: this.sessionStartTime,
+                ...this.metadata
+            };
+            fs.writeFileSync(this.getMetadataFilePath(), JSON.stringify(content, null, 2) + '\n');
+            return true;
+        } catch (error) {
+            handleError(new FileError(
+                'Scrittura metadati fallita',
+                ErrorCodes.FILE.WRITE_FAILED,
+                { error: error.message }
+            ), 'FileLogger.writeMetadata');
+            return false;
+        }
+    }
+
     cleanup() {
         if (this.sessionTimer) {
             clearTimeout(this.sessionTimer);
@@ -132,12 +193,14 @@ class FileLogger {
 
     getSessionInfo() {
         return {
+            deviceId: this.deviceId,
             currentSession: this.sessionCount,
             isActive: this.isSessionActive,
             currentFile: this.isSessionActive ? this.logFileName : 'Nessuna sessione attiva',
             sessionDuration: this.settings.SESSION_SETTINGS.DURATION / 1000,
             autoRestart: this.settings.SESSION_SETTINGS.AUTO_RESTART,
-            startTime: this.sessionStartTime
+            startTime: this.sessionStartTime,
+            metadata: this.metadata
         };
     }
 
@@ -3,6 +3,7 @@ const FileLogger = require('../logger/FileLogger');
 const { TARGET_SERVICE_UUID } = require('../config/constants');
 const { getCurrentTimestamp } = require('../utils/dateUtils');
 const { BLEError, handleError, ErrorCodes } = require('../utils/errorHandler');
+const { packetSchemas } = require('../utils/BLEPacketSchema');
 const settings = require('../config/settings');
 
 class BLEScanner {
@@ -16,6 +17,7 @@ class BLEScanner {
         this.dataCounter = 0;
         this.startTime = null;
         this.logger = new FileLogger();
+        this.packetSchema = packetSchemas.getDefault();
         this.targetDevice = null;
         this.isConnected = false;
         this.reconnectTimer = null;
@@ -584,42 +586,23 @@ class BLEScanner {
         const timestamp = getCurrentTimestamp();
 
         try {
-            if (buffer.length < 20) {
-                throw new BLEError(
-                    'Buffer troppo corto',
-                    ErrorCodes.BLE.NOTIFICATION_ERROR,
-                    {
-                        expectedLength: 20,
-                        actualLength: buffer.length,
-                        buffer: buffer.toString('hex')
-                    }
-                );
-            }
-
-            this.dataCounter++;
+            const frames = this.packetSchema.splitFrames(buffer);
             if (!this.startTime) {
                 this.startTime = Date.now();
             }
 
-            const view = new DataView(buffer.buffer, buffer.byteOffset);
-
-            const decodedData = {
-                timestamp,
-                numero_progressivo: view.getUint16(0, false),
-                asse_x: view.getInt16(2, true),
-                asse_y: view.getInt16(4, true),
-                asse_z: view.getInt16(6, true),
-                pressione_tallone: view.getUint16(8, true),
-                pressione_primo_metatarso: view.getUint16(10, true),
-                pressione_quinto_metatarso: view.getUint16(12, true),
-                segnale_uno: view.getUint16(14, true),
-                segnale_due: view.getUint16(16, true),
-                raw_hex: buffer.toString('hex')
-            };
-
-            this.logger.writeData(decodedData);
+            // Una notifica può contenere più campioni: una riga per campione
+            return frames.map(frame => {
+                const decodedData = {
+                    timestamp,
+                    ...this.packetSchema.decode(frame),
+                    raw_hex: frame.toString('hex')
+                };
 
-            return decodedData;
+                this.dataCounter++;
+                this.logger.writeData(decodedData);
+                return decodedData;
+            });
 
         } catch (error) {
             handleError(
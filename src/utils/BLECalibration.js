@@ -0,0 +1,261 @@
+/**
+ * BLECalibration.js
+ * Conversione dei conteggi ADC grezzi in unità fisiche secondo un profilo di
+ * calibrazione del dispositivo. Per ogni canale il profilo indica guadagno,
+ * offset e, facoltativamente, un polinomio di correzione:
+ *
+ *   lineare = gain * (grezzo - offset)
+ *   valore  = Σ polynomial[i] * lineare^i     (solo se polynomial è presente)
+ *
+ * Il risultato è espresso nell'unità del canale (unit) e convertito nell'unità
+ * di uscita configurata: g o m/s² per l'accelerazione, kPa o N per la pressione
+ * (la conversione kPa <-> N richiede l'area del sensore, area_mm2).
+ *
+ * Un canale senza guadagno né unità contiene solo la tara (offset e noise_floor,
+ * vedi src/utils/tareUtils.js): il valore calibrato resta in conteggi.
+ *
+ * Created: 2025-02-15 09:12:37
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes } = require('./errorHandler');
+
+/**
+ * Grandezze fisiche dei canali e unità ammesse
+ * @readonly
+ */
+const CalibrationQuantities = {
+    ACCELERATION: 'acceleration',
+    PRESSURE: 'pressure'
+};
+
+/**
+ * Unità di misura supportate
+ * @readonly
+ * @enum {string}
+ */
+const CalibrationUnits = {
+    G: 'g',
+    METERS_PER_SECOND_SQUARED: 'm/s²',
+    KILOPASCAL: 'kPa',
+    NEWTON: 'N',
+    COUNTS: 'counts'        // Conteggi ADC tarati (canali senza guadagno)
+};
+
+// Unità ammesse e predefinite per grandezza
+const QUANTITY_UNITS = {
+    [CalibrationQuantities.ACCELERATION]: [CalibrationUnits.G, CalibrationUnits.METERS_PER_SECOND_SQUARED],
+    [CalibrationQuantities.PRESSURE]: [CalibrationUnits.KILOPASCAL, CalibrationUnits.NEWTON]
+};
+
+const STANDARD_GRAVITY = 9.80665;      // m/s² per g
+const VALUE_DECIMALS = 6;               // Cifre decimali dei valori calibrati
+
+// Suffisso delle colonne calibrate e colonna con l'identificativo del profilo
+const CALIBRATED_SUFFIX = '_cal';
+const CALIBRATION_ID_COLUMN = 'calibration_id';
+
+/**
+ * Errore di definizione del profilo
+ * @private
+ */
+function profileError(message, details) {
+    return new BLEError(message, ErrorCodes.BLE.INVALID_PARAMETER, details);
+}
+
+/**
+ * Converte un valore tra due unità della stessa grandezza
+ * @param {number} value - Valore da convertire
+ * @param {string} from - Unità di partenza (CalibrationUnits)
+ * @param {string} to - Unità di arrivo (CalibrationUnits)
+ * @param {number} [areaMm2] - Area del sensore in mm², richiesta per kPa <-> N
+ * @returns {number}
+ * @throws {BLEError} INVALID_PARAMETER se la conversione non è possibile
+ */
+function convertUnit(value, from, to, areaMm2 = null) {
+    if (from === to) return value;
+
+    switch (`${from}->${to}`) {
+        case `${CalibrationUnits.G}->${CalibrationUnits.METERS_PER_SECOND_SQUARED}`:
+            return value * STANDARD_GRAVITY;
+        case `${CalibrationUnits.METERS_PER_SECOND_SQUARED}->${CalibrationUnits.G}`:
+            return value / STANDARD_GRAVITY;
+        case `${CalibrationUnits.KILOPASCAL}->${CalibrationUnits.NEWTON}`:
+        case `${CalibrationUnits.NEWTON}->${CalibrationUnits.KILOPASCAL}`:
+            if (!(areaMm2 > 0)) {
+                throw profileError('Area del sensore richiesta per convertire tra kPa e N', { from, to });
+            }
+            // 1 kPa su 1 mm² = 1e3 N/m² * 1e-6 m² = 1e-3 N
+            return from === CalibrationUnits.KILOPASCAL ? value * areaMm2 / 1000 : value * 1000 / areaMm2;
+        default:
+            throw profileError(`Conversione non supportata: ${from} -> ${to}`, { from, to });
+    }
+}
+
+/**
+ * Applica guadagno, offset e polinomio di un canale a un valore grezzo
+ * @param {number} raw - Valore grezzo (conteggi ADC)
+ * @param {Object} channel - Calibrazione del canale
+ * @param {number} [channel.gain] - Guadagno (default 1)
+ * @param {number} [channel.offset] - Offset in conteggi (default 0)
+ * @param {Array<number>} [channel.polynomial] - Coefficienti c0, c1, c2, ... applicati al valore lineare
+ * @returns {number} Valore nell'unità del canale
+ */
+function applyChannelCalibration(raw, channel) {
+    const gain = channel.gain === undefined || channel.gain === null ? 1 : channel.gain;
+    const offset = channel.offset === undefined || channel.offset === null ? 0 : channel.offset;
+    const linear = gain * (raw - offset);
+
+    if (!Array.isArray(channel.polynomial) || channel.polynomial.length === 0) {
+        return linear;
+    }
+
+    // Schema di Horner, dal coefficiente di grado massimo
+    return channel.polynomial.reduceRight((result, coefficient) => result * linear + coefficient, 0);
+}
+
+/**
+ * Verifica la calibrazione di un canale
+ * @private
+ */
+function validateChannel(name, channel, quantity, profileId) {
+    const numbers = [channel.gain, channel.offset, channel.area_mm2].filter(value => value !== undefined && value !== null);
+    const polynomial = channel.polynomial || [];
+    if (!numbers.every(Number.isFinite) || !Array.isArray(polynomial) || !polynomial.every(Number.isFinite)) {
+        throw profileError('Coefficienti di calibrazione non validi', { profile: profileId, channel: name });
+    }
+
+    const unit = channel.unit || QUANTITY_UNITS[quantity][0];
+    if (!QUANTITY_UNITS[quantity].includes(unit)) {
+        throw profileError(`Unità non valida per il canale ${name}: ${unit}`, {
+            profile: profileId,
+            channel: name,
+            unit,
+            allowed: QUANTITY_UNITS[quantity]
+        });
+    }
+    return unit;
+}
+
+/**
+ * Indica se il canale contiene solo la tara (né guadagno né unità)
+ * @private
+ */
+function isTareOnly(channel) {
+    return (channel.gain === undefined || channel.gain === null) && !channel.unit;
+}
+
+class BLECalibrator {
+    /**
+     * @param {Object} profile - Profilo di calibrazione ({ id, serialNumber, channels })
+     * @param {BLEPacketSchema} schema - Schema dei pacchetti del dispositivo
+     * @param {Object} units - Unità di uscita
+     * @param {string} units.ACCELERATION_UNIT - 'g' o 'm/s²'
+     * @param {string} units.PRESSURE_UNIT - 'kPa' o 'N'
+     * @throws {BLEError} INVALID_PARAMETER se il profilo o le unità non sono validi
+     */
+    constructor(profile, schema, units) {
+        if (!profile || !profile.id || !profile.channels || typeof profile.channels !== 'object') {
+            throw profileError('Profilo di calibrazione non valido', { profile: profile && profile.id });
+        }
+
+        const outputUnits = {
+            [CalibrationQuantities.ACCELERATION]: units.ACCELERATION_UNIT,
+            [CalibrationQuantities.PRESSURE]: units.PRESSURE_UNIT
+        };
+        Object.entries(outputUnits).forEach(([quantity, unit]) => {
+            if (!QUANTITY_UNITS[quantity].includes(unit)) {
+                throw profileError(`Unità di uscita non valida per ${quantity}: ${unit}`, {
+                    quantity,
+                    unit,
+                    allowed: QUANTITY_UNITS[quantity]
+                });
+            }
+        });
+
+        this.id = profile.id;
+        this.profile = profile;
+
+        // Un canale calibrato per ogni campo dello schema con una grandezza fisica;
+        // i campi senza calibrazione nel profilo restano vuoti
+        this.channels = schema.fields
+            .filter(field => QUANTITY_UNITS[field.quantity])
+            .map(field => {
+                const channel = profile.channels[field.name] || null;
+                let unit = channel ? validateChannel(field.name, channel, field.quantity, this.id) : null;
+                let outputUnit = outputUnits[field.quantity];
+                if (channel && isTareOnly(channel)) {
+                    unit = outputUnit = CalibrationUnits.COUNTS;
+                }
+                if (channel && unit !== outputUnit) {
+                    // Verifica subito che la conversione sia possibile (es. area per kPa -> N)
+                    convertUnit(1, unit, outputUnit, channel.area_mm2);
+                }
+
+                return {
+                    field: field.name,
+                    column: `${field.name}${CALIBRATED_SUFFIX}`,
+                    calibration: channel,
+                    unit,
+                    outputUnit
+                };
+            });
+    }
+
+    /**
+     * Calcola i valori calibrati di un campione
+     * @param {Object} sample - Campione decodificato (valori grezzi)
+     * @returns {Object} Colonne calibrate (<campo>_cal) e calibration_id
+     */
+    calibrate(sample) {
+        const result = {};
+        for (const channel of this.channels) {
+            const raw = sample[channel.field];
+            if (!channel.calibration || typeof raw !== 'number') {
+                result[channel.column] = null;
+                continue;
+            }
+
+            const value = convertUnit(
+                applyChannelCalibration(raw, channel.calibration),
+                channel.unit,
+                channel.outputUnit,
+                channel.calibration.area_mm2
+            );
+            result[channel.column] = Number(value.toFixed(VALUE_DECIMALS));
+        }
+        result[CALIBRATION_ID_COLUMN] = this.id;
+        return result;
+    }
+
+    /**
+     * @returns {Array<string>} Colonne aggiunte ai campioni: valori calibrati e calibration_id
+     */
+    getColumns() {
+        return [...this.channels.map(channel => channel.column), CALIBRATION_ID_COLUMN];
+    }
+
+    /**
+     * Descrizione del profilo in uso, per i metadati di sessione
+     * @returns {Object}
+     */
+    describe() {
+        return {
+            id: this.id,
+            serialNumber: this.profile.serialNumber || null,
+            updatedAt: this.profile.updatedAt || null,
+            units: Object.fromEntries(this.channels
+                .filter(channel => channel.calibration)
+                .map(channel => [channel.column, channel.outputUnit]))
+        };
+    }
+}
+
+module.exports = {
+    BLECalibrator,
+    CalibrationQuantities,
+    CalibrationUnits,
+    applyChannelCalibration,
+    convertUnit
+};
@@ -1,6 +1,7 @@
 const FileLogger = require('../logger/FileLogger');
 const { getCurrentTimestamp } = require('./dateUtils');
 const path = require('path');
+const fs = require('fs');
 
 class BLELogger extends FileLogger {
     constructor() {
@@ -29,15 +30,19 @@ class BLELogger extends FileLogger {
         });
 
         // Gli errori vengono scritti immediatamente
-        this.flushErrors();
+        this.flushErrors().catch(error => {
+            console.error('Error during error log flush:', error);
+        });
     }
 
     async flush() {
         try {
             if (this.dataBuffer.length > 0) {
-                const dataFilePath = this.getDataFilePath();
-                await this.writeToFile(dataFilePath, this.dataBuffer);
+                // Il buffer viene sostituito prima della scrittura: i record che
+                // arrivano nel frattempo finiscono nel flush successivo
+                const records = this.dataBuffer;
                 this.dataBuffer = [];
+                await this.writeToFile(this.getDataFilePath(), records);
             }
 
             await this.flushErrors();
@@ -48,12 +53,25 @@ class BLELogger extends FileLogger {
 
     async flushErrors() {
         if (this.errorBuffer.length > 0) {
-            const errorFilePath = this.getErrorFilePath();
-            await this.writeToFile(errorFilePath, this.errorBuffer);
+            const records = this.errorBuffer;
             this.errorBuffer = [];
+            await this.writeToFile(this.getErrorFilePath(), records);
         }
     }
 
+    /**
+     * Accoda i record al file, uno per riga in formato JSON
+     * @param {string} filePath - Percorso del file
+     * @param {Array<Object>} records - Record da scrivere
+     */
+    async writeToFile(filePath, records) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(
+            filePath,
+            records.map(record => JSON.stringify(record)).join('\n') + '\n'
+        );
+    }
+
     getDataFilePath() {
         const date = new Date();
         return path.join(
@@ -0,0 +1,368 @@
+/**
+ * BLEPacketSchema.js
+ * Registro dei formati dei pacchetti dati. Ogni schema è dichiarato in
+ * src/config/packetSchemas.js come elenco di campi (offset, tipo, ordine dei byte,
+ * scala) e da questo vengono generati il decoder, gli intervalli di validazione
+ * e le colonne del CSV, così che il formato sia definito in un solo punto.
+ * Il registro sceglie inoltre lo schema di ciascun dispositivo in base alla
+ * revisione firmware o al byte di versione contenuto nei pacchetti.
+ * Con MTU negoziato una notifica può contenere più campioni consecutivi, ciascuno
+ * lungo quanto lo schema (frame).
+ *
+ * Created: 2025-02-14 15:08:41
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes } = require('./errorHandler');
+const { PACKET_SCHEMAS, DEFAULT_PACKET_SCHEMA } = require('../config/packetSchemas');
+const settings = require('../config/settings');
+
+/**
+ * Tipi di campo supportati: dimensione, metodo di lettura del DataView e limiti
+ * @readonly
+ */
+const FIELD_TYPES = {
+    uint8: { size: 1, read: 'getUint8', min: 0, max: 255 },
+    int8: { size: 1, read: 'getInt8', min: -128, max: 127 },
+    uint16: { size: 2, read: 'getUint16', min: 0, max: 65535 },
+    int16: { size: 2, read: 'getInt16', min: -32768, max: 32767 },
+    uint32: { size: 4, read: 'getUint32', min: 0, max: 4294967295 },
+    int32: { size: 4, read: 'getInt32', min: -2147483648, max: 2147483647 },
+    float32: { size: 4, read: 'getFloat32', min: -Infinity, max: Infinity }
+};
+
+/**
+ * Origine della scelta dello schema di un dispositivo
+ * @readonly
+ * @enum {string}
+ */
+const ProtocolSources = {
+    CONFIGURED: 'configured',       // Negoziazione disattivata: DATA_FORMAT.PACKET_SCHEMA
+    FIRMWARE: 'firmware',           // Revisione firmware letta dal Device Information Service
+    VERSION_BYTE: 'version_byte',   // Byte di versione del pacchetto
+    DEFAULT: 'default'              // Nessuna corrispondenza: schema predefinito
+};
+
+// Lunghezza massima del valore di un attributo ATT, quindi di una notifica
+const MAX_NOTIFICATION_LENGTH = 512;
+
+// Colonne aggiunte dal decoder attorno ai campi del pacchetto
+const LEADING_COLUMNS = ['timestamp'];
+const TRAILING_COLUMNS = ['raw_hex'];
+
+/**
+ * Errore di definizione dello schema
+ * @private
+ */
+function schemaError(message, details) {
+    return new BLEError(message, ErrorCodes.BLE.INVALID_PARAMETER, details);
+}
+
+/**
+ * Compila la definizione di un campo verificandone tipo e posizione
+ * @private
+ */
+function compileField(field, schemaName, length) {
+    const type = FIELD_TYPES[field.type];
+    if (!field.name || !type) {
+        throw schemaError('Campo dello schema non valido', { schema: schemaName, field: field.name, type: field.type });
+    }
+    if (!Number.isInteger(field.offset) || field.offset < 0 || field.offset + type.size > length) {
+        throw schemaError('Campo fuori dai limiti del pacchetto', {
+            schema: schemaName,
+            field: field.name,
+            offset: field.offset,
+            length
+        });
+    }
+
+    const scale = field.scale === undefined ? 1 : field.scale;
+    const limits = [type.min * scale, type.max * scale];
+
+    return {
+        name: field.name,
+        offset: field.offset,
+        type: field.type,
+        size: type.size,
+        read: type.read,
+        littleEndian: field.endianness !== 'big',
+        scale,
+        unit: field.unit || null,
+        quantity: field.quantity || null,
+        range: field.range || { min: Math.min(...limits), max: Math.max(...limits) }
+    };
+}
+
+/**
+ * Normalizza una revisione firmware per il confronto ('v1.2.0 ' -> '1.2.0')
+ * @private
+ */
+function normalizeRevision(revision) {
+    return String(revision).trim().replace(/^v/i, '');
+}
+
+class BLEPacketSchema {
+    /**
+     * @param {Object} definition - Definizione dichiarativa dello schema
+     * @param {string} definition.name - Nome univoco dello schema
+     * @param {number} definition.length - Lunghezza del pacchetto in byte
+     * @param {Array<Object>} definition.fields - Campi del pacchetto
+     * @param {number} [definition.version] - Versione del protocollo (default 1)
+     * @param {Array<string>} [definition.firmware] - Prefissi delle revisioni firmware che lo usano
+     * @param {Object} [definition.versionByte] - Byte che identifica la versione nel pacchetto
+     * @param {string} [definition.description] - Descrizione
+     */
+    constructor(definition) {
+        if (!definition || !definition.name || !Number.isInteger(definition.length) || definition.length <= 0) {
+            throw schemaError('Definizione dello schema non valida', { schema: definition && definition.name });
+        }
+        if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+            throw schemaError('Lo schema non definisce alcun campo', { schema: definition.name });
+        }
+
+        this.name = definition.name;
+        this.description = definition.description || '';
+        this.length = definition.length;
+        this.version = definition.version || 1;
+        this.firmware = (definition.firmware || []).map(normalizeRevision);
+        this.versionByte = definition.versionByte || null;
+        if (this.versionByte && (!Number.isInteger(this.versionByte.offset) ||
+            this.versionByte.offset < 0 || this.versionByte.offset >= this.length)) {
+            throw schemaError('Byte di versione fuori dai limiti del pacchetto', {
+                schema: this.name,
+                offset: this.versionByte.offset
+            });
+        }
+        this.fields = definition.fields.map(field => compileField(field, this.name, this.length));
+        this.maxSamples = Math.max(1, Math.floor(MAX_NOTIFICATION_LENGTH / this.length));
+
+        const names = new Set(this.fields.map(field => field.name));
+        if (names.size !== this.fields.length) {
+            throw schemaError('Nomi di campo duplicati nello schema', { schema: this.name });
+        }
+    }
+
+    /**
+     * @param {string} revision - Revisione firmware del dispositivo
+     * @returns {boolean} true se la revisione è tra quelle dichiarate dallo schema
+     */
+    matchesFirmware(revision) {
+        if (!revision) return false;
+        const normalized = normalizeRevision(revision);
+        return this.firmware.some(prefix => normalized.startsWith(prefix));
+    }
+
+    /**
+     * @param {Buffer} packet - Pacchetto ricevuto
+     * @returns {boolean} true se il pacchetto ha la lunghezza e il byte di versione dello schema
+     */
+    matchesVersionByte(packet) {
+        return Boolean(this.versionByte) && Buffer.isBuffer(packet) && packet.length >= this.length &&
+            packet[this.versionByte.offset] === this.versionByte.value;
+    }
+
+    /**
+     * Decodifica un pacchetto secondo lo schema
+     * @param {Buffer} buffer - Pacchetto ricevuto (eventuali byte oltre la lunghezza sono ignorati)
+     * @returns {Object} Valori dei campi, già scalati
+     * @throws {BLEError} NOTIFICATION_ERROR se il buffer è troppo corto
+     */
+    decode(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < this.length) {
+            throw new BLEError(
+                'Buffer troppo corto',
+                ErrorCodes.BLE.NOTIFICATION_ERROR,
+                {
+                    schema: this.name,
+                    expectedLength: this.length,
+                    actualLength: buffer ? buffer.length : 0,
+                    buffer: Buffer.isBuffer(buffer) ? buffer.toString('hex') : null
+                }
+            );
+        }
+
+        const view = new DataView(buffer.buffer, buffer.byteOffset, this.length);
+        const data = {};
+        for (const field of this.fields) {
+            const raw = view[field.read](field.offset, field.littleEndian);
+            data[field.name] = field.scale === 1 ? raw : raw * field.scale;
+        }
+        return data;
+    }
+
+    /**
+     * Suddivide una notifica nei frame dei singoli campioni
+     * @param {Buffer} buffer - Notifica ricevuta
+     * @returns {Array<Buffer>} Frame consecutivi, lunghi ciascuno quanto lo schema
+     * @throws {BLEError} NOTIFICATION_ERROR se la lunghezza non è un multiplo del frame
+     */
+    splitFrames(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0 || buffer.length % this.length !== 0) {
+            throw new BLEError(
+                'Lunghezza del pacchetto non multipla del frame',
+                ErrorCodes.BLE.NOTIFICATION_ERROR,
+                {
+                    schema: this.name,
+                    frameLength: this.length,
+                    actualLength: buffer ? buffer.length : 0,
+                    buffer: Buffer.isBuffer(buffer) ? buffer.toString('hex') : null
+                }
+            );
+        }
+
+        const frames = [];
+        for (let offset = 0; offset < buffer.length; offset += this.length) {
+            frames.push(buffer.subarray(offset, offset + this.length));
+        }
+        return frames;
+    }
+
+    /**
+     * Verifica che i valori decodificati siano presenti e nei rispettivi intervalli
+     * @param {Object} data - Dati decodificati
+     * @throws {BLEError} NOTIFICATION_ERROR per campi mancanti o fuori range
+     */
+    validate(data) {
+        for (const field of this.fields) {
+            const value = data[field.name];
+            if (value === undefined) {
+                throw new BLEError(
+                    'Campo dati mancante',
+                    ErrorCodes.BLE.NOTIFICATION_ERROR,
+                    { field: field.name }
+                );
+            }
+
+            if (value < field.range.min || value > field.range.max) {
+                throw new BLEError(
+                    'Valore fuori range',
+                    ErrorCodes.BLE.NOTIFICATION_ERROR,
+                    {
+                        field: field.name,
+                        value,
+                        range: field.range
+                    }
+                );
+            }
+        }
+    }
+
+    /**
+     * @returns {Object<string, {min: number, max: number}>} Intervalli ammessi per campo
+     */
+    getValueRanges() {
+        return Object.fromEntries(this.fields.map(field => [field.name, { ...field.range }]));
+    }
+
+    /**
+     * @returns {Array<string>} Nomi dei campi del pacchetto, nell'ordine dello schema
+     */
+    getFieldNames() {
+        return this.fields.map(field => field.name);
+    }
+
+    /**
+     * @param {Array<string>} [extraColumns] - Colonne aggiuntive (es. valori calibrati), prima di raw_hex
+     * @returns {Array<string>} Colonne del CSV: timestamp, campi del pacchetto, colonne aggiuntive e raw_hex
+     */
+    getCsvHeader(extraColumns = []) {
+        return [...LEADING_COLUMNS, ...this.getFieldNames(), ...extraColumns, ...TRAILING_COLUMNS];
+    }
+}
+
+class BLEPacketSchemaRegistry {
+    /**
+     * @param {Array<Object>} [definitions] - Definizioni da registrare subito
+     */
+    constructor(definitions = []) {
+        this.schemas = new Map();
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Registra (o sostituisce) uno schema
+     * @param {Object|BLEPacketSchema} definition - Definizione o schema già compilato
+     * @returns {BLEPacketSchema}
+     */
+    register(definition) {
+        const schema = definition instanceof BLEPacketSchema ? definition : new BLEPacketSchema(definition);
+        this.schemas.set(schema.name, schema);
+        return schema;
+    }
+
+    has(name) {
+        return this.schemas.has(name);
+    }
+
+    /**
+     * @param {string} name - Nome dello schema
+     * @returns {BLEPacketSchema}
+     * @throws {BLEError} INVALID_PARAMETER se lo schema non è registrato
+     */
+    get(name) {
+        const schema = this.schemas.get(name);
+        if (!schema) {
+            throw schemaError(`Schema di pacchetto sconosciuto: ${name}`, {
+                schema: name,
+                available: this.list()
+            });
+        }
+        return schema;
+    }
+
+    /**
+     * Schema configurato in settings.DATA_FORMAT.PACKET_SCHEMA
+     * @returns {BLEPacketSchema}
+     */
+    getDefault() {
+        return this.get(settings.DATA_FORMAT.PACKET_SCHEMA || DEFAULT_PACKET_SCHEMA);
+    }
+
+    /**
+     * @returns {Array<string>} Nomi degli schemi registrati
+     */
+    list() {
+        return Array.from(this.schemas.keys());
+    }
+
+    /**
+     * Sceglie lo schema di un dispositivo: prima per revisione firmware, poi per
+     * byte di versione del pacchetto, altrimenti lo schema predefinito.
+     * Con DATA_FORMAT.PROTOCOL_NEGOTIATION disattivato restituisce sempre quello predefinito.
+     * @param {Object} [options]
+     * @param {string} [options.firmwareRevision] - Revisione firmware (Device Information Service)
+     * @param {Buffer} [options.packet] - Primo pacchetto ricevuto
+     * @returns {{schema: BLEPacketSchema, source: string}} Schema e origine (ProtocolSources)
+     */
+    negotiate({ firmwareRevision = null, packet = null } = {}) {
+        if (!settings.DATA_FORMAT.PROTOCOL_NEGOTIATION) {
+            return { schema: this.getDefault(), source: ProtocolSources.CONFIGURED };
+        }
+
+        const schemas = Array.from(this.schemas.values());
+        const byFirmware = schemas.find(schema => schema.matchesFirmware(firmwareRevision));
+        if (byFirmware) {
+            return { schema: byFirmware, source: ProtocolSources.FIRMWARE };
+        }
+
+        const byVersionByte = packet && schemas.find(schema => schema.matchesVersionByte(packet));
+        if (byVersionByte) {
+            return { schema: byVersionByte, source: ProtocolSources.VERSION_BYTE };
+        }
+
+        return { schema: this.getDefault(), source: ProtocolSources.DEFAULT };
+    }
+}
+
+// Registro condiviso con gli schemi dichiarati in configurazione
+const packetSchemas = new BLEPacketSchemaRegistry(PACKET_SCHEMAS);
+
+module.exports = {
+    BLEPacketSchema,
+    BLEPacketSchemaRegistry,
+    FIELD_TYPES,
+    MAX_NOTIFICATION_LENGTH,
+    ProtocolSources,
+    packetSchemas
+};
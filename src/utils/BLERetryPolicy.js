@@ -0,0 +1,194 @@
+/**
+ * BLERetryPolicy.js
+ * Politica di ripetizione delle operazioni BLE: timeout per tentativo (con pulizia
+ * del timer), numero di tentativi, backoff esponenziale con jitter e predicato che
+ * stabilisce quali errori meritano un nuovo tentativo.
+ * Le politiche sono configurate per operazione in settings.RETRY_POLICIES.
+ *
+ * Created: 2025-02-12 14:27:50
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes } = require('./errorHandler');
+const { getCurrentTimestamp } = require('./dateUtils');
+const { computeBackoffDelay } = require('./backoffUtils');
+const { throwIfAborted, delay } = require('./abortUtils');
+const { classifyError } = require('./bluezErrorUtils');
+const settings = require('../config/settings');
+
+/**
+ * Eventi emessi dalle politiche di ripetizione
+ * @readonly
+ * @enum {string}
+ */
+const RetryPolicyEvents = {
+    RETRY: 'retry:attempt',
+    EXHAUSTED: 'retry:exhausted'
+};
+
+/**
+ * Attende una promise entro il tempo indicato; il timer viene sempre cancellato
+ * @param {Promise} promise - Operazione da attendere
+ * @param {number} timeoutMs - Timeout in ms (0 = nessun timeout)
+ * @param {string} operation - Nome dell'operazione, per il messaggio di errore
+ * @returns {Promise<*>}
+ * @throws {BLEError} OPERATION_TIMEOUT allo scadere del timeout
+ */
+function withTimeout(promise, timeoutMs, operation) {
+    if (!timeoutMs) return Promise.resolve(promise);
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new BLEError(
+            `${operation}: timeout dopo ${timeoutMs} ms`,
+            ErrorCodes.BLE.OPERATION_TIMEOUT,
+            { operation, timeout: timeoutMs }
+        )), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Predicato predefinito: si ripetono gli errori classificati come ripetibili
+ * (le operazioni annullate non lo sono mai)
+ * @private
+ */
+function defaultRetryOn(error) {
+    return classifyError(error).retryable;
+}
+
+class BLERetryPolicy {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name] - Nome dell'operazione, per errori ed eventi
+     * @param {number} [options.attempts] - Tentativi totali (almeno 1)
+     * @param {number} [options.timeout] - Timeout di ogni tentativo in ms (0 = nessuno)
+     * @param {number} [options.initialDelay] - Attesa prima del secondo tentativo in ms
+     * @param {number} [options.maxDelay] - Attesa massima tra due tentativi in ms
+     * @param {number} [options.multiplier] - Fattore di crescita dell'attesa
+     * @param {number} [options.jitter] - Variazione casuale relativa dell'attesa
+     * @param {Function} [options.retryOn] - (error, attempt) => boolean
+     * @param {BLEEventManager} [eventManager] - Gestore degli eventi BLE
+     */
+    constructor(options = {}, eventManager = null) {
+        this.name = options.name || 'operation';
+        this.attempts = Math.max(1, options.attempts || 1);
+        this.timeout = options.timeout || 0;
+        this.initialDelay = options.initialDelay || 0;
+        this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : this.initialDelay;
+        this.multiplier = options.multiplier !== undefined ? options.multiplier : 2;
+        this.jitter = options.jitter || 0;
+        this.retryOn = options.retryOn || defaultRetryOn;
+        this.eventManager = eventManager;
+    }
+
+    /**
+     * Crea la politica configurata in settings.RETRY_POLICIES
+     * @param {string} name - Chiave della politica (es. 'ADAPTER_LOOKUP')
+     * @param {BLEEventManager} [eventManager] - Gestore degli eventi BLE
+     * @param {Object} [overrides] - Opzioni che sostituiscono quelle configurate
+     * @returns {BLERetryPolicy}
+     * @throws {BLEError} Se la politica non è configurata
+     */
+    static fromSettings(name, eventManager = null, overrides = {}) {
+        const config = settings.RETRY_POLICIES[name];
+        if (!config) {
+            throw new BLEError(
+                `Politica di ripetizione non configurata: ${name}`,
+                ErrorCodes.BLE.INVALID_PARAMETER,
+                { name }
+            );
+        }
+
+        return new BLERetryPolicy({
+            name,
+            attempts: config.ATTEMPTS,
+            timeout: config.TIMEOUT,
+            initialDelay: config.INITIAL_DELAY,
+            maxDelay: config.MAX_DELAY,
+            multiplier: config.MULTIPLIER,
+            jitter: config.JITTER,
+            ...overrides
+        }, eventManager);
+    }
+
+    /**
+     * Attesa prima del tentativo successivo
+     * @param {number} attempt - Tentativo appena fallito (a partire da 1)
+     * @returns {number} Attesa in ms
+     */
+    getDelay(attempt) {
+        return computeBackoffDelay(attempt - 1, {
+            initialDelay: this.initialDelay,
+            maxDelay: this.maxDelay,
+            multiplier: this.multiplier,
+            jitter: this.jitter
+        });
+    }
+
+    /**
+     * Esegue un'operazione applicando timeout e tentativi
+     * @param {Function} operation - (attempt) => Promise
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Annulla tentativi e attese
+     * @param {Function} [options.onRetry] - ({attempt, delay, error}) => void, prima di ogni attesa
+     * @returns {Promise<*>} Risultato del primo tentativo riuscito
+     * @throws {Error} L'errore dell'ultimo tentativo, o di un errore non ripetibile
+     */
+    async execute(operation, options = {}) {
+        const { signal, onRetry } = options;
+
+        for (let attempt = 1; ; attempt++) {
+            throwIfAborted(signal, this.name);
+
+            try {
+                return await withTimeout(operation(attempt), this.timeout, this.name);
+            } catch (error) {
+                const retryable = this.retryOn(error, attempt);
+                if (!retryable || attempt >= this.attempts) {
+                    if (retryable && this.attempts > 1) {
+                        this.emit(RetryPolicyEvents.EXHAUSTED, { attempts: attempt, error });
+                    }
+                    throw error;
+                }
+
+                const wait = this.getDelay(attempt);
+                this.emit(RetryPolicyEvents.RETRY, {
+                    attempt,
+                    maxAttempts: this.attempts,
+                    delay: wait,
+                    error
+                });
+                if (onRetry) {
+                    onRetry({ attempt, delay: wait, error });
+                }
+
+                await delay(wait, signal, this.name);
+            }
+        }
+    }
+
+    /**
+     * Emette un evento della politica
+     * @private
+     */
+    emit(event, { error, ...details }) {
+        if (!this.eventManager) return;
+
+        this.eventManager.emit(event, {
+            operation: this.name,
+            ...details,
+            error: error.message,
+            code: error.code || null,
+            timestamp: getCurrentTimestamp()
+        });
+    }
+}
+
+module.exports = {
+    BLERetryPolicy,
+    RetryPolicyEvents,
+    withTimeout
+};
@@ -0,0 +1,149 @@
+/**
+ * BLESignalFilter.js
+ * Livellamento dell'RSSI di un dispositivo (media mobile o filtro di Kalman),
+ * direzione del trend e stima della distanza dalla potenza di trasmissione
+ *
+ * Created: 2025-02-08 14:12:36
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const settings = require('../config/settings');
+
+/**
+ * Direzione del trend del segnale
+ * @readonly
+ * @enum {string}
+ */
+const SignalTrend = {
+    RISING: 'rising',       // segnale in aumento (dispositivo in avvicinamento)
+    FALLING: 'falling',     // segnale in calo (dispositivo in allontanamento)
+    STABLE: 'stable'
+};
+
+class BLESignalFilter {
+    /**
+     * @param {Object} [options] - Configurazione (default: settings.DISCOVERY.RSSI_FILTER)
+     */
+    constructor(options = settings.DISCOVERY.RSSI_FILTER) {
+        this.type = options.TYPE;
+        this.window = Math.max(1, options.WINDOW);
+        this.processNoise = options.PROCESS_NOISE;
+        this.measurementNoise = options.MEASUREMENT_NOISE;
+        this.trendThreshold = options.TREND_THRESHOLD;
+
+        this.samples = [];      // ultimi campioni grezzi
+        this.history = [];      // ultimi valori livellati, per il trend
+        this.estimate = null;   // stato del filtro di Kalman
+        this.covariance = 1;
+    }
+
+    /**
+     * Aggiunge un campione RSSI e restituisce il valore livellato
+     * @param {number} rssi - RSSI grezzo in dBm
+     * @returns {number}
+     */
+    add(rssi) {
+        this.samples.push(rssi);
+        if (this.samples.length > this.window) {
+            this.samples.shift();
+        }
+
+        let value;
+        switch (this.type) {
+            case 'kalman':
+                value = this.kalman(rssi);
+                break;
+            case 'moving_average':
+                value = this.samples.reduce((sum, sample) => sum + sample, 0) / this.samples.length;
+                break;
+            default:
+                value = rssi;
+        }
+
+        this.history.push(value);
+        if (this.history.length > this.window) {
+            this.history.shift();
+        }
+
+        return value;
+    }
+
+    /**
+     * Passo del filtro di Kalman monodimensionale
+     * @private
+     */
+    kalman(measurement) {
+        if (this.estimate === null) {
+            this.estimate = measurement;
+            this.covariance = this.measurementNoise;
+            return this.estimate;
+        }
+
+        const predictedCovariance = this.covariance + this.processNoise;
+        const gain = predictedCovariance / (predictedCovariance + this.measurementNoise);
+
+        this.estimate += gain * (measurement - this.estimate);
+        this.covariance = (1 - gain) * predictedCovariance;
+
+        return this.estimate;
+    }
+
+    /**
+     * Restituisce l'ultimo valore livellato
+     * @returns {number|null}
+     */
+    getValue() {
+        return this.history.length > 0 ? this.history[this.history.length - 1] : null;
+    }
+
+    /**
+     * Direzione del segnale sull'intera finestra
+     * @returns {string} Uno dei valori di SignalTrend
+     */
+    getTrend() {
+        if (this.history.length < 2) return SignalTrend.STABLE;
+
+        const delta = this.getValue() - this.history[0];
+        if (delta >= this.trendThreshold) return SignalTrend.RISING;
+        if (delta <= -this.trendThreshold) return SignalTrend.FALLING;
+        return SignalTrend.STABLE;
+    }
+}
+
+/**
+ * Stima la distanza dal dispositivo con il modello log-distance
+ * @param {number|null} rssi - RSSI (preferibilmente livellato) in dBm
+ * @param {number|null} txPower - Potenza di trasmissione pubblicizzata in dBm
+ * @param {Object} [options] - Configurazione (default: settings.DISCOVERY.DISTANCE)
+ * @returns {number|null} Distanza stimata in metri, null se non calcolabile
+ */
+function estimateDistance(rssi, txPower, options = settings.DISCOVERY.DISTANCE) {
+    if (typeof rssi !== 'number' || typeof txPower !== 'number') return null;
+
+    const measuredPower = txPower - options.ONE_METER_LOSS;
+    const distance = Math.pow(10, (measuredPower - rssi) / (10 * options.PATH_LOSS_EXPONENT));
+
+    return Math.round(distance * 100) / 100;
+}
+
+/**
+ * Classifica la qualità del segnale secondo le soglie di settings.DISCOVERY.SIGNAL_QUALITY
+ * @param {number|null} rssi - RSSI in dBm
+ * @param {Object} [thresholds] - Soglie EXCELLENT, GOOD, FAIR
+ * @returns {string}
+ */
+function getSignalQuality(rssi, thresholds = settings.DISCOVERY.SIGNAL_QUALITY) {
+    if (typeof rssi !== 'number') return 'Non disponibile';
+    if (rssi >= thresholds.EXCELLENT) return 'Eccellente';
+    if (rssi >= thresholds.GOOD) return 'Buona';
+    if (rssi >= thresholds.FAIR) return 'Discreta';
+    return 'Scarsa';
+}
+
+module.exports = {
+    BLESignalFilter,
+    SignalTrend,
+    estimateDistance,
+    getSignalQuality
+};
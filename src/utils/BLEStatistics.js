@@ -5,6 +5,9 @@ class BLEStatistics {
         this.stats = {
             discoveredDevices: 0,
             dataCounter: 0,
+            errorCounter: 0,        // Pacchetti scartati per errori di decodifica
+            packetCounter: 0,       // Notifiche ricevute
+            packetSamples: 0,       // Campioni contenuti nelle notifiche
             connectionState: null,
             lastUpdate: null,
             session: {
@@ -24,6 +27,31 @@ class BLEStatistics {
         this.stats.lastUpdate = getCurrentTimestamp();
     }
 
+    /**
+     * Conta un campione decodificato (usato da BLEDataHandler)
+     */
+    incrementCounter() {
+        this.incrementDataCounter();
+    }
+
+    /**
+     * Conta un pacchetto scartato per errore di decodifica
+     */
+    incrementErrorCount() {
+        this.stats.errorCounter++;
+        this.stats.lastUpdate = getCurrentTimestamp();
+    }
+
+    /**
+     * Registra una notifica e il numero di campioni che conteneva
+     * @param {number} sampleCount - Campioni nella notifica
+     */
+    recordPacket(sampleCount) {
+        this.stats.packetCounter++;
+        this.stats.packetSamples += sampleCount;
+        this.stats.lastUpdate = getCurrentTimestamp();
+    }
+
     updateConnectionState(state) {
         this.stats.connectionState = state;
         this.stats.lastUpdate = getCurrentTimestamp();
@@ -37,6 +65,8 @@ class BLEStatistics {
     getStats() {
         return {
             ...this.stats,
+            samplesPerPacket: this.stats.packetCounter > 0 ?
+                Number((this.stats.packetSamples / this.stats.packetCounter).toFixed(2)) : 0,
             uptime: this._calculateUptime()
         };
     }
@@ -45,6 +75,9 @@ class BLEStatistics {
         this.stats = {
             discoveredDevices: 0,
             dataCounter: 0,
+            errorCounter: 0,        // Pacchetti scartati per errori di decodifica
+            packetCounter: 0,       // Notifiche ricevute
+            packetSamples: 0,       // Campioni contenuti nelle notifiche
             connectionState: null,
             lastUpdate: null,
             session: {
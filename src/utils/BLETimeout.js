@@ -1,13 +1,9 @@
+const { withTimeout } = require('./BLERetryPolicy');
+
 class BLETimeout {
     async withTimeout(promise, timeoutMs, operation) {
-        return Promise.race([
-            promise,
-            new Promise((_, reject) => 
-                setTimeout(() => reject(new Error(`${operation} timeout after ${timeoutMs}ms`)), 
-                timeoutMs)
-            )
-        ]);
+        return withTimeout(promise, timeoutMs, operation);
     }
 }
 
-module.exports = BLETimeout;
\ No newline at end of file
+module.exports = BLETimeout;
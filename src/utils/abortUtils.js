@@ -0,0 +1,105 @@
+/**
+ * Annullamento delle operazioni tramite AbortSignal
+ *
+ * Le operazioni annullate vengono rifiutate con un BLEError con codice
+ * ErrorCodes.BLE.OPERATION_CANCELLED, distinguibile dagli altri errori con isCancellation.
+ */
+
+const { BLEError, ErrorCodes } = require('./errorHandler');
+
+/**
+ * Crea l'errore di annullamento di un'operazione
+ * @param {string} operation - Nome dell'operazione annullata
+ * @param {AbortSignal} [signal] - Segnale che ha causato l'annullamento
+ * @returns {BLEError}
+ */
+function createCancellationError(operation, signal) {
+    const reason = signal && signal.reason;
+    return new BLEError(
+        `Operazione annullata: ${operation}`,
+        ErrorCodes.BLE.OPERATION_CANCELLED,
+        {
+            operation,
+            reason: reason instanceof Error ? reason.message : reason
+        }
+    );
+}
+
+/**
+ * Verifica se un errore è dovuto all'annullamento di un'operazione
+ * @param {Error} error - Errore da verificare
+ * @returns {boolean}
+ */
+function isCancellation(error) {
+    return !!error && error.code === ErrorCodes.BLE.OPERATION_CANCELLED;
+}
+
+/**
+ * Lancia l'errore di annullamento se il segnale è già stato attivato
+ * @param {AbortSignal} [signal] - Segnale di annullamento
+ * @param {string} operation - Nome dell'operazione
+ * @throws {BLEError}
+ */
+function throwIfAborted(signal, operation) {
+    if (signal && signal.aborted) {
+        throw createCancellationError(operation, signal);
+    }
+}
+
+/**
+ * Registra una callback da eseguire all'annullamento
+ * @param {AbortSignal} [signal] - Segnale di annullamento
+ * @param {Function} callback - Callback
+ * @returns {Function} Funzione che rimuove la callback
+ */
+function onAbort(signal, callback) {
+    if (!signal) return () => {};
+
+    signal.addEventListener('abort', callback, { once: true });
+    return () => signal.removeEventListener('abort', callback);
+}
+
+/**
+ * Attende il tempo indicato; all'annullamento il timer viene cancellato e la
+ * promise rifiutata con l'errore di annullamento
+ * @param {number} ms - Attesa in millisecondi
+ * @param {AbortSignal} [signal] - Segnale di annullamento
+ * @param {string} [operation] - Nome dell'operazione
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal, operation = 'attesa') {
+    return new Promise((resolve, reject) => {
+        throwIfAborted(signal, operation);
+
+        let removeListener = () => {};
+        const timer = setTimeout(() => {
+            removeListener();
+            resolve();
+        }, ms);
+
+        removeListener = onAbort(signal, () => {
+            clearTimeout(timer);
+            reject(createCancellationError(operation, signal));
+        });
+    });
+}
+
+/**
+ * Combina più segnali: il risultato si attiva quando se ne attiva uno qualsiasi
+ * @param {...AbortSignal} signals - Segnali (i valori nulli sono ignorati)
+ * @returns {AbortSignal|undefined}
+ */
+function combineSignals(...signals) {
+    const active = signals.filter(Boolean);
+    if (active.length <= 1) return active[0];
+    return AbortSignal.any(active);
+}
+
+module.exports = {
+    createCancellationError,
+    isCancellation,
+    throwIfAborted,
+    onAbort,
+    delay,
+    combineSignals
+};
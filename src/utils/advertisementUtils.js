@@ -0,0 +1,98 @@
+/**
+ * Decodifica dei dati di advertising esposti da BlueZ (org.bluez.Device1)
+ */
+
+const { normalizeUUID } = require('./filterUtils');
+
+/**
+ * Categorie di Appearance (bit 15-6 del valore), Bluetooth Assigned Numbers
+ * @readonly
+ */
+const APPEARANCE_CATEGORIES = {
+    0: 'Sconosciuto',
+    1: 'Telefono',
+    2: 'Computer',
+    3: 'Orologio',
+    4: 'Sveglia',
+    5: 'Display',
+    6: 'Telecomando',
+    7: 'Occhiali',
+    8: 'Tag',
+    9: 'Portachiavi',
+    10: 'Lettore multimediale',
+    11: 'Lettore di codici a barre',
+    12: 'Termometro',
+    13: 'Cardiofrequenzimetro',
+    14: 'Misuratore di pressione',
+    15: 'Dispositivo HID',
+    16: 'Glucometro',
+    17: 'Sensore di corsa/camminata',
+    18: 'Sensore per ciclismo'
+};
+
+/**
+ * Estrae il valore da un Variant D-Bus (o restituisce il valore così com'è)
+ * @private
+ */
+function variantValue(value) {
+    return value && value.signature !== undefined && value.value !== undefined ? value.value : value;
+}
+
+/**
+ * Converte un valore D-Bus 'ay' in Buffer
+ * @private
+ */
+function toBuffer(value) {
+    const raw = variantValue(value);
+    return Buffer.isBuffer(raw) ? raw : Buffer.from(raw || []);
+}
+
+/**
+ * Decodifica il valore Appearance
+ * @param {number|undefined} value - Valore a 16 bit
+ * @returns {{value: number, category: number, subcategory: number, description: string}|null}
+ */
+function parseAppearance(value) {
+    if (value === undefined || value === null) return null;
+
+    const category = value >> 6;
+    return {
+        value,
+        category,
+        subcategory: value & 0x3f,
+        description: APPEARANCE_CATEGORIES[category] || `Categoria 0x${category.toString(16)}`
+    };
+}
+
+/**
+ * Decodifica i dati di advertising di un dispositivo
+ * @param {Object} properties - Proprietà Device1 già estratte dai Variant di primo livello
+ * @returns {Object} serviceUUIDs, txPower, manufacturerData, serviceData, appearance
+ */
+function parseAdvertisement(properties = {}) {
+    const manufacturerData = Object.entries(properties.ManufacturerData || {})
+        .map(([companyId, data]) => ({
+            companyId: Number(companyId),
+            data: toBuffer(data)
+        }));
+
+    const serviceData = Object.entries(properties.ServiceData || {})
+        .map(([uuid, data]) => ({
+            uuid: normalizeUUID(uuid),
+            data: toBuffer(data)
+        }));
+
+    return {
+        serviceUUIDs: (properties.UUIDs || []).map(normalizeUUID),
+        txPower: properties.TxPower !== undefined ? properties.TxPower : null,
+        manufacturerData,
+        serviceData,
+        appearance: parseAppearance(properties.Appearance)
+    };
+}
+
+module.exports = {
+    parseAdvertisement,
+    parseAppearance,
+    APPEARANCE_CATEGORIES
+};
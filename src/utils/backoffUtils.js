@@ -0,0 +1,22 @@
+/**
+ * Calcola il ritardo di un backoff esponenziale con jitter
+ * @param {number} attempt - Numero del tentativo (a partire da 0)
+ * @param {Object} options - Parametri del backoff
+ * @param {number} options.initialDelay - Ritardo del primo tentativo in ms
+ * @param {number} options.maxDelay - Ritardo massimo in ms
+ * @param {number} [options.multiplier=2] - Fattore di crescita tra un tentativo e il successivo
+ * @param {number} [options.jitter=0] - Variazione casuale relativa (0.3 = ±30%)
+ * @param {Function} [random=Math.random] - Generatore casuale in [0, 1)
+ * @returns {number} Ritardo in ms
+ */
+function computeBackoffDelay(attempt, options, random = Math.random) {
+    const { initialDelay, maxDelay, multiplier = 2, jitter = 0 } = options;
+    const baseDelay = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt));
+    const spread = baseDelay * jitter;
+
+    return Math.max(0, Math.round(baseDelay - spread + random() * spread * 2));
+}
+
+module.exports = {
+    computeBackoffDelay
+};
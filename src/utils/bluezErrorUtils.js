@@ -0,0 +1,151 @@
+/**
+ * bluezErrorUtils.js
+ * Classificazione degli errori BlueZ/D-Bus restituiti da node-ble.
+ * I DBusError (dbus-next) espongono il nome dell'errore in `type`
+ * (es. 'org.bluez.Error.InProgress') e il testo in `text`: il nome viene
+ * tradotto in un codice ErrorCodes.BLE, eventualmente raffinato in base al testo,
+ * con la relativa ripetibilità e azione di recupero suggerita.
+ *
+ * Created: 2025-02-13 09:41:12
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes, getErrorInfo } = require('./errorHandler');
+
+/**
+ * Nomi degli errori D-Bus di BlueZ e del bus, con il codice corrispondente
+ * @private
+ */
+const DBUS_ERROR_CODES = {
+    'org.bluez.Error.NotReady': ErrorCodes.BLE.NOT_READY,
+    'org.bluez.Error.InProgress': ErrorCodes.BLE.IN_PROGRESS,
+    'org.bluez.Error.Busy': ErrorCodes.BLE.IN_PROGRESS,
+    'org.bluez.Error.Failed': ErrorCodes.BLE.BLUEZ_FAILED,
+    'org.bluez.Error.NotPermitted': ErrorCodes.BLE.NOT_PERMITTED,
+    'org.bluez.Error.NotAuthorized': ErrorCodes.BLE.NOT_AUTHORIZED,
+    'org.bluez.Error.AuthenticationFailed': ErrorCodes.BLE.AUTHENTICATION_FAILED,
+    'org.bluez.Error.AuthenticationCanceled': ErrorCodes.BLE.AUTHENTICATION_FAILED,
+    'org.bluez.Error.AuthenticationRejected': ErrorCodes.BLE.AUTHENTICATION_FAILED,
+    'org.bluez.Error.AuthenticationTimeout': ErrorCodes.BLE.AUTHENTICATION_FAILED,
+    'org.bluez.Error.Rejected': ErrorCodes.BLE.AUTHENTICATION_FAILED,
+    'org.bluez.Error.ConnectionAttemptFailed': ErrorCodes.BLE.CONNECTION_FAILED,
+    'org.bluez.Error.NotConnected': ErrorCodes.BLE.NOT_CONNECTED,
+    'org.bluez.Error.AlreadyConnected': ErrorCodes.BLE.ALREADY_CONNECTED,
+    'org.bluez.Error.AlreadyExists': ErrorCodes.BLE.ALREADY_EXISTS,
+    'org.bluez.Error.DoesNotExist': ErrorCodes.BLE.DOES_NOT_EXIST,
+    'org.bluez.Error.NotAvailable': ErrorCodes.BLE.NOT_READY,
+    'org.bluez.Error.NotSupported': ErrorCodes.BLE.NOT_SUPPORTED,
+    'org.bluez.Error.InvalidArguments': ErrorCodes.BLE.INVALID_PARAMETER,
+    'org.bluez.Error.InvalidValueLength': ErrorCodes.BLE.INVALID_PARAMETER,
+    'org.bluez.Error.InvalidOffset': ErrorCodes.BLE.INVALID_PARAMETER,
+    'org.freedesktop.DBus.Error.NoReply': ErrorCodes.BLE.OPERATION_TIMEOUT,
+    'org.freedesktop.DBus.Error.Timeout': ErrorCodes.BLE.OPERATION_TIMEOUT,
+    'org.freedesktop.DBus.Error.UnknownObject': ErrorCodes.BLE.DOES_NOT_EXIST,
+    'org.freedesktop.DBus.Error.UnknownMethod': ErrorCodes.BLE.NOT_SUPPORTED,
+    'org.freedesktop.DBus.Error.ServiceUnknown': ErrorCodes.BLE.NOT_READY,
+    'org.freedesktop.DBus.Error.AccessDenied': ErrorCodes.BLE.NOT_PERMITTED
+};
+
+/**
+ * Testi di errore che precisano un nome generico (es. org.bluez.Error.Failed)
+ * o identificano errori privi di nome D-Bus. Valutati in ordine.
+ * @private
+ */
+const MESSAGE_PATTERNS = [
+    { pattern: /insufficient (authentication|encryption)|not paired|att error: 0x0(5|f)\b/i, code: ErrorCodes.BLE.AUTHENTICATION_FAILED },
+    { pattern: /le-connection-abort-by-local|software caused connection abort|connection abort/i, code: ErrorCodes.BLE.CONNECTION_ABORTED },
+    { pattern: /in progress|busy/i, code: ErrorCodes.BLE.IN_PROGRESS },
+    { pattern: /not connected/i, code: ErrorCodes.BLE.NOT_CONNECTED },
+    { pattern: /authenticat/i, code: ErrorCodes.BLE.AUTHENTICATION_FAILED },
+    { pattern: /does not exist|not found|unknown object/i, code: ErrorCodes.BLE.DOES_NOT_EXIST },
+    { pattern: /not ready|resource not ready|adapter.*(off|not powered)/i, code: ErrorCodes.BLE.NOT_READY },
+    { pattern: /timed? ?out|timeout/i, code: ErrorCodes.BLE.OPERATION_TIMEOUT }
+];
+
+/**
+ * Codici che vengono raffinati in base al testo dell'errore: quelli generici e
+ * NotPermitted, restituito anche per le caratteristiche che richiedono un link cifrato
+ * @private
+ */
+const REFINABLE_CODES = new Set([
+    ErrorCodes.BLE.BLUEZ_FAILED,
+    ErrorCodes.BLE.NOT_PERMITTED,
+    ErrorCodes.BLE.DBUS_ERROR,
+    ErrorCodes.BLE.UNKNOWN_ERROR
+]);
+
+/**
+ * Nome D-Bus dell'errore, se presente
+ * @private
+ */
+function getDBusErrorName(error) {
+    if (!error) return null;
+    if (error instanceof BLEError) return error.details.dbusError || null;
+    if (typeof error.type === 'string' && error.type.includes('.Error.')) return error.type;
+    return null;
+}
+
+/**
+ * Codice ricavato dal testo dell'errore
+ * @private
+ */
+function matchMessage(message) {
+    const match = MESSAGE_PATTERNS.find(({ pattern }) => pattern.test(message));
+    return match ? match.code : null;
+}
+
+/**
+ * Classifica un errore in un codice ErrorCodes.BLE con ripetibilità e azione di recupero.
+ * I BLEError mantengono il proprio codice.
+ * @param {Error} error - Errore da classificare (DBusError, BLEError o generico)
+ * @returns {{code: string, retryable: boolean, recovery: string, dbusError: string|null}}
+ */
+function classifyError(error) {
+    const dbusError = getDBusErrorName(error);
+    const message = error ? (error.text || error.message || '') : '';
+    let code;
+
+    if (error instanceof BLEError && error.code) {
+        code = error.code;
+    } else if (dbusError) {
+        code = DBUS_ERROR_CODES[dbusError] || ErrorCodes.BLE.DBUS_ERROR;
+    } else {
+        code = ErrorCodes.BLE.UNKNOWN_ERROR;
+    }
+
+    if (REFINABLE_CODES.has(code)) {
+        code = matchMessage(message) || code;
+    }
+
+    return { code, ...getErrorInfo(code), dbusError };
+}
+
+/**
+ * Converte un errore in un BLEError classificato
+ * I BLEError già classificati vengono restituiti invariati.
+ * @param {Error} error - Errore originale
+ * @param {string} message - Messaggio del nuovo errore
+ * @param {string} [fallbackCode] - Codice da usare se l'errore non è riconosciuto
+ * @param {Object} [details] - Dettagli aggiuntivi
+ * @returns {BLEError}
+ */
+function toBLEError(error, message, fallbackCode = ErrorCodes.BLE.UNKNOWN_ERROR, details = {}) {
+    if (error instanceof BLEError) {
+        return error;
+    }
+
+    const classified = classifyError(error);
+    const code = classified.code === ErrorCodes.BLE.UNKNOWN_ERROR ? fallbackCode : classified.code;
+
+    return new BLEError(message, code, {
+        ...details,
+        error: error ? (error.text || error.message) : undefined,
+        dbusError: classified.dbusError
+    });
+}
+
+module.exports = {
+    classifyError,
+    toBLEError
+};
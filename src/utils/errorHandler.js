@@ -5,6 +5,10 @@ class BLEError extends Error {
         this.code = code;
         this.details = details;
         this.timestamp = new Date().toISOString();
+
+        const info = getErrorInfo(code);
+        this.retryable = info.retryable;
+        this.recovery = info.recovery;
     }
 }
 
@@ -15,16 +19,21 @@ class FileError extends Error {
         this.code = code;
         this.details = details;
         this.timestamp = new Date().toISOString();
+
+        const info = getErrorInfo(code);
+        this.retryable = info.retryable;
+        this.recovery = info.recovery;
     }
 }
 
 function handleError(error, context = '') {
     const timestamp = new Date().toISOString();
-    
+
     if (error instanceof BLEError || error instanceof FileError) {
         console.error(`[${timestamp}] [${context}] ${error.name}: ${error.message}`);
         console.error('Dettagli:', error.details);
         console.error('Codice:', error.code);
+        console.error(`Ripetibile: ${error.retryable ? 'sì' : 'no'} - Azione suggerita: ${error.recovery}`);
     } else {
         console.error(`[${timestamp}] [${context}] Errore generico: ${error.message}`);
     }
@@ -35,22 +44,143 @@ function handleError(error, context = '') {
 
 const ErrorCodes = {
     BLE: {
+        // Ciclo di vita
         INITIALIZATION_FAILED: 'BLE_INIT_FAILED',
         CONNECTION_FAILED: 'BLE_CONN_FAILED',
+        DISCONNECT_ERROR: 'BLE_DISCONNECT_ERROR',
         SCAN_FAILED: 'BLE_SCAN_FAILED',
-        DEVICE_NOT_FOUND: 'BLE_DEVICE_NOT_FOUND'
+        DISCOVERY_ERROR: 'BLE_DISCOVERY_ERROR',
+        DEVICE_NOT_FOUND: 'BLE_DEVICE_NOT_FOUND',
+        CLEANUP_ERROR: 'BLE_CLEANUP_ERROR',
+
+        // GATT
+        CHARACTERISTIC_ERROR: 'BLE_CHARACTERISTIC_ERROR',
+        NOTIFICATION_ERROR: 'BLE_NOTIFICATION_ERROR',
+        COMMAND_FAILED: 'BLE_COMMAND_FAILED',
+        COMMAND_TIMEOUT: 'BLE_COMMAND_TIMEOUT',
+        COMMAND_REJECTED: 'BLE_COMMAND_REJECTED',
+
+        // Operazioni
+        OPERATION_TIMEOUT: 'BLE_OPERATION_TIMEOUT',
+        OPERATION_CANCELLED: 'BLE_OPERATION_CANCELLED',
+        CIRCUIT_OPEN: 'BLE_CIRCUIT_OPEN',
+
+        // Uso dell'API
+        INVALID_PARAMETER: 'BLE_INVALID_PARAMETER',
+        INVALID_STATE: 'BLE_INVALID_STATE',
+        INVALID_DEVICE: 'BLE_INVALID_DEVICE',
+        EVENT_ERROR: 'BLE_EVENT_ERROR',
+        LOGGING_ERROR: 'BLE_LOGGING_ERROR',
+
+        // Errori BlueZ/D-Bus (vedi bluezErrorUtils)
+        NOT_READY: 'BLE_NOT_READY',
+        IN_PROGRESS: 'BLE_IN_PROGRESS',
+        NOT_CONNECTED: 'BLE_NOT_CONNECTED',
+        ALREADY_CONNECTED: 'BLE_ALREADY_CONNECTED',
+        CONNECTION_ABORTED: 'BLE_CONNECTION_ABORTED',
+        NOT_PERMITTED: 'BLE_NOT_PERMITTED',
+        NOT_AUTHORIZED: 'BLE_NOT_AUTHORIZED',
+        AUTHENTICATION_FAILED: 'BLE_AUTHENTICATION_FAILED',
+        NOT_SUPPORTED: 'BLE_NOT_SUPPORTED',
+        DOES_NOT_EXIST: 'BLE_DOES_NOT_EXIST',
+        ALREADY_EXISTS: 'BLE_ALREADY_EXISTS',
+        BLUEZ_FAILED: 'BLE_BLUEZ_FAILED',
+        DBUS_ERROR: 'BLE_DBUS_ERROR',
+        UNKNOWN_ERROR: 'BLE_UNKNOWN_ERROR'
     },
     FILE: {
         CREATE_FAILED: 'FILE_CREATE_FAILED',
+        READ_FAILED: 'FILE_READ_FAILED',
         WRITE_FAILED: 'FILE_WRITE_FAILED',
         ROTATION_FAILED: 'FILE_ROTATION_FAILED',
         PERMISSION_DENIED: 'FILE_PERMISSION_DENIED'
     }
 };
 
+/**
+ * Azioni di recupero suggerite per un errore
+ * @readonly
+ * @enum {string}
+ */
+const ErrorRecovery = {
+    NONE: 'none',                           // Errore definitivo o di programmazione
+    RETRY: 'retry',                         // Ripetere l'operazione (con backoff)
+    WAIT: 'wait',                           // Operazione già in corso: attendere prima di ripetere
+    RECONNECT: 'reconnect',                 // Disconnettere e riconnettere il dispositivo
+    RESCAN: 'rescan',                       // Il dispositivo non è noto a BlueZ: nuova discovery
+    RESET_ADAPTER: 'reset_adapter',         // Adapter non pronto: riattivarlo o resettarlo
+    REPAIR: 'repair',                       // Ripetere l'accoppiamento (bond)
+    CHECK_PERMISSIONS: 'check_permissions'  // Richiede l'intervento dell'operatore
+};
+
+const { NONE, RETRY, WAIT, RECONNECT, RESCAN, RESET_ADAPTER, REPAIR, CHECK_PERMISSIONS } = ErrorRecovery;
+
+/**
+ * Ripetibilità e azione di recupero di ogni codice di errore
+ * @private
+ */
+const ERROR_INFO = {
+    [ErrorCodes.BLE.INITIALIZATION_FAILED]: { retryable: true, recovery: RESET_ADAPTER },
+    [ErrorCodes.BLE.CONNECTION_FAILED]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.BLE.DISCONNECT_ERROR]: { retryable: false, recovery: NONE },
+    [ErrorCodes.BLE.SCAN_FAILED]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.BLE.DISCOVERY_ERROR]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.BLE.DEVICE_NOT_FOUND]: { retryable: true, recovery: RESCAN },
+    [ErrorCodes.BLE.CLEANUP_ERROR]: { retryable: false, recovery: NONE },
+
+    [ErrorCodes.BLE.CHARACTERISTIC_ERROR]: { retryable: true, recovery: RECONNECT },
+    [ErrorCodes.BLE.NOTIFICATION_ERROR]: { retryable: true, recovery: RECONNECT },
+    [ErrorCodes.BLE.COMMAND_FAILED]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.BLE.COMMAND_TIMEOUT]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.BLE.COMMAND_REJECTED]: { retryable: false, recovery: NONE },
+
+    [ErrorCodes.BLE.OPERATION_TIMEOUT]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.BLE.OPERATION_CANCELLED]: { retryable: false, recovery: NONE },
+    [ErrorCodes.BLE.CIRCUIT_OPEN]: { retryable: true, recovery: WAIT },
+
+    [ErrorCodes.BLE.INVALID_PARAMETER]: { retryable: false, recovery: NONE },
+    [ErrorCodes.BLE.INVALID_STATE]: { retryable: false, recovery: NONE },
+    [ErrorCodes.BLE.INVALID_DEVICE]: { retryable: false, recovery: NONE },
+    [ErrorCodes.BLE.EVENT_ERROR]: { retryable: false, recovery: NONE },
+    [ErrorCodes.BLE.LOGGING_ERROR]: { retryable: false, recovery: NONE },
+
+    [ErrorCodes.BLE.NOT_READY]: { retryable: true, recovery: RESET_ADAPTER },
+    [ErrorCodes.BLE.IN_PROGRESS]: { retryable: true, recovery: WAIT },
+    [ErrorCodes.BLE.NOT_CONNECTED]: { retryable: true, recovery: RECONNECT },
+    [ErrorCodes.BLE.ALREADY_CONNECTED]: { retryable: false, recovery: NONE },
+    [ErrorCodes.BLE.CONNECTION_ABORTED]: { retryable: true, recovery: RECONNECT },
+    [ErrorCodes.BLE.NOT_PERMITTED]: { retryable: false, recovery: CHECK_PERMISSIONS },
+    [ErrorCodes.BLE.NOT_AUTHORIZED]: { retryable: false, recovery: REPAIR },
+    [ErrorCodes.BLE.AUTHENTICATION_FAILED]: { retryable: false, recovery: REPAIR },
+    [ErrorCodes.BLE.NOT_SUPPORTED]: { retryable: false, recovery: NONE },
+    [ErrorCodes.BLE.DOES_NOT_EXIST]: { retryable: true, recovery: RESCAN },
+    [ErrorCodes.BLE.ALREADY_EXISTS]: { retryable: false, recovery: NONE },
+    [ErrorCodes.BLE.BLUEZ_FAILED]: { retryable: true, recovery: RECONNECT },
+    [ErrorCodes.BLE.DBUS_ERROR]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.BLE.UNKNOWN_ERROR]: { retryable: true, recovery: RETRY },
+
+    [ErrorCodes.FILE.CREATE_FAILED]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.FILE.READ_FAILED]: { retryable: false, recovery: NONE },
+    [ErrorCodes.FILE.WRITE_FAILED]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.FILE.ROTATION_FAILED]: { retryable: true, recovery: RETRY },
+    [ErrorCodes.FILE.PERMISSION_DENIED]: { retryable: false, recovery: CHECK_PERMISSIONS }
+};
+
+/**
+ * Restituisce ripetibilità e azione di recupero di un codice di errore
+ * I codici sconosciuti sono considerati non ripetibili.
+ * @param {string} code - Codice di errore (ErrorCodes)
+ * @returns {{retryable: boolean, recovery: string}}
+ */
+function getErrorInfo(code) {
+    return ERROR_INFO[code] || { retryable: false, recovery: NONE };
+}
+
 module.exports = {
     BLEError,
     FileError,
     handleError,
-    ErrorCodes
-};
\ No newline at end of file
+    getErrorInfo,
+    ErrorCodes,
+    ErrorRecovery
+};
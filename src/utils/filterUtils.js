@@ -0,0 +1,188 @@
+/**
+ * Criteri di filtro per i dispositivi scoperti
+ *
+ * Un oggetto criteri può contenere:
+ *   name, namePrefix, namePattern      - nome esatto, prefisso/i, espressione/i regolare/i
+ *   address, addresses                 - indirizzo esatto, lista di indirizzi ammessi
+ *   excludeAddresses                   - lista di indirizzi esclusi
+ *   serviceUUIDs                       - UUID di servizio pubblicizzati (basta uno)
+ *   manufacturerIds                    - company ID nei dati produttore (basta uno)
+ *   minRssi                            - RSSI minimo in dBm (sul valore livellato, se disponibile)
+ *   all, any                           - liste di criteri annidati combinati in AND / OR
+ * I campi presenti nello stesso oggetto sono combinati in AND.
+ */
+
+const settings = require('../config/settings');
+
+/**
+ * Normalizza un valore in array
+ * @private
+ */
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Normalizza un indirizzo per il confronto
+ * @private
+ */
+function normalizeAddress(address) {
+    return String(address).toUpperCase();
+}
+
+/**
+ * Normalizza un UUID (anche in forma breve a 16/32 bit) nella forma completa a 128 bit
+ * @param {string|number} uuid - UUID da normalizzare
+ * @returns {string}
+ */
+function normalizeUUID(uuid) {
+    const value = typeof uuid === 'number' ? uuid.toString(16) : String(uuid).toLowerCase();
+    if (/^[0-9a-f]{4}$/.test(value) || /^[0-9a-f]{8}$/.test(value)) {
+        return `${value.padStart(8, '0')}-0000-1000-8000-00805f9b34fb`;
+    }
+    return value;
+}
+
+/**
+ * Restituisce l'RSSI da usare per i confronti: livellato se disponibile, altrimenti grezzo
+ * @param {Object} deviceInfo - Informazioni del dispositivo
+ * @returns {number|null}
+ */
+function getRssi(deviceInfo) {
+    if (typeof deviceInfo.smoothedRssi === 'number') return deviceInfo.smoothedRssi;
+    if (typeof deviceInfo.rssi === 'number') return deviceInfo.rssi;
+    return null;
+}
+
+/**
+ * Verifica se un dispositivo soddisfa i criteri
+ * @param {Object} deviceInfo - Informazioni del dispositivo (name, address, rssi, serviceUUIDs, manufacturerData)
+ * @param {Object} [criteria] - Criteri di filtro
+ * @returns {boolean}
+ */
+function matchesCriteria(deviceInfo, criteria = {}) {
+    if (!criteria) return true;
+
+    const name = deviceInfo.name || '';
+    const address = normalizeAddress(deviceInfo.address);
+
+    if (criteria.name && name !== criteria.name) {
+        return false;
+    }
+
+    const prefixes = toArray(criteria.namePrefix);
+    if (prefixes.length > 0 && !prefixes.some(prefix => name.startsWith(prefix))) {
+        return false;
+    }
+
+    const patterns = toArray(criteria.namePattern);
+    if (patterns.length > 0 && !patterns.some(pattern => new RegExp(pattern).test(name))) {
+        return false;
+    }
+
+    if (criteria.address && address !== normalizeAddress(criteria.address)) {
+        return false;
+    }
+
+    const allowed = toArray(criteria.addresses).map(normalizeAddress);
+    if (allowed.length > 0 && !allowed.includes(address)) {
+        return false;
+    }
+
+    const excluded = toArray(criteria.excludeAddresses).map(normalizeAddress);
+    if (excluded.includes(address)) {
+        return false;
+    }
+
+    const serviceUUIDs = toArray(criteria.serviceUUIDs).map(normalizeUUID);
+    if (serviceUUIDs.length > 0) {
+        const advertised = toArray(deviceInfo.serviceUUIDs).map(normalizeUUID);
+        if (!serviceUUIDs.some(uuid => advertised.includes(uuid))) {
+            return false;
+        }
+    }
+
+    const manufacturerIds = toArray(criteria.manufacturerIds).map(Number);
+    if (manufacturerIds.length > 0) {
+        const advertised = toArray(deviceInfo.manufacturerData).map(entry => entry.companyId);
+        if (!manufacturerIds.some(id => advertised.includes(id))) {
+            return false;
+        }
+    }
+
+    if (criteria.minRssi !== undefined && criteria.minRssi !== null) {
+        const rssi = getRssi(deviceInfo);
+        if (rssi === null || rssi < criteria.minRssi) {
+            return false;
+        }
+    }
+
+    if (criteria.all && !criteria.all.every(sub => matchesCriteria(deviceInfo, sub))) {
+        return false;
+    }
+
+    if (criteria.any && criteria.any.length > 0 && !criteria.any.some(sub => matchesCriteria(deviceInfo, sub))) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Combina più criteri in AND
+ * @param {...Object} criteriaList - Criteri da combinare (i valori nulli sono ignorati)
+ * @returns {Object}
+ */
+function combineCriteria(...criteriaList) {
+    return { all: criteriaList.filter(Boolean) };
+}
+
+/**
+ * Costruisce i criteri di ricerca dalla configurazione.
+ * I criteri di identificazione (nomi, prefissi, pattern, servizi, produttore) sono
+ * combinati secondo MATCH ('any' = OR, 'all' = AND); liste di indirizzi e RSSI
+ * minimo si applicano sempre.
+ * @param {Object} [filter] - Configurazione (default: settings.DEVICE_FILTER)
+ * @param {number|null} [minRssi] - RSSI minimo (default: settings.TARGET_DEVICE.SIGNAL_STRENGTH_THRESHOLD)
+ * @returns {Object}
+ */
+function criteriaFromSettings(filter = settings.DEVICE_FILTER, minRssi = settings.TARGET_DEVICE.SIGNAL_STRENGTH_THRESHOLD) {
+    const names = toArray(filter.NAMES);
+    const identification = [
+        ...(names.length > 0 ? names : [settings.TARGET_DEVICE.NAME]).map(name => ({ name })),
+        ...toArray(filter.NAME_PREFIXES).map(namePrefix => ({ namePrefix })),
+        ...toArray(filter.NAME_PATTERNS).map(namePattern => ({ namePattern }))
+    ];
+
+    if (toArray(filter.SERVICE_UUIDS).length > 0) {
+        identification.push({ serviceUUIDs: filter.SERVICE_UUIDS });
+    }
+    if (toArray(filter.MANUFACTURER_IDS).length > 0) {
+        identification.push({ manufacturerIds: filter.MANUFACTURER_IDS });
+    }
+
+    const criteria = {
+        [filter.MATCH === 'all' ? 'all' : 'any']: identification
+    };
+
+    if (toArray(filter.ALLOW_ADDRESSES).length > 0) {
+        criteria.addresses = filter.ALLOW_ADDRESSES;
+    }
+    if (toArray(filter.BLOCK_ADDRESSES).length > 0) {
+        criteria.excludeAddresses = filter.BLOCK_ADDRESSES;
+    }
+    if (minRssi !== undefined && minRssi !== null) {
+        criteria.minRssi = minRssi;
+    }
+
+    return criteria;
+}
+
+module.exports = {
+    matchesCriteria,
+    combineCriteria,
+    criteriaFromSettings,
+    getRssi,
+    normalizeUUID
+};
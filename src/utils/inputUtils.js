@@ -1,13 +1,24 @@
 const readline = require('readline');
+const { createCancellationError, throwIfAborted, onAbort } = require('./abortUtils');
+
+function getUserInput(question, { signal } = {}) {
+    throwIfAborted(signal, 'inserimento');
 
-function getUserInput(question) {
     const rl = readline.createInterface({
         input: process.stdin,
         output: process.stdout
     });
 
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
+        // Richiesta annullata (es. da BlueZ): il prompt viene chiuso senza risposta
+        const removeListener = onAbort(signal, () => {
+            rl.close();
+            process.stdout.write('\n');
+            reject(createCancellationError('inserimento', signal));
+        });
+
         rl.question(question, (answer) => {
+            removeListener();
             rl.close();
             resolve(answer);
         });
@@ -16,4 +27,4 @@ function getUserInput(question) {
 
 module.exports = {
     getUserInput
-};
\ No newline at end of file
+};
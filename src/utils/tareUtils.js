@@ -0,0 +1,167 @@
+/**
+ * tareUtils.js
+ * Calcolo della calibrazione di zero (tara) a partire dai campioni grezzi acquisiti
+ * nelle due fasi della procedura interattiva (vedi src/bluetooth/BLETareCalibration.js):
+ *
+ *   - piede sollevato: i sensori di pressione sono scarichi, la media di ogni canale
+ *     è il suo offset;
+ *   - in piedi, fermi: gli accelerometri misurano solo la gravità. Gli assi
+ *     orizzontali hanno offset pari alla media; sull'asse di gravità (quello più
+ *     lontano dal proprio offset attuale) si sottrae 1 g, se il guadagno è noto.
+ *
+ * Per ogni canale il rumore di fondo (noise_floor) è la deviazione standard
+ * dei conteggi nella fase in cui il segnale è fermo.
+ *
+ * Created: 2025-02-16 10:04:51
+ * Author: arkproject
+ * Version: 1.0.0
+ */
+
+const { BLEError, ErrorCodes } = require('./errorHandler');
+const { CalibrationQuantities, CalibrationUnits, convertUnit } = require('./BLECalibration');
+
+const VALUE_DECIMALS = 3;               // Cifre decimali di offset e rumore (conteggi)
+
+/**
+ * @private
+ */
+function round(value) {
+    return Number(value.toFixed(VALUE_DECIMALS));
+}
+
+/**
+ * Calcola media, deviazione standard, minimo e massimo di ogni campo
+ * @param {Array<Object>} samples - Campioni decodificati (valori grezzi)
+ * @param {Array<string>} fields - Campi da analizzare
+ * @returns {Object} { <campo>: { mean, noise, min, max, count } }
+ * @throws {BLEError} INVALID_STATE se un campo non ha valori
+ */
+function computeChannelStatistics(samples, fields) {
+    return Object.fromEntries(fields.map(field => {
+        const values = samples
+            .map(sample => sample[field])
+            .filter(value => typeof value === 'number');
+        if (values.length === 0) {
+            throw new BLEError(
+                `Nessun valore acquisito per il canale ${field}`,
+                ErrorCodes.BLE.INVALID_STATE,
+                { field, samples: samples.length }
+            );
+        }
+
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+        return [field, {
+            mean,
+            noise: Math.sqrt(variance),
+            min: Math.min(...values),
+            max: Math.max(...values),
+            count: values.length
+        }];
+    }));
+}
+
+/**
+ * Conteggi corrispondenti a 1 g per un canale di accelerazione, se il profilo
+ * ne indica il guadagno (senza polinomio di correzione)
+ * @private
+ */
+function countsPerG(channel) {
+    if (!channel || !Number.isFinite(channel.gain) || channel.gain === 0 ||
+        (Array.isArray(channel.polynomial) && channel.polynomial.length > 0)) {
+        return null;
+    }
+    return convertUnit(1, CalibrationUnits.G, channel.unit || CalibrationUnits.G) / Math.abs(channel.gain);
+}
+
+/**
+ * Calcola offset e rumore di fondo dei canali dello schema
+ * @param {Object} phases - Campioni grezzi per fase
+ * @param {Array<Object>} phases.unloaded - Piede sollevato
+ * @param {Array<Object>} phases.standing - In piedi, fermi
+ * @param {BLEPacketSchema} schema - Schema dei pacchetti
+ * @param {Object|null} [profile] - Profilo di calibrazione attuale (guadagni e offset esistenti)
+ * @returns {Object} { channels: { <campo>: { offset, noise_floor } }, gravityAxis }
+ */
+function computeTareChannels(phases, schema, profile = null) {
+    const existing = (profile && profile.channels) || {};
+    const fieldsOf = quantity => schema.fields
+        .filter(field => field.quantity === quantity)
+        .map(field => field.name);
+    const channels = {};
+
+    const pressure = fieldsOf(CalibrationQuantities.PRESSURE);
+    const unloaded = computeChannelStatistics(phases.unloaded, pressure);
+    pressure.forEach(name => {
+        channels[name] = {
+            offset: round(unloaded[name].mean),
+            noise_floor: round(unloaded[name].noise)
+        };
+    });
+
+    const acceleration = fieldsOf(CalibrationQuantities.ACCELERATION);
+    const standing = computeChannelStatistics(phases.standing, acceleration);
+    const deviation = name => {
+        const offset = existing[name] && Number.isFinite(existing[name].offset) ? existing[name].offset : 0;
+        return standing[name].mean - offset;
+    };
+    const gravityAxis = acceleration.reduce((axis, name) =>
+        axis === null || Math.abs(deviation(name)) > Math.abs(deviation(axis)) ? name : axis, null);
+
+    acceleration.forEach(name => {
+        const stats = standing[name];
+        channels[name] = { noise_floor: round(stats.noise) };
+
+        if (name !== gravityAxis) {
+            channels[name].offset = round(stats.mean);
+            return;
+        }
+
+        // Senza guadagno la gravità non è convertibile in conteggi: l'offset resta invariato
+        const oneG = countsPerG(existing[name]);
+        if (oneG !== null) {
+            channels[name].offset = round(stats.mean - Math.sign(deviation(name)) * oneG);
+        }
+    });
+
+    return { channels, gravityAxis };
+}
+
+/**
+ * Unisce il risultato della tara al profilo di calibrazione del dispositivo.
+ * Guadagni, polinomi e unità esistenti sono mantenuti; i canali assenti dal
+ * profilo vengono aggiunti con la sola tara.
+ * @param {Object|null} profile - Profilo attuale (null per crearne uno nuovo)
+ * @param {Object} tare - Risultato della tara (vedi BLETareCalibration.run)
+ * @param {Object} [defaults] - Dati del nuovo profilo
+ * @param {string} [defaults.id] - Identificativo
+ * @param {string} [defaults.serialNumber] - Numero di serie del dispositivo
+ * @returns {Object} Profilo aggiornato, da salvare con BLECalibrationStore.set
+ */
+function applyTareToProfile(profile, tare, { id = null, serialNumber = null } = {}) {
+    const base = profile || { id, serialNumber, channels: {} };
+    const channels = { ...base.channels };
+
+    Object.entries(tare.channels).forEach(([name, values]) => {
+        channels[name] = { ...channels[name], ...values };
+    });
+
+    return {
+        ...base,
+        channels,
+        tare: {
+            capturedAt: tare.timestamp,
+            deviceAddress: tare.deviceAddress,
+            schema: tare.schema,
+            durationMs: tare.durationMs,
+            gravityAxis: tare.gravityAxis,
+            samples: tare.samples
+        }
+    };
+}
+
+module.exports = {
+    applyTareToProfile,
+    computeChannelStatistics,
+    computeTareChannels
+};